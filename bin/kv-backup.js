@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// Command-line online backups of the SQLite backend, using the same files as
+// /admin/backups (BACKUP_DIR, BACKUP_KEEP; the database is DB_PATH).
+//
+//   node bin/kv-backup.js create [--dir=PATH] [--keep=N]
+//   node bin/kv-backup.js list [--dir=PATH]
+//   node bin/kv-backup.js restore --file=NAME [--dir=PATH]
+//
+// A backup is safe while the server runs. Restore through POST /admin/backups/:file/restore
+// when it does, so the server's own connection performs the swap.
+
+// Logs go to stderr so stdout carries only the JSON result
+require('../src/logger').useStderr();
+const print = (result) => process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+
+const Database = require('../src/database');
+const {
+  BACKUP_FILE_PATTERN,
+  loadBackupConfig,
+  listBackups,
+  createBackup,
+  restoreBackup
+} = require('../src/backup');
+
+const USAGE = `Usage:
+  kv-backup create [--dir=PATH] [--keep=N]
+  kv-backup list [--dir=PATH]
+  kv-backup restore --file=NAME [--dir=PATH]`;
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  for (const arg of rest) {
+    const match = /^--([a-z]+)=(.*)$/.exec(arg);
+    if (!match) {
+      throw new Error(`Unrecognised argument "${arg}"`);
+    }
+    options[match[1]] = match[2];
+  }
+  return { command, options };
+}
+
+const commands = {
+  async create(db, config) {
+    const backup = await createBackup(db, config);
+    print(backup);
+    return 0;
+  },
+
+  async list(db, config) {
+    print(await listBackups(config));
+    return 0;
+  },
+
+  async restore(db, config, options) {
+    if (!options.file || !BACKUP_FILE_PATTERN.test(options.file)) {
+      throw new Error('restore needs --file=<name> from "kv-backup list"');
+    }
+    const backups = await listBackups(config);
+    if (!backups.some(backup => backup.file === options.file)) {
+      throw new Error(`No backup named ${options.file} in ${config.dir}`);
+    }
+    print(await restoreBackup(db, config, options.file));
+    return 0;
+  }
+};
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  if (!commands[command]) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const config = loadBackupConfig({
+    ...process.env,
+    ...(options.dir && { BACKUP_DIR: options.dir }),
+    ...(options.keep && { BACKUP_KEEP: options.keep })
+  });
+  const db = new Database(process.env.DB_PATH);
+  await db.connect();
+  try {
+    return await commands[command](db, config, options);
+  } finally {
+    await db.close();
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(`kv-backup: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+// Command-line export and import of the store as NDJSON, straight against a storage
+// backend (no server needed). Uses the same format as GET /admin/export and
+// POST /admin/import, so dumps move freely between SQLite, MongoDB and a running server.
+//
+//   node bin/kv-transfer.js export [--prefix=P] [--from=T] [--to=T] [--file=PATH] [--backend=B]
+//   node bin/kv-transfer.js import [--conflict=skip|overwrite|fail] [--file=PATH] [--backend=B]
+//
+// --file defaults to stdout/stdin. --backend defaults to STORAGE_BACKEND (see src/storage.js),
+// configured by DB_PATH or MONGODB_URI as for the server.
+const fs = require('fs');
+const readline = require('readline');
+const { once } = require('events');
+
+// Logs go to stderr so stdout carries nothing but NDJSON
+require('../src/logger').useStderr();
+
+const { createDatabase } = require('../src/storage');
+const { exportLines, importLines } = require('../src/transfer');
+const { validateExportQuery, validateImportQuery } = require('../src/validators');
+
+const USAGE = `Usage:
+  kv-transfer export [--prefix=P] [--from=T] [--to=T] [--file=PATH] [--backend=sqlite|mongodb]
+  kv-transfer import [--conflict=skip|overwrite|fail] [--file=PATH] [--backend=sqlite|mongodb]`;
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  for (const arg of rest) {
+    const match = /^--([a-z]+)=(.*)$/.exec(arg);
+    if (!match) {
+      throw new Error(`Unrecognised argument "${arg}"`);
+    }
+    options[match[1]] = match[2];
+  }
+  return { command, options };
+}
+
+async function runExport(db, options) {
+  const { file, ...query } = options;
+  const { error, value } = validateExportQuery(query);
+  if (error) {
+    throw new Error(error.details[0].message);
+  }
+
+  const output = file ? fs.createWriteStream(file) : process.stdout;
+  let count = 0;
+  for await (const line of exportLines(db, value)) {
+    if (!output.write(line)) {
+      await once(output, 'drain');
+    }
+    count++;
+  }
+  if (file) {
+    output.end();
+    await once(output, 'finish');
+  }
+
+  console.error(`Exported ${count} versions`);
+  return 0;
+}
+
+async function runImport(db, options) {
+  const { file, ...query } = options;
+  const { error, value } = validateImportQuery(query);
+  if (error) {
+    throw new Error(error.details[0].message);
+  }
+
+  const input = file ? fs.createReadStream(file) : process.stdin;
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const report = await importLines(db, lines, { conflict: value.conflict });
+  lines.close();
+
+  console.error(JSON.stringify(report, null, 2));
+  return report.failed ? 1 : 0;
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  const commands = { export: runExport, import: runImport };
+  if (!commands[command]) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const { backend, ...commandOptions } = options;
+  const db = createDatabase(backend);
+  await db.connect();
+  try {
+    return await commands[command](db, commandOptions);
+  } finally {
+    await db.close();
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(`kv-transfer: ${error.message}`);
+    process.exit(1);
+  });
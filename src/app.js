@@ -0,0 +1,325 @@
+const express = require('express');
+const helmet = require('helmet');
+const cors = require('cors');
+const compression = require('compression');
+const rateLimit = require('express-rate-limit');
+const createObjectRoutes = require('./routes/objects');
+const createSnapshotRoutes = require('./routes/snapshot');
+const createCompactionRoutes = require('./routes/compaction');
+const createWatchRoutes = require('./routes/watch');
+const createApiKeyRoutes = require('./routes/api-keys');
+const createAuditRoutes = require('./routes/audit');
+const createKeyRoutes = require('./routes/keys');
+const createStatsRoutes = require('./routes/stats');
+const createTransferRoutes = require('./routes/transfer');
+const createBackupRoutes = require('./routes/backups');
+const createSchemaRoutes = require('./routes/schemas');
+const createRefRoutes = require('./routes/refs');
+const createCommitRoutes = require('./routes/commits');
+const createRollbackRoutes = require('./routes/rollback');
+const { loadRetentionPolicies } = require('./retention');
+const { loadBackupConfig } = require('./backup');
+const { authenticate } = require('./auth');
+const { captureAudit } = require('./audit');
+const { resolveTags } = require('./refs');
+const { createNotificationHub } = require('./notifications');
+const { CONTENT_TYPE, createMetrics, recordHttpMetrics, instrumentStorage } = require('./metrics');
+const { MERGE_PATCH_TYPE, JSON_PATCH_TYPE } = require('./patch');
+const logger = require('./logger');
+
+// Endpoint summary served by GET / and listed by the 404 handler
+const ENDPOINTS = {
+  'POST /object': 'Store a key-value pair (?ttl=<seconds> or an X-TTL header makes it expire)',
+  'PUT /object/:key': 'Store a new version of a key (If-Match, expectedVersion or expectedTimestamp for optimistic concurrency)',
+  'PATCH /object/:key': 'Apply a JSON Merge Patch (application/merge-patch+json) or JSON Patch (application/json-patch+json) to the latest version',
+  'POST /objects/batch': 'Store many key-value pairs atomically under one timestamp',
+  'POST /commits': 'Apply several key changes atomically with one message ({"message": "...", "changes": [{"key": "k", "value": 1}, {"key": "old", "deleted": true}]})',
+  'GET /commits': 'Commit log, newest first (limit, cursor)',
+  'GET /commits/:id': 'Get a commit with the versions and values it wrote',
+  'POST /commits/:id/revert': 'Undo a commit with an inverse commit',
+  'GET /object/:key': 'Get the latest value for a key (If-None-Match or If-Modified-Since answer 304 when unchanged)',
+  'GET /object/:key?waitForChangeAfter=<unix_timestamp>&timeout=30': 'Long poll: wait up to timeout seconds for a version newer than the timestamp (304 if none arrives)',
+  'GET /object/:key?timestamp=<unix_timestamp>': 'Get the value for a key at a specific timestamp (or tag name)',
+  'GET /object/:key?branch=<name>': 'Get the value a branch shows for a key (?branch= also works on POST, PUT, PATCH, DELETE and batch writes)',
+  'GET /object/:key/versions': 'List the version history of a key (from, to, order, limit, cursor)',
+  'GET /object/:key/diff?from=<unix_timestamp>&to=<unix_timestamp>': 'Diff the values of a key at two timestamps (JSON Patch for objects)',
+  'GET /object/:key/stats': 'Write history of a key: first/last write, version count, average interval and size trend',
+  'DELETE /object/:key': 'Delete a key by appending a tombstone version (history stays readable)',
+  'POST /object/:key/restore': 'Re-publish an earlier version ({"version": N} or {"timestamp": T}) as the newest one',
+  'POST /object/:key/rollback?to=<unix_timestamp>': 'Put a key back to its state at a timestamp or tag as one commit (dryRun=true to preview)',
+  'POST /rollback?prefix=svc.&to=<unix_timestamp>': 'Put every key under a prefix back to its state at a timestamp or tag as one commit (dryRun=true to preview)',
+  'GET /keys?prefix=svc.&delimiter=.': 'List keys and sub-namespaces under a prefix with version counts (limit, cursor, includeDeleted)',
+  'GET /stats': 'Store totals and the top keys by version count, bytes and write rate (prefix, limit, window)',
+  'PUT /schemas/:prefix': 'Register a JSON Schema that values of keys starting with :prefix must match (admin)',
+  'GET /schemas': 'List the registered JSON Schemas by key prefix',
+  'GET /schemas/:prefix': 'Get the JSON Schema registered for a key prefix',
+  'DELETE /schemas/:prefix': 'Stop enforcing the JSON Schema for a key prefix (admin)',
+  'POST /branches': 'Branch main as of a timestamp or tag ({"name": "staging", "timestamp": T}) (admin)',
+  'GET /branches': 'List branches',
+  'GET /branches/:name': 'Get a branch and the keys it has written',
+  'POST /branches/:name/merge': 'Merge a branch into main, reporting conflicts ({"strategy": "fail" | "theirs"}) (admin)',
+  'DELETE /branches/:name': 'Delete a branch (admin)',
+  'POST /tags': 'Name a timestamp ({"name": "release-42", "timestamp": T}); tag names work wherever a timestamp does (admin)',
+  'GET /tags': 'List tags',
+  'GET /tags/:name': 'Get the timestamp a tag stands for',
+  'DELETE /tags/:name': 'Delete a tag (admin)',
+  'GET /snapshot?timestamp=<unix_timestamp>': 'Value of every key as of a timestamp (prefix, limit, cursor)',
+  'GET /diff?from=<unix_timestamp>&to=<unix_timestamp>': 'Keys added, changed and removed between two timestamps (prefix)',
+  'GET /watch?keys=a,b&prefix=cfg.': 'Server-Sent Events stream of new versions (Last-Event-ID resumes)',
+  'GET /audit?actor=<actor>&from=<unix_timestamp>&to=<unix_timestamp>': 'Who wrote which version, in time order (prefix, limit, cursor)',
+  'GET /compaction/dry-run': 'Report which versions the retention policies would prune (prefix)',
+  'POST /admin/api-keys': 'Create an API key with scopes such as "read:cfg.*" (admin)',
+  'GET /admin/api-keys': 'List API keys (admin)',
+  'POST /admin/api-keys/:id/rotate': 'Replace the secret of an API key (admin)',
+  'DELETE /admin/api-keys/:id': 'Revoke an API key (admin)',
+  'GET /admin/export': 'Stream every version as NDJSON (prefix, from, to) (admin)',
+  'POST /admin/import?conflict=skip|overwrite|fail': 'Import an NDJSON export keeping original versions and timestamps (admin)',
+  'POST /admin/backups': 'Take an online SQLite backup and rotate old ones (admin)',
+  'GET /admin/backups': 'List SQLite backups (admin)',
+  'POST /admin/backups/:file/restore': 'Verify a backup and restore the database from it (admin)',
+  'GET /health': 'Health check with database stats',
+  'GET /metrics': 'Prometheus metrics: request counts and latency, storage latency, reads, writes and value sizes'
+};
+
+// Builds the HTTP API on top of a storage adapter (see src/storage.js), so the
+// SQLite server, the MongoDB server and the serverless entry point share one set of routes.
+// options.retentionPolicies defaults to RETENTION_POLICIES (see src/retention.js);
+// options.auth ({ enabled, adminKey }) defaults to AUTH_ENABLED and ADMIN_API_KEY (see src/auth.js);
+// options.backups ({ dir, keep }) defaults to BACKUP_DIR and BACKUP_KEEP (see src/backup.js).
+function createApp(db, options = {}) {
+  const app = express();
+  const metrics = createMetrics();
+  // Everything below talks to the instrumented adapter so storage calls are measured
+  db = instrumentStorage(db, metrics);
+  const retentionPolicies = options.retentionPolicies || loadRetentionPolicies();
+  const backups = options.backups || loadBackupConfig();
+  // Wakes long-polling reads when a key they wait on changes
+  const notifications = createNotificationHub(db);
+  const auth = options.auth || {
+    enabled: process.env.AUTH_ENABLED === 'true',
+    adminKey: process.env.ADMIN_API_KEY
+  };
+
+  // Security middleware
+  app.use(helmet());
+  // Expose ETag so browser clients can send it back in If-Match
+  app.use(cors({ exposedHeaders: ['ETag'] }));
+  app.use(compression());
+  app.use(recordHttpMetrics(metrics));
+
+  // Rate limiting
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 1000, // limit each IP to 1000 requests per windowMs
+    message: 'Too many requests from this IP, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res, next, limitOptions) => {
+      metrics.rateLimited.inc();
+      res.status(limitOptions.statusCode).send(limitOptions.message);
+    }
+  });
+  app.use(limiter);
+
+  // Body parsing middleware with enhanced error handling
+  app.use(express.json({ 
+    limit: '10mb',
+    // PATCH /object/:key bodies are JSON under their own media types
+    type: ['application/json', MERGE_PATCH_TYPE, JSON_PATCH_TYPE],
+    verify: (req, res, buf) => {
+      try {
+        JSON.parse(buf);
+      } catch (e) {
+        const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        logger.error('JSON parsing failed', { 
+          error: e.message, 
+          errorId,
+          contentLength: buf.length 
+        });
+        res.status(400).json({
+          error: 'Invalid JSON format in request body',
+          errorId,
+          timestamp: new Date().toISOString(),
+          hint: 'Ensure request body contains valid JSON'
+        });
+        throw new Error('Invalid JSON');
+      }
+    }
+  }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Request logging middleware
+  app.use((req, res, next) => {
+    logger.info(`${req.method} ${req.path}`, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      body: req.method === 'POST' ? req.body : undefined
+    });
+    next();
+  });
+
+  // Enhanced health check endpoint
+  app.get('/health', async (req, res) => {
+    try {
+      await db.connect();
+      const health = await db.healthCheck();
+      if (health.status !== 'connected') {
+        throw new Error(health.error || 'Database connectivity test failed');
+      }
+
+      const { status, stats, ...details } = health;
+      const memUsage = process.memoryUsage();
+      res.json({ 
+        status: 'healthy', 
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        database: {
+          status: 'connected',
+          backend: db.backend,
+          ...details
+        },
+        stats: stats || {},
+        memory: {
+          used: Math.round(memUsage.heapUsed / 1024 / 1024) + 'MB',
+          total: Math.round(memUsage.heapTotal / 1024 / 1024) + 'MB'
+        },
+        nodeVersion: process.version
+      });
+    } catch (error) {
+      logger.error('Health check failed', { error: error.message, backend: db.backend });
+      res.status(503).json({
+        status: 'unhealthy',
+        timestamp: new Date().toISOString(),
+        database: {
+          status: 'disconnected',
+          backend: db.backend,
+          error: 'Database connectivity test failed'
+        },
+        uptime: process.uptime()
+      });
+    }
+  });
+
+  // Prometheus scrape endpoint; public like /health since it exposes no key names or values
+  app.get('/metrics', async (req, res) => {
+    try {
+      await db.connect();
+      res.set('Content-Type', CONTENT_TYPE).send(await metrics.render(db));
+    } catch (error) {
+      logger.error('Metrics collection failed', { error: error.message, backend: db.backend });
+      res.status(503).json({
+        error: 'Metrics unavailable',
+        timestamp: new Date().toISOString(),
+        hint: 'Check GET /health and retry shortly'
+      });
+    }
+  });
+
+  // API documentation endpoint
+  app.get('/', (req, res) => {
+    res.json({
+      name: 'Version Controlled Key-Value Store API',
+      version: '1.0.0',
+      database: db.backend,
+      description: 'A production-quality version-controlled key-value store with HTTP API',
+      endpoints: ENDPOINTS,
+      example: {
+        store: 'POST /object with body {"mykey": "myvalue"}',
+        retrieve: 'GET /object/mykey',
+        retrieveAtTime: 'GET /object/mykey?timestamp=1640995200'
+      }
+    });
+  });
+
+  // Wait for the storage backend before serving data routes; connect() is cheap once ready
+  app.use(async (req, res, next) => {
+    try {
+      await db.connect();
+      next();
+    } catch (error) {
+      const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      logger.error('Storage backend unavailable', {
+        error: error.message,
+        backend: db.backend,
+        requestId
+      });
+      res.status(503).json({
+        error: 'Database unavailable',
+        requestId,
+        timestamp: new Date().toISOString(),
+        hint: 'Check GET /health and retry shortly'
+      });
+    }
+  });
+
+  app.use(authenticate(db, auth));
+  app.use(captureAudit);
+  app.use(resolveTags(db));
+  app.use(createApiKeyRoutes(db));
+  app.use(createTransferRoutes(db));
+  app.use(createBackupRoutes(db, backups));
+  app.use(createSchemaRoutes(db));
+  app.use(createRefRoutes(db));
+  app.use(createCommitRoutes(db));
+  app.use(createRollbackRoutes(db));
+  app.use(createObjectRoutes(db, notifications, retentionPolicies));
+  app.use(createKeyRoutes(db));
+  app.use(createStatsRoutes(db));
+  app.use(createSnapshotRoutes(db));
+  app.use(createCompactionRoutes(db, retentionPolicies));
+  app.use(createWatchRoutes(db));
+  app.use(createAuditRoutes(db));
+
+  // Enhanced 404 handler
+  app.use('*', (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    logger.warn('Endpoint not found', { 
+      path: req.originalUrl, 
+      method: req.method,
+      ip: req.ip,
+      requestId
+    });
+    
+    res.status(404).json({
+      error: 'Endpoint not found',
+      path: req.originalUrl,
+      method: req.method,
+      requestId,
+      timestamp: new Date().toISOString(),
+      availableEndpoints: ['GET /', ...Object.keys(ENDPOINTS)],
+      hint: 'Check the API documentation at GET /'
+    });
+  });
+
+  // Enhanced global error handler
+  app.use((error, req, res, next) => {
+    const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const requestId = req.requestId || `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    logger.error('Unhandled error', { 
+      error: error.message, 
+      stack: error.stack,
+      url: req.originalUrl,
+      method: req.method,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId,
+      errorId
+    });
+
+    // Don't expose internal error details in production
+    const isDevelopment = process.env.NODE_ENV !== 'production';
+
+    res.status(error.statusCode || 500).json({
+      error: isDevelopment ? error.message : 'Internal server error',
+      requestId,
+      errorId,
+      timestamp: new Date().toISOString(),
+      ...(isDevelopment && { stack: error.stack })
+    });
+  });
+
+  return app;
+}
+
+module.exports = createApp;
@@ -0,0 +1,55 @@
+const logger = require('./logger');
+
+const MAX_ACTOR_LENGTH = 255;
+const MAX_MESSAGE_LENGTH = 1000;
+
+// Requests with these methods never write, so their audit headers go unused
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Records who is making a request into req.audit, for storing with each version
+// it writes. The actor is the authenticated API key id, or the X-Actor header
+// for unauthenticated clients. X-Change-Message carries an optional description.
+// The headers are only checked on requests that can write.
+function captureAudit(req, res, next) {
+  const actorHeader = req.get('X-Actor');
+  const message = req.get('X-Change-Message');
+
+  if (!READ_METHODS.includes(req.method) &&
+      ((actorHeader && actorHeader.length > MAX_ACTOR_LENGTH) ||
+      (message && message.length > MAX_MESSAGE_LENGTH))) {
+    logger.warn('Rejected audit headers', { ip: req.ip, path: req.path });
+    return res.status(400).json({
+      error: 'Audit header too long',
+      timestamp: new Date().toISOString(),
+      hint: `X-Actor can be up to ${MAX_ACTOR_LENGTH} characters and X-Change-Message up to ${MAX_MESSAGE_LENGTH}`
+    });
+  }
+
+  req.audit = {
+    actor: req.apiKey ? req.apiKey.id : actorHeader || null,
+    clientIp: req.ip || null,
+    message: message || null
+  };
+  next();
+}
+
+// The audit options for a write made while handling `req`
+function auditFor(req, requestId) {
+  return { ...req.audit, requestId };
+}
+
+// Audit fields as they appear in history and audit responses
+function describeAudit(record) {
+  return {
+    actor: record.actor,
+    clientIp: record.clientIp,
+    requestId: record.requestId,
+    message: record.message
+  };
+}
+
+module.exports = {
+  captureAudit,
+  auditFor,
+  describeAudit
+};
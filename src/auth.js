@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// API keys are random secrets handed out once; only their SHA-256 hash is stored.
+// Scopes grant an action on a key pattern:
+//   read:<pattern>    GET routes for matching keys
+//   write:<pattern>   POST/PUT/DELETE routes for matching keys
+//   admin             API key management and other admin routes
+// A pattern is an exact key, a prefix ending in "*" ("cfg.*"), or "*" for every key.
+
+function generateApiKey() {
+  return `kv_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function generateApiKeyId() {
+  return `key_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function hashApiKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Enough of the secret to recognise a key in listings without revealing it
+function apiKeyPrefix(secret) {
+  return secret.slice(0, 8);
+}
+
+// Whether a scope pattern covers a target: a key, or a key prefix ending in "*"
+function patternCovers(pattern, target) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('*')) {
+    const prefix = pattern.slice(0, -1);
+    return target.startsWith(prefix);
+  }
+  return pattern === target;
+}
+
+function hasScope(scopes, action, targets = []) {
+  if (action === 'admin') {
+    return scopes.includes('admin');
+  }
+  const patterns = scopes
+    .filter(scope => scope.startsWith(`${action}:`))
+    .map(scope => scope.slice(action.length + 1));
+  return targets.every(target => patterns.some(pattern => patternCovers(pattern, target)));
+}
+
+function readApiKey(req) {
+  const authorization = req.get('Authorization');
+  if (authorization && /^Bearer /i.test(authorization)) {
+    return authorization.slice(7).trim();
+  }
+  return req.get('X-API-Key') || null;
+}
+
+// Resolves the API key sent with a request into req.apiKey. A key that is unknown
+// or revoked is rejected even where authentication is optional. options.adminKey
+// (ADMIN_API_KEY) is a bootstrap key with every scope, used to create the first keys.
+function authenticate(db, options = {}) {
+  const { enabled = false, adminKey } = options;
+  const adminKeyHash = adminKey ? hashApiKey(adminKey) : null;
+
+  return async (req, res, next) => {
+    req.authRequired = enabled;
+    req.apiKey = null;
+
+    const secret = readApiKey(req);
+    if (!secret) {
+      return next();
+    }
+
+    try {
+      const keyHash = hashApiKey(secret);
+      if (adminKeyHash && crypto.timingSafeEqual(Buffer.from(keyHash), Buffer.from(adminKeyHash))) {
+        req.apiKey = { id: 'admin', name: 'ADMIN_API_KEY', scopes: ['admin', 'read:*', 'write:*'] };
+        return next();
+      }
+
+      const apiKey = await db.findApiKeyByHash(keyHash);
+      if (!apiKey || apiKey.revokedAt) {
+        logger.warn('Rejected API key', { ip: req.ip, keyPrefix: apiKeyPrefix(secret), revoked: Boolean(apiKey) });
+        return res.status(401).json({
+          error: apiKey ? 'API key has been revoked' : 'Invalid API key',
+          timestamp: new Date().toISOString(),
+          hint: 'Send a valid key as "Authorization: Bearer <key>" or "X-API-Key: <key>"'
+        });
+      }
+
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Route middleware: requires `action` on every target returned by targets(req).
+// read/write checks only apply when authentication is enabled; admin always does.
+function requireScope(action, targets = () => []) {
+  return (req, res, next) => {
+    if (action !== 'admin' && !req.authRequired) {
+      return next();
+    }
+
+    if (!req.apiKey) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json({
+        error: 'Authentication required',
+        timestamp: new Date().toISOString(),
+        hint: 'Send an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"'
+      });
+    }
+
+    const required = targets(req);
+    if (!hasScope(req.apiKey.scopes, action, required)) {
+      logger.warn('API key lacks scope', { apiKeyId: req.apiKey.id, action, targets: required });
+      return res.status(403).json({
+        error: 'API key does not have the required scope',
+        required: action === 'admin' ? ['admin'] : required.map(target => `${action}:${target}`),
+        scopes: req.apiKey.scopes,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  };
+}
+
+// Scope targets for routes that read many keys: the prefix as a pattern, or every key
+function prefixTarget(prefix) {
+  return prefix ? `${prefix}*` : '*';
+}
+
+module.exports = {
+  generateApiKey,
+  generateApiKeyId,
+  hashApiKey,
+  apiKeyPrefix,
+  hasScope,
+  authenticate,
+  requireScope,
+  prefixTarget
+};
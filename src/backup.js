@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Online backups of the SQLite backend: timestamped files in one directory, newest
+// `keep` retained. The adapter does the copying (Database#backup / #restore).
+
+// kv_store-20261019T123456789Z.db: names sort in the order the backups were taken
+const BACKUP_FILE_PATTERN = /^kv_store-\d{8}T\d{9}Z\.db$/;
+
+// BACKUP_DIR (default data/backups) and BACKUP_KEEP (default 7)
+function loadBackupConfig(env = process.env) {
+  const keep = Number(env.BACKUP_KEEP || 7);
+  if (!Number.isInteger(keep) || keep < 1) {
+    throw new Error(`Invalid BACKUP_KEEP "${env.BACKUP_KEEP}": expected a positive integer`);
+  }
+  return {
+    dir: env.BACKUP_DIR || path.join(__dirname, '..', 'data', 'backups'),
+    keep
+  };
+}
+
+function supportsBackup(db) {
+  return typeof db.backup === 'function' && typeof db.restore === 'function';
+}
+
+function backupFileName(date = new Date()) {
+  return `kv_store-${date.toISOString().replace(/[-:.]/g, '')}.db`;
+}
+
+// Backups in the directory, newest first
+async function listBackups(config) {
+  let files;
+  try {
+    files = await fs.promises.readdir(config.dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const backups = [];
+  for (const file of files.filter(name => BACKUP_FILE_PATTERN.test(name)).sort().reverse()) {
+    const stats = await fs.promises.stat(path.join(config.dir, file));
+    backups.push({ file, size: stats.size, createdAt: stats.mtime.toISOString() });
+  }
+  return backups;
+}
+
+// Deletes all but the newest config.keep backups; returns the removed file names
+async function rotateBackups(config) {
+  const expired = (await listBackups(config)).slice(config.keep);
+  for (const { file } of expired) {
+    await fs.promises.unlink(path.join(config.dir, file));
+  }
+  if (expired.length > 0) {
+    logger.info('Old backups removed', { files: expired.map(backup => backup.file) });
+  }
+  return expired.map(backup => backup.file);
+}
+
+// Takes a backup now. options.rotate (default true) applies config.keep afterwards.
+async function createBackup(db, config, options = {}) {
+  const { rotate = true } = options;
+
+  await fs.promises.mkdir(config.dir, { recursive: true });
+  const file = backupFileName();
+  await db.backup(path.join(config.dir, file));
+
+  const stats = await fs.promises.stat(path.join(config.dir, file));
+  const rotated = rotate ? await rotateBackups(config) : [];
+  return { file, size: stats.size, createdAt: stats.mtime.toISOString(), rotated };
+}
+
+// Restores the named backup after taking an unrotated backup of the current state,
+// so a mistaken restore can itself be undone. Resolves with { restored, previous }.
+async function restoreBackup(db, config, file) {
+  const previous = await createBackup(db, config, { rotate: false });
+  await db.restore(path.join(config.dir, file));
+  logger.info('Backup restored', { file, previous: previous.file });
+  return { restored: file, previous };
+}
+
+// Takes a backup every intervalMs in the background; returns a function that stops it
+function startBackupJob(db, config, intervalMs) {
+  if (!supportsBackup(db) || !intervalMs) {
+    return () => {};
+  }
+
+  let running = false;
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap with a slow previous run
+    if (running) return;
+    running = true;
+    try {
+      const backup = await createBackup(db, config);
+      logger.info('Scheduled backup finished', { file: backup.file, size: backup.size, rotated: backup.rotated });
+    } catch (error) {
+      logger.error('Scheduled backup failed', { error: error.message, stack: error.stack });
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  logger.info('Backups scheduled', { intervalMs, dir: config.dir, keep: config.keep });
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  BACKUP_FILE_PATTERN,
+  loadBackupConfig,
+  supportsBackup,
+  listBackups,
+  rotateBackups,
+  createBackup,
+  restoreBackup,
+  startBackupJob
+};
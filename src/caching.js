@@ -0,0 +1,58 @@
+const { formatETag, parseIfMatch } = require('./preconditions');
+
+// HTTP caching for reads of a single version. Validators come from the version that
+// was read: ETag from its version number (see src/preconditions.js) and Last-Modified
+// from its timestamp. A value as of a past timestamp that can no longer change is
+// cached for good; the latest value gets a short max-age so new writes show up quickly.
+
+const LATEST_MAX_AGE = 5;
+const HISTORICAL_MAX_AGE = 365 * 24 * 60 * 60;
+
+function formatLastModified(record) {
+  return new Date(record.timestamp * 1000).toUTCString();
+}
+
+// Cache-Control for a read of `record`. Responses to authenticated requests stay
+// private, and an expiring latest value is never cached past its expiry.
+function cacheControl(req, record, immutable) {
+  const visibility = req.authRequired ? 'private' : 'public';
+  if (immutable) {
+    return `${visibility}, max-age=${HISTORICAL_MAX_AGE}, immutable`;
+  }
+  const maxAge = record.expiresAt === null
+    ? LATEST_MAX_AGE
+    : Math.max(0, Math.min(LATEST_MAX_AGE, record.expiresAt - Math.floor(Date.now() / 1000)));
+  return `${visibility}, max-age=${maxAge}`;
+}
+
+// Sets the caching headers for `record` on `res`
+function setCacheHeaders(req, res, record, { immutable = false } = {}) {
+  res.set('ETag', formatETag(record));
+  res.set('Last-Modified', formatLastModified(record));
+  res.set('Cache-Control', cacheControl(req, record, immutable));
+}
+
+// True when the request's If-None-Match, or failing that If-Modified-Since, shows the
+// client already has `record` (RFC 9110 section 13.2.2)
+function isNotModified(req, record) {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch !== undefined) {
+    const tags = parseIfMatch(ifNoneMatch);
+    return tags.includes('*') || tags.includes(formatETag(record));
+  }
+
+  const ifModifiedSince = req.get('If-Modified-Since');
+  if (ifModifiedSince !== undefined) {
+    const since = Date.parse(ifModifiedSince);
+    return !Number.isNaN(since) && record.timestamp <= Math.floor(since / 1000);
+  }
+
+  return false;
+}
+
+module.exports = {
+  LATEST_MAX_AGE,
+  HISTORICAL_MAX_AGE,
+  setCacheHeaders,
+  isNotModified
+};
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { isExpired, renewedExpiry } = require('./ttl');
+
+// Commits: several key changes written atomically under one timestamp with a message.
+// The adapter stores the versions and a commit record naming each (key, version) it
+// wrote (see storeCommit in src/storage.js). A revert is a new commit that puts every
+// key back to the version before the one the reverted commit wrote.
+
+// Ids sort in creation order (milliseconds, then a per-process sequence) so the log,
+// ordered by (timestamp, id), keeps commits made within the same second in order
+let lastMillis = 0;
+let sequence = 0;
+
+function generateCommitId() {
+  const millis = Date.now();
+  sequence = millis === lastMillis ? sequence + 1 : 0;
+  lastMillis = millis;
+  return [
+    millis.toString(16).padStart(12, '0'),
+    sequence.toString(16).padStart(4, '0'),
+    crypto.randomBytes(2).toString('hex')
+  ].join('');
+}
+
+// Resolves with { changes, conflicts } for reverting `commit` at `at` (Unix seconds).
+// Keys written again since the commit are conflicts: reverting them would discard
+// the newer write. A key whose previous state was already gone needs no change when
+// the commit deleted it too. A value put back keeps its TTL (see renewedExpiry).
+async function revertChanges(db, commit, at = Math.floor(Date.now() / 1000)) {
+  const changes = [];
+  const conflicts = [];
+
+  for (const { key, version, deleted } of commit.changes) {
+    const latest = await db.getLatestValue(key);
+    if (!latest || latest.version !== version) {
+      conflicts.push({ key, committedVersion: version, latestVersion: latest ? latest.version : null });
+      continue;
+    }
+
+    const [previous] = await db.getAllVersions(key, { order: 'desc', after: version, limit: 1 });
+    const live = Boolean(previous) && !previous.deleted && !isExpired(previous, at);
+    if (!live && deleted) {
+      continue;
+    }
+
+    changes.push({
+      key,
+      ...(live ? { value: previous.value, expiresAt: renewedExpiry(previous, at) } : { deleted: true }),
+      // Only while the commit's version is still the latest
+      precondition: (current) => Boolean(current) && current.version === version
+    });
+  }
+
+  return { changes, conflicts };
+}
+
+module.exports = {
+  generateCommitId,
+  revertChanges
+};
@@ -0,0 +1,108 @@
+const { findPolicy, selectPrunable } = require('./retention');
+const { isReservedKey, listBranches } = require('./refs');
+const { isSchemaKey } = require('./schemas');
+const logger = require('./logger');
+
+const KEY_PAGE_SIZE = 500;
+
+// The versions of one key (ascending by version) that live branches read from main,
+// one per branch: the newest at or before its base (see readKey in src/refs.js)
+function branchBaseVersions(versions, branches) {
+  const pinned = new Set();
+  for (const { base } of branches) {
+    const read = versions.filter(entry => entry.timestamp <= base).pop();
+    if (read) pinned.add(read.version);
+  }
+  return pinned;
+}
+
+// Applies retention policies to every key with a matching policy (optionally only
+// keys under `prefix`). With dryRun nothing is removed; the report lists what
+// would be pruned either way. Refs, branch data and schemas are never compacted, and
+// a version a live branch reads at its base is kept.
+async function compactHistory(db, policies, options = {}) {
+  const { dryRun = false, prefix, now = Math.floor(Date.now() / 1000) } = options;
+  const report = {
+    dryRun,
+    ranAt: now,
+    keysScanned: 0,
+    keysCompacted: 0,
+    versionsPruned: 0,
+    keys: []
+  };
+
+  if (policies.length === 0) {
+    return report;
+  }
+
+  const branches = await listBranches(db);
+  let after;
+  while (true) {
+    const keys = await db.listKeys({ prefix, after, limit: KEY_PAGE_SIZE });
+
+    for (const key of keys) {
+      if (isReservedKey(key) || isSchemaKey(key)) continue;
+      const policy = findPolicy(policies, key);
+      if (!policy) continue;
+
+      report.keysScanned++;
+      const versions = await db.getAllVersions(key, { order: 'asc' });
+      const pinned = branchBaseVersions(versions, branches);
+      const prunable = selectPrunable(versions, policy, now).filter(entry => !pinned.has(entry.version));
+      if (prunable.length === 0) continue;
+
+      const pruned = dryRun
+        ? prunable.length
+        : await db.deleteVersions(key, prunable.map(entry => entry.version));
+
+      report.keysCompacted++;
+      report.versionsPruned += pruned;
+      report.keys.push({
+        key,
+        policy: policy.prefix,
+        kept: versions.length - prunable.length,
+        pruned: prunable.map(entry => ({ version: entry.version, timestamp: entry.timestamp }))
+      });
+    }
+
+    if (keys.length < KEY_PAGE_SIZE) break;
+    after = keys[keys.length - 1];
+  }
+
+  return report;
+}
+
+// Runs compaction every intervalMs in the background; returns a function that stops it
+function startCompactionJob(db, policies, intervalMs) {
+  if (policies.length === 0 || !intervalMs) {
+    return () => {};
+  }
+
+  let running = false;
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap with a slow previous run
+    if (running) return;
+    running = true;
+    try {
+      const report = await compactHistory(db, policies);
+      logger.info('History compaction finished', {
+        keysScanned: report.keysScanned,
+        keysCompacted: report.keysCompacted,
+        versionsPruned: report.versionsPruned
+      });
+    } catch (error) {
+      logger.error('History compaction failed', { error: error.message, stack: error.stack });
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  logger.info('History compaction scheduled', { intervalMs, policies: policies.length });
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  compactHistory,
+  startCompactionJob
+};
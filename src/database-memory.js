@@ -0,0 +1,547 @@
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+const { PreconditionFailedError, ImportConflictError } = require('./errors');
+const { serializedSize } = require('./stats');
+const { checkImportOrder } = require('./transfer');
+
+// Whether `key` falls under any of `prefixes` (the `exclude` query option)
+function isExcluded(key, prefixes = []) {
+  return prefixes.some(prefix => key.startsWith(prefix));
+}
+
+// Orders versions by (timestamp, key, version), the change feed order
+function compareChanges(timestamp, key, version, other) {
+  if (timestamp !== other.timestamp) return timestamp - other.timestamp;
+  if (key !== other.key) return key < other.key ? -1 : 1;
+  return version - other.version;
+}
+
+// Orders { expiresAt, key, version } positions, the getExpiredVersions order
+function compareExpiry(a, b) {
+  return compareChanges(a.expiresAt, a.key, a.version, { timestamp: b.expiresAt, key: b.key, version: b.version });
+}
+
+// In-memory storage for serverless demos and tests. Data lives only as long as
+// the process, so every instance starts empty.
+class MemoryDatabase extends EventEmitter {
+  constructor() {
+    super();
+    // Every open watch stream subscribes to 'change'
+    this.setMaxListeners(0);
+    this.backend = 'memory';
+    this.store = new Map();
+    this.apiKeys = new Map();
+    this.commits = [];
+  }
+
+  async connect() {
+    return true;
+  }
+
+  // Values are copied on the way in and out so callers can't mutate stored history
+  copy(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+  }
+
+  toRecord(key, entry) {
+    return {
+      key,
+      value: this.copy(entry.value),
+      timestamp: entry.timestamp,
+      version: entry.version,
+      deleted: entry.deleted,
+      actor: entry.actor,
+      clientIp: entry.clientIp,
+      requestId: entry.requestId,
+      message: entry.message,
+      expiresAt: entry.expiresAt || null
+    };
+  }
+
+  // Who made a write, kept on the version entry
+  auditFields(audit = {}) {
+    return {
+      actor: audit.actor || null,
+      clientIp: audit.clientIp || null,
+      requestId: audit.requestId || null,
+      message: audit.message || null
+    };
+  }
+
+  async storeValue(key, value, timestamp = Math.floor(Date.now() / 1000), options = {}) {
+    return this.conditionalAppend(key, value, timestamp, false, options);
+  }
+
+  // Appends a tombstone version; earlier versions stay readable by timestamp
+  async deleteValue(key, timestamp = Math.floor(Date.now() / 1000), options = {}) {
+    return this.conditionalAppend(key, null, timestamp, true, options);
+  }
+
+  conditionalAppend(key, value, timestamp, deleted, { precondition, audit, expiresAt } = {}) {
+    // Checked synchronously with the write so no other request can slip in between
+    if (precondition) {
+      const latest = this.latestRecord(key);
+      if (!precondition(latest)) {
+        throw new PreconditionFailedError(key, latest);
+      }
+    }
+
+    if (!this.store.has(key)) {
+      this.store.set(key, []);
+    }
+
+    // Versions are numbered per key so same-second writes stay distinct
+    const versions = this.store.get(key);
+    const version = this.nextVersion(versions);
+    const entry = {
+      value: this.copy(value),
+      timestamp,
+      version,
+      deleted,
+      ...this.auditFields(audit),
+      expiresAt: deleted ? null : expiresAt || null
+    };
+    versions.push(entry);
+
+    logger.debug(deleted ? 'Tombstone stored' : 'Value stored', { key, timestamp, version });
+    this.emitChanges([{ key, value, timestamp, version, deleted }]);
+    return { ...this.toRecord(key, entry), value, size: JSON.stringify(value).length };
+  }
+
+  // Compaction can remove old versions, so count up from the newest one
+  nextVersion(versions) {
+    return versions.length > 0 ? versions[versions.length - 1].version + 1 : 1;
+  }
+
+  // Runs synchronously, so no other request can observe a half-written batch
+  async storeValues(entries, timestamp = Math.floor(Date.now() / 1000), options = {}) {
+    const copies = entries.map(([key, value]) => [key, this.copy(value)]);
+    const results = [];
+
+    for (const [key, value] of copies) {
+      if (!this.store.has(key)) {
+        this.store.set(key, []);
+      }
+      const versions = this.store.get(key);
+      const version = this.nextVersion(versions);
+      const entry = {
+        value,
+        timestamp,
+        version,
+        deleted: false,
+        ...this.auditFields(options.audit),
+        expiresAt: options.expiresAt || null
+      };
+      versions.push(entry);
+      results.push({ ...this.toRecord(key, entry), size: JSON.stringify(value).length });
+    }
+
+    logger.debug('Batch stored', { count: results.length, timestamp });
+    this.emitChanges(results);
+    return results;
+  }
+
+  // Checks every precondition before writing anything, then appends one version per
+  // change and the commit record naming them, all synchronously
+  async storeCommit(commit, changes, timestamp = Math.floor(Date.now() / 1000), options = {}) {
+    for (const { key, precondition } of changes) {
+      const latest = this.latestRecord(key);
+      if (precondition && !precondition(latest)) {
+        throw new PreconditionFailedError(key, latest);
+      }
+    }
+
+    const results = [];
+    for (const { key, value = null, deleted = false, expiresAt = null } of changes) {
+      if (!this.store.has(key)) {
+        this.store.set(key, []);
+      }
+      const versions = this.store.get(key);
+      const entry = {
+        value: deleted ? null : this.copy(value),
+        timestamp,
+        version: this.nextVersion(versions),
+        deleted,
+        ...this.auditFields(options.audit),
+        expiresAt: deleted ? null : expiresAt
+      };
+      versions.push(entry);
+      results.push(this.toRecord(key, entry));
+    }
+
+    const { actor, clientIp, requestId } = this.auditFields(options.audit);
+    const record = {
+      id: commit.id,
+      timestamp,
+      message: commit.message,
+      revertOf: commit.revertOf || null,
+      actor,
+      clientIp,
+      requestId,
+      changes: results.map(({ key, version, deleted }) => ({ key, version, deleted }))
+    };
+    this.commits.push(record);
+
+    logger.debug('Commit stored', { id: record.id, count: results.length, timestamp });
+    this.emitChanges(results);
+    return this.copy(record);
+  }
+
+  async getCommit(id) {
+    const commit = this.commits.find(entry => entry.id === id);
+    return commit ? this.copy(commit) : null;
+  }
+
+  // Newest first, ordered by (timestamp, id) descending, before the `before` position
+  async listCommits(options = {}) {
+    const { before, limit } = options;
+    const isBefore = (commit) => !before || commit.timestamp < before.timestamp ||
+      (commit.timestamp === before.timestamp && commit.id < before.id);
+
+    const commits = this.commits
+      .filter(isBefore)
+      .sort((a, b) => b.timestamp - a.timestamp || (a.id < b.id ? 1 : -1));
+    return (limit !== undefined ? commits.slice(0, limit) : commits).map(commit => this.copy(commit));
+  }
+
+  // Writes exported records with their own key, version, timestamp and audit fields.
+  // options.conflict decides what happens when (key, version) is taken: 'skip' keeps
+  // the stored version, 'overwrite' replaces it, 'fail' throws ImportConflictError
+  // before anything is written. Returns { imported, skipped, overwritten }.
+  async importVersions(records, options = {}) {
+    const { conflict = 'fail' } = options;
+    const findIndex = (key, version) => (this.store.get(key) || []).findIndex(entry => entry.version === version);
+
+    // Nothing is written unless the whole batch passes
+    const stored = new Map(records.map(({ key }) => [
+      key,
+      (this.store.get(key) || []).map(({ version, timestamp }) => ({ version, timestamp }))
+    ]));
+    checkImportOrder(stored, records, conflict);
+
+    if (conflict === 'fail') {
+      const seen = new Set();
+      for (const { key, version } of records) {
+        const id = `${key}\u0000${version}`;
+        if (seen.has(id) || findIndex(key, version) !== -1) {
+          throw new ImportConflictError(key, version);
+        }
+        seen.add(id);
+      }
+    }
+
+    const report = { imported: 0, skipped: 0, overwritten: 0 };
+    for (const record of records) {
+      const { key, version, timestamp, deleted = false } = record;
+      const entry = {
+        value: deleted ? null : this.copy(record.value),
+        timestamp,
+        version,
+        deleted,
+        ...this.auditFields(record),
+        expiresAt: record.expiresAt || null
+      };
+
+      if (!this.store.has(key)) {
+        this.store.set(key, []);
+      }
+      const versions = this.store.get(key);
+      const index = findIndex(key, version);
+
+      if (index !== -1) {
+        if (conflict === 'skip') {
+          report.skipped++;
+        } else {
+          versions[index] = entry;
+          report.overwritten++;
+        }
+        continue;
+      }
+
+      // checkImportOrder only lets new versions in after the latest one
+      versions.push(entry);
+      report.imported++;
+    }
+
+    logger.debug('Versions imported', { count: records.length, conflict, ...report });
+    return report;
+  }
+
+  // Announces committed versions to 'change' listeners (see src/routes/watch.js)
+  emitChanges(records) {
+    for (const { key, value, timestamp, version, deleted } of records) {
+      this.emit('change', { key, value: this.copy(value), timestamp, version, deleted });
+    }
+  }
+
+  async getLatestValue(key) {
+    return this.latestRecord(key);
+  }
+
+  latestRecord(key) {
+    const versions = this.store.get(key);
+    if (!versions || versions.length === 0) {
+      return null;
+    }
+    return this.toRecord(key, versions[versions.length - 1]);
+  }
+
+  async getVersion(key, version) {
+    const entry = (this.store.get(key) || []).find(candidate => candidate.version === version);
+    return entry ? this.toRecord(key, entry) : null;
+  }
+
+  async getValueAtTimestamp(key, timestamp) {
+    const versions = this.store.get(key) || [];
+    let match = null;
+
+    // Newest timestamp wins; among equal timestamps the higher version wins
+    for (const entry of versions) {
+      if (entry.timestamp <= timestamp && (!match || entry.timestamp >= match.timestamp)) {
+        match = entry;
+      }
+    }
+
+    return match ? this.toRecord(key, match) : null;
+  }
+
+  async getAllVersions(key, options = {}) {
+    const { from, to, after, order = 'desc', limit } = options;
+    const versions = this.store.get(key) || [];
+
+    // Versions are appended in version order, so reverse for descending output
+    const ordered = order === 'asc' ? versions : [...versions].reverse();
+    const matching = ordered.filter(entry => {
+      if (from !== undefined && entry.timestamp < from) return false;
+      if (to !== undefined && entry.timestamp > to) return false;
+      // Cursor position: continue strictly past the last version already returned
+      if (after !== undefined) {
+        return order === 'asc' ? entry.version > after : entry.version < after;
+      }
+      return true;
+    });
+
+    const page = limit !== undefined ? matching.slice(0, limit) : matching;
+    return page.map(entry => this.toRecord(key, entry));
+  }
+
+  // Deleted keys and versions expired by `timestamp` are left out
+  async getSnapshot(timestamp, options = {}) {
+    const { prefix, exclude, after, limit } = options;
+    const keys = [...this.store.keys()]
+      .filter(key => (!prefix || key.startsWith(prefix)) && (after === undefined || key > after))
+      .filter(key => !isExcluded(key, exclude))
+      .sort();
+
+    const entries = [];
+    for (const key of keys) {
+      const record = await this.getValueAtTimestamp(key, timestamp);
+      if (record && !record.deleted && !(record.expiresAt !== null && record.expiresAt <= timestamp)) {
+        entries.push(record);
+        if (limit !== undefined && entries.length >= limit) break;
+      }
+    }
+    return entries;
+  }
+
+  // Versions (tombstones included) ordered by (timestamp, key, version), starting
+  // after the `after` position up to timestamp `to`; keys and prefix select keys,
+  // either one matching is enough; actor keeps only that writer's versions.
+  async getChanges(options = {}) {
+    const { after = { timestamp: 0, key: '', version: 0 }, to, actor, keys = [], prefix, exclude, limit } = options;
+    const filtered = keys.length > 0 || Boolean(prefix);
+
+    const changes = [];
+    for (const [key, versions] of this.store) {
+      if (filtered && !keys.includes(key) && !(prefix && key.startsWith(prefix))) continue;
+      if (isExcluded(key, exclude)) continue;
+      for (const entry of versions) {
+        if (to !== undefined && entry.timestamp > to) continue;
+        if (actor !== undefined && entry.actor !== actor) continue;
+        if (compareChanges(entry.timestamp, key, entry.version, after) > 0) {
+          changes.push(this.toRecord(key, entry));
+        }
+      }
+    }
+
+    changes.sort((a, b) => compareChanges(a.timestamp, a.key, a.version, b));
+    return limit !== undefined ? changes.slice(0, limit) : changes;
+  }
+
+  // Versions with an expiry at or before `until`, ordered by (expiresAt, key, version),
+  // starting after the `after` position; superseded versions are included.
+  async getExpiredVersions(options = {}) {
+    const { after = { expiresAt: 0, key: '', version: 0 }, until, limit } = options;
+
+    const expired = [];
+    for (const [key, versions] of this.store) {
+      for (const entry of versions) {
+        if (!entry.expiresAt || entry.expiresAt > until) continue;
+        if (compareExpiry({ key, ...entry }, after) > 0) {
+          expired.push(this.toRecord(key, entry));
+        }
+      }
+    }
+
+    expired.sort(compareExpiry);
+    return limit !== undefined ? expired.slice(0, limit) : expired;
+  }
+
+  // Every key with any history (deleted keys included), ordered by key
+  async listKeys(options = {}) {
+    const { prefix, after, limit } = options;
+    const keys = [...this.store.keys()]
+      .filter(key => (!prefix || key.startsWith(prefix)) && (after === undefined || key > after))
+      .sort();
+    return limit !== undefined ? keys.slice(0, limit) : keys;
+  }
+
+  // Per-key summaries ordered by key: { key, latestTimestamp, latestVersion,
+  // versionCount, deleted }. Deleted keys are left out unless includeDeleted.
+  async listKeySummaries(options = {}) {
+    const { exclude, limit, includeDeleted = false, ...keyOptions } = options;
+
+    const summaries = [];
+    for (const key of await this.listKeys(keyOptions)) {
+      if (isExcluded(key, exclude)) continue;
+      const versions = this.store.get(key);
+      const latest = versions[versions.length - 1];
+      if (latest.deleted && !includeDeleted) continue;
+      summaries.push({
+        key,
+        latestTimestamp: latest.timestamp,
+        latestVersion: latest.version,
+        versionCount: versions.length,
+        deleted: latest.deleted
+      });
+      if (limit !== undefined && summaries.length >= limit) break;
+    }
+    return summaries;
+  }
+
+  // Keys ranked by options.by, highest first then by key -> [{ key, total }]:
+  //   versions  versions stored
+  //   bytes     serialized size of the live (non-tombstone) versions
+  //   writes    versions written at or after options.since
+  // options { by, since, prefix, exclude, limit }
+  async getTopKeys(options = {}) {
+    const { by = 'versions', since = 0, prefix, exclude, limit } = options;
+
+    const ranked = [];
+    for (const [key, versions] of this.store) {
+      if ((prefix && !key.startsWith(prefix)) || isExcluded(key, exclude)) continue;
+
+      let total;
+      if (by === 'bytes') {
+        total = versions
+          .filter(entry => !entry.deleted)
+          .reduce((sum, entry) => sum + serializedSize(entry.value), 0);
+      } else if (by === 'writes') {
+        total = versions.filter(entry => entry.timestamp >= since).length;
+        if (total === 0) continue;
+      } else {
+        total = versions.length;
+      }
+      ranked.push({ key, total });
+    }
+
+    ranked.sort((a, b) => b.total - a.total || (a.key < b.key ? -1 : 1));
+    return limit !== undefined ? ranked.slice(0, limit) : ranked;
+  }
+
+  // Removes the given versions of a key and returns how many were removed.
+  // The latest version is never removed, so version numbers keep increasing.
+  async deleteVersions(key, versions) {
+    const entries = this.store.get(key);
+    if (!entries || entries.length === 0) {
+      return 0;
+    }
+
+    const latest = entries[entries.length - 1].version;
+    const remove = new Set(versions.filter(version => version < latest));
+    const kept = entries.filter(entry => !remove.has(entry.version));
+    this.store.set(key, kept);
+    return entries.length - kept.length;
+  }
+
+  // Removes every version of every key under `prefix` and returns how many were removed
+  async deleteKeys(prefix) {
+    let removed = 0;
+    for (const [key, versions] of this.store) {
+      if (!key.startsWith(prefix)) continue;
+      removed += versions.length;
+      this.store.delete(key);
+    }
+    return removed;
+  }
+
+  async createApiKey(apiKey) {
+    const stored = { ...apiKey, rotatedAt: apiKey.rotatedAt || null, revokedAt: apiKey.revokedAt || null };
+    this.apiKeys.set(apiKey.id, stored);
+    return this.copy(stored);
+  }
+
+  async getApiKey(id) {
+    const apiKey = this.apiKeys.get(id);
+    return apiKey ? this.copy(apiKey) : null;
+  }
+
+  async findApiKeyByHash(keyHash) {
+    for (const apiKey of this.apiKeys.values()) {
+      if (apiKey.keyHash === keyHash) return this.copy(apiKey);
+    }
+    return null;
+  }
+
+  async listApiKeys() {
+    return [...this.apiKeys.values()].map(apiKey => this.copy(apiKey));
+  }
+
+  // changes may set keyHash, keyPrefix, rotatedAt and revokedAt
+  async updateApiKey(id, changes) {
+    const apiKey = this.apiKeys.get(id);
+    if (!apiKey) {
+      return null;
+    }
+    for (const field of ['keyHash', 'keyPrefix', 'rotatedAt', 'revokedAt']) {
+      if (changes[field] !== undefined) apiKey[field] = changes[field];
+    }
+    return this.copy(apiKey);
+  }
+
+  async getStats() {
+    let totalRecords = 0;
+    let earliest = null;
+    let latest = null;
+
+    for (const versions of this.store.values()) {
+      totalRecords += versions.length;
+      for (const entry of versions) {
+        if (earliest === null || entry.timestamp < earliest) earliest = entry.timestamp;
+        if (latest === null || entry.timestamp > latest) latest = entry.timestamp;
+      }
+    }
+
+    return {
+      total_records: totalRecords,
+      unique_keys: this.store.size,
+      earliest_timestamp: earliest,
+      latest_timestamp: latest
+    };
+  }
+
+  async healthCheck() {
+    return {
+      status: 'connected',
+      stats: await this.getStats()
+    };
+  }
+
+  async close() {
+    this.store.clear();
+    this.apiKeys.clear();
+    this.commits = [];
+  }
+}
+
+module.exports = MemoryDatabase;
@@ -1,22 +1,56 @@
-const { MongoClient } = require('mongodb');
+const { EventEmitter } = require('events');
+const { MongoClient, ObjectId } = require('mongodb');
 const logger = require('./logger');
+const { PreconditionFailedError, ImportConflictError } = require('./errors');
+const { serializedSize } = require('./stats');
+const { escapeRegExp } = require('./keyspace');
+const { pollChanges } = require('./notifications');
+const { checkImportOrder } = require('./transfer');
 
-class MongoDatabase {
-  constructor() {
+// Filter leaving out keys under any of `prefixes` (the `exclude` query option)
+function excludePrefixes(prefixes) {
+  return { $nor: prefixes.map(prefix => ({ key: { $regex: `^${escapeRegExp(prefix)}` } })) };
+}
+
+class MongoDatabase extends EventEmitter {
+  constructor(connectionString = process.env.MONGODB_URI || 'mongodb://localhost:27017/kv_store') {
+    super();
+    // Every open watch stream subscribes to 'change'
+    this.setMaxListeners(0);
+    this.backend = 'mongodb';
+    this.connectionString = connectionString;
     this.client = null;
     this.db = null;
     this.collection = null;
     this.isConnected = false;
+    this.connecting = null;
+  }
+
+  // Safe to call on every request: concurrent callers share one connection attempt,
+  // and a failed attempt is forgotten so the next call retries.
+  async connect(connectionString = this.connectionString) {
+    if (!this.connecting) {
+      this.connecting = this.openConnection(connectionString).catch((error) => {
+        this.connecting = null;
+        throw error;
+      });
+    }
+    return this.connecting;
   }
 
-  async connect(connectionString = 'mongodb://localhost:27017/kv_store') {
+  async openConnection(connectionString) {
     try {
       this.client = new MongoClient(connectionString);
       await this.client.connect();
       this.db = this.client.db();
       this.collection = this.db.collection('kv_pairs');
+      this.apiKeys = this.db.collection('api_keys');
+      this.commits = this.db.collection('commits');
       this.isConnected = true;
       
+      // Number legacy documents before the unique version index is built
+      await this.migrateVersions();
+
       // Create indexes for performance
       await this.createIndexes();
       
@@ -36,67 +70,908 @@ class MongoDatabase {
     try {
       // Compound index for efficient queries
       await this.collection.createIndex({ key: 1, timestamp: -1 });
+      // Per-key version numbers must never repeat
+      await this.collection.createIndex({ key: 1, version: -1 }, { unique: true });
       // Index for timestamp queries
       await this.collection.createIndex({ timestamp: -1 });
+      // Audit queries filter by writer and time
+      await this.collection.createIndex({ actor: 1, timestamp: 1 });
+      // The TTL sweeper walks versions in expiry order. Not a MongoDB TTL index:
+      // that would delete the expired version's document and with it the key's history.
+      await this.collection.createIndex(
+        { expiresAt: 1, key: 1, version: 1 },
+        { partialFilterExpression: { expiresAt: { $type: 'number' } } }
+      );
+      // API keys are looked up by id and by the hash of the secret
+      await this.apiKeys.createIndex({ id: 1 }, { unique: true });
+      await this.apiKeys.createIndex({ keyHash: 1 }, { unique: true });
+      // Commits are looked up by id and listed newest first
+      await this.commits.createIndex({ id: 1 }, { unique: true });
+      await this.commits.createIndex({ timestamp: -1, id: -1 });
       logger.debug('MongoDB indexes created successfully');
     } catch (error) {
       logger.error('Failed to create MongoDB indexes', { error: error.message });
     }
   }
 
-  async storeValue(key, value) {
+  // Documents written before per-key versions existed get numbered in timestamp order
+  async migrateVersions() {
+    try {
+      const legacyKeys = await this.collection.distinct('key', { version: { $exists: false } });
+      for (const key of legacyKeys) {
+        const documents = await this.collection
+          .find({ key }, { projection: { _id: 1 } })
+          .sort({ timestamp: 1, _id: 1 })
+          .toArray();
+        await this.collection.bulkWrite(documents.map((document, index) => ({
+          updateOne: {
+            filter: { _id: document._id },
+            update: { $set: { version: index + 1 } }
+          }
+        })));
+      }
+      if (legacyKeys.length > 0) {
+        logger.info('Migrated MongoDB documents to per-key versions', { keys: legacyKeys.length });
+      }
+    } catch (error) {
+      logger.error('Failed to migrate MongoDB documents to per-key versions', { error: error.message });
+    }
+  }
+
+  async storeValue(key, value, timestamp = Math.floor(Date.now() / 1000), options = {}) {
+    return this.conditionalInsert(key, value, timestamp, false, options);
+  }
+
+  // Appends a tombstone version; earlier versions stay readable by timestamp
+  async deleteValue(key, timestamp = Math.floor(Date.now() / 1000), options = {}) {
+    return this.conditionalInsert(key, null, timestamp, true, options);
+  }
+
+  async conditionalInsert(key, value, timestamp, deleted, { precondition, audit, expiresAt } = {}) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    const maxAttempts = 5;
+
+    // The unique (key, version) index rejects a concurrent writer that picked
+    // the same version; re-read the latest version and try again. With a
+    // precondition the conflict means the checked version is stale, so fail instead.
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const latest = await this.getLatestValue(key);
+      if (precondition && !precondition(latest)) {
+        throw new PreconditionFailedError(key, latest);
+      }
+      const version = latest ? latest.version + 1 : 1;
+      const document = {
+        key,
+        value,
+        timestamp,
+        version,
+        deleted,
+        ...this.auditFields(audit),
+        expiresAt: deleted ? null : expiresAt || null,
+        created_at: new Date()
+      };
+
+      try {
+        const result = await this.collection.insertOne(document);
+        logger.debug(deleted ? 'Tombstone stored' : 'Value stored', { key, timestamp, version, insertedId: result.insertedId });
+        this.emitChanges([document]);
+        return { ...this.toRecord(document), value, size: JSON.stringify(value).length };
+      } catch (error) {
+        if (error.code === 11000 && precondition) {
+          throw new PreconditionFailedError(key, await this.getLatestValue(key));
+        }
+        if (error.code === 11000 && attempt < maxAttempts) {
+          logger.debug('Version conflict, retrying', { key, version, attempt });
+          continue;
+        }
+        logger.error('Failed to store value', { key, error: error.message });
+        throw error;
+      }
+    }
+  }
+
+  // Writes all entries under one timestamp as a single multi-document transaction.
+  // Standalone servers don't support transactions, so there the inserted documents
+  // are removed again if the batch fails part-way.
+  async storeValues(entries, timestamp = Math.floor(Date.now() / 1000), options = {}) {
     if (!this.isConnected) {
       throw new Error('Database not connected');
     }
 
-    const timestamp = Math.floor(Date.now() / 1000);
-    const document = {
+    const maxAttempts = 5;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const session = this.client.startSession();
+      try {
+        let results;
+        await session.withTransaction(async () => {
+          results = await this.insertBatch(entries, timestamp, options, session);
+        });
+        logger.debug('Batch stored', { count: results.length, timestamp });
+        this.emitChanges(results);
+        return results;
+      } catch (error) {
+        if (error.code === 20) {
+          // IllegalOperation: transactions need a replica set or mongos
+          return this.insertBatchWithCompensation(entries, timestamp, options);
+        }
+        if (error.code === 11000 && attempt < maxAttempts) {
+          logger.debug('Version conflict in batch, retrying', { attempt });
+          continue;
+        }
+        logger.error('Failed to store batch', { count: entries.length, error: error.message });
+        throw error;
+      } finally {
+        await session.endSession();
+      }
+    }
+  }
+
+  async insertBatchWithCompensation(entries, timestamp, options) {
+    const documents = await this.buildBatch(entries, timestamp, options);
+    try {
+      await this.collection.insertMany(documents, { ordered: true });
+      const results = this.batchResults(documents);
+      this.emitChanges(results);
+      return results;
+    } catch (error) {
+      await this.collection.deleteMany({ _id: { $in: documents.map(document => document._id) } });
+      logger.error('Failed to store batch, inserted documents removed', {
+        count: entries.length,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async insertBatch(entries, timestamp, options, session) {
+    const documents = await this.buildBatch(entries, timestamp, options, session);
+    await this.collection.insertMany(documents, { session, ordered: true });
+    return this.batchResults(documents);
+  }
+
+  // Ids are assigned up front so a failed non-transactional batch can be removed again.
+  // An entry may carry a third element, true for a tombstone, and a fourth, its own expiresAt.
+  async buildBatch(entries, timestamp, { audit, expiresAt }, session) {
+    const keys = entries.map(([key]) => key);
+    const latestVersions = await this.collection.aggregate([
+      { $match: { key: { $in: keys } } },
+      { $group: { _id: '$key', version: { $max: '$version' } } }
+    ], { session }).toArray();
+    const versionByKey = new Map(latestVersions.map(row => [row._id, row.version]));
+
+    return entries.map(([key, value, deleted = false, entryExpiresAt]) => ({
+      _id: new ObjectId(),
       key,
-      value,
+      value: deleted ? null : value,
       timestamp,
+      version: (versionByKey.get(key) || 0) + 1,
+      deleted,
+      ...this.auditFields(audit),
+      expiresAt: deleted ? null : entryExpiresAt || expiresAt || null,
       created_at: new Date()
-    };
+    }));
+  }
+
+  // Writes one version per change and the commit record naming them as a single
+  // transaction, like storeValues. Each change's precondition is checked against the
+  // latest version read inside the transaction.
+  async storeCommit(commit, changes, timestamp = Math.floor(Date.now() / 1000), options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    const maxAttempts = 5;
 
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const session = this.client.startSession();
+      try {
+        let result;
+        await session.withTransaction(async () => {
+          await this.checkPreconditions(changes, session);
+          result = await this.insertCommit(commit, changes, timestamp, options, session);
+        });
+        logger.debug('Commit stored', { id: commit.id, count: changes.length, timestamp });
+        this.emitChanges(result.versions);
+        return result.record;
+      } catch (error) {
+        if (error.code === 20) {
+          // IllegalOperation: transactions need a replica set or mongos
+          return this.insertCommitWithCompensation(commit, changes, timestamp, options);
+        }
+        if (error.code === 11000 && attempt < maxAttempts) {
+          logger.debug('Version conflict in commit, retrying', { id: commit.id, attempt });
+          continue;
+        }
+        if (!(error instanceof PreconditionFailedError)) {
+          logger.error('Failed to store commit', { id: commit.id, error: error.message });
+        }
+        throw error;
+      } finally {
+        await session.endSession();
+      }
+    }
+  }
+
+  async checkPreconditions(changes, session) {
+    for (const { key, precondition } of changes) {
+      if (!precondition) continue;
+      const document = await this.collection.findOne({ key }, { sort: { version: -1 }, session });
+      const latest = document ? this.toRecord(document) : null;
+      if (!precondition(latest)) {
+        throw new PreconditionFailedError(key, latest);
+      }
+    }
+  }
+
+  async insertCommit(commit, changes, timestamp, { audit }, session) {
+    const entries = changes.map(({ key, value, deleted = false, expiresAt }) => [key, value, deleted, expiresAt]);
+    const documents = await this.buildBatch(entries, timestamp, { audit }, session);
+    await this.collection.insertMany(documents, { session, ordered: true });
+
+    const record = this.commitRecord(commit, documents, timestamp, audit);
+    await this.commits.insertOne({ ...record }, { session });
+    return { record, versions: this.batchResults(documents) };
+  }
+
+  // Without transactions the preconditions are checked just before the writes, and
+  // the versions are removed again if the commit record can't be stored
+  async insertCommitWithCompensation(commit, changes, timestamp, options) {
+    await this.checkPreconditions(changes);
+    const entries = changes.map(({ key, value, deleted = false, expiresAt }) => [key, value, deleted, expiresAt]);
+    const documents = await this.buildBatch(entries, timestamp, options);
     try {
-      const result = await this.collection.insertOne(document);
-      logger.debug('Value stored', { key, timestamp, insertedId: result.insertedId });
-      return { key, value, timestamp };
+      await this.collection.insertMany(documents, { ordered: true });
+      const record = this.commitRecord(commit, documents, timestamp, options.audit);
+      await this.commits.insertOne({ ...record });
+      const versions = this.batchResults(documents);
+      this.emitChanges(versions);
+      return record;
     } catch (error) {
-      logger.error('Failed to store value', { key, error: error.message });
+      await this.collection.deleteMany({ _id: { $in: documents.map(document => document._id) } });
+      logger.error('Failed to store commit, inserted documents removed', { id: commit.id, error: error.message });
       throw error;
     }
   }
 
-  async getValue(key, timestamp = null) {
+  commitRecord(commit, documents, timestamp, audit) {
+    const { actor, clientIp, requestId } = this.auditFields(audit);
+    return {
+      id: commit.id,
+      timestamp,
+      message: commit.message,
+      revertOf: commit.revertOf || null,
+      actor,
+      clientIp,
+      requestId,
+      changes: documents.map(({ key, version, deleted }) => ({ key, version, deleted }))
+    };
+  }
+
+  async getCommit(id) {
     if (!this.isConnected) {
       throw new Error('Database not connected');
     }
 
+    const document = await this.commits.findOne({ id }, { projection: { _id: 0 } });
+    return document || null;
+  }
+
+  // Newest first, ordered by (timestamp, id) descending, before the `before` position
+  async listCommits(options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    const { before, limit } = options;
+    const query = before
+      ? { $or: [{ timestamp: { $lt: before.timestamp } }, { timestamp: before.timestamp, id: { $lt: before.id } }] }
+      : {};
+    let cursor = this.commits.find(query, { projection: { _id: 0 } }).sort({ timestamp: -1, id: -1 });
+    if (limit !== undefined) {
+      cursor = cursor.limit(limit);
+    }
+    return cursor.toArray();
+  }
+
+  // Writes exported records with their own key, version, timestamp and audit fields.
+  // options.conflict decides what happens when (key, version) is taken: 'skip' keeps
+  // the stored version, 'overwrite' replaces it, 'fail' throws ImportConflictError
+  // before anything is written. A version out of order with the key's history throws
+  // ImportOrderError, also before any write (see checkImportOrder in src/transfer.js).
+  // Resolves with { imported, skipped, overwritten }.
+  async importVersions(records, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    const { conflict = 'fail' } = options;
+    if (records.length === 0) {
+      return { imported: 0, skipped: 0, overwritten: 0 };
+    }
+
+    const documents = records.map(record => ({
+      key: record.key,
+      value: record.deleted ? null : record.value,
+      timestamp: record.timestamp,
+      version: record.version,
+      deleted: Boolean(record.deleted),
+      ...this.auditFields(record),
+      expiresAt: record.expiresAt || null,
+      created_at: new Date()
+    }));
+
     try {
-      let query = { key };
-      
-      if (timestamp) {
-        query.timestamp = { $lte: parseInt(timestamp) };
+      const keys = [...new Set(records.map(record => record.key))];
+      const stored = new Map(keys.map(key => [key, []]));
+      const storedVersions = await this.collection
+        .find({ key: { $in: keys } }, { projection: { _id: 0, key: 1, version: 1, timestamp: 1 } })
+        .sort({ key: 1, version: 1 })
+        .toArray();
+      storedVersions.forEach(({ key, version, timestamp }) => stored.get(key).push({ version, timestamp }));
+      checkImportOrder(stored, records, conflict);
+
+      if (conflict === 'fail') {
+        const existing = await this.collection.findOne(
+          { $or: documents.map(({ key, version }) => ({ key, version })) },
+          { projection: { _id: 0, key: 1, version: 1 } }
+        );
+        if (existing) {
+          throw new ImportConflictError(existing.key, existing.version);
+        }
+        try {
+          await this.collection.insertMany(documents, { ordered: true });
+        } catch (error) {
+          // A duplicate inside the batch itself, or a concurrent write
+          if (error.code === 11000) {
+            const inserted = Object.values(error.insertedIds || {});
+            await this.collection.deleteMany({ _id: { $in: inserted } });
+            const duplicate = documents[inserted.length];
+            throw new ImportConflictError(duplicate.key, duplicate.version);
+          }
+          throw error;
+        }
+        return { imported: documents.length, skipped: 0, overwritten: 0 };
       }
 
-      const result = await this.collection
-        .findOne(query, { sort: { timestamp: -1 } });
+      const operations = documents.map(document => (conflict === 'skip'
+        ? { updateOne: { filter: { key: document.key, version: document.version }, update: { $setOnInsert: document }, upsert: true } }
+        : { replaceOne: { filter: { key: document.key, version: document.version }, replacement: document, upsert: true } }));
+      const result = await this.collection.bulkWrite(operations, { ordered: true });
+
+      const report = {
+        imported: result.upsertedCount,
+        skipped: conflict === 'skip' ? documents.length - result.upsertedCount : 0,
+        overwritten: conflict === 'overwrite' ? result.matchedCount : 0
+      };
+      logger.debug('Versions imported', { count: records.length, conflict, ...report });
+      return report;
+    } catch (error) {
+      logger.error('Failed to import versions', { count: records.length, error: error.message });
+      throw error;
+    }
+  }
+
+  // Announces committed versions to 'change' listeners (see src/routes/watch.js)
+  emitChanges(records) {
+    for (const { key, value, timestamp, version, deleted } of records) {
+      this.emit('change', { key, value, timestamp, version, deleted });
+    }
+  }
+
+  // Versions written by any instance, from a change stream (see src/notifications.js).
+  // Change streams need a replica set; on a standalone server this falls back to polling.
+  watchChanges(listener) {
+    let stopped = false;
+    let stopPolling = null;
+
+    const stream = this.collection.watch([{ $match: { operationType: 'insert' } }]);
+    stream.on('change', (event) => listener(this.toRecord(event.fullDocument)));
+    stream.on('error', (error) => {
+      stream.close().catch(() => {});
+      if (stopped || stopPolling) return;
+      logger.warn('Change stream unavailable, polling for changes instead', { error: error.message });
+      stopPolling = pollChanges(this, listener);
+    });
+
+    return () => {
+      stopped = true;
+      stream.close().catch(() => {});
+      if (stopPolling) stopPolling();
+    };
+  }
+
+  batchResults(documents) {
+    return documents.map(document => ({
+      ...this.toRecord(document),
+      size: JSON.stringify(document.value).length
+    }));
+  }
+
+  // Who made a write, stored on the version document
+  auditFields(audit = {}) {
+    return {
+      actor: audit.actor || null,
+      clientIp: audit.clientIp || null,
+      requestId: audit.requestId || null,
+      message: audit.message || null
+    };
+  }
+
+  async getLatestValue(key) {
+    return this.findVersion({ key }, { version: -1 });
+  }
+
+  async getVersion(key, version) {
+    return this.findVersion({ key, version }, { version: -1 });
+  }
+
+  async getValueAtTimestamp(key, timestamp) {
+    return this.findVersion({ key, timestamp: { $lte: timestamp } }, { timestamp: -1, version: -1 });
+  }
+
+  async findVersion(query, sort) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    try {
+      const result = await this.collection.findOne(query, { sort });
 
       if (result) {
-        logger.debug('Value retrieved', { key, timestamp: result.timestamp });
-        return {
-          value: result.value,
-          timestamp: result.timestamp
-        };
+        logger.debug('Value retrieved', { key: result.key, timestamp: result.timestamp, version: result.version });
+        return this.toRecord(result);
       }
 
       return null;
     } catch (error) {
-      logger.error('Failed to retrieve value', { key, timestamp, error: error.message });
+      logger.error('Failed to retrieve value', { key: query.key, error: error.message });
+      throw error;
+    }
+  }
+
+  async getAllVersions(key, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    const { from, to, after, order = 'desc', limit } = options;
+
+    try {
+      const query = { key };
+      const timestampRange = {};
+
+      if (from !== undefined) {
+        timestampRange.$gte = from;
+      }
+      if (to !== undefined) {
+        timestampRange.$lte = to;
+      }
+      if (Object.keys(timestampRange).length > 0) {
+        query.timestamp = timestampRange;
+      }
+      // Cursor position: continue strictly past the last version already returned
+      if (after !== undefined) {
+        query.version = order === 'asc' ? { $gt: after } : { $lt: after };
+      }
+
+      let cursor = this.collection
+        .find(query, { projection: { _id: 0, created_at: 0 } })
+        .sort({ version: order === 'asc' ? 1 : -1 });
+      if (limit !== undefined) {
+        cursor = cursor.limit(limit);
+      }
+
+      const versions = (await cursor.toArray()).map(document => this.toRecord(document));
+      logger.debug('Versions retrieved', { key, count: versions.length });
+      return versions;
+    } catch (error) {
+      logger.error('Failed to retrieve versions', { key, error: error.message });
+      throw error;
+    }
+  }
+
+  // Value of every live key as of `timestamp` (deleted and expired ones left out),
+  // ordered by key, using the { key, timestamp } index to pick each key's newest version.
+  async getSnapshot(timestamp, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    const { prefix, exclude = [], after, limit } = options;
+
+    try {
+      const keyFilter = {};
+      if (prefix) {
+        keyFilter.$regex = `^${escapeRegExp(prefix)}`;
+      }
+      // Cursor position: continue after the last key already returned
+      if (after !== undefined) {
+        keyFilter.$gt = after;
+      }
+
+      const match = { timestamp: { $lte: timestamp } };
+      if (Object.keys(keyFilter).length > 0) {
+        match.key = keyFilter;
+      }
+      if (exclude.length > 0) {
+        Object.assign(match, excludePrefixes(exclude));
+      }
+
+      const pipeline = [
+        { $match: match },
+        { $sort: { key: 1, timestamp: -1, version: -1 } },
+        { $group: { _id: '$key', document: { $first: '$$ROOT' } } },
+        {
+          $match: {
+            'document.deleted': { $ne: true },
+            $or: [{ 'document.expiresAt': null }, { 'document.expiresAt': { $gt: timestamp } }]
+          }
+        },
+        { $sort: { _id: 1 } }
+      ];
+      if (limit !== undefined) {
+        pipeline.push({ $limit: limit });
+      }
+
+      const rows = await this.collection.aggregate(pipeline).toArray();
+      logger.debug('Snapshot retrieved', { timestamp, prefix, count: rows.length });
+      return rows.map(row => this.toRecord(row.document));
+    } catch (error) {
+      logger.error('Failed to retrieve snapshot', { timestamp, prefix, error: error.message });
+      throw error;
+    }
+  }
+
+  // Versions (tombstones included) ordered by (timestamp, key, version), starting
+  // after the `after` position up to timestamp `to`; keys and prefix select keys,
+  // either one matching is enough; actor keeps only that writer's versions.
+  async getChanges(options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    const { after = { timestamp: 0, key: '', version: 0 }, to, actor, keys = [], prefix, exclude = [], limit } = options;
+
+    try {
+      const conditions = [{
+        $or: [
+          { timestamp: { $gt: after.timestamp } },
+          { timestamp: after.timestamp, key: { $gt: after.key } },
+          { timestamp: after.timestamp, key: after.key, version: { $gt: after.version } }
+        ]
+      }];
+
+      if (to !== undefined) {
+        conditions.push({ timestamp: { $lte: to } });
+      }
+      if (actor !== undefined) {
+        conditions.push({ actor });
+      }
+
+      const keyConditions = [];
+      if (keys.length > 0) {
+        keyConditions.push({ key: { $in: keys } });
+      }
+      if (prefix) {
+        keyConditions.push({ key: { $regex: `^${escapeRegExp(prefix)}` } });
+      }
+      if (keyConditions.length > 0) {
+        conditions.push({ $or: keyConditions });
+      }
+      if (exclude.length > 0) {
+        conditions.push(excludePrefixes(exclude));
+      }
+
+      let cursor = this.collection
+        .find({ $and: conditions })
+        .sort({ timestamp: 1, key: 1, version: 1 });
+      if (limit !== undefined) {
+        cursor = cursor.limit(limit);
+      }
+
+      const documents = await cursor.toArray();
+      return documents.map(document => this.toRecord(document));
+    } catch (error) {
+      logger.error('Failed to retrieve changes', { prefix, error: error.message });
+      throw error;
+    }
+  }
+
+  // Versions with an expiry at or before `until`, ordered by (expiresAt, key, version),
+  // starting after the `after` position; superseded versions are included.
+  async getExpiredVersions(options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    const { after = { expiresAt: 0, key: '', version: 0 }, until, limit } = options;
+
+    try {
+      let cursor = this.collection
+        .find({
+          expiresAt: { $type: 'number', $lte: until },
+          $or: [
+            { expiresAt: { $gt: after.expiresAt } },
+            { expiresAt: after.expiresAt, key: { $gt: after.key } },
+            { expiresAt: after.expiresAt, key: after.key, version: { $gt: after.version } }
+          ]
+        })
+        .sort({ expiresAt: 1, key: 1, version: 1 });
+      if (limit !== undefined) {
+        cursor = cursor.limit(limit);
+      }
+
+      const documents = await cursor.toArray();
+      return documents.map(document => this.toRecord(document));
+    } catch (error) {
+      logger.error('Failed to retrieve expired versions', { until, error: error.message });
       throw error;
     }
   }
 
+  // Every key with any history (deleted keys included), ordered by key
+  async listKeys(options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    const { prefix, after, limit } = options;
+
+    try {
+      const keyFilter = {};
+      if (prefix) {
+        keyFilter.$regex = `^${escapeRegExp(prefix)}`;
+      }
+      // Cursor position: continue after the last key already returned
+      if (after !== undefined) {
+        keyFilter.$gt = after;
+      }
+
+      const pipeline = [];
+      if (Object.keys(keyFilter).length > 0) {
+        pipeline.push({ $match: { key: keyFilter } });
+      }
+      pipeline.push({ $group: { _id: '$key' } }, { $sort: { _id: 1 } });
+      if (limit !== undefined) {
+        pipeline.push({ $limit: limit });
+      }
+
+      const rows = await this.collection.aggregate(pipeline).toArray();
+      return rows.map(row => row._id);
+    } catch (error) {
+      logger.error('Failed to list keys', { prefix, error: error.message });
+      throw error;
+    }
+  }
+
+  // Per-key summaries ordered by key: { key, latestTimestamp, latestVersion,
+  // versionCount, deleted }. Deleted keys are left out unless includeDeleted.
+  async listKeySummaries(options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    const { prefix, exclude = [], after, limit, includeDeleted = false } = options;
+
+    try {
+      const keyFilter = {};
+      if (prefix) {
+        keyFilter.$regex = `^${escapeRegExp(prefix)}`;
+      }
+      // Cursor position: continue after the last key already returned
+      if (after !== undefined) {
+        keyFilter.$gt = after;
+      }
+
+      const pipeline = [];
+      if (Object.keys(keyFilter).length > 0) {
+        pipeline.push({ $match: { key: keyFilter } });
+      }
+      if (exclude.length > 0) {
+        pipeline.push({ $match: excludePrefixes(exclude) });
+      }
+      pipeline.push(
+        { $sort: { key: 1, version: -1 } },
+        { $group: { _id: '$key', versionCount: { $sum: 1 }, latest: { $first: '$$ROOT' } } }
+      );
+      if (!includeDeleted) {
+        pipeline.push({ $match: { 'latest.deleted': { $ne: true } } });
+      }
+      pipeline.push({ $sort: { _id: 1 } });
+      if (limit !== undefined) {
+        pipeline.push({ $limit: limit });
+      }
+
+      const rows = await this.collection.aggregate(pipeline).toArray();
+      return rows.map(row => ({
+        key: row._id,
+        latestTimestamp: row.latest.timestamp,
+        latestVersion: row.latest.version,
+        versionCount: row.versionCount,
+        deleted: Boolean(row.latest.deleted)
+      }));
+    } catch (error) {
+      logger.error('Failed to list key summaries', { prefix, error: error.message });
+      throw error;
+    }
+  }
+
+  // Keys ranked by options.by, highest first then by key -> [{ key, total }]:
+  //   versions  versions stored
+  //   bytes     serialized size of the live (non-tombstone) versions
+  //   writes    versions written at or after options.since
+  // options { by, since, prefix, exclude, limit }
+  async getTopKeys(options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    const { by = 'versions', since = 0, prefix, exclude = [], limit } = options;
+
+    try {
+      const filter = exclude.length > 0 ? excludePrefixes(exclude) : {};
+      if (prefix) {
+        filter.key = { $regex: `^${escapeRegExp(prefix)}` };
+      }
+      if (by === 'writes') {
+        filter.timestamp = { $gte: since };
+      }
+
+      let ranked;
+      if (by === 'bytes') {
+        // Values are stored as BSON, so their serialized size has to be measured here
+        const totals = new Map();
+        const cursor = this.collection.find(filter, { projection: { _id: 0, key: 1, value: 1, deleted: 1 } });
+        for await (const document of cursor) {
+          const size = document.deleted ? 0 : serializedSize(document.value);
+          totals.set(document.key, (totals.get(document.key) || 0) + size);
+        }
+        ranked = [...totals].map(([key, total]) => ({ key, total }));
+      } else {
+        const rows = await this.collection.aggregate([
+          { $match: filter },
+          { $group: { _id: '$key', total: { $sum: 1 } } }
+        ]).toArray();
+        ranked = rows.map(row => ({ key: row._id, total: row.total }));
+      }
+
+      ranked.sort((a, b) => b.total - a.total || (a.key < b.key ? -1 : 1));
+      return limit !== undefined ? ranked.slice(0, limit) : ranked;
+    } catch (error) {
+      logger.error('Failed to rank keys', { by, error: error.message });
+      throw error;
+    }
+  }
+
+  // Removes the given versions of a key and resolves with how many were removed.
+  // The latest version is never removed, so version numbers keep increasing.
+  async deleteVersions(key, versions) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+    if (versions.length === 0) {
+      return 0;
+    }
+
+    try {
+      const latest = await this.getLatestValue(key);
+      if (!latest) {
+        return 0;
+      }
+
+      const result = await this.collection.deleteMany({
+        key,
+        version: { $in: versions, $lt: latest.version }
+      });
+      logger.debug('Versions deleted', { key, requested: versions.length, removed: result.deletedCount });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Failed to delete versions', { key, error: error.message });
+      throw error;
+    }
+  }
+
+  // Removes every version of every key under `prefix` and resolves with how many were removed
+  async deleteKeys(prefix) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    try {
+      const result = await this.collection.deleteMany({ key: { $regex: `^${escapeRegExp(prefix)}` } });
+      logger.debug('Keys deleted', { prefix, removed: result.deletedCount });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Failed to delete keys', { prefix, error: error.message });
+      throw error;
+    }
+  }
+
+  async createApiKey(apiKey) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    const document = { ...apiKey, rotatedAt: apiKey.rotatedAt || null, revokedAt: apiKey.revokedAt || null };
+    try {
+      await this.apiKeys.insertOne({ ...document });
+      return document;
+    } catch (error) {
+      logger.error('Failed to create API key', { id: apiKey.id, error: error.message });
+      throw error;
+    }
+  }
+
+  async getApiKey(id) {
+    return this.findApiKey({ id });
+  }
+
+  async findApiKeyByHash(keyHash) {
+    return this.findApiKey({ keyHash });
+  }
+
+  async findApiKey(query) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    const document = await this.apiKeys.findOne(query, { projection: { _id: 0 } });
+    return document || null;
+  }
+
+  async listApiKeys() {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    return this.apiKeys
+      .find({}, { projection: { _id: 0 } })
+      .sort({ createdAt: 1, id: 1 })
+      .toArray();
+  }
+
+  // changes may set keyHash, keyPrefix, rotatedAt and revokedAt
+  async updateApiKey(id, changes) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    const allowed = ['keyHash', 'keyPrefix', 'rotatedAt', 'revokedAt'];
+    const update = {};
+    for (const field of allowed) {
+      if (changes[field] !== undefined) update[field] = changes[field];
+    }
+
+    try {
+      const result = await this.apiKeys.findOneAndUpdate(
+        { id },
+        { $set: update },
+        { returnDocument: 'after', projection: { _id: 0 } }
+      );
+      return result || null;
+    } catch (error) {
+      logger.error('Failed to update API key', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Documents written before soft deletes, audit fields or expiry lack those fields
+  toRecord(document) {
+    return {
+      key: document.key,
+      value: document.deleted ? null : document.value,
+      timestamp: document.timestamp,
+      version: document.version,
+      deleted: Boolean(document.deleted),
+      ...this.auditFields(document),
+      expiresAt: document.expiresAt || null
+    };
+  }
+
   async getStats() {
     if (!this.isConnected) {
       return {
@@ -134,6 +1009,7 @@ class MongoDatabase {
       try {
         await this.client.close();
         this.isConnected = false;
+        this.connecting = null;
         logger.info('MongoDB connection closed');
       } catch (error) {
         logger.error('Error closing MongoDB connection', { error: error.message });
@@ -1,12 +1,131 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
 const logger = require('./logger');
+const { PreconditionFailedError, ImportConflictError, InvalidBackupError } = require('./errors');
+const { prefixUpperBound } = require('./keyspace');
+const { pollChanges } = require('./notifications');
+const { checkImportOrder } = require('./transfer');
 
-class Database {
+// Every write gets its own row; `version` increases per key so several writes
+// within the same second never replace each other. A delete is a row too: a
+// tombstone with `deleted = 1`, so history before the delete stays readable.
+// actor, client_ip, request_id and message record who made each write.
+// expires_at (Unix seconds) ends a version's life without a write; see src/ttl.js.
+const KV_STORE_TABLE = `
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  key TEXT NOT NULL,
+  value TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  version INTEGER NOT NULL,
+  deleted INTEGER NOT NULL DEFAULT 0,
+  actor TEXT,
+  client_ip TEXT,
+  request_id TEXT,
+  message TEXT,
+  expires_at INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(key, version)
+`;
+
+// Values are stored as JSON text, plain strings as-is; tombstones store JSON null
+function serializeValue(value, deleted) {
+  return deleted ? 'null' : typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Leaves keys under any of `prefixes` (the `exclude` query option) out of a query
+function excludePrefixes(prefixes, conditions, params) {
+  for (const prefix of prefixes) {
+    conditions.push('NOT (key >= ? AND key < ?)');
+    params.push(prefix, prefixUpperBound(prefix));
+  }
+}
+
+// Opens a backup read-only and checks it passes PRAGMA integrity_check and holds
+// a kv_store table; rejects with InvalidBackupError otherwise
+function verifyBackupFile(file) {
+  return new Promise((resolve, reject) => {
+    const fail = (reason) => reject(new InvalidBackupError(path.basename(file), reason));
+    const backupDb = new sqlite3.Database(file, sqlite3.OPEN_READONLY, (openErr) => {
+      if (openErr) return fail(openErr.message);
+
+      backupDb.get('PRAGMA integrity_check', (checkErr, check) => {
+        if (checkErr || check.integrity_check !== 'ok') {
+          return backupDb.close(() => fail(checkErr ? checkErr.message : check.integrity_check));
+        }
+        backupDb.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'kv_store'", (tableErr, table) => {
+          backupDb.close(() => {
+            if (tableErr) fail(tableErr.message);
+            else if (!table) fail('no kv_store table');
+            else resolve();
+          });
+        });
+      });
+    });
+  });
+}
+
+// Columns every record query selects (see parseRow)
+const RECORD_COLUMNS = 'key, value, timestamp, version, deleted, actor, client_ip, request_id, message, expires_at';
+
+// API keys are stored as SHA-256 hashes; key_prefix keeps the first characters
+// of the secret so admins can tell keys apart. scopes is a JSON array.
+const API_KEYS_TABLE = `
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  key_prefix TEXT NOT NULL,
+  scopes TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  rotated_at INTEGER,
+  revoked_at INTEGER
+`;
+
+// A commit groups versions written together (see src/commits.js). changes is a JSON
+// array of { key, version, deleted } naming the kv_store rows it wrote.
+const COMMITS_TABLE = `
+  id TEXT PRIMARY KEY,
+  timestamp INTEGER NOT NULL,
+  message TEXT NOT NULL,
+  revert_of TEXT,
+  actor TEXT,
+  client_ip TEXT,
+  request_id TEXT,
+  changes TEXT NOT NULL
+`;
+
+// Columns added to kv_store after per-key versions; older databases get them via ALTER TABLE
+const ADDED_COLUMNS = [
+  ['deleted', 'INTEGER NOT NULL DEFAULT 0'],
+  ['actor', 'TEXT'],
+  ['client_ip', 'TEXT'],
+  ['request_id', 'TEXT'],
+  ['message', 'TEXT'],
+  ['expires_at', 'INTEGER']
+];
+
+class Database extends EventEmitter {
   constructor(dbPath = path.join(__dirname, '..', 'data', 'kv_store.db')) {
+    super();
+    // Every open watch stream subscribes to 'change'
+    this.setMaxListeners(0);
+    this.backend = 'sqlite';
     this.dbPath = dbPath;
     this.db = null;
-    this.init();
+    this.writeLock = Promise.resolve();
+    // Reads and the open transaction share the connection; see read()
+    this.transactionScope = new AsyncLocalStorage();
+    this.openTransaction = null;
+    this.activeReads = 0;
+    this.readsIdle = null;
+    this.ready = this.init();
+    // Failures are logged by init() and surface again through connect()
+    this.ready.catch(() => {});
+  }
+
+  async connect() {
+    return this.ready;
   }
 
   async init() {
@@ -16,6 +135,7 @@ class Database {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         await this.connectWithRetry(attempt, maxRetries);
+        await this.migrateSchema();
         await this.createTables();
         await this.optimizeDatabase();
         logger.info('Database initialized successfully', { 
@@ -95,21 +215,78 @@ class Database {
     });
   }
 
+  async tableColumns() {
+    return new Promise((resolve, reject) => {
+      this.read('all', 'PRAGMA table_info(kv_store)', [], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => row.name));
+      });
+    });
+  }
+
+  async migrateSchema() {
+    let columns = await this.tableColumns();
+    if (columns.length === 0) {
+      return;
+    }
+
+    if (!columns.includes('version')) {
+      await this.migrateToVersions();
+      columns = await this.tableColumns();
+    }
+
+    for (const [name, definition] of ADDED_COLUMNS) {
+      if (!columns.includes(name)) {
+        await this.execute(`ALTER TABLE kv_store ADD COLUMN ${name} ${definition}`);
+        logger.info('Added kv_store column', { column: name });
+      }
+    }
+  }
+
+  // Databases created before per-key versions were keyed on UNIQUE(key, timestamp).
+  // Rebuild the table once, numbering existing rows per key in timestamp order.
+  async migrateToVersions() {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        BEGIN;
+        CREATE TABLE kv_store_migrated (${KV_STORE_TABLE});
+        INSERT INTO kv_store_migrated (id, key, value, timestamp, version, created_at)
+          SELECT id, key, value, timestamp,
+                 ROW_NUMBER() OVER (PARTITION BY key ORDER BY timestamp, id),
+                 created_at
+          FROM kv_store;
+        DROP TABLE kv_store;
+        ALTER TABLE kv_store_migrated RENAME TO kv_store;
+        COMMIT;
+      `;
+
+      this.db.exec(sql, (err) => {
+        if (err) {
+          logger.error('Error migrating kv_store to per-key versions', { error: err.message });
+          this.db.exec('ROLLBACK', () => reject(err));
+        } else {
+          logger.info('Migrated kv_store to per-key versions');
+          resolve();
+        }
+      });
+    });
+  }
+
   async createTables() {
     return new Promise((resolve, reject) => {
       const sql = `
-        CREATE TABLE IF NOT EXISTS kv_store (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          key TEXT NOT NULL,
-          value TEXT NOT NULL,
-          timestamp INTEGER NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          UNIQUE(key, timestamp)
-        );
+        CREATE TABLE IF NOT EXISTS kv_store (${KV_STORE_TABLE});
         
         CREATE INDEX IF NOT EXISTS idx_key_timestamp ON kv_store(key, timestamp DESC);
         CREATE INDEX IF NOT EXISTS idx_key ON kv_store(key);
         CREATE INDEX IF NOT EXISTS idx_timestamp ON kv_store(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_actor_timestamp ON kv_store(actor, timestamp);
+        CREATE INDEX IF NOT EXISTS idx_expires_at ON kv_store(expires_at, key, version) WHERE expires_at IS NOT NULL;
+
+        CREATE TABLE IF NOT EXISTS api_keys (${API_KEYS_TABLE});
+
+        CREATE TABLE IF NOT EXISTS commits (${COMMITS_TABLE});
+        CREATE INDEX IF NOT EXISTS idx_commits_timestamp ON commits(timestamp, id);
       `;
 
       this.db.exec(sql, (err) => {
@@ -124,18 +301,337 @@ class Database {
     });
   }
 
-  async storeValue(key, value, timestamp) {
+  // node-sqlite3 shares one connection, so a statement issued by another request
+  // while a transaction is open would join that transaction. Every write goes
+  // through this queue so transactions never interleave with other writes; reads
+  // are kept out of open transactions by read().
+  withWriteLock(operation) {
+    const result = this.writeLock.then(operation, operation);
+    this.writeLock = result.catch(() => {});
+    return result;
+  }
+
+  // Runs a SELECT (method 'get' or 'all'). A statement on the shared connection sees
+  // whatever an open transaction has written so far, so reads from outside the
+  // transaction wait for it to commit or roll back, and a transaction waits for
+  // reads already running before it begins. The transaction's own reads run at once.
+  read(method, sql, params, callback) {
+    if (this.transactionScope.getStore()) {
+      this.db[method](sql, params, callback);
+      return;
+    }
+    if (this.openTransaction) {
+      this.openTransaction.then(() => this.read(method, sql, params, callback));
+      return;
+    }
+
+    this.activeReads++;
+    this.db[method](sql, params, (err, result) => {
+      this.activeReads--;
+      if (this.activeReads === 0 && this.readsIdle) {
+        this.readsIdle();
+        this.readsIdle = null;
+      }
+      callback(err, result);
+    });
+  }
+
+  async execute(sql) {
     return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  // Runs operation inside BEGIN IMMEDIATE ... COMMIT, rolling back if it throws
+  async transaction(operation) {
+    return this.withWriteLock(async () => {
+      let finished;
+      this.openTransaction = new Promise((resolve) => { finished = resolve; });
+      try {
+        if (this.activeReads > 0) {
+          await new Promise((resolve) => { this.readsIdle = resolve; });
+        }
+        return await this.transactionScope.run(true, async () => {
+          await this.execute('BEGIN IMMEDIATE');
+          try {
+            const result = await operation();
+            await this.execute('COMMIT');
+            return result;
+          } catch (error) {
+            await this.execute('ROLLBACK').catch((rollbackError) => {
+              logger.error('Error rolling back transaction', { error: rollbackError.message });
+            });
+            throw error;
+          }
+        });
+      } finally {
+        this.openTransaction = null;
+        finished();
+      }
+    });
+  }
+
+  // options.precondition(latest) is checked under the write lock, so no other
+  // write can land between the check and the insert. options.audit and
+  // options.expiresAt are stored with the version.
+  async storeValue(key, value, timestamp, options = {}) {
+    return this.conditionalInsert(key, value, timestamp, false, options);
+  }
+
+  // Appends a tombstone version; earlier versions stay readable by timestamp
+  async deleteValue(key, timestamp, options = {}) {
+    return this.conditionalInsert(key, null, timestamp, true, options);
+  }
+
+  async conditionalInsert(key, value, timestamp, deleted, { precondition, audit, expiresAt } = {}) {
+    const stored = await this.withWriteLock(async () => {
+      if (precondition) {
+        const latest = await this.getLatestValue(key);
+        if (!precondition(latest)) {
+          throw new PreconditionFailedError(key, latest);
+        }
+      }
+      return this.insertVersion(key, value, timestamp, deleted, audit, deleted ? null : expiresAt);
+    });
+
+    this.emitChanges([stored]);
+    return stored;
+  }
+
+  // Writes all entries under one timestamp in a single transaction: either every
+  // key gets a new version or none does.
+  async storeValues(entries, timestamp, options = {}) {
+    const results = await this.transaction(async () => {
+      const stored = [];
+      for (const [key, value] of entries) {
+        stored.push(await this.insertVersion(key, value, timestamp, false, options.audit, options.expiresAt));
+      }
+      return stored;
+    });
+
+    logger.debug('Batch stored successfully', { count: results.length, timestamp });
+    this.emitChanges(results);
+    return results;
+  }
+
+  // Writes one version per change and the commit record naming them in a single
+  // transaction. Each change's precondition is checked inside it, so a false one
+  // rolls back the whole commit.
+  async storeCommit(commit, changes, timestamp, options = {}) {
+    const { audit = {} } = options;
+
+    const { record, stored } = await this.transaction(async () => {
+      const versions = [];
+      for (const { key, value, deleted = false, precondition, expiresAt = null } of changes) {
+        if (precondition) {
+          const latest = await this.getLatestValue(key);
+          if (!precondition(latest)) {
+            throw new PreconditionFailedError(key, latest);
+          }
+        }
+        versions.push(await this.insertVersion(key, value, timestamp, deleted, audit, deleted ? null : expiresAt));
+      }
+
+      const committed = {
+        id: commit.id,
+        timestamp,
+        message: commit.message,
+        revertOf: commit.revertOf || null,
+        actor: audit.actor || null,
+        clientIp: audit.clientIp || null,
+        requestId: audit.requestId || null,
+        changes: versions.map(({ key, version, deleted }) => ({ key, version, deleted }))
+      };
+      await new Promise((resolve, reject) => {
+        const sql = `
+          INSERT INTO commits (id, timestamp, message, revert_of, actor, client_ip, request_id, changes)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        const params = [
+          committed.id,
+          timestamp,
+          committed.message,
+          committed.revertOf,
+          committed.actor,
+          committed.clientIp,
+          committed.requestId,
+          JSON.stringify(committed.changes)
+        ];
+        this.db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+      });
+      return { record: committed, stored: versions };
+    });
+
+    logger.debug('Commit stored', { id: record.id, count: stored.length, timestamp });
+    this.emitChanges(stored);
+    return record;
+  }
+
+  async getCommit(id) {
+    return new Promise((resolve, reject) => {
+      this.read('get', 'SELECT * FROM commits WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error('Error getting commit', { error: err.message, id });
+          reject(err);
+        } else {
+          resolve(row ? this.parseCommitRow(row) : null);
+        }
+      });
+    });
+  }
+
+  // Newest first, ordered by (timestamp, id) descending, before the `before` position
+  async listCommits(options = {}) {
+    const { before, limit } = options;
+
+    return new Promise((resolve, reject) => {
+      const params = [];
+      let sql = 'SELECT * FROM commits';
+      if (before) {
+        sql += ' WHERE (timestamp, id) < (?, ?)';
+        params.push(before.timestamp, before.id);
+      }
+      sql += ' ORDER BY timestamp DESC, id DESC';
+      if (limit !== undefined) {
+        sql += ' LIMIT ?';
+        params.push(limit);
+      }
+
+      this.read('all', sql, params, (err, rows) => {
+        if (err) {
+          logger.error('Error listing commits', { error: err.message });
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseCommitRow(row)));
+        }
+      });
+    });
+  }
+
+  parseCommitRow(row) {
+    return {
+      id: row.id,
+      timestamp: row.timestamp,
+      message: row.message,
+      revertOf: row.revert_of,
+      actor: row.actor,
+      clientIp: row.client_ip,
+      requestId: row.request_id,
+      changes: JSON.parse(row.changes)
+    };
+  }
+
+  // Writes exported records with their own key, version, timestamp and audit fields in
+  // one transaction. options.conflict decides what happens when (key, version) is taken:
+  // 'skip' keeps the stored version, 'overwrite' replaces it, 'fail' throws
+  // ImportConflictError and rolls the batch back. A version out of order with the key's
+  // history throws ImportOrderError (see checkImportOrder in src/transfer.js).
+  // Resolves with { imported, skipped, overwritten }.
+  async importVersions(records, options = {}) {
+    const { conflict = 'fail' } = options;
+
+    const run = (sql, params) => new Promise((resolve, reject) => {
+      this.db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+    });
+    const exists = (key, version) => new Promise((resolve, reject) => {
+      this.read('get', 'SELECT 1 FROM kv_store WHERE key = ? AND version = ?', [key, version], (err, row) => {
+        if (err) reject(err);
+        else resolve(Boolean(row));
+      });
+    });
+
+    const storedVersions = (key) => new Promise((resolve, reject) => {
+      this.read('all', 'SELECT version, timestamp FROM kv_store WHERE key = ? ORDER BY version', [key], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    return this.transaction(async () => {
+      const report = { imported: 0, skipped: 0, overwritten: 0 };
+
+      const stored = new Map();
+      for (const key of new Set(records.map(record => record.key))) {
+        stored.set(key, await storedVersions(key));
+      }
+      checkImportOrder(stored, records, conflict);
+
+      for (const record of records) {
+        const { actor = null, clientIp = null, requestId = null, message = null, expiresAt = null } = record;
+        const fields = [
+          serializeValue(record.value, record.deleted),
+          record.timestamp,
+          record.deleted ? 1 : 0,
+          actor,
+          clientIp,
+          requestId,
+          message,
+          expiresAt
+        ];
+
+        if (await exists(record.key, record.version)) {
+          if (conflict === 'fail') {
+            throw new ImportConflictError(record.key, record.version);
+          }
+          if (conflict === 'skip') {
+            report.skipped++;
+            continue;
+          }
+          await run(`
+            UPDATE kv_store
+            SET value = ?, timestamp = ?, deleted = ?, actor = ?, client_ip = ?, request_id = ?, message = ?,
+                expires_at = ?
+            WHERE key = ? AND version = ?
+          `, [...fields, record.key, record.version]);
+          report.overwritten++;
+          continue;
+        }
+
+        await run(`
+          INSERT INTO kv_store (key, version, value, timestamp, deleted, actor, client_ip, request_id, message, expires_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [record.key, record.version, ...fields]);
+        report.imported++;
+      }
+
+      logger.debug('Versions imported', { count: records.length, conflict, ...report });
+      return report;
+    });
+  }
+
+  // Announces committed versions to 'change' listeners (see src/routes/watch.js)
+  emitChanges(records) {
+    for (const { key, value, timestamp, version, deleted } of records) {
+      this.emit('change', { key, value, timestamp, version, deleted });
+    }
+  }
+
+  // Versions written by any process sharing the database file, found by polling
+  // (see src/notifications.js); 'change' only covers this process's writes
+  watchChanges(listener) {
+    return pollChanges(this, listener);
+  }
+
+  async insertVersion(key, value, timestamp, deleted = false, audit = {}, expiresAt = null) {
+    return new Promise((resolve, reject) => {
+      // Version assignment happens inside the INSERT so it is atomic per statement
       const sql = `
-        INSERT OR REPLACE INTO kv_store (key, value, timestamp)
-        VALUES (?, ?, ?)
+        INSERT INTO kv_store (key, value, timestamp, version, deleted, actor, client_ip, request_id, message, expires_at)
+        SELECT ?, ?, ?, COALESCE(MAX(version), 0) + 1, ?, ?, ?, ?, ?, ?
+        FROM kv_store
+        WHERE key = ?
+        RETURNING id, version
       `;
+      const { actor = null, clientIp = null, requestId = null, message = null } = audit;
       
-      // Convert value to JSON string for storage
-      const valueStr = typeof value === 'string' ? value : JSON.stringify(value);
+      const valueStr = serializeValue(value, deleted);
       const valueSize = valueStr.length;
       
-      this.db.run(sql, [key, valueStr, timestamp], function(err) {
+      const params = [key, valueStr, timestamp, deleted ? 1 : 0, actor, clientIp, requestId, message, expiresAt || null, key];
+      this.read('get', sql, params, (err, row) => {
         if (err) {
           logger.error('Database error storing value', { 
             error: err.message,
@@ -160,15 +656,23 @@ class Database {
           logger.debug('Value stored successfully', { 
             key, 
             timestamp, 
-            rowId: this.lastID,
+            version: row.version,
+            rowId: row.id,
             valueSize,
             valueType: typeof value
           });
           resolve({ 
-            id: this.lastID, 
+            id: row.id, 
             key, 
-            value: valueStr, 
+            value: deleted ? null : value, 
             timestamp,
+            version: row.version,
+            deleted,
+            actor,
+            clientIp,
+            requestId,
+            message,
+            expiresAt: expiresAt || null,
             size: valueSize
           });
         }
@@ -179,14 +683,14 @@ class Database {
   async getLatestValue(key) {
     return new Promise((resolve, reject) => {
       const sql = `
-        SELECT key, value, timestamp, created_at
+        SELECT ${RECORD_COLUMNS}, created_at
         FROM kv_store
         WHERE key = ?
-        ORDER BY timestamp DESC
+        ORDER BY version DESC
         LIMIT 1
       `;
 
-      this.db.get(sql, [key], (err, row) => {
+      this.read('get', sql, [key], (err, row) => {
         if (err) {
           logger.error('Database error retrieving latest value', { 
             error: err.message,
@@ -205,12 +709,37 @@ class Database {
             logger.debug('Latest value retrieved', { 
               key, 
               timestamp: row.timestamp,
+              version: row.version,
               valueSize: row.value.length
             });
+            resolve(this.parseRow(row));
           } else {
             logger.debug('Key not found', { key });
+            resolve(null);
           }
-          resolve(row);
+        }
+      });
+    });
+  }
+
+  async getVersion(key, version) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT ${RECORD_COLUMNS}
+        FROM kv_store
+        WHERE key = ? AND version = ?
+      `;
+
+      this.read('get', sql, [key, version], (err, row) => {
+        if (err) {
+          logger.error('Error getting version', { 
+            error: err.message, 
+            key, 
+            version 
+          });
+          reject(err);
+        } else {
+          resolve(row ? this.parseRow(row) : null);
         }
       });
     });
@@ -219,14 +748,14 @@ class Database {
   async getValueAtTimestamp(key, timestamp) {
     return new Promise((resolve, reject) => {
       const sql = `
-        SELECT key, value, timestamp
+        SELECT ${RECORD_COLUMNS}
         FROM kv_store
         WHERE key = ? AND timestamp <= ?
-        ORDER BY timestamp DESC
+        ORDER BY timestamp DESC, version DESC
         LIMIT 1
       `;
 
-      this.db.get(sql, [key, timestamp], (err, row) => {
+      this.read('get', sql, [key, timestamp], (err, row) => {
         if (err) {
           logger.error('Error getting value at timestamp', { 
             error: err.message, 
@@ -235,38 +764,45 @@ class Database {
           });
           reject(err);
         } else {
-          if (row) {
-            // Try to parse JSON, fallback to string
-            let parsedValue;
-            try {
-              parsedValue = JSON.parse(row.value);
-            } catch {
-              parsedValue = row.value;
-            }
-            
-            resolve({
-              key: row.key,
-              value: parsedValue,
-              timestamp: row.timestamp
-            });
-          } else {
-            resolve(null);
-          }
+          resolve(row ? this.parseRow(row) : null);
         }
       });
     });
   }
 
-  async getAllVersions(key) {
+  async getAllVersions(key, options = {}) {
+    const { from, to, after, order = 'desc', limit } = options;
+
     return new Promise((resolve, reject) => {
-      const sql = `
-        SELECT key, value, timestamp
+      const conditions = ['key = ?'];
+      const params = [key];
+
+      if (from !== undefined) {
+        conditions.push('timestamp >= ?');
+        params.push(from);
+      }
+      if (to !== undefined) {
+        conditions.push('timestamp <= ?');
+        params.push(to);
+      }
+      // Cursor position: continue strictly past the last version already returned
+      if (after !== undefined) {
+        conditions.push(order === 'asc' ? 'version > ?' : 'version < ?');
+        params.push(after);
+      }
+
+      let sql = `
+        SELECT ${RECORD_COLUMNS}
         FROM kv_store
-        WHERE key = ?
-        ORDER BY timestamp DESC
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY version ${order === 'asc' ? 'ASC' : 'DESC'}
       `;
+      if (limit !== undefined) {
+        sql += ' LIMIT ?';
+        params.push(limit);
+      }
 
-      this.db.all(sql, [key], (err, rows) => {
+      this.read('all', sql, params, (err, rows) => {
         if (err) {
           logger.error('Error getting all versions', { 
             error: err.message, 
@@ -274,26 +810,474 @@ class Database {
           });
           reject(err);
         } else {
-          const versions = rows.map(row => {
-            let parsedValue;
-            try {
-              parsedValue = JSON.parse(row.value);
-            } catch {
-              parsedValue = row.value;
+          resolve(rows.map(row => this.parseRow(row)));
+        }
+      });
+    });
+  }
+
+  // Values are stored as JSON text; plain strings are stored as-is
+  parseRow(row) {
+    let parsedValue;
+    try {
+      parsedValue = JSON.parse(row.value);
+    } catch {
+      parsedValue = row.value;
+    }
+
+    return {
+      key: row.key,
+      value: row.deleted ? null : parsedValue,
+      timestamp: row.timestamp,
+      version: row.version,
+      deleted: Boolean(row.deleted),
+      actor: row.actor,
+      clientIp: row.client_ip,
+      requestId: row.request_id,
+      message: row.message,
+      expiresAt: row.expires_at === undefined ? null : row.expires_at
+    };
+  }
+
+  // Value of every live key as of `timestamp` (deleted and expired ones left out), ordered
+  // by key. Keys are walked through idx_key, and each key's version is one idx_key_timestamp lookup.
+  async getSnapshot(timestamp, options = {}) {
+    const { prefix, exclude = [], after, limit } = options;
+
+    return new Promise((resolve, reject) => {
+      const conditions = ['timestamp <= ?'];
+      const params = [timestamp];
+
+      if (prefix) {
+        conditions.push('key >= ? AND key < ?');
+        params.push(prefix, prefixUpperBound(prefix));
+      }
+      excludePrefixes(exclude, conditions, params);
+      // Cursor position: continue after the last key already returned
+      if (after !== undefined) {
+        conditions.push('key > ?');
+        params.push(after);
+      }
+
+      let sql = `
+        SELECT v.*
+        FROM (
+          SELECT DISTINCT key
+          FROM kv_store
+          WHERE ${conditions.join(' AND ')}
+        ) AS keys
+        JOIN kv_store AS v ON v.id = (
+          SELECT id
+          FROM kv_store
+          WHERE key = keys.key AND timestamp <= ?
+          ORDER BY timestamp DESC, version DESC
+          LIMIT 1
+        )
+        WHERE v.deleted = 0 AND (v.expires_at IS NULL OR v.expires_at > ?)
+        ORDER BY v.key
+      `;
+      params.push(timestamp, timestamp);
+      if (limit !== undefined) {
+        sql += ' LIMIT ?';
+        params.push(limit);
+      }
+
+      this.read('all', sql, params, (err, rows) => {
+        if (err) {
+          logger.error('Error getting snapshot', { 
+            error: err.message, 
+            timestamp,
+            prefix
+          });
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseRow(row)));
+        }
+      });
+    });
+  }
+
+  // Versions (tombstones included) ordered by (timestamp, key, version), starting
+  // after the `after` position up to timestamp `to`; keys and prefix select keys,
+  // either one matching is enough; actor keeps only that writer's versions.
+  async getChanges(options = {}) {
+    const { after = { timestamp: 0, key: '', version: 0 }, to, actor, keys = [], prefix, exclude = [], limit } = options;
+
+    return new Promise((resolve, reject) => {
+      const conditions = ['(timestamp, key, version) > (?, ?, ?)'];
+      const params = [after.timestamp, after.key, after.version];
+
+      if (to !== undefined) {
+        conditions.push('timestamp <= ?');
+        params.push(to);
+      }
+      if (actor !== undefined) {
+        conditions.push('actor = ?');
+        params.push(actor);
+      }
+
+      const keyConditions = [];
+      if (keys.length > 0) {
+        keyConditions.push(`key IN (${keys.map(() => '?').join(', ')})`);
+        params.push(...keys);
+      }
+      if (prefix) {
+        keyConditions.push('(key >= ? AND key < ?)');
+        params.push(prefix, prefixUpperBound(prefix));
+      }
+      if (keyConditions.length > 0) {
+        conditions.push(`(${keyConditions.join(' OR ')})`);
+      }
+      excludePrefixes(exclude, conditions, params);
+
+      let sql = `
+        SELECT ${RECORD_COLUMNS}
+        FROM kv_store
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY timestamp, key, version
+      `;
+      if (limit !== undefined) {
+        sql += ' LIMIT ?';
+        params.push(limit);
+      }
+
+      this.read('all', sql, params, (err, rows) => {
+        if (err) {
+          logger.error('Error getting changes', { error: err.message, prefix });
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseRow(row)));
+        }
+      });
+    });
+  }
+
+  // Versions with an expiry at or before `until`, ordered by (expiresAt, key, version),
+  // starting after the `after` position; superseded versions are included.
+  async getExpiredVersions(options = {}) {
+    const { after = { expiresAt: 0, key: '', version: 0 }, until, limit } = options;
+
+    return new Promise((resolve, reject) => {
+      let sql = `
+        SELECT ${RECORD_COLUMNS}
+        FROM kv_store
+        WHERE expires_at IS NOT NULL AND expires_at <= ?
+          AND (expires_at, key, version) > (?, ?, ?)
+        ORDER BY expires_at, key, version
+      `;
+      const params = [until, after.expiresAt, after.key, after.version];
+      if (limit !== undefined) {
+        sql += ' LIMIT ?';
+        params.push(limit);
+      }
+
+      this.read('all', sql, params, (err, rows) => {
+        if (err) {
+          logger.error('Error getting expired versions', { error: err.message, until });
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseRow(row)));
+        }
+      });
+    });
+  }
+
+  // Every key with any history (deleted keys included), ordered by key
+  async listKeys(options = {}) {
+    const { prefix, after, limit } = options;
+
+    return new Promise((resolve, reject) => {
+      const conditions = [];
+      const params = [];
+
+      if (prefix) {
+        conditions.push('key >= ? AND key < ?');
+        params.push(prefix, prefixUpperBound(prefix));
+      }
+      // Cursor position: continue after the last key already returned
+      if (after !== undefined) {
+        conditions.push('key > ?');
+        params.push(after);
+      }
+
+      let sql = 'SELECT DISTINCT key FROM kv_store';
+      if (conditions.length > 0) {
+        sql += ` WHERE ${conditions.join(' AND ')}`;
+      }
+      sql += ' ORDER BY key';
+      if (limit !== undefined) {
+        sql += ' LIMIT ?';
+        params.push(limit);
+      }
+
+      this.read('all', sql, params, (err, rows) => {
+        if (err) {
+          logger.error('Error listing keys', { error: err.message, prefix });
+          reject(err);
+        } else {
+          resolve(rows.map(row => row.key));
+        }
+      });
+    });
+  }
+
+  // Per-key summaries ordered by key: { key, latestTimestamp, latestVersion,
+  // versionCount, deleted }. Deleted keys are left out unless includeDeleted.
+  async listKeySummaries(options = {}) {
+    const { prefix, exclude = [], after, limit, includeDeleted = false } = options;
+
+    return new Promise((resolve, reject) => {
+      const conditions = [];
+      const params = [];
+
+      if (prefix) {
+        conditions.push('key >= ? AND key < ?');
+        params.push(prefix, prefixUpperBound(prefix));
+      }
+      excludePrefixes(exclude, conditions, params);
+      // Cursor position: continue after the last key already returned
+      if (after !== undefined) {
+        conditions.push('key > ?');
+        params.push(after);
+      }
+
+      let sql = `
+        SELECT latest.key, latest.timestamp, latest.version, latest.deleted, counts.version_count
+        FROM (
+          SELECT key, COUNT(*) AS version_count, MAX(version) AS latest_version
+          FROM kv_store
+          ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+          GROUP BY key
+        ) AS counts
+        JOIN kv_store AS latest ON latest.key = counts.key AND latest.version = counts.latest_version
+        ${includeDeleted ? '' : 'WHERE latest.deleted = 0'}
+        ORDER BY latest.key
+      `;
+      if (limit !== undefined) {
+        sql += ' LIMIT ?';
+        params.push(limit);
+      }
+
+      this.read('all', sql, params, (err, rows) => {
+        if (err) {
+          logger.error('Error listing key summaries', { error: err.message, prefix });
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({
+            key: row.key,
+            latestTimestamp: row.timestamp,
+            latestVersion: row.version,
+            versionCount: row.version_count,
+            deleted: Boolean(row.deleted)
+          })));
+        }
+      });
+    });
+  }
+
+  // Keys ranked by options.by, highest first then by key -> [{ key, total }]:
+  //   versions  versions stored
+  //   bytes     serialized size of the live (non-tombstone) versions
+  //   writes    versions written at or after options.since
+  // options { by, since, prefix, exclude, limit }
+  async getTopKeys(options = {}) {
+    const { by = 'versions', since = 0, prefix, exclude = [], limit } = options;
+    const totals = {
+      versions: 'COUNT(*)',
+      bytes: 'SUM(CASE WHEN deleted = 0 THEN LENGTH(value) ELSE 0 END)',
+      writes: 'COUNT(*)'
+    };
+
+    return new Promise((resolve, reject) => {
+      const conditions = [];
+      const params = [];
+
+      if (prefix) {
+        conditions.push('key >= ? AND key < ?');
+        params.push(prefix, prefixUpperBound(prefix));
+      }
+      excludePrefixes(exclude, conditions, params);
+      if (by === 'writes') {
+        conditions.push('timestamp >= ?');
+        params.push(since);
+      }
+
+      let sql = `
+        SELECT key, ${totals[by]} AS total
+        FROM kv_store
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        GROUP BY key
+        ORDER BY total DESC, key
+      `;
+      if (limit !== undefined) {
+        sql += ' LIMIT ?';
+        params.push(limit);
+      }
+
+      this.read('all', sql, params, (err, rows) => {
+        if (err) {
+          logger.error('Error ranking keys', { error: err.message, by });
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({ key: row.key, total: row.total })));
+        }
+      });
+    });
+  }
+
+  // Removes the given versions of a key and resolves with how many were removed.
+  // The latest version is never removed, so version numbers keep increasing.
+  async deleteVersions(key, versions) {
+    if (versions.length === 0) {
+      return 0;
+    }
+
+    return this.transaction(async () => {
+      let removed = 0;
+      // Stay well below SQLite's bound parameter limit
+      for (let start = 0; start < versions.length; start += 500) {
+        const chunk = versions.slice(start, start + 500);
+        removed += await new Promise((resolve, reject) => {
+          const sql = `
+            DELETE FROM kv_store
+            WHERE key = ?
+              AND version IN (${chunk.map(() => '?').join(', ')})
+              AND version < (SELECT MAX(version) FROM kv_store WHERE key = ?)
+          `;
+          this.db.run(sql, [key, ...chunk, key], function (err) {
+            if (err) {
+              logger.error('Error deleting versions', { error: err.message, key });
+              reject(err);
+            } else {
+              resolve(this.changes);
             }
-            
-            return {
-              key: row.key,
-              value: parsedValue,
-              timestamp: row.timestamp
-            };
           });
-          resolve(versions);
+        });
+      }
+
+      logger.debug('Versions deleted', { key, requested: versions.length, removed });
+      return removed;
+    });
+  }
+
+  // Removes every version of every key under `prefix` and resolves with how many were removed
+  async deleteKeys(prefix) {
+    return this.withWriteLock(() => new Promise((resolve, reject) => {
+      const sql = 'DELETE FROM kv_store WHERE key >= ? AND key < ?';
+      this.db.run(sql, [prefix, prefixUpperBound(prefix)], function (err) {
+        if (err) {
+          logger.error('Error deleting keys', { error: err.message, prefix });
+          reject(err);
+        } else {
+          logger.debug('Keys deleted', { prefix, removed: this.changes });
+          resolve(this.changes);
+        }
+      });
+    }));
+  }
+
+  async createApiKey(apiKey) {
+    return this.withWriteLock(() => new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO api_keys (id, name, key_hash, key_prefix, scopes, created_at, rotated_at, revoked_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      const params = [
+        apiKey.id,
+        apiKey.name,
+        apiKey.keyHash,
+        apiKey.keyPrefix,
+        JSON.stringify(apiKey.scopes),
+        apiKey.createdAt,
+        apiKey.rotatedAt || null,
+        apiKey.revokedAt || null
+      ];
+
+      this.db.run(sql, params, (err) => {
+        if (err) {
+          logger.error('Error creating API key', { error: err.message, id: apiKey.id });
+          reject(err);
+        } else {
+          resolve({ ...apiKey, rotatedAt: apiKey.rotatedAt || null, revokedAt: apiKey.revokedAt || null });
+        }
+      });
+    }));
+  }
+
+  async getApiKey(id) {
+    return this.findApiKey('id = ?', [id]);
+  }
+
+  async findApiKeyByHash(keyHash) {
+    return this.findApiKey('key_hash = ?', [keyHash]);
+  }
+
+  async findApiKey(condition, params) {
+    return new Promise((resolve, reject) => {
+      this.read('get', `SELECT * FROM api_keys WHERE ${condition}`, params, (err, row) => {
+        if (err) {
+          logger.error('Error getting API key', { error: err.message });
+          reject(err);
+        } else {
+          resolve(row ? this.parseApiKeyRow(row) : null);
         }
       });
     });
   }
 
+  async listApiKeys() {
+    return new Promise((resolve, reject) => {
+      this.read('all', 'SELECT * FROM api_keys ORDER BY created_at, id', [], (err, rows) => {
+        if (err) {
+          logger.error('Error listing API keys', { error: err.message });
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseApiKeyRow(row)));
+        }
+      });
+    });
+  }
+
+  // changes may set keyHash, keyPrefix, rotatedAt and revokedAt
+  async updateApiKey(id, changes) {
+    const columns = {
+      keyHash: 'key_hash',
+      keyPrefix: 'key_prefix',
+      rotatedAt: 'rotated_at',
+      revokedAt: 'revoked_at'
+    };
+    const fields = Object.keys(changes).filter(field => columns[field]);
+    if (fields.length === 0) {
+      return this.getApiKey(id);
+    }
+
+    await this.withWriteLock(() => new Promise((resolve, reject) => {
+      const sql = `UPDATE api_keys SET ${fields.map(field => `${columns[field]} = ?`).join(', ')} WHERE id = ?`;
+      this.db.run(sql, [...fields.map(field => changes[field]), id], (err) => {
+        if (err) {
+          logger.error('Error updating API key', { error: err.message, id });
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    }));
+    return this.getApiKey(id);
+  }
+
+  parseApiKeyRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      keyHash: row.key_hash,
+      keyPrefix: row.key_prefix,
+      scopes: JSON.parse(row.scopes),
+      createdAt: row.created_at,
+      rotatedAt: row.rotated_at,
+      revokedAt: row.revoked_at
+    };
+  }
+
   async close() {
     return new Promise((resolve) => {
       if (this.db) {
@@ -311,6 +1295,49 @@ class Database {
     });
   }
 
+  // Writes a consistent copy of the live database to `destination` (which must not
+  // exist yet) with VACUUM INTO. Safe while the server runs in WAL mode; it holds the
+  // write lock so none of our transactions is open while the copy is taken.
+  async backup(destination) {
+    await this.connect();
+    await this.withWriteLock(() => new Promise((resolve, reject) => {
+      this.db.run('VACUUM INTO ?', [destination], (err) => {
+        if (err) {
+          logger.error('Error backing up database', { error: err.message, destination });
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    }));
+    logger.info('Database backed up', { destination });
+  }
+
+  // Replaces the whole database (history and API keys) with the backup at `source`
+  // once it passes verifyBackupFile. Pages are copied with SQLite's online backup
+  // API in one step, so other connections see either the old or the new database.
+  async restore(source) {
+    await this.connect();
+    await verifyBackupFile(source);
+
+    await this.withWriteLock(() => new Promise((resolve, reject) => {
+      const copy = this.db.backup(source, 'main', 'main', false, (initErr) => {
+        if (initErr) return reject(initErr);
+        copy.step(-1, (stepErr) => {
+          copy.finish(() => {
+            if (stepErr) reject(stepErr);
+            else resolve();
+          });
+        });
+      });
+    }));
+
+    // Backups taken before a schema change are brought up to date
+    await this.migrateSchema();
+    await this.createTables();
+    logger.info('Database restored', { source });
+  }
+
   async getStats() {
     return new Promise((resolve, reject) => {
       const sql = `
@@ -322,7 +1349,7 @@ class Database {
         FROM kv_store
       `;
 
-      this.db.get(sql, [], (err, row) => {
+      this.read('get', sql, [], (err, row) => {
         if (err) {
           reject(err);
         } else {
@@ -331,6 +1358,30 @@ class Database {
       });
     });
   }
+
+  async healthCheck() {
+    try {
+      await new Promise((resolve, reject) => {
+        this.read('get', 'SELECT 1 as test', [], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+      const stats = await this.getStats();
+
+      return {
+        status: 'connected',
+        path: this.dbPath,
+        stats
+      };
+    } catch (error) {
+      logger.error('SQLite health check failed', { error: error.message });
+      return {
+        status: 'error',
+        error: error.message
+      };
+    }
+  }
 }
 
 module.exports = Database;
@@ -0,0 +1,79 @@
+// Structural diffs between stored values. Objects and arrays are compared as
+// RFC 6902 JSON Patch operations; anything else is reported as before/after.
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (!isContainer(a) || !isContainer(b) || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+
+  const aKeys = Object.keys(a);
+  const bKeys = Object.keys(b);
+  if (aKeys.length !== bKeys.length) return false;
+  return aKeys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+// RFC 6901 JSON Pointer escaping for a single path segment
+function pointerSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Operations that turn `before` into `after` when applied in order
+function createPatch(before, after, path = '') {
+  if (isEqual(before, after)) {
+    return [];
+  }
+  if (!isContainer(before) || !isContainer(after) || Array.isArray(before) !== Array.isArray(after)) {
+    return [{ op: 'replace', path, value: after }];
+  }
+
+  const operations = [];
+
+  if (Array.isArray(before)) {
+    const shared = Math.min(before.length, after.length);
+    for (let index = 0; index < shared; index++) {
+      operations.push(...createPatch(before[index], after[index], `${path}/${index}`));
+    }
+    for (let index = shared; index < after.length; index++) {
+      operations.push({ op: 'add', path: `${path}/${index}`, value: after[index] });
+    }
+    // Remove from the end so earlier indices stay valid while the patch is applied
+    for (let index = before.length - 1; index >= shared; index--) {
+      operations.push({ op: 'remove', path: `${path}/${index}` });
+    }
+    return operations;
+  }
+
+  for (const key of Object.keys(before)) {
+    const childPath = `${path}/${pointerSegment(key)}`;
+    if (!Object.prototype.hasOwnProperty.call(after, key)) {
+      operations.push({ op: 'remove', path: childPath });
+    } else {
+      operations.push(...createPatch(before[key], after[key], childPath));
+    }
+  }
+  for (const key of Object.keys(after)) {
+    if (!Object.prototype.hasOwnProperty.call(before, key)) {
+      operations.push({ op: 'add', path: `${path}/${pointerSegment(key)}`, value: after[key] });
+    }
+  }
+  return operations;
+}
+
+// JSON Patch when both sides are the same kind of container, plain before/after otherwise
+function diffValues(before, after) {
+  if (isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+    return { format: 'json-patch', patch: createPatch(before, after) };
+  }
+  return { format: 'value', before, after };
+}
+
+module.exports = {
+  isEqual,
+  createPatch,
+  diffValues
+};
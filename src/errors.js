@@ -0,0 +1,80 @@
+// Errors that map to a specific HTTP status. Routes check `instanceof`, and the
+// global error handler falls back to `statusCode` for anything unhandled.
+class PreconditionFailedError extends Error {
+  constructor(key, current) {
+    super(`Precondition failed for key "${key}": the latest version has changed`);
+    this.name = 'PreconditionFailedError';
+    this.statusCode = 412;
+    this.key = key;
+    this.current = current;
+  }
+}
+
+// An imported version collides with one already stored under the same key and version
+class ImportConflictError extends Error {
+  constructor(key, version) {
+    super(`Version ${version} of key "${key}" already exists`);
+    this.name = 'ImportConflictError';
+    this.statusCode = 409;
+    this.key = key;
+    this.version = version;
+  }
+}
+
+// An imported version that would sit out of order in its key's history: below the
+// latest version without replacing one, or with a timestamp out of version order
+class ImportOrderError extends Error {
+  constructor(key, version, reason) {
+    super(`Version ${version} of key "${key}" is out of order: ${reason}`);
+    this.name = 'ImportOrderError';
+    this.statusCode = 422;
+    this.key = key;
+    this.version = version;
+    this.reason = reason;
+  }
+}
+
+// A backup file that is not a healthy SQLite database of this store
+class InvalidBackupError extends Error {
+  constructor(file, reason) {
+    super(`Backup "${file}" failed verification: ${reason}`);
+    this.name = 'InvalidBackupError';
+    this.statusCode = 422;
+    this.file = file;
+    this.reason = reason;
+  }
+}
+
+// A JSON Patch "test" operation found a different value at its path
+class PatchTestFailedError extends Error {
+  constructor(index, path, expected, actual) {
+    super(`Patch operation ${index} failed: the value at "${path}" does not match`);
+    this.name = 'PatchTestFailedError';
+    this.statusCode = 409;
+    this.index = index;
+    this.path = path;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+// A well-formed patch that cannot be applied to the current value (e.g. a missing path)
+class UnprocessablePatchError extends Error {
+  constructor(index, path, reason) {
+    super(`Patch operation ${index} cannot be applied at "${path}": ${reason}`);
+    this.name = 'UnprocessablePatchError';
+    this.statusCode = 422;
+    this.index = index;
+    this.path = path;
+    this.reason = reason;
+  }
+}
+
+module.exports = {
+  PreconditionFailedError,
+  ImportConflictError,
+  ImportOrderError,
+  InvalidBackupError,
+  PatchTestFailedError,
+  UnprocessablePatchError
+};
@@ -0,0 +1,25 @@
+// Helpers for treating dotted keys as a sorted keyspace (prefix scans).
+
+// Smallest string greater than every key starting with `prefix`, for range scans
+// (key >= prefix AND key < upper bound) that can use the key index.
+function prefixUpperBound(prefix) {
+  const last = prefix.charCodeAt(prefix.length - 1);
+  return prefix.slice(0, -1) + String.fromCharCode(last + 1);
+}
+
+// Position just past every key starting with `prefix`: listing with
+// `key > afterPrefix(prefix)` skips that whole namespace. Keys are ASCII, so
+// they all sort before U+FFFF in every backend's string order.
+function afterPrefix(prefix) {
+  return `${prefix}\uffff`;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  prefixUpperBound,
+  afterPrefix,
+  escapeRegExp
+};
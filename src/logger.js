@@ -4,7 +4,20 @@ const path = require('path');
 class Logger {
   constructor() {
     this.logDir = path.join(__dirname, '..', 'logs');
-    this.ensureLogDir();
+    this.fileOutput = true;
+    // Console output goes to stdout unless LOG_STREAM=stderr or useStderr() says otherwise
+    this.useStderrOutput = process.env.LOG_STREAM === 'stderr';
+    try {
+      this.ensureLogDir();
+    } catch (error) {
+      // Read-only filesystems (e.g. serverless platforms) still get console output
+      this.fileOutput = false;
+    }
+  }
+
+  // For command-line tools whose stdout carries their results (see bin/)
+  useStderr() {
+    this.useStderrOutput = true;
   }
 
   ensureLogDir() {
@@ -25,6 +38,10 @@ class Logger {
   }
 
   writeToFile(level, formattedMessage) {
+    if (!this.fileOutput) {
+      return;
+    }
+
     const date = new Date().toISOString().split('T')[0];
     const filename = `${date}.log`;
     const filepath = path.join(this.logDir, filename);
@@ -44,7 +61,8 @@ class Logger {
       reset: '\x1b[0m'
     };
     
-    console.log(`${colors[level] || colors.info}[${level.toUpperCase()}]${colors.reset} ${message}`, meta);
+    const write = this.useStderrOutput ? console.error : console.log;
+    write(`${colors[level] || colors.info}[${level.toUpperCase()}]${colors.reset} ${message}`, meta);
     
     // File output
     this.writeToFile(level, formattedMessage);
@@ -0,0 +1,259 @@
+// Prometheus metrics in the text exposition format (version 0.0.4), served by GET /metrics.
+// Each app gets its own registry from createMetrics(); storage metrics come from
+// wrapping the adapter with instrumentStorage().
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const QUERY_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+const SIZE_BUCKETS = [64, 256, 1024, 4096, 16384, 65536, 262144, 1048576, 4194304];
+
+// Adapter methods timed as storage queries (see the contract in src/storage.js)
+const READ_OPERATIONS = [
+  'getLatestValue',
+  'getVersion',
+  'getValueAtTimestamp',
+  'getAllVersions',
+  'getSnapshot',
+  'getChanges',
+  'listKeys',
+  'listKeySummaries'
+];
+const WRITE_OPERATIONS = ['storeValue', 'deleteValue', 'storeValues'];
+const TIMED_OPERATIONS = new Set([
+  ...READ_OPERATIONS,
+  ...WRITE_OPERATIONS,
+  'deleteVersions',
+  'deleteKeys',
+  'importVersions',
+  'getExpiredVersions',
+  'storeCommit',
+  'getCommit',
+  'listCommits',
+  'createApiKey',
+  'getApiKey',
+  'findApiKeyByHash',
+  'listApiKeys',
+  'updateApiKey',
+  'getStats',
+  'healthCheck'
+]);
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.type = 'counter';
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = seriesKey(this.labelNames, labels);
+    const current = this.series.get(key);
+    if (current) {
+      current.value += amount;
+    } else {
+      this.series.set(key, { labels: pickLabels(this.labelNames, labels), value: amount });
+    }
+  }
+
+  lines() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Gauge extends Counter {
+  constructor(name, help, labelNames = []) {
+    super(name, help, labelNames);
+    this.type = 'gauge';
+  }
+
+  set(labels, value) {
+    this.series.set(seriesKey(this.labelNames, labels), { labels: pickLabels(this.labelNames, labels), value });
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    this.type = 'histogram';
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = seriesKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = {
+        labels: pickLabels(this.labelNames, labels),
+        counts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      };
+      this.series.set(key, series);
+    }
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  // Returns a function that observes the seconds elapsed since startTimer was called
+  startTimer(labels) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+    };
+  }
+
+  lines() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+// The metrics one app exposes. render(db) refreshes the storage gauges from
+// db.getStats() and returns the exposition text.
+function createMetrics() {
+  const metrics = {
+    httpRequests: new Counter('kv_http_requests_total', 'HTTP requests by method, route and status', ['method', 'route', 'status']),
+    httpDuration: new Histogram('kv_http_request_duration_seconds', 'HTTP request latency by method, route and status', ['method', 'route', 'status']),
+    rateLimited: new Counter('kv_rate_limit_rejections_total', 'Requests rejected by the rate limiter'),
+    reads: new Counter('kv_reads_total', 'Storage reads by adapter operation', ['operation']),
+    writes: new Counter('kv_writes_total', 'Versions written by adapter operation', ['operation']),
+    valueSize: new Histogram('kv_value_size_bytes', 'Serialized size of written values', [], SIZE_BUCKETS),
+    queryDuration: new Histogram('kv_storage_query_duration_seconds', 'Storage adapter call latency by backend, operation and outcome', ['backend', 'operation', 'outcome'], QUERY_BUCKETS),
+    records: new Gauge('kv_records', 'Versions stored, tombstones included', ['backend']),
+    uniqueKeys: new Gauge('kv_unique_keys', 'Keys with any history', ['backend'])
+  };
+
+  metrics.render = async (db) => {
+    const stats = await db.getStats();
+    metrics.records.set({ backend: db.backend }, stats.total_records || 0);
+    metrics.uniqueKeys.set({ backend: db.backend }, stats.unique_keys || 0);
+
+    const families = Object.values(metrics).filter(metric => typeof metric === 'object');
+    const lines = [];
+    for (const metric of families) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.lines());
+    }
+    return `${lines.join('\n')}\n`;
+  };
+
+  return metrics;
+}
+
+// Express middleware recording the count and latency of every request once the
+// response is done. Unmatched paths share one route label to keep cardinality bounded.
+function recordHttpMetrics(metrics) {
+  return (req, res, next) => {
+    const endTimer = metrics.httpDuration.startTimer({ method: req.method });
+
+    res.on('close', () => {
+      const labels = {
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        status: res.statusCode
+      };
+      endTimer(labels);
+      metrics.httpRequests.inc(labels);
+    });
+
+    next();
+  };
+}
+
+// Wraps a storage adapter so every contract call is timed and reads, writes and
+// written value sizes are counted. The adapter itself is left untouched.
+function instrumentStorage(db, metrics) {
+  const wrapped = new Map();
+
+  return new Proxy(db, {
+    get(target, property) {
+      const value = Reflect.get(target, property, target);
+      if (typeof value !== 'function') {
+        return value;
+      }
+      if (!wrapped.has(property)) {
+        wrapped.set(property, TIMED_OPERATIONS.has(property)
+          ? timedOperation(target, property, value, metrics)
+          : value.bind(target));
+      }
+      return wrapped.get(property);
+    }
+  });
+}
+
+function timedOperation(target, operation, method, metrics) {
+  return async (...args) => {
+    const endTimer = metrics.queryDuration.startTimer({ backend: target.backend, operation });
+    try {
+      const result = await method.apply(target, args);
+      endTimer({ outcome: 'success' });
+
+      if (READ_OPERATIONS.includes(operation)) {
+        metrics.reads.inc({ operation });
+      } else if (WRITE_OPERATIONS.includes(operation)) {
+        const records = Array.isArray(result) ? result : [result];
+        metrics.writes.inc({ operation }, records.length);
+        for (const record of records) {
+          if (!record.deleted && record.size !== undefined) {
+            metrics.valueSize.observe({}, record.size);
+          }
+        }
+      } else if (operation === 'storeCommit') {
+        // Resolves with the commit record, one change per version written
+        metrics.writes.inc({ operation }, result.changes.length);
+      }
+      return result;
+    } catch (error) {
+      endTimer({ outcome: 'error' });
+      throw error;
+    }
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  Counter,
+  Gauge,
+  Histogram,
+  createMetrics,
+  recordHttpMetrics,
+  instrumentStorage
+};
@@ -0,0 +1,119 @@
+const logger = require('./logger');
+
+// Waiting for a key to change, for long-polling reads (GET /object/:key?waitForChangeAfter=).
+// Writes made by this process reach waiters through the adapter's 'change' events. Adapters
+// whose store can be shared by several server processes also implement watchChanges(listener)
+// (see src/storage.js), which reports versions written by any of them; the hub only runs
+// that feed while someone is waiting. A version may be reported twice, by both routes.
+
+const POLL_PAGE_SIZE = 500;
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.CHANGE_POLL_INTERVAL_MS) || 1000;
+
+// Calls listener with every version written to `db` from now on, by any process, by
+// polling getChanges every intervalMs. Returns a function that stops polling.
+function pollChanges(db, listener, intervalMs = DEFAULT_POLL_INTERVAL_MS) {
+  // Each poll starts over at the newest second seen: another process can still add a
+  // version to that second that sorts before the last one read
+  let since = Math.floor(Date.now() / 1000);
+  let stopped = false;
+  let timer = null;
+
+  const schedule = () => {
+    if (stopped) return;
+    timer = setTimeout(poll, intervalMs);
+    timer.unref();
+  };
+
+  async function poll() {
+    try {
+      let after = { timestamp: since, key: '', version: 0 };
+      while (!stopped) {
+        const changes = await db.getChanges({ after, limit: POLL_PAGE_SIZE });
+        changes.forEach(record => listener(record));
+        if (changes.length > 0) {
+          since = changes[changes.length - 1].timestamp;
+        }
+        if (changes.length < POLL_PAGE_SIZE) break;
+        const last = changes[changes.length - 1];
+        after = { timestamp: last.timestamp, key: last.key, version: last.version };
+      }
+    } catch (error) {
+      logger.error('Error polling for changes', { error: error.message, backend: db.backend });
+    }
+    schedule();
+  }
+
+  schedule();
+  logger.debug('Polling for changes', { backend: db.backend, intervalMs });
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+function createNotificationHub(db) {
+  const waiters = new Map();
+  let stopFeed = null;
+
+  function publish(record) {
+    const waiting = waiters.get(record.key);
+    if (!waiting) return;
+    for (const waiter of waiting) {
+      if (record.timestamp > waiter.after) {
+        waiter.finish(record);
+      }
+    }
+  }
+
+  db.on('change', publish);
+
+  function remove(key, waiter) {
+    const waiting = waiters.get(key);
+    waiting.delete(waiter);
+    if (waiting.size === 0) {
+      waiters.delete(key);
+    }
+    if (waiters.size === 0 && stopFeed) {
+      stopFeed();
+      stopFeed = null;
+    }
+  }
+
+  // Waits for a version of `key` with a timestamp after `after` (Unix seconds).
+  // Returns { promise, cancel }: promise resolves with that version, or with null
+  // after timeoutMs or once cancel() is called. Cancelling a finished wait does nothing.
+  function waitForChange(key, after, timeoutMs) {
+    let cancel;
+    const promise = new Promise((resolve) => {
+      let timer;
+      const waiter = {
+        after,
+        finish(record) {
+          if (!timer) return;
+          clearTimeout(timer);
+          timer = null;
+          remove(key, waiter);
+          resolve(record);
+        }
+      };
+      timer = setTimeout(() => waiter.finish(null), timeoutMs);
+      cancel = () => waiter.finish(null);
+
+      if (!waiters.has(key)) {
+        waiters.set(key, new Set());
+      }
+      waiters.get(key).add(waiter);
+      if (!stopFeed && typeof db.watchChanges === 'function') {
+        stopFeed = db.watchChanges(publish);
+      }
+    });
+    return { promise, cancel };
+  }
+
+  return { waitForChange };
+}
+
+module.exports = {
+  pollChanges,
+  createNotificationHub
+};
@@ -0,0 +1,19 @@
+// Opaque cursors for paginated endpoints. The position object is serialized
+// as base64url JSON so clients treat it as a token rather than a timestamp.
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return position && typeof position === 'object' ? position : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
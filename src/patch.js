@@ -0,0 +1,174 @@
+const { isEqual } = require('./diff');
+const { PatchTestFailedError, UnprocessablePatchError } = require('./errors');
+
+// Partial updates of stored values: RFC 7396 JSON Merge Patch and RFC 6902 JSON Patch.
+// Both return a new value and leave their input untouched.
+
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+const hasMember = (object, name) => Object.prototype.hasOwnProperty.call(object, name);
+
+// Plain assignment would treat a "__proto__" member as the prototype
+function setMember(object, name, value) {
+  Object.defineProperty(object, name, { value, writable: true, enumerable: true, configurable: true });
+}
+
+// RFC 7396: objects merge recursively, null removes a member, anything else replaces
+function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isPlainObject(target) ? clone(target) : {};
+  for (const [name, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[name];
+    } else {
+      setMember(result, name, applyMergePatch(hasMember(result, name) ? result[name] : undefined, value));
+    }
+  }
+  return result;
+}
+
+// RFC 6901 JSON Pointer -> unescaped segments ("" is the whole value)
+function parsePointer(pointer) {
+  return pointer === ''
+    ? []
+    : pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function arrayIndex(array, segment, { allowEnd = false } = {}) {
+  if (allowEnd && segment === '-') {
+    return array.length;
+  }
+  if (!/^(0|[1-9]\d*)$/.test(segment)) {
+    return -1;
+  }
+  const index = Number(segment);
+  return index < array.length || (allowEnd && index === array.length) ? index : -1;
+}
+
+// Walks to the container holding the last segment of `pointer`
+function locate(document, pointer, index) {
+  const segments = parsePointer(pointer);
+  const last = segments.pop();
+  let parent = document;
+  for (const segment of segments) {
+    const child = Array.isArray(parent)
+      ? parent[arrayIndex(parent, segment)]
+      : isPlainObject(parent) && hasMember(parent, segment) ? parent[segment] : undefined;
+    if (child === undefined) {
+      throw new UnprocessablePatchError(index, pointer, 'path does not exist');
+    }
+    parent = child;
+  }
+  if (parent === null || typeof parent !== 'object') {
+    throw new UnprocessablePatchError(index, pointer, 'parent is not an object or array');
+  }
+  return { parent, last };
+}
+
+function getValue(document, pointer, index) {
+  if (pointer === '') {
+    return document;
+  }
+  const { parent, last } = locate(document, pointer, index);
+  const position = Array.isArray(parent) ? arrayIndex(parent, last) : last;
+  if (position === -1 || !hasMember(parent, position)) {
+    throw new UnprocessablePatchError(index, pointer, 'path does not exist');
+  }
+  return parent[position];
+}
+
+function addValue(document, pointer, value, index) {
+  if (pointer === '') {
+    return value;
+  }
+  const { parent, last } = locate(document, pointer, index);
+  if (Array.isArray(parent)) {
+    const position = arrayIndex(parent, last, { allowEnd: true });
+    if (position === -1) {
+      throw new UnprocessablePatchError(index, pointer, 'array index is out of range');
+    }
+    parent.splice(position, 0, value);
+  } else {
+    setMember(parent, last, value);
+  }
+  return document;
+}
+
+function removeValue(document, pointer, index) {
+  if (pointer === '') {
+    throw new UnprocessablePatchError(index, pointer, 'the whole value cannot be removed');
+  }
+  getValue(document, pointer, index);
+  const { parent, last } = locate(document, pointer, index);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, last), 1);
+  } else {
+    delete parent[last];
+  }
+  return document;
+}
+
+function applyOperation(document, operation, index) {
+  switch (operation.op) {
+    case 'add':
+      return addValue(document, operation.path, clone(operation.value), index);
+    case 'remove':
+      return removeValue(document, operation.path, index);
+    case 'replace':
+      getValue(document, operation.path, index);
+      return addValue(
+        operation.path === '' ? document : removeValue(document, operation.path, index),
+        operation.path,
+        clone(operation.value),
+        index
+      );
+    case 'move': {
+      if (operation.path.startsWith(`${operation.from}/`)) {
+        throw new UnprocessablePatchError(index, operation.path, `cannot move "${operation.from}" into itself`);
+      }
+      const value = getValue(document, operation.from, index);
+      if (operation.from === operation.path) {
+        return document;
+      }
+      return addValue(removeValue(document, operation.from, index), operation.path, value, index);
+    }
+    case 'copy':
+      return addValue(document, operation.path, clone(getValue(document, operation.from, index)), index);
+    default: {
+      // "test"
+      const actual = getValue(document, operation.path, index);
+      if (!isEqual(actual, operation.value)) {
+        throw new PatchTestFailedError(index, operation.path, operation.value, actual);
+      }
+      return document;
+    }
+  }
+}
+
+// RFC 6902: applies validated operations in order, all or nothing. Throws
+// PatchTestFailedError for a failed "test" and UnprocessablePatchError otherwise.
+function applyJsonPatch(document, operations) {
+  return operations.reduce(
+    (current, operation, index) => applyOperation(current, operation, index),
+    clone(document)
+  );
+}
+
+module.exports = {
+  MERGE_PATCH_TYPE,
+  JSON_PATCH_TYPE,
+  applyMergePatch,
+  applyJsonPatch
+};
@@ -0,0 +1,43 @@
+// Optimistic concurrency helpers. A version's ETag is derived from its per-key
+// version number, which changes on every write to the key.
+function formatETag(record) {
+  return `"v${record.version}"`;
+}
+
+function parseIfMatch(header) {
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .filter(Boolean);
+}
+
+// Returns a predicate over the key's latest record (or null when the key has no
+// versions), or null when the request carries no condition. Adapters evaluate it
+// atomically with the write.
+function buildPrecondition({ ifMatch, expectedVersion, expectedTimestamp }) {
+  if (ifMatch === undefined && expectedVersion === undefined && expectedTimestamp === undefined) {
+    return null;
+  }
+
+  return (latest) => {
+    if (ifMatch !== undefined) {
+      const tags = parseIfMatch(ifMatch);
+      if (!latest) return false;
+      if (!tags.includes('*') && !tags.includes(formatETag(latest))) return false;
+    }
+    // expectedVersion 0 means "only write if the key does not exist yet"
+    if (expectedVersion !== undefined && (latest ? latest.version : 0) !== expectedVersion) {
+      return false;
+    }
+    if (expectedTimestamp !== undefined && (!latest || latest.timestamp !== expectedTimestamp)) {
+      return false;
+    }
+    return true;
+  };
+}
+
+module.exports = {
+  formatETag,
+  parseIfMatch,
+  buildPrecondition
+};
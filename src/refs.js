@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { isEqual } = require('./diff');
+const { liveValue } = require('./ttl');
+const { PreconditionFailedError } = require('./errors');
+const { validateTagName } = require('./validators');
+
+// Branches and tags over the key history. Like schemas, refs are ordinary keys:
+//   _refs.branches.<name>  { id, base, createdAt, lastMergedAt }
+//   _refs.tags.<name>      { timestamp, message }
+// A branch starts from main (the store itself) as of `base`. Its writes go to its own
+// copy of each key under "_branches.<name>.<id>.", and reads fall back to main as of
+// `base` for keys the branch hasn't written. Merging applies the branch's changes to
+// main and moves `base` to the merge. Deleting a branch removes its ref and its copies;
+// a new branch with the same name gets a new id and so starts clean either way.
+// Store-wide views of main pass RESERVED_PREFIXES as the `exclude` query option so
+// refs and branch copies never show up there.
+
+const MAIN_BRANCH = 'main';
+const BRANCH_REF_PREFIX = '_refs.branches.';
+const TAG_REF_PREFIX = '_refs.tags.';
+const BRANCH_DATA_PREFIX = '_branches.';
+const RESERVED_PREFIXES = ['_refs.', BRANCH_DATA_PREFIX];
+const KEY_PAGE_SIZE = 500;
+
+// Query parameters that take a timestamp, and so also a tag name
+const TIMESTAMP_PARAMS = ['timestamp', 'from', 'to'];
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function branchRefKey(name) {
+  return `${BRANCH_REF_PREFIX}${name}`;
+}
+
+function tagRefKey(name) {
+  return `${TAG_REF_PREFIX}${name}`;
+}
+
+// Refs and branch copies are only written through the /branches and /tags routes
+function isReservedKey(key) {
+  return RESERVED_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+const toBranch = (record) => ({ name: record.key.slice(BRANCH_REF_PREFIX.length), ...record.value });
+const toTag = (record) => ({ name: record.key.slice(TAG_REF_PREFIX.length), ...record.value, createdAt: record.timestamp });
+
+async function getBranch(db, name) {
+  const record = await db.getLatestValue(branchRefKey(name));
+  return record && !record.deleted ? toBranch(record) : null;
+}
+
+async function listBranches(db) {
+  return (await db.getSnapshot(now(), { prefix: BRANCH_REF_PREFIX })).map(toBranch);
+}
+
+// Stores the ref for a new branch of main as of `base`; null when the name is taken
+async function createBranch(db, name, base, audit) {
+  const timestamp = now();
+  const value = { id: crypto.randomBytes(4).toString('hex'), base, createdAt: timestamp, lastMergedAt: null };
+  try {
+    await db.storeValue(branchRefKey(name), value, timestamp, {
+      precondition: (latest) => !latest || latest.deleted,
+      audit
+    });
+  } catch (error) {
+    if (error instanceof PreconditionFailedError) return null;
+    throw error;
+  }
+  return { name, ...value };
+}
+
+// Removes the ref, then every copy the branch wrote under any id it had
+async function deleteBranch(db, name, audit) {
+  const deleted = await db.deleteValue(branchRefKey(name), now(), {
+    precondition: (latest) => Boolean(latest) && !latest.deleted,
+    audit
+  });
+  await db.deleteKeys(`${BRANCH_DATA_PREFIX}${name}.`);
+  return deleted;
+}
+
+function branchDataPrefix(branch) {
+  return `${BRANCH_DATA_PREFIX}${branch.name}.${branch.id}.`;
+}
+
+// Where `key` is stored on `branch` (null for main)
+function branchKey(branch, key) {
+  return branch ? `${branchDataPrefix(branch)}${key}` : key;
+}
+
+// The version of `key` that `branch` shows, latest or as of `timestamp`:
+// { record, inherited } where inherited records come from main, or null
+async function readKey(db, branch, key, timestamp) {
+  const read = (storedKey, at) => (at === undefined ? db.getLatestValue(storedKey) : db.getValueAtTimestamp(storedKey, at));
+
+  if (!branch) {
+    const record = await read(key, timestamp);
+    return record && { record, inherited: false };
+  }
+
+  const own = await read(branchKey(branch, key), timestamp);
+  if (own) {
+    return { record: { ...own, key }, inherited: false };
+  }
+  const record = await db.getValueAtTimestamp(key, timestamp === undefined ? branch.base : Math.min(timestamp, branch.base));
+  return record && { record, inherited: true };
+}
+
+// Storage precondition for a write on top of `shown` (from readKey): holds while the
+// key's own latest version is still the one that was read (none when inherited)
+function unchangedSince(shown) {
+  const version = shown && !shown.inherited ? shown.record.version : 0;
+  return (current) => (current ? current.version : 0) === version;
+}
+
+async function listBranchKeys(db, branch) {
+  const prefix = branchDataPrefix(branch);
+  const keys = [];
+  let after;
+  while (true) {
+    const page = await db.listKeys({ prefix, after, limit: KEY_PAGE_SIZE });
+    keys.push(...page.map(stored => stored.slice(prefix.length)));
+    if (page.length < KEY_PAGE_SIZE) break;
+    after = page[page.length - 1];
+  }
+  return keys;
+}
+
+const sameValue = (a, b) => (a === undefined || b === undefined ? a === b : isEqual(a, b));
+
+const describeSide = (record, value) =>
+  value === undefined ? null : { value, version: record.version, timestamp: record.timestamp };
+
+// Three-way merge of `branch` into main. A key the branch changed since `base` is a
+// conflict when main changed it too, to something else. With strategy 'fail' nothing
+// is written if there is any conflict; with 'theirs' the branch's value wins.
+// Resolves with { merged, conflicts, unchanged, base } where base is the branch's new
+// base, or null when it stays where it was.
+async function mergeBranch(db, branch, { strategy = 'fail', audit } = {}) {
+  const timestamp = now();
+  const conflicts = [];
+  const changes = [];
+  let unchanged = 0;
+
+  for (const key of await listBranchKeys(db, branch)) {
+    const [theirsRecord, baseRecord, oursRecord] = await Promise.all([
+      db.getLatestValue(branchKey(branch, key)),
+      db.getValueAtTimestamp(key, branch.base),
+      db.getLatestValue(key)
+    ]);
+    const theirs = liveValue(theirsRecord, timestamp);
+    const base = liveValue(baseRecord, branch.base);
+    const ours = liveValue(oursRecord, timestamp);
+
+    if (sameValue(theirs, base) || sameValue(theirs, ours)) {
+      unchanged++;
+      continue;
+    }
+    if (!sameValue(ours, base)) {
+      conflicts.push({
+        key,
+        base: describeSide(baseRecord, base),
+        main: describeSide(oursRecord, ours),
+        branch: describeSide(theirsRecord, theirs)
+      });
+      if (strategy !== 'theirs') continue;
+    }
+    changes.push({ key, value: theirs, expiresAt: theirs === undefined ? null : theirsRecord.expiresAt, oursRecord });
+  }
+
+  if (conflicts.length > 0 && strategy === 'fail') {
+    return { merged: [], conflicts, unchanged, base: null };
+  }
+
+  const merged = [];
+  let interrupted = false;
+  for (const { key, value, expiresAt, oursRecord } of changes) {
+    // Main may have moved on since it was compared; that key is then left for the next merge
+    const expected = oursRecord ? oursRecord.version : 0;
+    const precondition = (current) => (current ? current.version : 0) === expected;
+    try {
+      const stored = value === undefined
+        ? await db.deleteValue(key, timestamp, { precondition, audit })
+        : await db.storeValue(key, value, timestamp, { precondition, audit, expiresAt });
+      merged.push({ key, action: value === undefined ? 'deleted' : 'stored', version: stored.version });
+    } catch (error) {
+      if (!(error instanceof PreconditionFailedError)) throw error;
+      interrupted = true;
+      conflicts.push({ key, reason: 'Main changed during the merge' });
+    }
+  }
+
+  if (interrupted) {
+    return { merged, conflicts, unchanged, base: null };
+  }
+
+  const { name, ...ref } = branch;
+  await db.storeValue(branchRefKey(name), { ...ref, base: timestamp, lastMergedAt: timestamp }, timestamp, { audit });
+  return { merged, conflicts, unchanged, base: timestamp };
+}
+
+async function getTag(db, name) {
+  const record = await db.getLatestValue(tagRefKey(name));
+  return record && !record.deleted ? toTag(record) : null;
+}
+
+async function listTags(db) {
+  return (await db.getSnapshot(now(), { prefix: TAG_REF_PREFIX })).map(toTag);
+}
+
+// Tags are never moved: null when the name is taken
+async function createTag(db, name, { timestamp, message = null }, audit) {
+  try {
+    const stored = await db.storeValue(tagRefKey(name), { timestamp, message }, now(), {
+      precondition: (latest) => !latest || latest.deleted,
+      audit
+    });
+    return { name, timestamp, message, createdAt: stored.timestamp };
+  } catch (error) {
+    if (error instanceof PreconditionFailedError) return null;
+    throw error;
+  }
+}
+
+async function deleteTag(db, name, audit) {
+  return db.deleteValue(tagRefKey(name), now(), {
+    precondition: (latest) => Boolean(latest) && !latest.deleted,
+    audit
+  });
+}
+
+// Middleware: replaces a tag name in ?timestamp=, ?from= or ?to= with its timestamp and
+// lists the replaced parameters in req.resolvedTags (a tag can later be moved, so those
+// reads aren't fixed in time). Unknown names are left for the route's own validation.
+function resolveTags(db) {
+  return async (req, res, next) => {
+    req.resolvedTags = [];
+    try {
+      for (const param of TIMESTAMP_PARAMS) {
+        const value = req.query[param];
+        if (typeof value !== 'string' || validateTagName(value).error) continue;
+
+        const tag = await getTag(db, value);
+        if (tag) {
+          req.query[param] = String(tag.timestamp);
+          req.resolvedTags.push(param);
+        }
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  MAIN_BRANCH,
+  BRANCH_REF_PREFIX,
+  TAG_REF_PREFIX,
+  BRANCH_DATA_PREFIX,
+  RESERVED_PREFIXES,
+  isReservedKey,
+  getBranch,
+  listBranches,
+  createBranch,
+  deleteBranch,
+  branchKey,
+  readKey,
+  unchangedSince,
+  listBranchKeys,
+  mergeBranch,
+  getTag,
+  listTags,
+  createTag,
+  deleteTag,
+  resolveTags
+};
@@ -0,0 +1,93 @@
+const { validateRetentionPolicies } = require('./validators');
+
+const SECONDS_PER_DAY = 86400;
+const DOWNSAMPLE_BUCKETS = {
+  hour: 3600,
+  day: SECONDS_PER_DAY
+};
+
+// Reads retention policies from a JSON array such as
+// [{"prefix": "metrics.", "keepLast": 10}, {"prefix": "", "maxAgeDays": 90}].
+// No configuration means no policies, so history is kept forever.
+function loadRetentionPolicies(config = process.env.RETENTION_POLICIES) {
+  if (!config) {
+    return [];
+  }
+
+  let policies;
+  try {
+    policies = JSON.parse(config);
+  } catch (error) {
+    throw new Error(`RETENTION_POLICIES is not valid JSON: ${error.message}`);
+  }
+
+  const { error, value } = validateRetentionPolicies(policies);
+  if (error) {
+    throw new Error(`Invalid RETENTION_POLICIES: ${error.message}`);
+  }
+  return value;
+}
+
+// The policy with the longest prefix matching the key, or null if none applies
+function findPolicy(policies, key) {
+  let match = null;
+  for (const policy of policies) {
+    if (key.startsWith(policy.prefix) && (!match || policy.prefix.length > match.prefix.length)) {
+      match = policy;
+    }
+  }
+  return match;
+}
+
+// Versions of one key (ascending by version) that the policy would remove as of `now`.
+// The latest version is always kept so the current value never changes.
+function selectPrunable(versions, policy, now) {
+  if (versions.length === 0) {
+    return [];
+  }
+
+  const kept = new Set([versions[versions.length - 1].version]);
+
+  if (policy.keepLast) {
+    for (const entry of versions.slice(-policy.keepLast)) {
+      kept.add(entry.version);
+    }
+  }
+
+  if (policy.maxAgeDays) {
+    const cutoff = now - policy.maxAgeDays * SECONDS_PER_DAY;
+    for (const entry of versions) {
+      if (entry.timestamp >= cutoff) kept.add(entry.version);
+    }
+  }
+
+  if (policy.downsample) {
+    // Newer than the horizon everything stays; older versions keep the last one per bucket
+    const horizon = now - policy.downsample.olderThanDays * SECONDS_PER_DAY;
+    const bucketSize = DOWNSAMPLE_BUCKETS[policy.downsample.every];
+    const lastInBucket = new Map();
+    for (const entry of versions) {
+      if (entry.timestamp >= horizon) {
+        kept.add(entry.version);
+        continue;
+      }
+      const bucket = Math.floor(entry.timestamp / bucketSize);
+      const current = lastInBucket.get(bucket);
+      if (!current || entry.timestamp > current.timestamp ||
+          (entry.timestamp === current.timestamp && entry.version > current.version)) {
+        lastInBucket.set(bucket, entry);
+      }
+    }
+    for (const entry of lastInBucket.values()) {
+      kept.add(entry.version);
+    }
+  }
+
+  return versions.filter(entry => !kept.has(entry.version));
+}
+
+module.exports = {
+  loadRetentionPolicies,
+  findPolicy,
+  selectPrunable
+};
@@ -0,0 +1,79 @@
+const { isEqual } = require('./diff');
+const { liveValue, renewedExpiry } = require('./ttl');
+const { isReservedKey } = require('./refs');
+const { isSchemaKey } = require('./schemas');
+
+// Rollback: put keys back to their state as of an earlier timestamp by writing that
+// state as new latest versions. History is never rewritten, so a rollback is itself a
+// commit in the log (see src/commits.js) and can be reverted.
+
+const SNAPSHOT_PAGE_SIZE = 1000;
+
+// Resolves with the change that puts `key` back to its state at `to`, or null when it
+// is already there. The change is ready for storeCommit: its precondition holds while
+// the latest version is still the one the plan was made from. A value written with a
+// TTL gets that TTL again (see renewedExpiry in src/ttl.js).
+async function planKeyRollback(db, key, to, at = Math.floor(Date.now() / 1000)) {
+  const [target, latest] = await Promise.all([
+    db.getValueAtTimestamp(key, to),
+    db.getLatestValue(key)
+  ]);
+
+  const targetValue = liveValue(target, to);
+  const currentValue = liveValue(latest, at);
+  if (targetValue === undefined && currentValue === undefined) return null;
+  if (targetValue !== undefined && currentValue !== undefined && isEqual(targetValue, currentValue)) return null;
+
+  const latestVersion = latest ? latest.version : 0;
+  return {
+    key,
+    ...(targetValue !== undefined ? { value: targetValue, expiresAt: renewedExpiry(target, at) } : { deleted: true }),
+    fromVersion: latest ? latest.version : null,
+    toVersion: targetValue !== undefined ? target.version : null,
+    precondition: (current) => (current ? current.version : 0) === latestVersion
+  };
+}
+
+async function snapshotKeys(db, timestamp, prefix, keys) {
+  let after;
+  while (true) {
+    const page = await db.getSnapshot(timestamp, { prefix, after, limit: SNAPSHOT_PAGE_SIZE });
+    page.forEach(entry => keys.add(entry.key));
+    if (page.length < SNAPSHOT_PAGE_SIZE) return;
+    after = page[page.length - 1].key;
+  }
+}
+
+// Changes that put every key under `prefix` back to its state at `to`, in key order.
+// Only keys live at `to` or now can differ; branch data, refs and JSON Schemas (which
+// only admins write) are left alone.
+async function planPrefixRollback(db, prefix, to, at = Math.floor(Date.now() / 1000)) {
+  const keys = new Set();
+  await snapshotKeys(db, to, prefix, keys);
+  await snapshotKeys(db, at, prefix, keys);
+
+  const changes = [];
+  for (const key of [...keys].sort()) {
+    if (isReservedKey(key) || isSchemaKey(key)) continue;
+    const change = await planKeyRollback(db, key, to, at);
+    if (change) changes.push(change);
+  }
+  return changes;
+}
+
+// A planned change as it appears in responses
+function describeChange(change) {
+  return {
+    key: change.key,
+    action: change.deleted ? 'delete' : 'write',
+    fromVersion: change.fromVersion,
+    toVersion: change.toVersion,
+    value: change.deleted ? null : change.value
+  };
+}
+
+module.exports = {
+  planKeyRollback,
+  planPrefixRollback,
+  describeChange
+};
@@ -0,0 +1,187 @@
+const express = require('express');
+const { validateApiKeyBody } = require('../validators');
+const {
+  generateApiKey,
+  generateApiKeyId,
+  hashApiKey,
+  apiKeyPrefix,
+  requireScope
+} = require('../auth');
+const logger = require('../logger');
+
+// Hashes never leave the server; the secret itself is only returned on create and rotate
+function describeApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    keyPrefix: apiKey.keyPrefix,
+    scopes: apiKey.scopes,
+    createdAt: apiKey.createdAt,
+    rotatedAt: apiKey.rotatedAt,
+    revokedAt: apiKey.revokedAt
+  };
+}
+
+// API key management; every route needs the admin scope (see src/auth.js)
+function createApiKeyRoutes(db) {
+  const router = express.Router();
+
+  function sendError(res, error, requestId, message) {
+    const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      requestId,
+      errorId
+    });
+
+    res.status(500).json({
+      error: 'Internal server error',
+      requestId,
+      errorId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Looks up :id for rotate and revoke; sends 404/410 itself and returns null
+  async function findActiveKey(req, res, requestId) {
+    const apiKey = await db.getApiKey(req.params.id);
+    if (!apiKey) {
+      res.status(404).json({
+        error: 'API key not found',
+        id: req.params.id,
+        requestId,
+        timestamp: new Date().toISOString()
+      });
+      return null;
+    }
+    if (apiKey.revokedAt) {
+      res.status(410).json({
+        error: 'API key has been revoked',
+        id: apiKey.id,
+        revokedAt: apiKey.revokedAt,
+        requestId,
+        timestamp: new Date().toISOString(),
+        hint: 'Create a new key with POST /admin/api-keys'
+      });
+      return null;
+    }
+    return apiKey;
+  }
+
+  // POST /admin/api-keys - Create a key; the secret is only shown in this response
+  router.post('/admin/api-keys', requireScope('admin'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { error: bodyError, value: body } = validateApiKeyBody(req.body);
+      if (bodyError) {
+        return res.status(400).json({
+          error: 'Invalid request body',
+          details: bodyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Send JSON like: {"name": "deploy-bot", "scopes": ["read:cfg.*", "write:feature.*"]}'
+        });
+      }
+
+      const secret = generateApiKey();
+      const apiKey = await db.createApiKey({
+        id: generateApiKeyId(),
+        name: body.name,
+        keyHash: hashApiKey(secret),
+        keyPrefix: apiKeyPrefix(secret),
+        scopes: body.scopes,
+        createdAt: Math.floor(Date.now() / 1000)
+      });
+
+      res.status(201).json({
+        ...describeApiKey(apiKey),
+        key: secret,
+        requestId
+      });
+
+      logger.info('API key created', {
+        id: apiKey.id,
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+        createdBy: req.apiKey.id,
+        requestId
+      });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error creating API key');
+    }
+  });
+
+  // GET /admin/api-keys - List keys (revoked ones included) without their secrets
+  router.get('/admin/api-keys', requireScope('admin'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const apiKeys = await db.listApiKeys();
+
+      res.json({
+        apiKeys: apiKeys.map(describeApiKey),
+        count: apiKeys.length,
+        requestId,
+        retrievedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error listing API keys');
+    }
+  });
+
+  // POST /admin/api-keys/:id/rotate - Replace the secret; the old one stops working at once
+  router.post('/admin/api-keys/:id/rotate', requireScope('admin'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const current = await findActiveKey(req, res, requestId);
+      if (!current) return;
+
+      const secret = generateApiKey();
+      const apiKey = await db.updateApiKey(current.id, {
+        keyHash: hashApiKey(secret),
+        keyPrefix: apiKeyPrefix(secret),
+        rotatedAt: Math.floor(Date.now() / 1000)
+      });
+
+      res.json({
+        ...describeApiKey(apiKey),
+        key: secret,
+        requestId
+      });
+
+      logger.info('API key rotated', { id: apiKey.id, rotatedBy: req.apiKey.id, requestId });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error rotating API key');
+    }
+  });
+
+  // DELETE /admin/api-keys/:id - Revoke a key; it stays listed with revokedAt set
+  router.delete('/admin/api-keys/:id', requireScope('admin'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const current = await findActiveKey(req, res, requestId);
+      if (!current) return;
+
+      const apiKey = await db.updateApiKey(current.id, {
+        revokedAt: Math.floor(Date.now() / 1000)
+      });
+
+      res.json({
+        ...describeApiKey(apiKey),
+        requestId
+      });
+
+      logger.info('API key revoked', { id: apiKey.id, revokedBy: req.apiKey.id, requestId });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error revoking API key');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createApiKeyRoutes;
@@ -0,0 +1,109 @@
+const express = require('express');
+const { validateAuditQuery } = require('../validators');
+const { encodeCursor, decodeCursor } = require('../pagination');
+const { requireScope, prefixTarget } = require('../auth');
+const { describeAudit } = require('../audit');
+const { RESERVED_PREFIXES } = require('../refs');
+const logger = require('../logger');
+
+// The trail lists key names, so it needs read access to the prefix (or every key)
+const prefixScope = (req) => [prefixTarget(typeof req.query.prefix === 'string' ? req.query.prefix : '')];
+
+// Who wrote what and when, read from the audit fields stored with every version
+function createAuditRoutes(db) {
+  const router = express.Router();
+
+  // GET /audit - Writes in time order, filterable by actor, time range and key prefix
+  router.get('/audit', requireScope('read', prefixScope), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { error: queryError, value: query } = validateAuditQuery(req.query);
+      if (queryError) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          details: queryError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'from and to must be Unix timestamps (seconds since epoch)',
+            'prefix may only contain letters, numbers, underscores, hyphens, and dots',
+            'limit must be an integer between 1 and 1000'
+          ]
+        });
+      }
+
+      // Without a cursor, start just before the first write at `from`
+      let after = { timestamp: query.from || 0, key: '', version: 0 };
+      if (query.cursor) {
+        const position = decodeCursor(query.cursor);
+        if (!position || !Number.isInteger(position.timestamp) ||
+            typeof position.key !== 'string' || !Number.isInteger(position.version)) {
+          return res.status(400).json({
+            error: 'Invalid cursor',
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: 'Pass the nextCursor value from a previous response unchanged'
+          });
+        }
+        after = position;
+      }
+
+      // Fetch one extra entry to know whether another page exists
+      const changes = await db.getChanges({
+        after,
+        to: query.to,
+        actor: query.actor,
+        prefix: query.prefix,
+        exclude: RESERVED_PREFIXES,
+        limit: query.limit + 1
+      });
+      const hasMore = changes.length > query.limit;
+      const page = hasMore ? changes.slice(0, query.limit) : changes;
+      const last = page[page.length - 1];
+
+      res.json({
+        entries: page.map(change => ({
+          key: change.key,
+          version: change.version,
+          timestamp: change.timestamp,
+          deleted: change.deleted,
+          ...describeAudit(change)
+        })),
+        count: page.length,
+        nextCursor: hasMore
+          ? encodeCursor({ timestamp: last.timestamp, key: last.key, version: last.version })
+          : null,
+        requestId,
+        retrievedAt: new Date().toISOString()
+      });
+
+      logger.info('Audit trail retrieved', {
+        actor: query.actor,
+        prefix: query.prefix,
+        requestId,
+        count: page.length,
+        hasMore
+      });
+    } catch (error) {
+      const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      logger.error('Error retrieving audit trail', {
+        error: error.message,
+        stack: error.stack,
+        requestId,
+        errorId
+      });
+
+      res.status(500).json({
+        error: 'Internal server error',
+        requestId,
+        errorId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAuditRoutes;
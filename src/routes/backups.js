@@ -0,0 +1,138 @@
+const express = require('express');
+const {
+  BACKUP_FILE_PATTERN,
+  supportsBackup,
+  listBackups,
+  createBackup,
+  restoreBackup
+} = require('../backup');
+const { InvalidBackupError } = require('../errors');
+const { requireScope } = require('../auth');
+const logger = require('../logger');
+
+// Online backup and restore of the SQLite backend (see src/backup.js); admin only
+function createBackupRoutes(db, config) {
+  const router = express.Router();
+
+  function sendError(res, error, requestId, message) {
+    const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      requestId,
+      errorId
+    });
+
+    res.status(500).json({
+      error: 'Internal server error',
+      requestId,
+      errorId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  router.use('/admin/backups', requireScope('admin'), (req, res, next) => {
+    if (supportsBackup(db)) {
+      return next();
+    }
+    res.status(501).json({
+      error: 'Backups are not supported by this storage backend',
+      backend: db.backend,
+      timestamp: new Date().toISOString(),
+      hint: 'Use GET /admin/export for a portable NDJSON copy instead'
+    });
+  });
+
+  // POST /admin/backups - Take a consistent backup now, then drop the oldest beyond BACKUP_KEEP
+  router.post('/admin/backups', async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const backup = await createBackup(db, config);
+
+      res.status(201).json({
+        ...backup,
+        requestId
+      });
+
+      logger.info('Backup created', { file: backup.file, size: backup.size, createdBy: req.apiKey.id, requestId });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error creating backup');
+    }
+  });
+
+  // GET /admin/backups - List backups, newest first
+  router.get('/admin/backups', async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const backups = await listBackups(config);
+
+      res.json({
+        backups,
+        count: backups.length,
+        keep: config.keep,
+        requestId,
+        retrievedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error listing backups');
+    }
+  });
+
+  // POST /admin/backups/:file/restore - Verify a backup and swap it in for the live database
+  router.post('/admin/backups/:file/restore', async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const { file } = req.params;
+
+    try {
+      if (!BACKUP_FILE_PATTERN.test(file)) {
+        return res.status(400).json({
+          error: 'Invalid backup file name',
+          file,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Use a file name from GET /admin/backups'
+        });
+      }
+
+      const backups = await listBackups(config);
+      if (!backups.some(backup => backup.file === file)) {
+        return res.status(404).json({
+          error: 'Backup not found',
+          file,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Use a file name from GET /admin/backups'
+        });
+      }
+
+      const result = await restoreBackup(db, config, file);
+
+      res.json({
+        ...result,
+        requestId,
+        restoredAt: new Date().toISOString()
+      });
+
+      logger.info('Backup restore requested', { file, previous: result.previous.file, restoredBy: req.apiKey.id, requestId });
+    } catch (error) {
+      if (error instanceof InvalidBackupError) {
+        logger.warn('Backup failed verification', { file, reason: error.reason, requestId });
+        return res.status(422).json({
+          error: 'Backup failed verification',
+          file,
+          reason: error.reason,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'The live database was left unchanged'
+        });
+      }
+      sendError(res, error, requestId, 'Error restoring backup');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createBackupRoutes;
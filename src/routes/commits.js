@@ -0,0 +1,308 @@
+const express = require('express');
+const { validateCommitBody, validateRevertBody, validateCommitsQuery } = require('../validators');
+const { encodeCursor, decodeCursor } = require('../pagination');
+const { buildPrecondition } = require('../preconditions');
+const { PreconditionFailedError } = require('../errors');
+const { requireScope, hasScope, prefixTarget } = require('../auth');
+const { auditFor } = require('../audit');
+const { checkValue, isSchemaKey, requireAdminForSchemaKeys } = require('../schemas');
+const { isReservedKey } = require('../refs');
+const { generateCommitId, revertChanges } = require('../commits');
+const logger = require('../logger');
+
+// Scope targets: every key a new commit changes
+const changedKeys = (req) =>
+  (req.body && Array.isArray(req.body.changes) ? req.body.changes : [])
+    .map(change => (change && typeof change.key === 'string' ? change.key : ''));
+
+// The log lists key names, so it needs read access to every key
+const everyKey = () => [prefixTarget('')];
+
+// Atomic multi-key commits (see src/commits.js)
+function createCommitRoutes(db) {
+  const router = express.Router();
+
+  function sendError(res, error, requestId, message) {
+    const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      requestId,
+      errorId
+    });
+
+    res.status(500).json({
+      error: 'Internal server error',
+      requestId,
+      errorId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  function sendPreconditionFailed(res, error, requestId) {
+    logger.info('Commit rejected by precondition', { key: error.key, requestId });
+    return res.status(412).json({
+      error: 'Precondition failed: the latest version has changed',
+      key: error.key,
+      currentVersion: error.current ? error.current.version : null,
+      requestId,
+      timestamp: new Date().toISOString(),
+      hint: 'Nothing was written; check expectedVersion and that deleted keys still exist'
+    });
+  }
+
+  function commitNotFound(res, id, requestId) {
+    return res.status(404).json({
+      error: 'Commit not found',
+      id,
+      requestId,
+      timestamp: new Date().toISOString(),
+      hint: 'List commits with GET /commits'
+    });
+  }
+
+  // A commit's keys are only known once it is loaded, so its scope is checked here.
+  // Writing schema keys takes the admin scope (see requireAdminForSchemaKeys).
+  function lacksScope(req, res, action, commit) {
+    const keys = commit.changes.map(change => change.key);
+    if (action === 'write' && keys.some(isSchemaKey) && !(req.apiKey && hasScope(req.apiKey.scopes, 'admin'))) {
+      logger.warn('API key lacks scope', { apiKeyId: req.apiKey ? req.apiKey.id : null, action: 'admin', targets: keys });
+      res.status(req.apiKey ? 403 : 401).json({
+        error: req.apiKey ? 'API key does not have the required scope' : 'Authentication required',
+        required: ['admin'],
+        timestamp: new Date().toISOString(),
+        hint: 'The commit changes JSON Schemas, which only admin keys can write'
+      });
+      return true;
+    }
+    if (!req.authRequired || hasScope(req.apiKey.scopes, action, keys)) {
+      return false;
+    }
+    logger.warn('API key lacks scope', { apiKeyId: req.apiKey.id, action, targets: keys });
+    res.status(403).json({
+      error: 'API key does not have the required scope',
+      required: keys.map(key => `${action}:${key}`),
+      scopes: req.apiKey.scopes,
+      timestamp: new Date().toISOString()
+    });
+    return true;
+  }
+
+  // POST /commits - Apply several key changes atomically with one message
+  router.post('/commits', requireScope('write', changedKeys), requireAdminForSchemaKeys(changedKeys), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { error: bodyError, value: body } = validateCommitBody(req.body);
+      if (bodyError) {
+        return res.status(400).json({
+          error: 'Invalid request body format',
+          details: bodyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Send JSON like: {"message": "Switch to v2", "changes": [{"key": "cfg.api", "value": "v2"}, {"key": "cfg.legacy", "deleted": true}]}'
+        });
+      }
+
+      // Validate every change up front so nothing is written unless all of them pass
+      const errors = [];
+      for (const { key, value, deleted } of body.changes) {
+        if (isReservedKey(key)) {
+          errors.push({ key, error: 'Key is reserved for branches and tags' });
+          continue;
+        }
+        if (deleted) continue;
+
+        const valueSize = JSON.stringify(value).length;
+        if (valueSize > 1024 * 1024) {
+          errors.push({ key, error: 'Value too large', size: valueSize, limit: 1024 * 1024 });
+          continue;
+        }
+
+        const violation = await checkValue(db, key, value);
+        if (violation) {
+          errors.push({
+            key,
+            error: violation.schema ? 'Value does not match the schema for this key' : 'Invalid JSON Schema',
+            schema: violation.schema,
+            details: violation.details
+          });
+        }
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Commit validation failed, no values were stored',
+          errors,
+          requestId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const changes = body.changes.map(({ key, value, deleted = false, expectedVersion }) => {
+        const expected = buildPrecondition({ expectedVersion });
+        return {
+          key,
+          value,
+          deleted,
+          // A delete needs a live key to delete
+          precondition: deleted
+            ? (latest) => Boolean(latest) && !latest.deleted && (!expected || expected(latest))
+            : expected
+        };
+      });
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      const commit = await db.storeCommit({ id: generateCommitId(), message: body.message }, changes, timestamp, {
+        audit: { ...auditFor(req, requestId), message: body.message }
+      });
+
+      res.status(201).json({ ...commit, requestId });
+
+      logger.info('Commit stored', { id: commit.id, count: commit.changes.length, timestamp, requestId });
+    } catch (error) {
+      if (error instanceof PreconditionFailedError) {
+        return sendPreconditionFailed(res, error, requestId);
+      }
+      sendError(res, error, requestId, 'Error storing commit');
+    }
+  });
+
+  // GET /commits - Commit log, newest first, with cursor pagination
+  router.get('/commits', requireScope('read', everyKey), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { error: queryError, value: query } = validateCommitsQuery(req.query);
+      if (queryError) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          details: queryError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'limit must be an integer between 1 and 1000'
+        });
+      }
+
+      let before;
+      if (query.cursor) {
+        before = decodeCursor(query.cursor);
+        if (!before || !Number.isInteger(before.timestamp) || typeof before.id !== 'string') {
+          return res.status(400).json({
+            error: 'Invalid cursor',
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: 'Pass the nextCursor value from a previous response unchanged'
+          });
+        }
+      }
+
+      // Fetch one extra commit to know whether another page exists
+      const commits = await db.listCommits({ before, limit: query.limit + 1 });
+      const hasMore = commits.length > query.limit;
+      const page = hasMore ? commits.slice(0, query.limit) : commits;
+      const last = page[page.length - 1];
+
+      res.json({
+        commits: page,
+        count: page.length,
+        nextCursor: hasMore ? encodeCursor({ timestamp: last.timestamp, id: last.id }) : null,
+        requestId,
+        retrievedAt: new Date().toISOString()
+      });
+
+      logger.info('Commit log retrieved', { count: page.length, requestId });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error listing commits');
+    }
+  });
+
+  // GET /commits/:id - A commit with the value each of its versions wrote
+  router.get('/commits/:id', requireScope('read'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const commit = await db.getCommit(req.params.id);
+      if (!commit) {
+        return commitNotFound(res, req.params.id, requestId);
+      }
+      if (lacksScope(req, res, 'read', commit)) return;
+
+      // Compaction may have pruned a version since; its value is then null
+      const changes = await Promise.all(commit.changes.map(async (change) => {
+        const record = change.deleted ? null : await db.getVersion(change.key, change.version);
+        return { ...change, value: record ? record.value : null };
+      }));
+
+      res.json({ ...commit, changes, requestId });
+
+      logger.info('Commit retrieved', { id: commit.id, requestId });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error retrieving commit');
+    }
+  });
+
+  // POST /commits/:id/revert - Undo a commit with an inverse commit
+  router.post('/commits/:id/revert', requireScope('write'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { error: bodyError, value: body } = validateRevertBody(req.body);
+      if (bodyError) {
+        return res.status(400).json({
+          error: 'Invalid request body format',
+          details: bodyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Send no body, or JSON like: {"message": "Revert the v2 rollout"}'
+        });
+      }
+
+      const commit = await db.getCommit(req.params.id);
+      if (!commit) {
+        return commitNotFound(res, req.params.id, requestId);
+      }
+      if (lacksScope(req, res, 'write', commit)) return;
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      const { changes, conflicts } = await revertChanges(db, commit, timestamp);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          error: 'Keys have changed since the commit',
+          id: commit.id,
+          conflicts,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Nothing was reverted; revert the newer commits first or write the keys directly'
+        });
+      }
+      if (changes.length === 0) {
+        return res.status(409).json({
+          error: 'Nothing to revert',
+          id: commit.id,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Every key the commit changed is already in its earlier state'
+        });
+      }
+
+      const message = body.message || `Revert "${commit.message}"`;
+      const revert = await db.storeCommit({ id: generateCommitId(), message, revertOf: commit.id }, changes, timestamp, {
+        audit: { ...auditFor(req, requestId), message }
+      });
+
+      res.status(201).json({ ...revert, requestId });
+
+      logger.info('Commit reverted', { id: commit.id, revertId: revert.id, count: revert.changes.length, requestId });
+    } catch (error) {
+      if (error instanceof PreconditionFailedError) {
+        return sendPreconditionFailed(res, error, requestId);
+      }
+      sendError(res, error, requestId, 'Error reverting commit');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCommitRoutes;
@@ -0,0 +1,66 @@
+const express = require('express');
+const { validateCompactionQuery } = require('../validators');
+const { compactHistory } = require('../compaction');
+const { requireScope, prefixTarget } = require('../auth');
+const logger = require('../logger');
+
+// The report lists key names, so it needs read access to the prefix (or every key)
+const prefixScope = (req) => [prefixTarget(typeof req.query.prefix === 'string' ? req.query.prefix : '')];
+
+// History retention routes; the compaction job itself is scheduled by server.js
+function createCompactionRoutes(db, policies) {
+  const router = express.Router();
+
+  // GET /compaction/dry-run - Report what the retention policies would prune right now
+  router.get('/compaction/dry-run', requireScope('read', prefixScope), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { error: queryError, value: query } = validateCompactionQuery(req.query);
+      if (queryError) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          details: queryError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'prefix may only contain letters, numbers, underscores, hyphens, and dots'
+        });
+      }
+
+      const report = await compactHistory(db, policies, { dryRun: true, prefix: query.prefix });
+
+      res.json({
+        policies,
+        ...report,
+        requestId,
+        ...(policies.length === 0 && { hint: 'Set RETENTION_POLICIES to enable history compaction' })
+      });
+
+      logger.info('Compaction dry run', {
+        prefix: query.prefix,
+        requestId,
+        keysCompacted: report.keysCompacted,
+        versionsPruned: report.versionsPruned
+      });
+    } catch (error) {
+      const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      logger.error('Error running compaction dry run', {
+        error: error.message,
+        stack: error.stack,
+        requestId,
+        errorId
+      });
+
+      res.status(500).json({
+        error: 'Internal server error',
+        requestId,
+        errorId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCompactionRoutes;
@@ -0,0 +1,141 @@
+const express = require('express');
+const { validateKeysQuery } = require('../validators');
+const { encodeCursor, decodeCursor } = require('../pagination');
+const { requireScope, prefixTarget } = require('../auth');
+const { afterPrefix } = require('../keyspace');
+const { RESERVED_PREFIXES } = require('../refs');
+const logger = require('../logger');
+
+// The listing shows key names, so it needs read access to the prefix (or every key)
+const prefixScope = (req) => [prefixTarget(typeof req.query.prefix === 'string' ? req.query.prefix : '')];
+
+// Walks keys under `prefix` in order, collapsing every key that contains the
+// delimiter after the prefix into one namespace entry (S3 CommonPrefixes).
+// Stops after `limit` entries; each entry carries the cursor position that resumes after it.
+async function listEntries(db, { prefix = '', delimiter, includeDeleted, after, limit }) {
+  const entries = [];
+  let position = after;
+
+  while (entries.length < limit) {
+    const summaries = await db.listKeySummaries({
+      prefix: prefix || undefined,
+      exclude: RESERVED_PREFIXES,
+      after: position,
+      limit: limit - entries.length,
+      includeDeleted
+    });
+    if (summaries.length === 0) break;
+
+    for (const summary of summaries) {
+      const rest = summary.key.slice(prefix.length);
+      const index = delimiter ? rest.indexOf(delimiter) : -1;
+
+      if (index === -1) {
+        position = summary.key;
+        entries.push({ position, summary });
+        continue;
+      }
+
+      // Skip the rest of the namespace in one step rather than paging through it
+      const namespace = prefix + rest.slice(0, index + delimiter.length);
+      position = afterPrefix(namespace);
+      entries.push({ position, namespace });
+      break;
+    }
+  }
+
+  return entries;
+}
+
+// Namespace browsing over key names; values are read through /object/:key
+function createKeyRoutes(db) {
+  const router = express.Router();
+
+  // GET /keys - Keys and sub-namespaces under a prefix, with per-key version stats
+  router.get('/keys', requireScope('read', prefixScope), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { error: queryError, value: query } = validateKeysQuery(req.query);
+      if (queryError) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          details: queryError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'prefix and delimiter may only contain letters, numbers, underscores, hyphens, and dots',
+            'limit must be an integer between 1 and 1000'
+          ]
+        });
+      }
+
+      let after;
+      if (query.cursor) {
+        const position = decodeCursor(query.cursor);
+        if (!position || typeof position.after !== 'string') {
+          return res.status(400).json({
+            error: 'Invalid cursor',
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: 'Pass the nextCursor value from a previous response unchanged'
+          });
+        }
+        after = position.after;
+      }
+
+      // Fetch one extra entry to know whether another page exists
+      const entries = await listEntries(db, {
+        prefix: query.prefix,
+        delimiter: query.delimiter,
+        includeDeleted: query.includeDeleted,
+        after,
+        limit: query.limit + 1
+      });
+      const hasMore = entries.length > query.limit;
+      const page = hasMore ? entries.slice(0, query.limit) : entries;
+
+      const keys = page.filter(entry => entry.summary).map(entry => entry.summary);
+      const namespaces = page.filter(entry => entry.namespace).map(entry => entry.namespace);
+
+      res.json({
+        prefix: query.prefix || '',
+        delimiter: query.delimiter || null,
+        keys,
+        namespaces,
+        count: page.length,
+        nextCursor: hasMore ? encodeCursor({ after: page[page.length - 1].position }) : null,
+        requestId,
+        retrievedAt: new Date().toISOString()
+      });
+
+      logger.info('Keys listed', {
+        prefix: query.prefix,
+        delimiter: query.delimiter,
+        requestId,
+        keys: keys.length,
+        namespaces: namespaces.length,
+        hasMore
+      });
+    } catch (error) {
+      const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      logger.error('Error listing keys', {
+        error: error.message,
+        stack: error.stack,
+        requestId,
+        errorId
+      });
+
+      res.status(500).json({
+        error: 'Internal server error',
+        requestId,
+        errorId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createKeyRoutes;
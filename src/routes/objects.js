@@ -0,0 +1,1380 @@
+const express = require('express');
+const {
+  validateKey,
+  validateValue,
+  validateTimestamp,
+  validateBatch,
+  validateWriteConditions,
+  validatePutBody,
+  validateRestoreBody,
+  validateJsonPatch,
+  validateTtl,
+  validateBranchName,
+  validateDiffQuery,
+  validateVersionsQuery,
+  validateWaitQuery
+} = require('../validators');
+const { encodeCursor, decodeCursor } = require('../pagination');
+const { formatETag, buildPrecondition } = require('../preconditions');
+const { setCacheHeaders, isNotModified } = require('../caching');
+const { createNotificationHub } = require('../notifications');
+const { PreconditionFailedError, PatchTestFailedError, UnprocessablePatchError } = require('../errors');
+const { MERGE_PATCH_TYPE, JSON_PATCH_TYPE, applyMergePatch, applyJsonPatch } = require('../patch');
+const { isEqual, diffValues } = require('../diff');
+const { requireScope } = require('../auth');
+const { auditFor, describeAudit } = require('../audit');
+const { keyStats } = require('../stats');
+const { checkValue, requireAdminForSchemaKeys } = require('../schemas');
+const { TTL_HEADER, isExpired, isExpiryTombstone, renewedExpiry } = require('../ttl');
+const { MAIN_BRANCH, isReservedKey, getBranch, branchKey, readKey, unchangedSince } = require('../refs');
+const { findPolicy } = require('../retention');
+const logger = require('../logger');
+
+// Scope targets (see src/auth.js): the key in the path, or every key in a write body
+const paramKey = (req) => [req.params.key];
+const bodyKeys = (req) => (req.body && typeof req.body === 'object' ? Object.keys(req.body) : []);
+
+// Optional time-to-live of a write in seconds: ?ttl= or the X-TTL header (see src/ttl.js)
+const requestedTtl = (req) => validateTtl(req.query.ttl !== undefined ? req.query.ttl : req.get(TTL_HEADER));
+
+// A PATCH is re-applied to the new latest version when another write lands in between
+const MAX_PATCH_ATTEMPTS = 5;
+
+// Key read/write routes, backed by any storage adapter (see src/storage.js).
+// retentionPolicies are the ones compaction applies (see src/retention.js).
+function createObjectRoutes(db, notifications = createNotificationHub(db), retentionPolicies = []) {
+  const router = express.Router();
+
+  // 400 for a value rejected by checkValue (see src/schemas.js)
+  function sendSchemaViolation(res, key, violation, requestId) {
+    logger.info('Write rejected by JSON Schema', {
+      key,
+      schemaPrefix: violation.schema ? violation.schema.prefix : null,
+      violations: violation.details.length,
+      requestId
+    });
+    return res.status(400).json({
+      error: violation.schema ? 'Value does not match the schema for this key' : 'Invalid JSON Schema',
+      key,
+      schema: violation.schema,
+      details: violation.details,
+      requestId,
+      timestamp: new Date().toISOString(),
+      hint: violation.schema
+        ? `See the schema with GET /schemas/${violation.schema.prefix}`
+        : 'Schemas support a subset of JSON Schema, see README'
+    });
+  }
+
+  function sendInvalidTtl(res, ttlError, requestId) {
+    return res.status(400).json({
+      error: 'Invalid TTL',
+      details: ttlError.details,
+      requestId,
+      timestamp: new Date().toISOString(),
+      hint: `Send ?ttl=<seconds> or an ${TTL_HEADER} header with a whole number of seconds (at most 10 years)`
+    });
+  }
+
+  function sendReservedKey(res, key, requestId) {
+    return res.status(400).json({
+      error: 'Key is reserved for branches and tags',
+      key,
+      requestId,
+      timestamp: new Date().toISOString(),
+      hint: 'Manage them with the /branches and /tags endpoints, and write to a branch with ?branch=<name>'
+    });
+  }
+
+  // ?branch=<name> (see src/refs.js): resolves null for main and the branch otherwise.
+  // Sends 400 or 404 and resolves undefined when there is no such branch.
+  async function resolveBranch(req, res, requestId) {
+    const name = req.query.branch;
+    if (name === undefined || name === MAIN_BRANCH) {
+      return null;
+    }
+
+    const { error: branchError } = validateBranchName(name);
+    const branch = branchError ? null : await getBranch(db, name);
+    if (!branch) {
+      res.status(branchError ? 400 : 404).json({
+        error: branchError ? 'Invalid branch name' : 'Branch not found',
+        branch: name,
+        ...(branchError && { details: branchError.details }),
+        requestId,
+        timestamp: new Date().toISOString(),
+        hint: 'List branches with GET /branches'
+      });
+      return undefined;
+    }
+    return branch;
+  }
+
+  // On a branch, write conditions apply to the version the branch shows, which is main's
+  // until the branch writes the key itself. Returns the precondition for the stored key.
+  async function branchPrecondition(branch, key, condition) {
+    if (!branch || !condition) {
+      return condition;
+    }
+    const shown = await readKey(db, branch, key);
+    const record = shown ? shown.record : null;
+    if (!condition(record)) {
+      throw new PreconditionFailedError(key, record);
+    }
+    return unchangedSince(shown);
+  }
+
+  // Shared by POST /object and PUT /object/:key once the key and value are validated
+  async function storeAndRespond(res, { key, branch = null, value, precondition, ttl, audit, requestId }) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const expiresAt = ttl ? timestamp + ttl : null;
+    const valueSize = JSON.stringify(value).length;
+
+    // Check value size limit (1MB)
+    if (valueSize > 1024 * 1024) {
+      return res.status(413).json({
+        error: 'Value too large',
+        size: valueSize,
+        limit: 1024 * 1024,
+        requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (isReservedKey(key)) {
+      return sendReservedKey(res, key, requestId);
+    }
+
+    const violation = await checkValue(db, key, value);
+    if (violation) {
+      return sendSchemaViolation(res, key, violation, requestId);
+    }
+
+    const stored = await db.storeValue(branchKey(branch, key), value, timestamp, { precondition, audit, expiresAt });
+
+    res.set('ETag', formatETag(stored));
+    res.status(201).json({
+      key,
+      ...(branch && { branch: branch.name }),
+      value,
+      timestamp,
+      version: stored.version,
+      expiresAt,
+      requestId,
+      size: valueSize
+    });
+
+    logger.info('Value stored successfully', { 
+      key, 
+      branch: branch ? branch.name : MAIN_BRANCH,
+      timestamp, 
+      version: stored.version,
+      requestId,
+      valueSize,
+      valueType: typeof value
+    });
+  }
+
+  function handleWriteError(res, error, requestId) {
+    if (error instanceof PreconditionFailedError) {
+      logger.info('Write rejected by precondition', {
+        key: error.key,
+        currentVersion: error.current ? error.current.version : null,
+        requestId
+      });
+      return res.status(412).json({
+        error: 'Precondition failed: the latest version has changed',
+        key: error.key,
+        currentVersion: error.current ? error.current.version : null,
+        currentTimestamp: error.current ? error.current.timestamp : null,
+        currentETag: error.current ? formatETag(error.current) : null,
+        requestId,
+        timestamp: new Date().toISOString(),
+        hint: 'Fetch the latest version and retry with its ETag or version'
+      });
+    }
+
+    const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    logger.error('Error storing value', { 
+      error: error.message, 
+      stack: error.stack,
+      requestId,
+      errorId
+    });
+
+    if (error.message.includes('UNIQUE constraint')) {
+      res.status(409).json({
+        error: 'Concurrent write to the same key, please retry',
+        requestId,
+        errorId,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      res.status(500).json({
+        error: 'Internal server error',
+        requestId,
+        errorId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // POST /object - Store key-value pair with enhanced validation
+  router.post('/object', requireScope('write', bodyKeys), requireAdminForSchemaKeys(bodyKeys), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      // Validate Content-Type
+      const contentType = req.get('Content-Type');
+      if (!contentType || !contentType.includes('application/json')) {
+        return res.status(400).json({
+          error: 'Content-Type must be application/json',
+          requestId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Validate request body structure
+      const { error: bodyError } = validateValue(req.body);
+      if (bodyError) {
+        return res.status(400).json({
+          error: 'Invalid request body format',
+          details: bodyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: ['Request body must be valid JSON object', 'Maximum 100 properties per object']
+        });
+      }
+
+      const entries = Object.entries(req.body);
+      if (entries.length !== 1) {
+        return res.status(400).json({
+          error: 'Request body must contain exactly one key-value pair',
+          received: entries.length,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Send JSON like: {"mykey": "myvalue"}'
+        });
+      }
+
+      const [key, value] = entries[0];
+
+      // Enhanced key validation
+      const { error: keyError } = validateKey(key);
+      if (keyError) {
+        return res.status(400).json({
+          error: 'Invalid key format',
+          key: key,
+          details: keyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'Keys must be 1-255 characters long',
+            'Only letters, numbers, underscores, hyphens, and dots allowed',
+            'Cannot start or end with dots'
+          ]
+        });
+      }
+
+      const { error: conditionsError, value: conditions } = validateWriteConditions(req.query);
+      if (conditionsError) {
+        return res.status(400).json({
+          error: 'Invalid write conditions',
+          details: conditionsError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'expectedVersion and expectedTimestamp must be non-negative integers'
+        });
+      }
+
+      const { error: ttlError, value: ttl } = requestedTtl(req);
+      if (ttlError) {
+        return sendInvalidTtl(res, ttlError, requestId);
+      }
+
+      const branch = await resolveBranch(req, res, requestId);
+      if (branch === undefined) return;
+
+      const precondition = await branchPrecondition(branch, key, buildPrecondition({
+        ifMatch: req.get('If-Match'),
+        expectedVersion: conditions.expectedVersion,
+        expectedTimestamp: conditions.expectedTimestamp
+      }));
+
+      await storeAndRespond(res, { key, branch, value, precondition, ttl, audit: auditFor(req, requestId), requestId });
+    } catch (error) {
+      handleWriteError(res, error, requestId);
+    }
+  });
+
+  // PUT /object/:key - Store a new version of one key, optionally conditional on its latest version
+  router.put('/object/:key', requireScope('write', paramKey), requireAdminForSchemaKeys(paramKey), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { key } = req.params;
+
+      const { error: keyError } = validateKey(key);
+      if (keyError) {
+        return res.status(400).json({
+          error: 'Invalid key format',
+          key: key,
+          details: keyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'Keys must be 1-255 characters long',
+            'Only letters, numbers, underscores, hyphens, and dots allowed'
+          ]
+        });
+      }
+
+      const { error: bodyError, value: body } = validatePutBody(req.body);
+      if (bodyError) {
+        return res.status(400).json({
+          error: 'Invalid request body format',
+          details: bodyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Send JSON like: {"value": "myvalue", "expectedVersion": 3}'
+        });
+      }
+
+      const { error: ttlError, value: ttl } = requestedTtl(req);
+      if (ttlError) {
+        return sendInvalidTtl(res, ttlError, requestId);
+      }
+
+      const branch = await resolveBranch(req, res, requestId);
+      if (branch === undefined) return;
+
+      const precondition = await branchPrecondition(branch, key, buildPrecondition({
+        ifMatch: req.get('If-Match'),
+        expectedVersion: body.expectedVersion,
+        expectedTimestamp: body.expectedTimestamp
+      }));
+
+      await storeAndRespond(res, {
+        key,
+        branch,
+        value: body.value,
+        precondition,
+        ttl,
+        audit: auditFor(req, requestId),
+        requestId
+      });
+    } catch (error) {
+      handleWriteError(res, error, requestId);
+    }
+  });
+
+  // PATCH /object/:key - Apply a merge patch or JSON Patch to the latest version as a new version
+  router.patch('/object/:key', requireScope('write', paramKey), requireAdminForSchemaKeys(paramKey), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { key } = req.params;
+
+      const { error: keyError } = validateKey(key);
+      if (keyError) {
+        return res.status(400).json({
+          error: 'Invalid key format',
+          key: key,
+          details: keyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'Keys must be 1-255 characters long',
+            'Only letters, numbers, underscores, hyphens, and dots allowed'
+          ]
+        });
+      }
+
+      const format = req.is(MERGE_PATCH_TYPE) ? 'merge-patch' : req.is(JSON_PATCH_TYPE) ? 'json-patch' : null;
+      if (!format) {
+        return res.status(415).json({
+          error: 'Unsupported patch format',
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: `Send the patch with "Content-Type: ${MERGE_PATCH_TYPE}" (RFC 7396) or "Content-Type: ${JSON_PATCH_TYPE}" (RFC 6902)`
+        });
+      }
+
+      if (format === 'json-patch') {
+        const { error: patchError } = validateJsonPatch(req.body);
+        if (patchError) {
+          return res.status(400).json({
+            error: 'Invalid JSON Patch',
+            details: patchError.details,
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: 'Send an array like: [{"op": "replace", "path": "/enabled", "value": true}]'
+          });
+        }
+      }
+
+      const { error: conditionsError, value: conditions } = validateWriteConditions(req.query);
+      if (conditionsError) {
+        return res.status(400).json({
+          error: 'Invalid write conditions',
+          details: conditionsError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'expectedVersion and expectedTimestamp must be non-negative integers'
+        });
+      }
+
+      const { error: ttlError, value: ttl } = requestedTtl(req);
+      if (ttlError) {
+        return sendInvalidTtl(res, ttlError, requestId);
+      }
+
+      const branch = await resolveBranch(req, res, requestId);
+      if (branch === undefined) return;
+
+      const condition = buildPrecondition({
+        ifMatch: req.get('If-Match'),
+        expectedVersion: conditions.expectedVersion,
+        expectedTimestamp: conditions.expectedTimestamp
+      });
+
+      for (let attempt = 1; ; attempt++) {
+        const shown = await readKey(db, branch, key);
+        const latest = shown && shown.record;
+        if (!latest) {
+          return res.status(404).json({
+            error: 'Key not found',
+            key: key,
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: 'Create the key with POST /object or PUT /object/:key first'
+          });
+        }
+        const expiry = await expiryOf(branch, shown);
+        if (expiry) {
+          return res.status(410).json({
+            error: 'Key has expired',
+            key: key,
+            ...expiry,
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: 'Store a new value with POST /object or PUT /object/:key'
+          });
+        }
+        if (latest.deleted) {
+          return res.status(410).json({
+            error: 'Key has been deleted',
+            key: key,
+            deletedAt: latest.timestamp,
+            version: latest.version,
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: `Restore it with POST /object/${key}/restore first`
+          });
+        }
+        if (condition && !condition(latest)) {
+          throw new PreconditionFailedError(key, latest);
+        }
+
+        const value = format === 'merge-patch'
+          ? applyMergePatch(latest.value, req.body)
+          : applyJsonPatch(latest.value, req.body);
+
+        // Only store if the version the patch was applied to is still the latest
+        const precondition = unchangedSince(shown);
+
+        try {
+          return await storeAndRespond(res, { key, branch, value, precondition, ttl, audit: auditFor(req, requestId), requestId });
+        } catch (error) {
+          if (!(error instanceof PreconditionFailedError) || attempt === MAX_PATCH_ATTEMPTS) {
+            throw error;
+          }
+          logger.info('Patch base version changed, reapplying', { key, baseVersion: latest.version, attempt, requestId });
+        }
+      }
+    } catch (error) {
+      if (error instanceof PatchTestFailedError) {
+        logger.info('Patch test operation failed', { key: req.params.key, operation: error.index, path: error.path, requestId });
+        return res.status(409).json({
+          error: 'Patch test failed',
+          key: req.params.key,
+          operation: error.index,
+          path: error.path,
+          expected: error.expected,
+          actual: error.actual,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'No changes were stored; fetch the latest value and rebuild the patch'
+        });
+      }
+      if (error instanceof UnprocessablePatchError) {
+        return res.status(422).json({
+          error: 'Patch cannot be applied to the latest value',
+          key: req.params.key,
+          operation: error.index,
+          path: error.path,
+          reason: error.reason,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'No changes were stored; check the paths against the latest value'
+        });
+      }
+      handleWriteError(res, error, requestId);
+    }
+  });
+
+  // POST /objects/batch - Store many key-value pairs atomically under one timestamp
+  router.post('/objects/batch', requireScope('write', bodyKeys), requireAdminForSchemaKeys(bodyKeys), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const contentType = req.get('Content-Type');
+      if (!contentType || !contentType.includes('application/json')) {
+        return res.status(400).json({
+          error: 'Content-Type must be application/json',
+          requestId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const { error: bodyError } = validateBatch(req.body);
+      if (bodyError) {
+        return res.status(400).json({
+          error: 'Invalid request body format',
+          details: bodyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Send JSON like: {"key1": "value1", "key2": "value2"}'
+        });
+      }
+
+      const { error: ttlError, value: ttl } = requestedTtl(req);
+      if (ttlError) {
+        return sendInvalidTtl(res, ttlError, requestId);
+      }
+
+      const branch = await resolveBranch(req, res, requestId);
+      if (branch === undefined) return;
+
+      // Validate every entry up front so nothing is written unless all of them pass
+      const entries = Object.entries(req.body);
+      const errors = [];
+      for (const [key, value] of entries) {
+        const { error: keyError } = validateKey(key);
+        if (keyError) {
+          errors.push({ key, error: 'Invalid key format', details: keyError.details });
+          continue;
+        }
+        if (isReservedKey(key)) {
+          errors.push({ key, error: 'Key is reserved for branches and tags' });
+          continue;
+        }
+
+        const valueSize = JSON.stringify(value).length;
+        if (valueSize > 1024 * 1024) {
+          errors.push({ key, error: 'Value too large', size: valueSize, limit: 1024 * 1024 });
+          continue;
+        }
+
+        const violation = await checkValue(db, key, value);
+        if (violation) {
+          errors.push({
+            key,
+            error: violation.schema ? 'Value does not match the schema for this key' : 'Invalid JSON Schema',
+            schema: violation.schema,
+            details: violation.details
+          });
+        }
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Batch validation failed, no values were stored',
+          errors,
+          requestId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      const expiresAt = ttl ? timestamp + ttl : null;
+      const stored = await db.storeValues(
+        entries.map(([key, value]) => [branchKey(branch, key), value]),
+        timestamp,
+        { audit: auditFor(req, requestId), expiresAt }
+      );
+
+      res.status(201).json({
+        ...(branch && { branch: branch.name }),
+        timestamp,
+        expiresAt,
+        count: stored.length,
+        results: stored.map((result, index) => ({
+          key: entries[index][0],
+          status: 'stored',
+          version: result.version,
+          size: result.size
+        })),
+        requestId
+      });
+
+      logger.info('Batch stored successfully', {
+        count: stored.length,
+        timestamp,
+        requestId
+      });
+    } catch (error) {
+      const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      logger.error('Error storing batch', {
+        error: error.message,
+        stack: error.stack,
+        requestId,
+        errorId
+      });
+
+      res.status(500).json({
+        error: 'Batch write failed, no values were stored',
+        requestId,
+        errorId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // How the version `shown` (from readKey) has expired by `at`: through its own
+  // expiresAt, or as the sweeper's tombstone for the version before it.
+  // -> { expiredAt, version } | null
+  async function expiryOf(branch, shown, at) {
+    const { record } = shown;
+    if (isExpired(record, at)) {
+      return { expiredAt: record.expiresAt, version: record.version };
+    }
+    if (!isExpiryTombstone(record)) {
+      return null;
+    }
+    const storedKey = shown.inherited ? record.key : branchKey(branch, record.key);
+    const [expired] = await db.getAllVersions(storedKey, { order: 'desc', after: record.version, limit: 1 });
+    return expired && expired.expiresAt !== null
+      ? { expiredAt: expired.expiresAt, version: expired.version }
+      : { expiredAt: record.timestamp, version: record.version };
+  }
+
+  // Whether main's version `record` of `key`, read as of a past second, is settled for
+  // good. Compaction may prune keys under a retention policy, and while `record` is the
+  // latest version an import can still add one before the read second (imports only
+  // append, see checkImportOrder in src/transfer.js).
+  async function isSettled(key, record) {
+    if (findPolicy(retentionPolicies, key)) {
+      return false;
+    }
+    const latest = await db.getLatestValue(key);
+    return latest.version > record.version;
+  }
+
+  // Long polling: resolves 'changed' once `key` (on `branch`) has a version newer than
+  // `after`, 'timeout' after timeoutSeconds, or 'closed' if the client goes away first
+  async function waitForVersion(res, branch, key, after, timeoutSeconds) {
+    const waiter = notifications.waitForChange(branchKey(branch, key), after, timeoutSeconds * 1000);
+    let closed = false;
+    const onClose = () => {
+      closed = true;
+      waiter.cancel();
+    };
+    res.on('close', onClose);
+
+    try {
+      // Subscribed before reading, so a write in between still ends the wait
+      const shown = await readKey(db, branch, key);
+      if (shown && shown.record.timestamp > after) {
+        return 'changed';
+      }
+      const record = await waiter.promise;
+      if (closed) return 'closed';
+      return record ? 'changed' : 'timeout';
+    } finally {
+      // Also drops the waiter when the read above throws
+      waiter.cancel();
+      res.removeListener('close', onClose);
+    }
+  }
+
+  // GET /object/:key - Get latest value or value at timestamp with enhanced error handling
+  router.get('/object/:key', requireScope('read', paramKey), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { key } = req.params;
+      const { timestamp } = req.query;
+
+      // Enhanced key validation
+      const { error: keyError } = validateKey(key);
+      if (keyError) {
+        return res.status(400).json({
+          error: 'Invalid key format',
+          key: key,
+          details: keyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'Keys must be 1-255 characters long',
+            'Only letters, numbers, underscores, hyphens, and dots allowed'
+          ]
+        });
+      }
+
+      const branch = await resolveBranch(req, res, requestId);
+      if (branch === undefined) return;
+
+      const { waitForChangeAfter, timeout } = req.query;
+      if (waitForChangeAfter !== undefined || timeout !== undefined) {
+        const { error: waitError, value: wait } = validateWaitQuery({ waitForChangeAfter, timeout });
+        if (waitError || timestamp) {
+          return res.status(400).json({
+            error: 'Invalid long-polling parameters',
+            details: waitError ? waitError.details : [{ message: 'waitForChangeAfter cannot be combined with timestamp' }],
+            requestId,
+            timestamp: new Date().toISOString(),
+            hints: [
+              'waitForChangeAfter is the Unix timestamp of the version you already have',
+              'timeout is the longest wait in seconds, from 1 to 60 (default 30)',
+              'Only the latest value can be waited for'
+            ]
+          });
+        }
+
+        const outcome = await waitForVersion(res, branch, key, wait.waitForChangeAfter, wait.timeout);
+        if (outcome === 'closed') {
+          logger.info('Long poll abandoned by client', { key, requestId });
+          return;
+        }
+        if (outcome === 'timeout') {
+          res.set('Cache-Control', 'no-store');
+          res.status(304).end();
+          logger.info('Long poll timed out', { key, after: wait.waitForChangeAfter, requestId });
+          return;
+        }
+        // Changed: answer with the latest value below
+      }
+
+      if (timestamp) {
+        // Enhanced timestamp validation
+        const { error: timestampError } = validateTimestamp(timestamp);
+        if (timestampError) {
+          return res.status(400).json({
+            error: 'Invalid timestamp format',
+            timestamp: timestamp,
+            details: timestampError.details,
+            requestId,
+            timestamp: new Date().toISOString(),
+            hints: [
+              'Timestamp must be a valid Unix timestamp (seconds since epoch) or a tag name',
+              'Cannot be more than 1 day in the future',
+              'Example: ' + Math.floor(Date.now() / 1000)
+            ]
+          });
+        }
+
+        const ts = parseInt(timestamp);
+        const shown = await readKey(db, branch, key, ts);
+        const result = shown && shown.record;
+        if (!result) {
+          return res.status(404).json({
+            error: 'No value found for key at specified timestamp',
+            key: key,
+            timestamp: ts,
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: 'Try getting the latest value without timestamp parameter'
+          });
+        }
+
+        const expiry = await expiryOf(branch, shown, ts);
+        if (expiry) {
+          return res.status(410).json({
+            error: 'Key had expired at specified timestamp',
+            key: key,
+            ...expiry,
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: 'Use an earlier timestamp to read the value before it expired'
+          });
+        }
+
+        if (result.deleted) {
+          return res.status(410).json({
+            error: 'Key was deleted at specified timestamp',
+            key: key,
+            deletedAt: result.timestamp,
+            version: result.version,
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: 'Use an earlier timestamp to read the value before the delete'
+          });
+        }
+
+        // Main's settled value as of a past second can't change; a branch can be
+        // recreated and a tag moved, so those reads are only cached briefly
+        const immutable = !branch && ts < Math.floor(Date.now() / 1000) &&
+          !req.resolvedTags.includes('timestamp') && await isSettled(key, result);
+        setCacheHeaders(req, res, result, { immutable });
+        if (isNotModified(req, result)) {
+          res.status(304).end();
+          logger.info('Historical value not modified', { key, timestamp: ts, version: result.version, requestId });
+          return;
+        }
+
+        res.json({ 
+          value: result.value,
+          timestamp: result.timestamp,
+          version: result.version,
+          expiresAt: result.expiresAt,
+          ...(branch && { branch: branch.name, inherited: shown.inherited }),
+          requestId,
+          retrievedAt: new Date().toISOString()
+        });
+
+        logger.info('Historical value retrieved', { 
+          key, 
+          timestamp: ts, 
+          requestId,
+          actualTimestamp: result.timestamp
+        });
+      } else {
+        const shown = await readKey(db, branch, key);
+        const result = shown && shown.record;
+        if (!result) {
+          return res.status(404).json({
+            error: 'Key not found',
+            key: key,
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: 'Make sure the key exists by storing a value first'
+          });
+        }
+
+        const expiry = await expiryOf(branch, shown);
+        if (expiry) {
+          return res.status(410).json({
+            error: 'Key has expired',
+            key: key,
+            ...expiry,
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: `Read it as of an earlier timestamp, or restore it with POST /object/${key}/restore`
+          });
+        }
+
+        if (result.deleted) {
+          return res.status(410).json({
+            error: 'Key has been deleted',
+            key: key,
+            deletedAt: result.timestamp,
+            version: result.version,
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: `Restore an earlier version with POST /object/${key}/restore`
+          });
+        }
+
+        setCacheHeaders(req, res, result);
+        if (isNotModified(req, result)) {
+          res.status(304).end();
+          logger.info('Latest value not modified', { key, version: result.version, requestId });
+          return;
+        }
+
+        res.json({ 
+          value: result.value,
+          timestamp: result.timestamp,
+          version: result.version,
+          expiresAt: result.expiresAt,
+          ...(branch && { branch: branch.name, inherited: shown.inherited }),
+          requestId,
+          retrievedAt: new Date().toISOString()
+        });
+
+        logger.info('Latest value retrieved', { 
+          key, 
+          requestId,
+          valueTimestamp: result.timestamp
+        });
+      }
+    } catch (error) {
+      const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      logger.error('Error retrieving value', { 
+        error: error.message, 
+        stack: error.stack,
+        requestId,
+        errorId,
+        key: req.params.key
+      });
+
+      res.status(500).json({
+        error: 'Internal server error',
+        requestId,
+        errorId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // GET /object/:key/versions - List version history with cursor pagination
+  router.get('/object/:key/versions', requireScope('read', paramKey), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { key } = req.params;
+
+      const { error: keyError } = validateKey(key);
+      if (keyError) {
+        return res.status(400).json({
+          error: 'Invalid key format',
+          key: key,
+          details: keyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'Keys must be 1-255 characters long',
+            'Only letters, numbers, underscores, hyphens, and dots allowed'
+          ]
+        });
+      }
+
+      const { error: queryError, value: query } = validateVersionsQuery(req.query);
+      if (queryError) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          details: queryError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'from and to must be Unix timestamps (seconds since epoch)',
+            'order must be asc or desc',
+            'limit must be an integer between 1 and 1000'
+          ]
+        });
+      }
+
+      let after;
+      if (query.cursor) {
+        const position = decodeCursor(query.cursor);
+        if (!position || !Number.isInteger(position.version)) {
+          return res.status(400).json({
+            error: 'Invalid cursor',
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: 'Pass the nextCursor value from a previous response unchanged'
+          });
+        }
+        after = position.version;
+      }
+
+      // Fetch one extra row to know whether another page exists
+      const versions = await db.getAllVersions(key, {
+        from: query.from,
+        to: query.to,
+        order: query.order,
+        after,
+        limit: query.limit + 1
+      });
+      const hasMore = versions.length > query.limit;
+      const page = hasMore ? versions.slice(0, query.limit) : versions;
+
+      if (page.length === 0 && !query.cursor && query.from === undefined && query.to === undefined) {
+        return res.status(404).json({
+          error: 'Key not found',
+          key: key,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Make sure the key exists by storing a value first'
+        });
+      }
+
+      res.json({
+        key,
+        versions: page.map(version => ({
+          value: version.value,
+          timestamp: version.timestamp,
+          version: version.version,
+          deleted: version.deleted,
+          expiresAt: version.expiresAt,
+          ...describeAudit(version)
+        })),
+        count: page.length,
+        order: query.order,
+        nextCursor: hasMore ? encodeCursor({ version: page[page.length - 1].version }) : null,
+        requestId,
+        retrievedAt: new Date().toISOString()
+      });
+
+      logger.info('Version history retrieved', {
+        key,
+        requestId,
+        count: page.length,
+        hasMore
+      });
+    } catch (error) {
+      const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      logger.error('Error retrieving version history', {
+        error: error.message,
+        stack: error.stack,
+        requestId,
+        errorId,
+        key: req.params.key
+      });
+
+      res.status(500).json({
+        error: 'Internal server error',
+        requestId,
+        errorId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // GET /object/:key/diff - Compare the values a key had at two timestamps
+  router.get('/object/:key/diff', requireScope('read', paramKey), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { key } = req.params;
+
+      const { error: keyError } = validateKey(key);
+      if (keyError) {
+        return res.status(400).json({
+          error: 'Invalid key format',
+          key: key,
+          details: keyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'Keys must be 1-255 characters long',
+            'Only letters, numbers, underscores, hyphens, and dots allowed'
+          ]
+        });
+      }
+
+      const { error: queryError, value: query } = validateDiffQuery(req.query);
+      if (queryError) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          details: queryError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'from and to are both required',
+            'from and to must be Unix timestamps (seconds since epoch)'
+          ]
+        });
+      }
+
+      const [before, after] = await Promise.all([
+        db.getValueAtTimestamp(key, query.from),
+        db.getValueAtTimestamp(key, query.to)
+      ]);
+
+      if (!before && !after) {
+        return res.status(404).json({
+          error: 'No value found for key at either timestamp',
+          key: key,
+          from: query.from,
+          to: query.to,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: `Check the key history with GET /object/${key}/versions`
+        });
+      }
+
+      // A key that did not exist yet or was deleted compares as null
+      const beforeValue = before && !before.deleted ? before.value : null;
+      const afterValue = after && !after.deleted ? after.value : null;
+      const describe = (record) => record
+        ? { version: record.version, timestamp: record.timestamp, deleted: record.deleted }
+        : null;
+
+      res.json({
+        key,
+        from: query.from,
+        to: query.to,
+        fromVersion: describe(before),
+        toVersion: describe(after),
+        changed: !isEqual(beforeValue, afterValue),
+        diff: diffValues(beforeValue, afterValue),
+        requestId,
+        retrievedAt: new Date().toISOString()
+      });
+
+      logger.info('Key diff retrieved', {
+        key,
+        from: query.from,
+        to: query.to,
+        requestId
+      });
+    } catch (error) {
+      const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      logger.error('Error computing key diff', {
+        error: error.message,
+        stack: error.stack,
+        requestId,
+        errorId,
+        key: req.params.key
+      });
+
+      res.status(500).json({
+        error: 'Internal server error',
+        requestId,
+        errorId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // GET /object/:key/stats - Write history summary: first/last write, cadence and size trend
+  router.get('/object/:key/stats', requireScope('read', paramKey), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { key } = req.params;
+
+      const { error: keyError } = validateKey(key);
+      if (keyError) {
+        return res.status(400).json({
+          error: 'Invalid key format',
+          key: key,
+          details: keyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'Keys must be 1-255 characters long',
+            'Only letters, numbers, underscores, hyphens, and dots allowed'
+          ]
+        });
+      }
+
+      const versions = await db.getAllVersions(key, { order: 'asc' });
+      if (versions.length === 0) {
+        return res.status(404).json({
+          error: 'Key not found',
+          key: key,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Make sure the key exists by storing a value first'
+        });
+      }
+
+      res.json({
+        key,
+        ...keyStats(versions),
+        requestId,
+        retrievedAt: new Date().toISOString()
+      });
+
+      logger.info('Key stats retrieved', { key, requestId, versionCount: versions.length });
+    } catch (error) {
+      const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      logger.error('Error computing key stats', {
+        error: error.message,
+        stack: error.stack,
+        requestId,
+        errorId,
+        key: req.params.key
+      });
+
+      res.status(500).json({
+        error: 'Internal server error',
+        requestId,
+        errorId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // DELETE /object/:key - Soft delete: append a tombstone version
+  router.delete('/object/:key', requireScope('write', paramKey), requireAdminForSchemaKeys(paramKey), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { key } = req.params;
+
+      const { error: keyError } = validateKey(key);
+      if (keyError) {
+        return res.status(400).json({
+          error: 'Invalid key format',
+          key: key,
+          details: keyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'Keys must be 1-255 characters long',
+            'Only letters, numbers, underscores, hyphens, and dots allowed'
+          ]
+        });
+      }
+
+      if (isReservedKey(key)) {
+        return sendReservedKey(res, key, requestId);
+      }
+
+      const branch = await resolveBranch(req, res, requestId);
+      if (branch === undefined) return;
+
+      const shown = await readKey(db, branch, key);
+      const latest = shown && shown.record;
+      if (!latest) {
+        return res.status(404).json({
+          error: 'Key not found',
+          key: key,
+          requestId,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (latest.deleted) {
+        return res.status(410).json({
+          error: 'Key has already been deleted',
+          key: key,
+          deletedAt: latest.timestamp,
+          version: latest.version,
+          requestId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Re-checked atomically with the write so a concurrent delete can't stack tombstones
+      const ifMatch = buildPrecondition({ ifMatch: req.get('If-Match') });
+      const precondition = branch
+        ? await branchPrecondition(branch, key, ifMatch) || unchangedSince(shown)
+        : (current) => Boolean(current) && !current.deleted && (!ifMatch || ifMatch(current));
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      const tombstone = await db.deleteValue(branchKey(branch, key), timestamp, {
+        precondition,
+        audit: auditFor(req, requestId)
+      });
+
+      res.json({
+        key,
+        ...(branch && { branch: branch.name }),
+        deleted: true,
+        timestamp,
+        version: tombstone.version,
+        requestId
+      });
+
+      logger.info('Key deleted', {
+        key,
+        timestamp,
+        version: tombstone.version,
+        requestId
+      });
+    } catch (error) {
+      handleWriteError(res, error, requestId);
+    }
+  });
+
+  // POST /object/:key/restore - Re-publish an earlier version as the newest one
+  router.post('/object/:key/restore', requireScope('write', paramKey), requireAdminForSchemaKeys(paramKey), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { key } = req.params;
+
+      const { error: keyError } = validateKey(key);
+      if (keyError) {
+        return res.status(400).json({
+          error: 'Invalid key format',
+          key: key,
+          details: keyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'Keys must be 1-255 characters long',
+            'Only letters, numbers, underscores, hyphens, and dots allowed'
+          ]
+        });
+      }
+
+      if (isReservedKey(key)) {
+        return sendReservedKey(res, key, requestId);
+      }
+
+      const { error: bodyError, value: body } = validateRestoreBody(req.body);
+      if (bodyError) {
+        return res.status(400).json({
+          error: 'Invalid request body format',
+          details: bodyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Send JSON like: {"version": 3} or {"timestamp": 1640995200}'
+        });
+      }
+
+      const source = body.version !== undefined
+        ? await db.getVersion(key, body.version)
+        : await db.getValueAtTimestamp(key, body.timestamp);
+
+      if (!source) {
+        return res.status(404).json({
+          error: 'Version not found',
+          key: key,
+          ...(body.version !== undefined ? { version: body.version } : { at: body.timestamp }),
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: `List available versions with GET /object/${key}/versions`
+        });
+      }
+      if (source.deleted) {
+        return res.status(400).json({
+          error: 'Cannot restore a deleted version',
+          key: key,
+          version: source.version,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Choose a version written before the delete'
+        });
+      }
+
+      // The schema may have changed since the old version was written
+      const violation = await checkValue(db, key, source.value);
+      if (violation) {
+        return sendSchemaViolation(res, key, violation, requestId);
+      }
+
+      const precondition = buildPrecondition({ ifMatch: req.get('If-Match') });
+      const timestamp = Math.floor(Date.now() / 1000);
+      const expiresAt = renewedExpiry(source, timestamp);
+      const audit = auditFor(req, requestId);
+      const restored = await db.storeValue(key, source.value, timestamp, {
+        precondition,
+        audit: { ...audit, message: audit.message || `Restored version ${source.version}` },
+        expiresAt
+      });
+
+      res.set('ETag', formatETag(restored));
+      res.status(201).json({
+        key,
+        value: source.value,
+        timestamp,
+        version: restored.version,
+        expiresAt,
+        restoredFrom: {
+          version: source.version,
+          timestamp: source.timestamp
+        },
+        requestId
+      });
+
+      logger.info('Version restored', {
+        key,
+        fromVersion: source.version,
+        version: restored.version,
+        requestId
+      });
+    } catch (error) {
+      handleWriteError(res, error, requestId);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createObjectRoutes;
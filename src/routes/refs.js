@@ -0,0 +1,372 @@
+const express = require('express');
+const {
+  validateBranchName,
+  validateTagName,
+  validateBranchBody,
+  validateMergeBody,
+  validateTagBody
+} = require('../validators');
+const {
+  MAIN_BRANCH,
+  getBranch,
+  listBranches,
+  createBranch,
+  deleteBranch,
+  listBranchKeys,
+  mergeBranch,
+  getTag,
+  listTags,
+  createTag,
+  deleteTag
+} = require('../refs');
+const { PreconditionFailedError } = require('../errors');
+const { requireScope } = require('../auth');
+const { auditFor } = require('../audit');
+const logger = require('../logger');
+
+// Branches and tags (see src/refs.js). Anyone who can read can list and resolve them;
+// creating, merging and deleting them needs an admin key.
+function createRefRoutes(db) {
+  const router = express.Router();
+
+  function sendError(res, error, requestId, message) {
+    const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      requestId,
+      errorId
+    });
+
+    res.status(500).json({
+      error: 'Internal server error',
+      requestId,
+      errorId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Validates :name and loads the branch; sends 400/404 and resolves null otherwise
+  async function findBranch(req, res, requestId) {
+    const { name } = req.params;
+    const { error: nameError } = validateBranchName(name);
+    const branch = nameError || name === MAIN_BRANCH ? null : await getBranch(db, name);
+    if (!branch) {
+      res.status(nameError ? 400 : 404).json({
+        error: nameError ? 'Invalid branch name' : 'Branch not found',
+        branch: name,
+        ...(nameError && { details: nameError.details }),
+        requestId,
+        timestamp: new Date().toISOString(),
+        hint: name === MAIN_BRANCH ? '"main" is the store itself, not a branch' : 'List branches with GET /branches'
+      });
+    }
+    return branch;
+  }
+
+  // Validates :name and loads the tag; sends 400/404 and resolves null otherwise
+  async function findTag(req, res, requestId) {
+    const { name } = req.params;
+    const { error: nameError } = validateTagName(name);
+    const tag = nameError ? null : await getTag(db, name);
+    if (!tag) {
+      res.status(nameError ? 400 : 404).json({
+        error: nameError ? 'Invalid tag name' : 'Tag not found',
+        tag: name,
+        ...(nameError && { details: nameError.details }),
+        requestId,
+        timestamp: new Date().toISOString(),
+        hint: 'List tags with GET /tags'
+      });
+    }
+    return tag;
+  }
+
+  // GET /branches - Every branch, ordered by name
+  router.get('/branches', requireScope('read'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const branches = await listBranches(db);
+
+      res.json({
+        branches,
+        count: branches.length,
+        requestId,
+        retrievedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error listing branches');
+    }
+  });
+
+  // GET /branches/:name - A branch and the keys it has written
+  router.get('/branches/:name', requireScope('read'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const branch = await findBranch(req, res, requestId);
+      if (!branch) return;
+
+      const keys = await listBranchKeys(db, branch);
+
+      res.json({
+        ...branch,
+        keys,
+        requestId,
+        retrievedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error retrieving branch');
+    }
+  });
+
+  // POST /branches - Branch main as of a timestamp or tag (now by default)
+  router.post('/branches', requireScope('admin'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { error: bodyError, value: body } = validateBranchBody(req.body);
+      if (bodyError) {
+        return res.status(400).json({
+          error: 'Invalid request body format',
+          details: bodyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Send JSON like: {"name": "staging"}, optionally with "timestamp" or "tag" to branch from the past'
+        });
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      let base = body.timestamp !== undefined ? body.timestamp : now;
+      if (body.tag !== undefined) {
+        const tag = await getTag(db, body.tag);
+        if (!tag) {
+          return res.status(404).json({
+            error: 'Tag not found',
+            tag: body.tag,
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: 'List tags with GET /tags'
+          });
+        }
+        base = tag.timestamp;
+      }
+      if (base > now) {
+        return res.status(400).json({
+          error: 'Cannot branch from the future',
+          base,
+          requestId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const branch = await createBranch(db, body.name, base, auditFor(req, requestId));
+      if (!branch) {
+        return res.status(409).json({
+          error: 'Branch already exists',
+          branch: body.name,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: `Delete it with DELETE /branches/${body.name} first, or pick another name`
+        });
+      }
+
+      res.status(201).json({ ...branch, requestId });
+
+      logger.info('Branch created', { branch: branch.name, base, requestId, createdBy: req.apiKey.id });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error creating branch');
+    }
+  });
+
+  // POST /branches/:name/merge - Apply the branch's changes to main, reporting conflicts
+  router.post('/branches/:name/merge', requireScope('admin'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { error: bodyError, value: body } = validateMergeBody(req.body);
+      if (bodyError) {
+        return res.status(400).json({
+          error: 'Invalid request body format',
+          details: bodyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Send JSON like: {"strategy": "theirs"}, or no body to stop at conflicts'
+        });
+      }
+
+      const branch = await findBranch(req, res, requestId);
+      if (!branch) return;
+
+      const audit = auditFor(req, requestId);
+      const result = await mergeBranch(db, branch, {
+        strategy: body.strategy,
+        audit: { ...audit, message: audit.message || `Merged branch ${branch.name}` }
+      });
+
+      // Conflicts only leave the merge unfinished under 'fail', or if main changed meanwhile
+      const status = result.base === null ? 409 : 200;
+      res.status(status).json({
+        ...(status === 409 && { error: 'Merge conflicts' }),
+        branch: branch.name,
+        strategy: body.strategy,
+        merged: result.merged,
+        conflicts: result.conflicts,
+        unchanged: result.unchanged,
+        base: result.base,
+        requestId,
+        timestamp: new Date().toISOString(),
+        ...(status === 409 && {
+          hint: result.merged.length > 0
+            ? 'Main changed during the merge; merge again to apply the remaining keys'
+            : 'Nothing was merged; resolve the conflicts on either side or merge with {"strategy": "theirs"}'
+        })
+      });
+
+      logger.info('Branch merged', {
+        branch: branch.name,
+        merged: result.merged.length,
+        conflicts: result.conflicts.length,
+        requestId,
+        mergedBy: req.apiKey.id
+      });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error merging branch');
+    }
+  });
+
+  // DELETE /branches/:name - Remove a branch and the keys it wrote
+  router.delete('/branches/:name', requireScope('admin'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const branch = await findBranch(req, res, requestId);
+      if (!branch) return;
+
+      await deleteBranch(db, branch.name, auditFor(req, requestId));
+
+      res.json({ branch: branch.name, deleted: true, requestId });
+
+      logger.info('Branch deleted', { branch: branch.name, requestId, deletedBy: req.apiKey.id });
+    } catch (error) {
+      if (error instanceof PreconditionFailedError) {
+        return res.status(404).json({
+          error: 'Branch not found',
+          branch: req.params.name,
+          requestId,
+          timestamp: new Date().toISOString()
+        });
+      }
+      sendError(res, error, requestId, 'Error deleting branch');
+    }
+  });
+
+  // GET /tags - Every tag, ordered by name
+  router.get('/tags', requireScope('read'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const tags = await listTags(db);
+
+      res.json({
+        tags,
+        count: tags.length,
+        requestId,
+        retrievedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error listing tags');
+    }
+  });
+
+  // GET /tags/:name - The timestamp a tag stands for
+  router.get('/tags/:name', requireScope('read'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const tag = await findTag(req, res, requestId);
+      if (!tag) return;
+
+      res.json({ ...tag, requestId });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error retrieving tag');
+    }
+  });
+
+  // POST /tags - Name a point in time (now by default); tags never move
+  router.post('/tags', requireScope('admin'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { error: bodyError, value: body } = validateTagBody(req.body);
+      if (bodyError) {
+        return res.status(400).json({
+          error: 'Invalid request body format',
+          details: bodyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Send JSON like: {"name": "release-42", "timestamp": 1640995200, "message": "Release 42"}'
+        });
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const timestamp = body.timestamp !== undefined ? body.timestamp : now;
+      if (timestamp > now) {
+        return res.status(400).json({
+          error: 'Cannot tag the future',
+          timestamp,
+          requestId,
+          hint: 'Tag a timestamp at or before now'
+        });
+      }
+
+      const tag = await createTag(db, body.name, { timestamp, message: body.message }, auditFor(req, requestId));
+      if (!tag) {
+        return res.status(409).json({
+          error: 'Tag already exists',
+          tag: body.name,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: `Tags never move; delete it with DELETE /tags/${body.name} first, or pick another name`
+        });
+      }
+
+      res.status(201).json({ ...tag, requestId });
+
+      logger.info('Tag created', { tag: tag.name, at: timestamp, requestId, createdBy: req.apiKey.id });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error creating tag');
+    }
+  });
+
+  // DELETE /tags/:name - Remove a tag (its history is kept)
+  router.delete('/tags/:name', requireScope('admin'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const tag = await findTag(req, res, requestId);
+      if (!tag) return;
+
+      await deleteTag(db, tag.name, auditFor(req, requestId));
+
+      res.json({ tag: tag.name, deleted: true, requestId });
+
+      logger.info('Tag deleted', { tag: tag.name, requestId, deletedBy: req.apiKey.id });
+    } catch (error) {
+      if (error instanceof PreconditionFailedError) {
+        return res.status(404).json({
+          error: 'Tag not found',
+          tag: req.params.name,
+          requestId,
+          timestamp: new Date().toISOString()
+        });
+      }
+      sendError(res, error, requestId, 'Error deleting tag');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRefRoutes;
@@ -0,0 +1,212 @@
+const express = require('express');
+const { validateKey, validateRollbackQuery, validatePrefixRollbackQuery } = require('../validators');
+const { PreconditionFailedError } = require('../errors');
+const { requireScope, prefixTarget } = require('../auth');
+const { auditFor } = require('../audit');
+const { checkValue, requireAdminForSchemaKeys } = require('../schemas');
+const { isReservedKey } = require('../refs');
+const { generateCommitId } = require('../commits');
+const { planKeyRollback, planPrefixRollback, describeChange } = require('../rollback');
+const logger = require('../logger');
+
+// Rolling back a prefix writes (and deletes) anything under it
+const prefixScope = (req) => [prefixTarget(typeof req.query.prefix === 'string' ? req.query.prefix : '')];
+const paramKey = (req) => [req.params.key];
+
+// Largest rollback written as one commit, the same cap as POST /commits
+const MAX_ROLLBACK_CHANGES = 1000;
+
+// Point-in-time rollback of a key or a prefix (see src/rollback.js)
+function createRollbackRoutes(db) {
+  const router = express.Router();
+
+  function sendError(res, error, requestId, message) {
+    const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      requestId,
+      errorId
+    });
+
+    res.status(500).json({
+      error: 'Internal server error',
+      requestId,
+      errorId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  function sendQueryError(res, queryError, requestId) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      details: queryError.details,
+      requestId,
+      timestamp: new Date().toISOString(),
+      hints: [
+        'to is required: a Unix timestamp (seconds since epoch) or a tag name',
+        'prefix may only contain letters, numbers, underscores, hyphens, and dots',
+        'dryRun must be true or false'
+      ]
+    });
+  }
+
+  // Plans the rollback with `plan(at)` and, unless it's a dry run, writes it as one
+  // commit. `target` ({ key } or { prefix }) is echoed in the response.
+  async function rollback(req, res, requestId, query, target, plan) {
+    const at = Math.floor(Date.now() / 1000);
+    if (query.to > at) {
+      return res.status(400).json({
+        error: 'Cannot roll back to the future',
+        to: query.to,
+        requestId,
+        timestamp: new Date().toISOString(),
+        hint: 'Pick a timestamp at or before now'
+      });
+    }
+
+    const changes = await plan(at);
+    const summary = {
+      ...target,
+      to: query.to,
+      dryRun: query.dryRun,
+      changes: changes.map(describeChange),
+      count: changes.length
+    };
+
+    if (query.dryRun || changes.length === 0) {
+      res.json({ ...summary, commit: null, requestId });
+      logger.info('Rollback planned', { ...target, to: query.to, count: changes.length, dryRun: query.dryRun, requestId });
+      return;
+    }
+
+    if (changes.length > MAX_ROLLBACK_CHANGES) {
+      return res.status(400).json({
+        error: 'Too many changes for one rollback',
+        count: changes.length,
+        limit: MAX_ROLLBACK_CHANGES,
+        requestId,
+        timestamp: new Date().toISOString(),
+        hint: 'Roll back a narrower prefix, or preview the changes with dryRun=true'
+      });
+    }
+
+    // Schemas may have changed since `to`, so the old values are checked again
+    const errors = [];
+    for (const change of changes) {
+      if (change.deleted) continue;
+      const violation = await checkValue(db, change.key, change.value);
+      if (violation) {
+        errors.push({
+          key: change.key,
+          error: violation.schema ? 'Value does not match the schema for this key' : 'Invalid JSON Schema',
+          schema: violation.schema,
+          details: violation.details
+        });
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Rollback validation failed, no values were stored',
+        errors,
+        requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const audit = auditFor(req, requestId);
+    const message = audit.message || `Rolled back ${target.key || target.prefix} to ${query.to}`;
+    const commit = await db.storeCommit({ id: generateCommitId(), message }, changes, at, {
+      audit: { ...audit, message }
+    });
+
+    res.status(201).json({ ...summary, commit, requestId });
+
+    logger.info('Rollback stored', { ...target, to: query.to, id: commit.id, count: changes.length, requestId });
+  }
+
+  function sendPreconditionFailed(res, error, requestId) {
+    logger.info('Rollback rejected by precondition', { key: error.key, requestId });
+    return res.status(412).json({
+      error: 'Precondition failed: a key changed during the rollback',
+      key: error.key,
+      currentVersion: error.current ? error.current.version : null,
+      requestId,
+      timestamp: new Date().toISOString(),
+      hint: 'Nothing was written; retry the rollback'
+    });
+  }
+
+  // POST /object/:key/rollback - Put a key back to its state at a timestamp
+  router.post('/object/:key/rollback', requireScope('write', paramKey), requireAdminForSchemaKeys(paramKey), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { key } = req.params;
+
+      const { error: keyError } = validateKey(key);
+      if (keyError) {
+        return res.status(400).json({
+          error: 'Invalid key format',
+          key: key,
+          details: keyError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'Keys must be 1-255 characters long',
+            'Only letters, numbers, underscores, hyphens, and dots allowed'
+          ]
+        });
+      }
+
+      if (isReservedKey(key)) {
+        return res.status(400).json({
+          error: 'Key is reserved for branches and tags',
+          key,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Manage branches and tags with the /branches and /tags endpoints'
+        });
+      }
+
+      const { error: queryError, value: query } = validateRollbackQuery(req.query);
+      if (queryError) {
+        return sendQueryError(res, queryError, requestId);
+      }
+
+      await rollback(req, res, requestId, query, { key }, async (at) => {
+        const change = await planKeyRollback(db, key, query.to, at);
+        return change ? [change] : [];
+      });
+    } catch (error) {
+      if (error instanceof PreconditionFailedError) {
+        return sendPreconditionFailed(res, error, requestId);
+      }
+      sendError(res, error, requestId, 'Error rolling back key');
+    }
+  });
+
+  // POST /rollback - Put every key under a prefix back to its state at a timestamp
+  router.post('/rollback', requireScope('write', prefixScope), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { error: queryError, value: query } = validatePrefixRollbackQuery(req.query);
+      if (queryError) {
+        return sendQueryError(res, queryError, requestId);
+      }
+
+      await rollback(req, res, requestId, query, { prefix: query.prefix }, (at) =>
+        planPrefixRollback(db, query.prefix, query.to, at));
+    } catch (error) {
+      if (error instanceof PreconditionFailedError) {
+        return sendPreconditionFailed(res, error, requestId);
+      }
+      sendError(res, error, requestId, 'Error rolling back prefix');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRollbackRoutes;
@@ -0,0 +1,189 @@
+const express = require('express');
+const { validateKey } = require('../validators');
+const { SCHEMA_PREFIX, schemaKey, compileSchema } = require('../schemas');
+const { formatETag } = require('../preconditions');
+const { requireScope, prefixTarget } = require('../auth');
+const { auditFor } = require('../audit');
+const logger = require('../logger');
+
+// Anyone who can read the keys under a prefix can read the schema they must match
+const prefixScope = (req) => [prefixTarget(req.params.prefix || '')];
+
+// JSON Schemas per key prefix (see src/schemas.js). Schemas are ordinary keys under
+// "_schemas.", so their history, audit trail and diffs come from the object routes.
+function createSchemaRoutes(db) {
+  const router = express.Router();
+
+  function sendError(res, error, requestId, message) {
+    const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      requestId,
+      errorId
+    });
+
+    res.status(500).json({
+      error: 'Internal server error',
+      requestId,
+      errorId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  function invalidPrefix(res, prefix, keyError, requestId) {
+    return res.status(400).json({
+      error: 'Invalid key prefix',
+      prefix,
+      details: keyError.details,
+      requestId,
+      timestamp: new Date().toISOString(),
+      hints: [
+        'Prefix can only contain letters, numbers, underscores, hyphens, and dots',
+        `"${SCHEMA_PREFIX}" plus the prefix cannot exceed 255 characters`
+      ]
+    });
+  }
+
+  const toSchemaEntry = (record) => ({
+    prefix: record.key.slice(SCHEMA_PREFIX.length),
+    schema: record.value,
+    version: record.version,
+    timestamp: record.timestamp
+  });
+
+  // GET /schemas - Every registered schema, ordered by prefix
+  router.get('/schemas', requireScope('read', prefixScope), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const records = await db.getSnapshot(Math.floor(Date.now() / 1000), { prefix: SCHEMA_PREFIX });
+      const schemas = records.map(toSchemaEntry);
+
+      res.json({
+        schemas,
+        count: schemas.length,
+        requestId,
+        retrievedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error listing schemas');
+    }
+  });
+
+  // GET /schemas/:prefix - The schema enforced for keys starting with :prefix
+  router.get('/schemas/:prefix', requireScope('read', prefixScope), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const { prefix } = req.params;
+
+    try {
+      const { error: keyError } = validateKey(schemaKey(prefix));
+      if (keyError) {
+        return invalidPrefix(res, prefix, keyError, requestId);
+      }
+
+      const latest = await db.getLatestValue(schemaKey(prefix));
+      if (!latest || latest.deleted) {
+        return res.status(404).json({
+          error: 'No schema registered for this prefix',
+          prefix,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'List registered schemas with GET /schemas'
+        });
+      }
+
+      res.set('ETag', formatETag(latest));
+      res.json({
+        ...toSchemaEntry(latest),
+        requestId
+      });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error retrieving schema');
+    }
+  });
+
+  // PUT /schemas/:prefix - Register or replace the schema for :prefix (a new version of its key)
+  router.put('/schemas/:prefix', requireScope('admin'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const { prefix } = req.params;
+
+    try {
+      const { error: keyError } = validateKey(schemaKey(prefix));
+      if (keyError) {
+        return invalidPrefix(res, prefix, keyError, requestId);
+      }
+
+      const { error: schemaError } = compileSchema(req.body);
+      if (schemaError) {
+        return res.status(400).json({
+          error: 'Invalid JSON Schema',
+          prefix,
+          details: schemaError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'Schemas support a subset of JSON Schema, see README'
+        });
+      }
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      const stored = await db.storeValue(schemaKey(prefix), req.body, timestamp, { audit: auditFor(req, requestId) });
+
+      res.set('ETag', formatETag(stored));
+      res.status(201).json({
+        prefix,
+        schema: req.body,
+        version: stored.version,
+        timestamp,
+        requestId
+      });
+
+      logger.info('Schema registered', { prefix, version: stored.version, requestId, registeredBy: req.apiKey.id });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error registering schema');
+    }
+  });
+
+  // DELETE /schemas/:prefix - Stop enforcing a schema (tombstones its key; history is kept)
+  router.delete('/schemas/:prefix', requireScope('admin'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const { prefix } = req.params;
+
+    try {
+      const { error: keyError } = validateKey(schemaKey(prefix));
+      if (keyError) {
+        return invalidPrefix(res, prefix, keyError, requestId);
+      }
+
+      const latest = await db.getLatestValue(schemaKey(prefix));
+      if (!latest || latest.deleted) {
+        return res.status(404).json({
+          error: 'No schema registered for this prefix',
+          prefix,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'List registered schemas with GET /schemas'
+        });
+      }
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      const tombstone = await db.deleteValue(schemaKey(prefix), timestamp, { audit: auditFor(req, requestId) });
+
+      res.json({
+        prefix,
+        deleted: true,
+        version: tombstone.version,
+        timestamp,
+        requestId
+      });
+
+      logger.info('Schema removed', { prefix, version: tombstone.version, requestId, removedBy: req.apiKey.id });
+    } catch (error) {
+      sendError(res, error, requestId, 'Error removing schema');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSchemaRoutes;
@@ -0,0 +1,226 @@
+const express = require('express');
+const { validateSnapshotQuery, validateStoreDiffQuery } = require('../validators');
+const { encodeCursor, decodeCursor } = require('../pagination');
+const { isEqual, diffValues } = require('../diff');
+const { requireScope, prefixTarget } = require('../auth');
+const { RESERVED_PREFIXES } = require('../refs');
+const logger = require('../logger');
+
+const SNAPSHOT_PAGE_SIZE = 1000;
+
+// Walks a whole snapshot of main in key order, one adapter page at a time
+async function* snapshotEntries(db, timestamp, prefix) {
+  let after;
+  while (true) {
+    const page = await db.getSnapshot(timestamp, {
+      prefix,
+      exclude: RESERVED_PREFIXES,
+      after,
+      limit: SNAPSHOT_PAGE_SIZE
+    });
+    yield* page;
+    if (page.length < SNAPSHOT_PAGE_SIZE) return;
+    after = page[page.length - 1].key;
+  }
+}
+
+// Merges two key-ordered snapshots into the keys added, changed and removed between them
+async function diffSnapshots(db, from, to, prefix) {
+  const added = [];
+  const changed = [];
+  const removed = [];
+
+  const beforeEntries = snapshotEntries(db, from, prefix);
+  const afterEntries = snapshotEntries(db, to, prefix);
+  let before = (await beforeEntries.next()).value;
+  let after = (await afterEntries.next()).value;
+
+  while (before || after) {
+    if (!after || (before && before.key < after.key)) {
+      removed.push({ key: before.key, value: before.value, version: before.version });
+      before = (await beforeEntries.next()).value;
+    } else if (!before || after.key < before.key) {
+      added.push({ key: after.key, value: after.value, version: after.version });
+      after = (await afterEntries.next()).value;
+    } else {
+      // Rewriting the same value creates a version but is not a change
+      if (before.version !== after.version && !isEqual(before.value, after.value)) {
+        changed.push({
+          key: after.key,
+          fromVersion: before.version,
+          toVersion: after.version,
+          diff: diffValues(before.value, after.value)
+        });
+      }
+      before = (await beforeEntries.next()).value;
+      after = (await afterEntries.next()).value;
+    }
+  }
+
+  return { added, changed, removed };
+}
+
+// Reading across keys needs read access to the whole prefix (or every key)
+const prefixScope = (req) => [prefixTarget(typeof req.query.prefix === 'string' ? req.query.prefix : '')];
+
+// Store-wide point-in-time reads and diffs of main, backed by any storage adapter (see src/storage.js).
+// Refs and branch copies are left out (see src/refs.js).
+function createSnapshotRoutes(db) {
+  const router = express.Router();
+
+  // GET /snapshot - Value of every key as of a timestamp, paginated by key
+  router.get('/snapshot', requireScope('read', prefixScope), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { error: queryError, value: query } = validateSnapshotQuery(req.query);
+      if (queryError) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          details: queryError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'timestamp must be a Unix timestamp (seconds since epoch)',
+            'prefix may only contain letters, numbers, underscores, hyphens, and dots',
+            'limit must be an integer between 1 and 1000'
+          ]
+        });
+      }
+
+      let after;
+      if (query.cursor) {
+        const position = decodeCursor(query.cursor);
+        if (!position || typeof position.key !== 'string') {
+          return res.status(400).json({
+            error: 'Invalid cursor',
+            requestId,
+            timestamp: new Date().toISOString(),
+            hint: 'Pass the nextCursor value from a previous response unchanged'
+          });
+        }
+        after = position.key;
+      }
+
+      // Without a timestamp the snapshot is taken as of now
+      const at = query.timestamp !== undefined ? query.timestamp : Math.floor(Date.now() / 1000);
+
+      // Fetch one extra entry to know whether another page exists
+      const entries = await db.getSnapshot(at, {
+        prefix: query.prefix,
+        exclude: RESERVED_PREFIXES,
+        after,
+        limit: query.limit + 1
+      });
+      const hasMore = entries.length > query.limit;
+      const page = hasMore ? entries.slice(0, query.limit) : entries;
+
+      res.json({
+        timestamp: at,
+        prefix: query.prefix || null,
+        entries: page.map(entry => ({
+          key: entry.key,
+          value: entry.value,
+          timestamp: entry.timestamp,
+          version: entry.version
+        })),
+        count: page.length,
+        nextCursor: hasMore ? encodeCursor({ key: page[page.length - 1].key }) : null,
+        requestId,
+        retrievedAt: new Date().toISOString()
+      });
+
+      logger.info('Snapshot retrieved', {
+        timestamp: at,
+        prefix: query.prefix,
+        requestId,
+        count: page.length,
+        hasMore
+      });
+    } catch (error) {
+      const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      logger.error('Error retrieving snapshot', {
+        error: error.message,
+        stack: error.stack,
+        requestId,
+        errorId
+      });
+
+      res.status(500).json({
+        error: 'Internal server error',
+        requestId,
+        errorId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // GET /diff - Keys added, changed and removed between two timestamps
+  router.get('/diff', requireScope('read', prefixScope), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { error: queryError, value: query } = validateStoreDiffQuery(req.query);
+      if (queryError) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          details: queryError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'from and to are both required',
+            'from and to must be Unix timestamps (seconds since epoch)',
+            'prefix may only contain letters, numbers, underscores, hyphens, and dots'
+          ]
+        });
+      }
+
+      const { added, changed, removed } = await diffSnapshots(db, query.from, query.to, query.prefix);
+
+      res.json({
+        from: query.from,
+        to: query.to,
+        prefix: query.prefix || null,
+        added,
+        changed,
+        removed,
+        counts: {
+          added: added.length,
+          changed: changed.length,
+          removed: removed.length
+        },
+        requestId,
+        retrievedAt: new Date().toISOString()
+      });
+
+      logger.info('Store diff retrieved', {
+        from: query.from,
+        to: query.to,
+        prefix: query.prefix,
+        requestId,
+        added: added.length,
+        changed: changed.length,
+        removed: removed.length
+      });
+    } catch (error) {
+      const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      logger.error('Error computing store diff', {
+        error: error.message,
+        stack: error.stack,
+        requestId,
+        errorId
+      });
+
+      res.status(500).json({
+        error: 'Internal server error',
+        requestId,
+        errorId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSnapshotRoutes;
@@ -0,0 +1,95 @@
+const express = require('express');
+const { validateStatsQuery } = require('../validators');
+const { requireScope, prefixTarget } = require('../auth');
+const { RESERVED_PREFIXES } = require('../refs');
+const logger = require('../logger');
+
+// The rankings list key names, so they need read access to the prefix (or every key)
+const prefixScope = (req) => [prefixTarget(typeof req.query.prefix === 'string' ? req.query.prefix : '')];
+
+// Store-wide statistics; per-key analytics live at GET /object/:key/stats
+function createStatsRoutes(db) {
+  const router = express.Router();
+
+  // GET /stats - Global counts plus the top keys by versions, bytes and recent write rate
+  router.get('/stats', requireScope('read', prefixScope), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { error: queryError, value: query } = validateStatsQuery(req.query);
+      if (queryError) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          details: queryError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hints: [
+            'prefix may only contain letters, numbers, underscores, hyphens, and dots',
+            'limit must be an integer between 1 and 100',
+            'window is in seconds, between 60 and 31536000'
+          ]
+        });
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const since = now - query.window;
+      const ranking = { prefix: query.prefix, exclude: RESERVED_PREFIXES, limit: query.limit };
+
+      const [stats, byVersions, byBytes, byWrites] = await Promise.all([
+        db.getStats(),
+        db.getTopKeys({ ...ranking, by: 'versions' }),
+        db.getTopKeys({ ...ranking, by: 'bytes' }),
+        db.getTopKeys({ ...ranking, by: 'writes', since })
+      ]);
+      const hours = query.window / 3600;
+
+      res.json({
+        totals: {
+          records: stats.total_records,
+          uniqueKeys: stats.unique_keys,
+          earliestTimestamp: stats.earliest_timestamp,
+          latestTimestamp: stats.latest_timestamp
+        },
+        prefix: query.prefix || '',
+        window: { seconds: query.window, from: since, to: now },
+        topKeys: {
+          byVersionCount: byVersions.map(({ key, total }) => ({ key, versionCount: total })),
+          byTotalBytes: byBytes.map(({ key, total }) => ({ key, totalBytes: total })),
+          byWriteRate: byWrites.map(({ key, total }) => ({
+            key,
+            writes: total,
+            writesPerHour: Math.round((total / hours) * 100) / 100
+          }))
+        },
+        requestId,
+        retrievedAt: new Date().toISOString()
+      });
+
+      logger.info('Store stats retrieved', {
+        prefix: query.prefix,
+        limit: query.limit,
+        window: query.window,
+        requestId
+      });
+    } catch (error) {
+      const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      logger.error('Error retrieving store stats', {
+        error: error.message,
+        stack: error.stack,
+        requestId,
+        errorId
+      });
+
+      res.status(500).json({
+        error: 'Internal server error',
+        requestId,
+        errorId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createStatsRoutes;
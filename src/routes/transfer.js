@@ -0,0 +1,181 @@
+const express = require('express');
+const readline = require('readline');
+const { once } = require('events');
+const { validateExportQuery, validateImportQuery } = require('../validators');
+const { exportLines, importLines } = require('../transfer');
+const { requireScope } = require('../auth');
+const logger = require('../logger');
+
+const NDJSON_TYPE = 'application/x-ndjson';
+
+// [error, hint] for each status importLines can stop with
+const IMPORT_FAILURES = {
+  400: ['Import stopped at an invalid line', 'Versions before this line were imported; fix the line and retry with conflict=skip'],
+  409: ['Import stopped at an existing version', 'Versions before this batch were imported; retry with conflict=skip or conflict=overwrite'],
+  422: [
+    'Import stopped at a version out of order with the stored history',
+    'Versions before this batch were imported; a key only takes new versions after its latest one, in timestamp order'
+  ]
+};
+
+// Whole-store export and import as NDJSON (see src/transfer.js); admin only
+function createTransferRoutes(db) {
+  const router = express.Router();
+
+  // GET /admin/export - Stream every version as NDJSON (prefix, from, to)
+  router.get('/admin/export', requireScope('admin'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const { error: queryError, value: query } = validateExportQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: queryError.details,
+        requestId,
+        timestamp: new Date().toISOString(),
+        hints: [
+          'from and to must be Unix timestamps (seconds since epoch)',
+          'prefix may only contain letters, numbers, underscores, hyphens, and dots'
+        ]
+      });
+    }
+
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+
+    let count = 0;
+    try {
+      for await (const line of exportLines(db, query)) {
+        if (closed) break;
+        if (!res.headersSent) {
+          res.set({
+            'Content-Type': NDJSON_TYPE,
+            'Content-Disposition': `attachment; filename="kv-export-${Math.floor(Date.now() / 1000)}.ndjson"`,
+            'X-Request-Id': requestId
+          });
+        }
+        if (!res.write(line)) {
+          await Promise.race([once(res, 'drain'), once(res, 'close')]);
+        }
+        count++;
+      }
+
+      if (!res.headersSent) {
+        res.set({ 'Content-Type': NDJSON_TYPE, 'X-Request-Id': requestId });
+      }
+      res.end();
+
+      logger.info('Store exported', {
+        prefix: query.prefix,
+        from: query.from,
+        to: query.to,
+        requestId,
+        count,
+        completed: !closed,
+        exportedBy: req.apiKey.id
+      });
+    } catch (error) {
+      const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      logger.error('Error exporting store', {
+        error: error.message,
+        stack: error.stack,
+        requestId,
+        errorId,
+        count
+      });
+
+      // Once lines have been sent the status is fixed; cut the stream so it reads as truncated
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({
+        error: 'Internal server error',
+        requestId,
+        errorId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // POST /admin/import - Ingest an NDJSON export, keeping original versions and timestamps
+  router.post('/admin/import', requireScope('admin'), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const { error: queryError, value: query } = validateImportQuery(req.query);
+      if (queryError) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          details: queryError.details,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: 'conflict must be one of skip, overwrite or fail'
+        });
+      }
+
+      if (!req.is(NDJSON_TYPE)) {
+        return res.status(415).json({
+          error: 'Unsupported content type',
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint: `Send the export body with "Content-Type: ${NDJSON_TYPE}"`
+        });
+      }
+
+      const lines = readline.createInterface({ input: req, crlfDelay: Infinity });
+      const report = await importLines(db, lines, { conflict: query.conflict });
+      lines.close();
+
+      const { failed, ...counts } = report;
+      if (failed) {
+        const [error, hint] = IMPORT_FAILURES[failed.status];
+        res.status(failed.status).json({
+          error,
+          conflict: query.conflict,
+          ...counts,
+          failed,
+          requestId,
+          timestamp: new Date().toISOString(),
+          hint
+        });
+      } else {
+        res.json({
+          conflict: query.conflict,
+          ...counts,
+          failed: null,
+          requestId,
+          importedAt: new Date().toISOString()
+        });
+      }
+
+      logger.info('Store import finished', {
+        conflict: query.conflict,
+        requestId,
+        ...counts,
+        failedLine: failed ? failed.line : null,
+        importedBy: req.apiKey.id
+      });
+    } catch (error) {
+      const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      logger.error('Error importing store', {
+        error: error.message,
+        stack: error.stack,
+        requestId,
+        errorId
+      });
+
+      res.status(500).json({
+        error: 'Internal server error',
+        requestId,
+        errorId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTransferRoutes;
@@ -0,0 +1,180 @@
+const express = require('express');
+const { validateWatchQuery } = require('../validators');
+const { requireScope, prefixTarget } = require('../auth');
+const { RESERVED_PREFIXES, isReservedKey } = require('../refs');
+const logger = require('../logger');
+
+const REPLAY_PAGE_SIZE = 500;
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Event ids look like "<timestamp>:<key>:<version>"; keys never contain ':'
+function formatEventId(record) {
+  return `${record.timestamp}:${record.key}:${record.version}`;
+}
+
+function parseEventId(id) {
+  const match = /^(\d+):([^:]+):(\d+)$/.exec(id);
+  return match
+    ? { timestamp: parseInt(match[1]), key: match[2], version: parseInt(match[3]) }
+    : null;
+}
+
+function formatEvent(record) {
+  const data = {
+    key: record.key,
+    value: record.value,
+    timestamp: record.timestamp,
+    version: record.version,
+    deleted: record.deleted
+  };
+  return `id: ${formatEventId(record)}\nevent: change\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Watching needs read access to every listed key and the prefix; with neither, every key
+function watchTargets(req) {
+  const keys = typeof req.query.keys === 'string' ? req.query.keys.split(',').filter(Boolean) : [];
+  const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : '';
+  if (keys.length === 0 && !prefix) {
+    return [prefixTarget()];
+  }
+  return prefix ? [...keys, prefixTarget(prefix)] : keys;
+}
+
+// Change feed over Server-Sent Events. Live events come from the adapter's
+// 'change' events; after a reconnect, Last-Event-ID replays missed versions from storage.
+function createWatchRoutes(db) {
+  const router = express.Router();
+
+  // GET /watch - Stream new versions of the selected keys as they are written
+  router.get('/watch', requireScope('read', watchTargets), async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const { error: queryError, value: query } = validateWatchQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: queryError.details,
+        requestId,
+        timestamp: new Date().toISOString(),
+        hints: [
+          'keys is a comma-separated list such as keys=a,b',
+          'prefix may only contain letters, numbers, underscores, hyphens, and dots'
+        ]
+      });
+    }
+
+    const lastEventId = req.get('Last-Event-ID');
+    const resumeFrom = lastEventId ? parseEventId(lastEventId) : null;
+    if (lastEventId && !resumeFrom) {
+      return res.status(400).json({
+        error: 'Invalid Last-Event-ID',
+        lastEventId,
+        requestId,
+        timestamp: new Date().toISOString(),
+        hint: 'Send the id of the last event received unchanged'
+      });
+    }
+
+    const keys = query.keys ? query.keys.split(',') : [];
+    const watched = new Set(keys);
+    const matches = (record) => !isReservedKey(record.key) && (
+      (watched.size === 0 && !query.prefix) ||
+      watched.has(record.key) ||
+      Boolean(query.prefix && record.key.startsWith(query.prefix))
+    );
+
+    // no-transform keeps the compression middleware from buffering the stream
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(': connected\n\n');
+
+    // Live changes that arrive while the replay is running wait here so they
+    // are sent after it, in order, without repeating replayed versions
+    let pending = [];
+    const replayed = new Set();
+    const onChange = (record) => {
+      if (!matches(record)) return;
+      if (pending) {
+        pending.push(record);
+      } else {
+        res.write(formatEvent(record));
+      }
+    };
+    db.on('change', onChange);
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      db.removeListener('change', onChange);
+      logger.info('Watch stream closed', { requestId });
+    });
+
+    logger.info('Watch stream opened', {
+      keys: keys.length,
+      prefix: query.prefix,
+      lastEventId,
+      requestId
+    });
+
+    if (!resumeFrom) {
+      pending.forEach(record => res.write(formatEvent(record)));
+      pending = null;
+      return;
+    }
+
+    try {
+      // Resume from the start of the last event's second: versions written in that
+      // second after the client disconnected may sort before it. Everything except
+      // the last event itself is sent again, so clients dedupe by key and version.
+      let after = { timestamp: resumeFrom.timestamp, key: '', version: 0 };
+      let replayCount = 0;
+      while (!closed) {
+        const changes = await db.getChanges({
+          after,
+          keys,
+          prefix: query.prefix,
+          exclude: RESERVED_PREFIXES,
+          limit: REPLAY_PAGE_SIZE
+        });
+        for (const record of changes) {
+          if (record.key === resumeFrom.key && record.version === resumeFrom.version) continue;
+          replayed.add(formatEventId(record));
+          res.write(formatEvent(record));
+          replayCount++;
+        }
+        if (changes.length < REPLAY_PAGE_SIZE) break;
+        const last = changes[changes.length - 1];
+        after = { timestamp: last.timestamp, key: last.key, version: last.version };
+      }
+
+      pending
+        .filter(record => !replayed.has(formatEventId(record)))
+        .forEach(record => res.write(formatEvent(record)));
+      pending = null;
+
+      logger.info('Watch stream resumed', { lastEventId, replayCount, requestId });
+    } catch (error) {
+      const errorId = `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      logger.error('Error replaying watch stream', {
+        error: error.message,
+        stack: error.stack,
+        requestId,
+        errorId
+      });
+
+      // Headers are already sent; ending the stream makes the client reconnect and retry
+      res.end();
+    }
+  });
+
+  return router;
+}
+
+module.exports = createWatchRoutes;
@@ -0,0 +1,359 @@
+const Joi = require('joi');
+const { requireScope } = require('./auth');
+
+// JSON Schemas for key prefixes. A schema is an ordinary versioned value stored under
+// SCHEMA_PREFIX: the value of "_schemas.feature." applies to every key starting with
+// "feature.", and the longest registered prefix wins. Schemas are compiled to Joi, so
+// a non-conforming value is reported with the same `details` as every other 400.
+//
+// Supported keywords (anything else is rejected when the schema is stored):
+//   type (string, number, integer, boolean, object, array, null, or a list of them),
+//   enum, const, anyOf, oneOf,
+//   properties, required, additionalProperties, minProperties, maxProperties,
+//   items, minItems, maxItems, uniqueItems,
+//   minLength, maxLength, pattern, format (email, uri, date-time),
+//   minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf,
+//   and the annotations $schema, $id, $comment, title, description, default, examples.
+
+const SCHEMA_PREFIX = '_schemas.';
+
+// Compiled schemas by their JSON text; a handful of schemas are expected
+const MAX_CACHED_SCHEMAS = 200;
+const compiled = new Map();
+
+// The registered schemas of each adapter, so writes don't scan _schemas. every time.
+// A write to a schema key through the adapter drops them at once (its 'change' events);
+// writes it doesn't announce, like imports, restores and other processes sharing the
+// store, are picked up when the list is reloaded after REGISTRY_MAX_AGE_MS.
+const REGISTRY_MAX_AGE_MS = 5000;
+const registries = new WeakMap();
+
+const ANNOTATIONS = new Set(['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples']);
+const TYPES = new Set(['string', 'number', 'integer', 'boolean', 'object', 'array', 'null']);
+
+// Keywords that only make sense for some types; they need a matching "type"
+const KEYWORD_TYPES = {
+  properties: ['object'],
+  required: ['object'],
+  additionalProperties: ['object'],
+  minProperties: ['object'],
+  maxProperties: ['object'],
+  items: ['array'],
+  minItems: ['array'],
+  maxItems: ['array'],
+  uniqueItems: ['array'],
+  minLength: ['string'],
+  maxLength: ['string'],
+  pattern: ['string'],
+  format: ['string'],
+  minimum: ['number', 'integer'],
+  maximum: ['number', 'integer'],
+  exclusiveMinimum: ['number', 'integer'],
+  exclusiveMaximum: ['number', 'integer'],
+  multipleOf: ['number', 'integer']
+};
+const GENERIC_KEYWORDS = new Set(['type', 'enum', 'const', 'anyOf', 'oneOf']);
+
+const FORMATS = {
+  email: (joi) => joi.email(),
+  uri: (joi) => joi.uri(),
+  'date-time': (joi) => joi.isoDate()
+};
+
+function schemaKey(prefix) {
+  return `${SCHEMA_PREFIX}${prefix}`;
+}
+
+function isSchemaKey(key) {
+  return key.startsWith(SCHEMA_PREFIX);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Thrown while compiling; compileSchema turns it into a Joi-style detail
+class SchemaSyntaxError extends Error {
+  constructor(path, message) {
+    super(message);
+    this.path = path;
+  }
+}
+
+function expect(condition, path, message) {
+  if (!condition) {
+    throw new SchemaSyntaxError(path, message);
+  }
+}
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+function applyNumberRules(joi, schema, path) {
+  for (const keyword of ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf']) {
+    if (schema[keyword] !== undefined) {
+      expect(typeof schema[keyword] === 'number', [...path, keyword], `"${keyword}" must be a number`);
+    }
+  }
+  if (schema.minimum !== undefined) joi = joi.min(schema.minimum);
+  if (schema.maximum !== undefined) joi = joi.max(schema.maximum);
+  if (schema.exclusiveMinimum !== undefined) joi = joi.greater(schema.exclusiveMinimum);
+  if (schema.exclusiveMaximum !== undefined) joi = joi.less(schema.exclusiveMaximum);
+  if (schema.multipleOf !== undefined) {
+    expect(schema.multipleOf > 0, [...path, 'multipleOf'], '"multipleOf" must be greater than 0');
+    joi = joi.multiple(schema.multipleOf);
+  }
+  return joi;
+}
+
+function stringSchema(schema, path) {
+  let joi = Joi.string().allow('');
+  for (const keyword of ['minLength', 'maxLength']) {
+    if (schema[keyword] !== undefined) {
+      expect(isCount(schema[keyword]), [...path, keyword], `"${keyword}" must be a non-negative integer`);
+    }
+  }
+  if (schema.minLength !== undefined) joi = joi.min(schema.minLength);
+  if (schema.maxLength !== undefined) joi = joi.max(schema.maxLength);
+  if (schema.pattern !== undefined) {
+    let pattern;
+    try {
+      pattern = new RegExp(schema.pattern, 'u');
+    } catch (error) {
+      throw new SchemaSyntaxError([...path, 'pattern'], `"pattern" is not a valid regular expression: ${error.message}`);
+    }
+    joi = joi.pattern(pattern);
+  }
+  if (schema.format !== undefined) {
+    expect(Object.hasOwn(FORMATS, schema.format), [...path, 'format'],
+      `"format" must be one of ${Object.keys(FORMATS).join(', ')}`);
+    joi = FORMATS[schema.format](joi);
+  }
+  return joi;
+}
+
+function objectSchema(schema, path) {
+  let joi = Joi.object();
+  const properties = schema.properties || {};
+  expect(isPlainObject(properties), [...path, 'properties'], '"properties" must be an object');
+
+  const required = schema.required || [];
+  expect(Array.isArray(required) && required.every(name => typeof name === 'string'),
+    [...path, 'required'], '"required" must be an array of property names');
+
+  const keys = {};
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    keys[name] = toJoi(propertySchema, [...path, 'properties', name]);
+  }
+  for (const name of required) {
+    keys[name] = (keys[name] || Joi.any()).required();
+  }
+  joi = joi.keys(keys);
+
+  const additional = schema.additionalProperties;
+  if (additional === undefined || additional === true) {
+    joi = joi.unknown(true);
+  } else if (additional === false) {
+    joi = joi.unknown(false);
+  } else {
+    joi = joi.pattern(/.*/, toJoi(additional, [...path, 'additionalProperties']));
+  }
+
+  for (const keyword of ['minProperties', 'maxProperties']) {
+    if (schema[keyword] !== undefined) {
+      expect(isCount(schema[keyword]), [...path, keyword], `"${keyword}" must be a non-negative integer`);
+    }
+  }
+  if (schema.minProperties !== undefined) joi = joi.min(schema.minProperties);
+  if (schema.maxProperties !== undefined) joi = joi.max(schema.maxProperties);
+  return joi;
+}
+
+function arraySchema(schema, path) {
+  let joi = Joi.array();
+  if (schema.items !== undefined) {
+    expect(!Array.isArray(schema.items), [...path, 'items'], '"items" must be a single schema (tuples are not supported)');
+    joi = joi.items(toJoi(schema.items, [...path, 'items']));
+  }
+  for (const keyword of ['minItems', 'maxItems']) {
+    if (schema[keyword] !== undefined) {
+      expect(isCount(schema[keyword]), [...path, keyword], `"${keyword}" must be a non-negative integer`);
+    }
+  }
+  if (schema.minItems !== undefined) joi = joi.min(schema.minItems);
+  if (schema.maxItems !== undefined) joi = joi.max(schema.maxItems);
+  if (schema.uniqueItems === true) joi = joi.unique();
+  return joi;
+}
+
+function typeSchema(type, schema, path) {
+  switch (type) {
+    case 'string': return stringSchema(schema, path);
+    case 'number': return applyNumberRules(Joi.number().unsafe(), schema, path);
+    case 'integer': return applyNumberRules(Joi.number().integer().unsafe(), schema, path);
+    case 'boolean': return Joi.boolean();
+    case 'null': return Joi.valid(null);
+    case 'object': return objectSchema(schema, path);
+    default: return arraySchema(schema, path);
+  }
+}
+
+function toJoi(schema, path = []) {
+  if (schema === true) return Joi.any();
+  if (schema === false) return Joi.any().forbidden();
+  expect(isPlainObject(schema), path, 'Schema must be an object or a boolean');
+
+  const keywords = Object.keys(schema).filter(keyword => !ANNOTATIONS.has(keyword));
+  const unsupported = keywords.filter(keyword => !GENERIC_KEYWORDS.has(keyword) && !KEYWORD_TYPES[keyword]);
+  expect(unsupported.length === 0, path, `Unsupported keyword(s): ${unsupported.join(', ')}`);
+
+  const combinator = ['anyOf', 'oneOf'].find(keyword => schema[keyword] !== undefined);
+  if (combinator) {
+    expect(keywords.length === 1, path, `"${combinator}" cannot be combined with other keywords`);
+    const options = schema[combinator];
+    expect(Array.isArray(options) && options.length > 0, [...path, combinator], `"${combinator}" must be a non-empty array`);
+    const alternatives = Joi.alternatives().try(...options.map((option, index) => toJoi(option, [...path, combinator, index])));
+    return combinator === 'oneOf' ? alternatives.match('one') : alternatives;
+  }
+
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  for (const type of types) {
+    expect(TYPES.has(type), [...path, 'type'], `"type" must be one of ${[...TYPES].join(', ')}`);
+  }
+  for (const keyword of keywords.filter(keyword => KEYWORD_TYPES[keyword])) {
+    expect(KEYWORD_TYPES[keyword].some(type => types.includes(type)), [...path, keyword],
+      `"${keyword}" needs "type": "${KEYWORD_TYPES[keyword][0]}"`);
+  }
+
+  let joi = types.length === 0
+    ? Joi.any()
+    : types.length === 1
+      ? typeSchema(types[0], schema, path)
+      : Joi.alternatives().try(...types.map(type => typeSchema(type, schema, path)));
+
+  if (schema.enum !== undefined) {
+    expect(Array.isArray(schema.enum) && schema.enum.length > 0, [...path, 'enum'], '"enum" must be a non-empty array');
+    joi = joi.valid(...schema.enum);
+  }
+  if (schema.const !== undefined) {
+    joi = joi.valid(schema.const);
+  }
+  return joi;
+}
+
+// Compiles a JSON Schema into Joi. Returns { value: joiSchema } or, for a schema
+// this module cannot enforce, { error: { details } } pointing at the offending keyword.
+function compileSchema(schema) {
+  const text = JSON.stringify(schema);
+  if (compiled.has(text)) {
+    return { value: compiled.get(text) };
+  }
+
+  try {
+    const joi = toJoi(schema);
+    if (compiled.size >= MAX_CACHED_SCHEMAS) {
+      compiled.delete(compiled.keys().next().value);
+    }
+    compiled.set(text, joi);
+    return { value: joi };
+  } catch (error) {
+    if (!(error instanceof SchemaSyntaxError)) throw error;
+    return {
+      error: {
+        details: [{
+          message: error.message,
+          path: error.path,
+          type: 'schema.invalid',
+          context: { key: error.path[error.path.length - 1], label: error.path.join('.') || 'schema' }
+        }]
+      }
+    };
+  }
+}
+
+// Every registered schema as { prefix, version, timestamp, schema }, longest prefix first
+function registeredSchemas(db) {
+  let registry = registries.get(db);
+  if (!registry) {
+    registry = { schemas: null, loadedAt: 0 };
+    db.on('change', (record) => {
+      if (isSchemaKey(record.key)) registry.schemas = null;
+    });
+    registries.set(db, registry);
+  }
+
+  if (!registry.schemas || Date.now() - registry.loadedAt > REGISTRY_MAX_AGE_MS) {
+    const loading = db.getSnapshot(Math.floor(Date.now() / 1000), { prefix: SCHEMA_PREFIX })
+      .then(entries => entries
+        .map(entry => ({
+          prefix: entry.key.slice(SCHEMA_PREFIX.length),
+          version: entry.version,
+          timestamp: entry.timestamp,
+          schema: entry.value
+        }))
+        .sort((a, b) => b.prefix.length - a.prefix.length));
+    // A failed load is retried by the next lookup
+    loading.catch(() => {
+      if (registry.schemas === loading) registry.schemas = null;
+    });
+    registry.schemas = loading;
+    registry.loadedAt = Date.now();
+  }
+  return registry.schemas;
+}
+
+// The registered schema covering `key` (longest prefix) -> { prefix, version, timestamp, schema } | null
+async function findSchema(db, key) {
+  const schemas = await registeredSchemas(db);
+  return schemas.find(entry => key.startsWith(entry.prefix)) || null;
+}
+
+// Checks a value about to be written under `key`. Schema keys must hold a schema this
+// module can compile; other keys must conform to the schema registered for them.
+// Returns null when the value is acceptable, otherwise { schema, details } where
+// schema is { prefix, version } (null for a schema key) and details are Joi-style
+// with the key as the first path element.
+async function checkValue(db, key, value) {
+  if (isSchemaKey(key)) {
+    const { error } = compileSchema(value);
+    return error
+      ? { schema: null, details: error.details.map(detail => ({ ...detail, path: [key, ...detail.path] })) }
+      : null;
+  }
+
+  const registered = await findSchema(db, key);
+  if (!registered) {
+    return null;
+  }
+
+  const { value: joi, error: compileError } = compileSchema(registered.schema);
+  // Stored schemas were checked on write; one that no longer compiles is not enforced
+  if (compileError) {
+    return null;
+  }
+
+  const { error } = joi.validate(value, { abortEarly: false, convert: false });
+  if (!error) {
+    return null;
+  }
+  return {
+    schema: { prefix: registered.prefix, version: registered.version },
+    details: error.details.map(detail => ({ ...detail, path: [key, ...detail.path] }))
+  };
+}
+
+// Route middleware for the generic write routes: writing a schema key there takes the
+// admin scope, as PUT and DELETE /schemas do, or any writer could switch validation off
+function requireAdminForSchemaKeys(targets) {
+  const requireAdmin = requireScope('admin');
+  return (req, res, next) => (targets(req).some(isSchemaKey) ? requireAdmin(req, res, next) : next());
+}
+
+module.exports = {
+  SCHEMA_PREFIX,
+  schemaKey,
+  isSchemaKey,
+  compileSchema,
+  findSchema,
+  checkValue,
+  requireAdminForSchemaKeys
+};
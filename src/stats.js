@@ -0,0 +1,75 @@
+// Key analytics computed from version history, for GET /stats and GET /object/:key/stats.
+
+// How many recent versions the per-key size series includes
+const SIZE_SERIES_LENGTH = 50;
+
+// Size of a value as the SQLite adapter stores it: strings as-is, anything else as JSON.
+// Every backend ranks bytes with this rule so /stats agrees across backends.
+function serializedSize(value) {
+  return typeof value === 'string' ? value.length : JSON.stringify(value).length;
+}
+
+// Least-squares slope of sizes against their position, in bytes per version
+function slope(sizes) {
+  const n = sizes.length;
+  if (n < 2) return 0;
+
+  const meanX = (n - 1) / 2;
+  const meanY = sizes.reduce((sum, size) => sum + size, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  sizes.forEach((size, x) => {
+    covariance += (x - meanX) * (size - meanY);
+    variance += (x - meanX) ** 2;
+  });
+  return covariance / variance;
+}
+
+// How the value size of a key has moved over its live versions (tombstones have no size)
+function sizeTrend(versions) {
+  const live = versions.filter(version => !version.deleted);
+  if (live.length === 0) {
+    return null;
+  }
+
+  const sizes = live.map(version => serializedSize(version.value));
+  const perVersion = Math.round(slope(sizes) * 100) / 100;
+
+  return {
+    latest: sizes[sizes.length - 1],
+    min: Math.min(...sizes),
+    max: Math.max(...sizes),
+    average: Math.round(sizes.reduce((sum, size) => sum + size, 0) / sizes.length),
+    slopeBytesPerVersion: perVersion,
+    direction: perVersion > 0 ? 'growing' : perVersion < 0 ? 'shrinking' : 'flat',
+    series: live.slice(-SIZE_SERIES_LENGTH).map((version, index, recent) => ({
+      version: version.version,
+      timestamp: version.timestamp,
+      size: sizes[sizes.length - recent.length + index]
+    }))
+  };
+}
+
+// Summary of one key's history; `versions` must be in ascending version order
+function keyStats(versions) {
+  const first = versions[0];
+  const last = versions[versions.length - 1];
+
+  return {
+    versionCount: versions.length,
+    latestVersion: last.version,
+    deleted: last.deleted,
+    firstWrite: first.timestamp,
+    lastWrite: last.timestamp,
+    averageIntervalSeconds: versions.length > 1
+      ? Math.round((last.timestamp - first.timestamp) / (versions.length - 1))
+      : null,
+    size: sizeTrend(versions)
+  };
+}
+
+module.exports = {
+  serializedSize,
+  sizeTrend,
+  keyStats
+};
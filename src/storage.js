@@ -0,0 +1,100 @@
+const Database = require('./database');
+const MongoDatabase = require('./database-mongodb');
+const MemoryDatabase = require('./database-memory');
+
+// Every backend implements the same storage adapter contract:
+//   connect()                             resolves once the backend is ready (safe to call repeatedly)
+//   storeValue(key, value, timestamp, options)
+//                                         appends a version -> record with its size;
+//                                         options.precondition(latest) is checked atomically with the
+//                                         write and a false result throws PreconditionFailedError;
+//                                         options.audit { actor, clientIp, requestId, message } is stored;
+//                                         options.expiresAt (Unix seconds) ends the version's life (see src/ttl.js)
+//   deleteValue(key, timestamp, options)  appends a tombstone version (deleted: true, value: null),
+//                                         same options and result as storeValue
+//   storeValues(entries, timestamp, options)
+//                                         appends one version per [key, value] entry atomically -> records;
+//                                         options.audit and options.expiresAt apply to every entry
+//   storeCommit(commit, changes, timestamp, options)
+//                                         appends one version per change { key, value, deleted, precondition,
+//                                         expiresAt } and stores the commit { id, message, revertOf } naming them, all
+//                                         atomically -> { id, timestamp, message, revertOf, actor, clientIp,
+//                                         requestId, changes: [{ key, version, deleted }] }; a false
+//                                         precondition(latest) throws PreconditionFailedError and writes
+//                                         nothing; options.audit is stored on the commit and every version
+//   getCommit(id)                         that commit record | null
+//   listCommits(options)                  commit records newest first, by (timestamp, id) descending,
+//                                         before options.before = { timestamp, id }; options { limit }
+//   getLatestValue(key)                   highest version -> record | null, where a record is
+//                                         { key, value, timestamp, version, deleted,
+//                                           actor, clientIp, requestId, message, expiresAt }
+//   getVersion(key, version)              that exact version, same shape | null
+//   getValueAtTimestamp(key, timestamp)   newest version at or before timestamp, same shape | null
+//   getAllVersions(key, options)          versions (tombstones included) filtered by
+//                                         { from, to, after, order, limit }
+//   getSnapshot(timestamp, options)       newest version of every key at or before timestamp, ordered by
+//                                         key, left out when deleted or expired by timestamp;
+//                                         options { prefix, exclude, after, limit }
+//   getChanges(options)                   versions (tombstones included) ordered by (timestamp, key, version)
+//                                         past options.after = { timestamp, key, version } up to options.to;
+//                                         options { actor, keys, prefix, exclude, limit } (keys/prefix: either
+//                                         matches)
+//   getExpiredVersions(options)           versions with expiresAt at or before options.until (superseded ones
+//                                         included), ordered by (expiresAt, key, version) past
+//                                         options.after = { expiresAt, key, version }; options { limit }
+//   listKeys(options)                     every key with any history (deleted keys included), ordered by
+//                                         key; options { prefix, after, limit }
+//   listKeySummaries(options)             { key, latestTimestamp, latestVersion, versionCount, deleted } per
+//                                         key, ordered by key; options { prefix, exclude, after, limit,
+//                                         includeDeleted }
+//                                         (deleted keys are left out by default)
+//   getTopKeys(options)                   keys ranked by options.by -> [{ key, total }], highest first:
+//                                         'versions' stored, 'bytes' of live values, or 'writes' at or
+//                                         after options.since; options { by, since, prefix, exclude, limit }
+//   importVersions(records, options)      writes records with their own key, version, timestamp and audit
+//                                         fields -> { imported, skipped, overwritten }; options.conflict
+//                                         for a taken (key, version): 'skip', 'overwrite' or 'fail'
+//                                         (throws ImportConflictError, nothing in the batch is written);
+//                                         no 'change' events are emitted
+//   deleteVersions(key, versions)         removes those versions of key, never the latest -> count removed
+//   deleteKeys(prefix)                    removes every version of every key under prefix -> count removed;
+//                                         no 'change' events are emitted
+//   createApiKey(apiKey)                  stores { id, name, keyHash, keyPrefix, scopes, createdAt,
+//                                         rotatedAt, revokedAt } -> that record
+//   getApiKey(id) / findApiKeyByHash(hash)
+//                                         that API key record | null
+//   listApiKeys()                         every API key record (revoked ones included), oldest first
+//   updateApiKey(id, changes)             sets keyHash, keyPrefix, rotatedAt and/or revokedAt -> record | null
+//   getStats()                            { total_records, unique_keys, ... }
+//   healthCheck()                         { status: 'connected' | ..., stats, error }
+//   close()
+// options.exclude is a list of key prefixes whose keys are left out (see RESERVED_PREFIXES in src/refs.js).
+// The SQLite adapter also implements (see src/backup.js):
+//   backup(destination)                   consistent online copy of the database file
+//   restore(source)                       verifies a backup, then replaces the database with it
+//                                         (throws InvalidBackupError)
+// Adapters are also EventEmitters: each committed version is emitted as
+// 'change' with { key, value, timestamp, version, deleted }.
+// Adapters whose store several server processes can share also implement (see src/notifications.js):
+//   watchChanges(listener)                calls listener with each version written by any process,
+//                                         same shape as 'change' -> function that stops watching
+const STORAGE_BACKENDS = {
+  sqlite: () => new Database(process.env.DB_PATH),
+  mongodb: () => new MongoDatabase(process.env.MONGODB_URI),
+  memory: () => new MemoryDatabase()
+};
+
+function createDatabase(backend = process.env.STORAGE_BACKEND || 'sqlite') {
+  const factory = STORAGE_BACKENDS[backend];
+  if (!factory) {
+    throw new Error(
+      `Unknown STORAGE_BACKEND "${backend}", expected one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}`
+    );
+  }
+  return factory();
+}
+
+module.exports = {
+  createDatabase,
+  STORAGE_BACKENDS
+};
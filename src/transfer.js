@@ -0,0 +1,156 @@
+const { validateImportRecord } = require('./validators');
+const { ImportConflictError, ImportOrderError } = require('./errors');
+const { RESERVED_PREFIXES } = require('./refs');
+const logger = require('./logger');
+
+// NDJSON export and import of the full version history, shared by
+// GET /admin/export, POST /admin/import and bin/kv-transfer.js.
+// One line per version, in change-feed order:
+//   {"key":"cfg.db","version":1,"timestamp":1640995200,"deleted":false,"value":{...},
+//    "actor":"alice","clientIp":"10.0.0.5","requestId":"req_...","message":null}
+
+const EXPORT_PAGE_SIZE = 1000;
+const IMPORT_BATCH_SIZE = 500;
+
+function toExportLine(record) {
+  return `${JSON.stringify({
+    key: record.key,
+    version: record.version,
+    timestamp: record.timestamp,
+    deleted: record.deleted,
+    value: record.value,
+    actor: record.actor,
+    clientIp: record.clientIp,
+    requestId: record.requestId,
+    message: record.message,
+    expiresAt: record.expiresAt
+  })}\n`;
+}
+
+// Yields one NDJSON line per version of main (tombstones included; refs and branch copies
+// left out) in (timestamp, key, version) order, optionally limited to a key prefix and a
+// timestamp range
+async function* exportLines(db, options = {}) {
+  const { prefix, from, to } = options;
+  // Start just before the first write at `from`
+  let after = { timestamp: from || 0, key: '', version: 0 };
+
+  while (true) {
+    const page = await db.getChanges({ after, to, prefix, exclude: RESERVED_PREFIXES, limit: EXPORT_PAGE_SIZE });
+    for (const record of page) {
+      yield toExportLine(record);
+    }
+    if (page.length < EXPORT_PAGE_SIZE) return;
+
+    const last = page[page.length - 1];
+    after = { timestamp: last.timestamp, key: last.key, version: last.version };
+  }
+}
+
+// Checks that importing `records` keeps every key's history in order before an adapter
+// writes them: a version the key doesn't have yet must come after its latest one, and
+// timestamps must not decrease from one version to the next. Otherwise an old record
+// could become the latest version behind ones written here. `stored` maps each key in
+// the batch to its stored [{ version, timestamp }] in ascending version order and is
+// updated as records are placed. Versions that conflict takes no action on (skip, or
+// fail, which the adapter reports) are passed over. Throws ImportOrderError.
+function checkImportOrder(stored, records, conflict) {
+  for (const { key, version, timestamp } of records) {
+    if (!stored.has(key)) {
+      stored.set(key, []);
+    }
+    const versions = stored.get(key);
+    const index = versions.findIndex(entry => entry.version >= version);
+    const exists = index !== -1 && versions[index].version === version;
+    if (exists && conflict !== 'overwrite') continue;
+
+    if (!exists && index !== -1) {
+      throw new ImportOrderError(key, version, `the key already has version ${versions[versions.length - 1].version}`);
+    }
+    const previous = versions[(index === -1 ? versions.length : index) - 1];
+    const next = exists ? versions[index + 1] : undefined;
+    const neighbour = previous && timestamp < previous.timestamp ? previous
+      : next && timestamp > next.timestamp ? next : null;
+    if (neighbour) {
+      throw new ImportOrderError(key, version, `timestamp ${timestamp} is out of order with version ${neighbour.version}`);
+    }
+
+    if (exists) {
+      versions[index] = { version, timestamp };
+    } else {
+      versions.push({ version, timestamp });
+    }
+  }
+}
+
+// Reads NDJSON lines (any async iterable of strings) into the store in batches of
+// IMPORT_BATCH_SIZE, each written atomically by db.importVersions. Stops at the first
+// invalid line, a version out of order with the key's history (see checkImportOrder)
+// or, with conflict 'fail', the first version that already exists; batches before it
+// stay imported. Returns
+// { imported, skipped, overwritten, lines, failed: null | { line, status, error, ... } }.
+async function importLines(db, lines, options = {}) {
+  const { conflict = 'fail' } = options;
+  const report = { imported: 0, skipped: 0, overwritten: 0, lines: 0, failed: null };
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const records = batch.map(({ record }) => record);
+    try {
+      const result = await db.importVersions(records, { conflict });
+      report.imported += result.imported;
+      report.skipped += result.skipped;
+      report.overwritten += result.overwritten;
+    } catch (error) {
+      if (!(error instanceof ImportConflictError) && !(error instanceof ImportOrderError)) throw error;
+      const entry = batch.find(({ record }) => record.key === error.key && record.version === error.version);
+      report.failed = {
+        line: entry ? entry.line : null,
+        status: error.statusCode,
+        error: error.message,
+        key: error.key,
+        version: error.version
+      };
+    }
+    batch = [];
+  };
+
+  for await (const text of lines) {
+    report.lines++;
+    if (text.trim() === '') continue;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      report.failed = { line: report.lines, status: 400, error: 'Line is not valid JSON' };
+      break;
+    }
+
+    const { error, value: record } = validateImportRecord(parsed);
+    if (error) {
+      report.failed = { line: report.lines, status: 400, error: error.details[0].message };
+      break;
+    }
+
+    batch.push({ line: report.lines, record });
+    if (batch.length >= IMPORT_BATCH_SIZE) {
+      await flush();
+      if (report.failed) break;
+    }
+  }
+
+  // The last partial batch, or the valid lines read before an invalid one
+  await flush();
+
+  logger.info('Import finished', { conflict, ...report });
+  return report;
+}
+
+module.exports = {
+  exportLines,
+  importLines,
+  checkImportOrder,
+  toExportLine
+};
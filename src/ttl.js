@@ -0,0 +1,108 @@
+const { PreconditionFailedError } = require('./errors');
+const logger = require('./logger');
+
+// Expiring values. A write with a TTL stores expiresAt (Unix seconds) on its version.
+// From then on reads treat the version as gone: GET /object/:key answers 410 and
+// snapshots leave the key out, while lookups at earlier timestamps still find it.
+// The sweeper makes the expiry part of history by appending a tombstone for every key
+// whose latest version has expired, so listings and watchers see it too. Reads report
+// such a tombstone as an expiry, not a delete (see isExpiryTombstone).
+
+const TTL_HEADER = 'X-TTL';
+const SWEEP_PAGE_SIZE = 500;
+const SWEEPER_AUDIT = { actor: 'system:ttl', message: 'Expired' };
+
+// True when `record` has expired by `at` (Unix seconds)
+function isExpired(record, at = Math.floor(Date.now() / 1000)) {
+  return Boolean(record) && !record.deleted && record.expiresAt !== null && record.expiresAt <= at;
+}
+
+// True for the tombstone the sweeper appends when a key expires
+function isExpiryTombstone(record) {
+  return Boolean(record) && record.deleted && record.actor === SWEEPER_AUDIT.actor;
+}
+
+// The value a record holds at `at`, or undefined when deleted, expired or missing
+function liveValue(record, at) {
+  return !record || record.deleted || isExpired(record, at) ? undefined : record.value;
+}
+
+// The expiresAt for writing `record`'s value again at `at` (a restore, rollback or
+// revert): the TTL it was written with, counted from the new write, or null
+function renewedExpiry(record, at) {
+  return record.expiresAt === null ? null : at + (record.expiresAt - record.timestamp);
+}
+
+// Appends a tombstone for each key whose latest version expired after options.after
+// and by options.now. Resolves with { expired, position }; pass `position` back as
+// options.after so the next sweep starts where this one stopped.
+async function sweepExpired(db, options = {}) {
+  const { now = Math.floor(Date.now() / 1000) } = options;
+  let { after } = options;
+  let expired = 0;
+
+  while (true) {
+    const page = await db.getExpiredVersions({ after, until: now, limit: SWEEP_PAGE_SIZE });
+
+    for (const record of page) {
+      try {
+        // Only while the expired version is still the latest: a newer write revives the key
+        await db.deleteValue(record.key, now, {
+          precondition: (latest) => Boolean(latest) && !latest.deleted && latest.version === record.version,
+          audit: SWEEPER_AUDIT
+        });
+        expired++;
+      } catch (error) {
+        if (!(error instanceof PreconditionFailedError)) throw error;
+      }
+    }
+
+    if (page.length > 0) {
+      const last = page[page.length - 1];
+      after = { expiresAt: last.expiresAt, key: last.key, version: last.version };
+    }
+    if (page.length < SWEEP_PAGE_SIZE) break;
+  }
+
+  return { expired, position: after };
+}
+
+// Sweeps every intervalMs in the background; returns a function that stops it
+function startExpirySweeper(db, intervalMs) {
+  if (!intervalMs) {
+    return () => {};
+  }
+
+  let running = false;
+  let position;
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap with a slow previous run
+    if (running) return;
+    running = true;
+    try {
+      const result = await sweepExpired(db, { after: position });
+      position = result.position;
+      if (result.expired > 0) {
+        logger.info('Expired keys swept', { expired: result.expired });
+      }
+    } catch (error) {
+      logger.error('Expiry sweep failed', { error: error.message, stack: error.stack });
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  logger.info('Expiry sweeper scheduled', { intervalMs });
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  TTL_HEADER,
+  isExpired,
+  isExpiryTombstone,
+  liveValue,
+  renewedExpiry,
+  sweepExpired,
+  startExpirySweeper
+};
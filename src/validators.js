@@ -40,6 +40,360 @@ const timestampSchema = Joi.string()
     'any.invalid': 'Timestamp must be a valid unix timestamp and not too far in the future'
   });
 
+// Batch write body: one property per key, up to 1000 keys per request
+const batchSchema = Joi.object()
+  .min(1)
+  .max(1000)
+  .required()
+  .messages({
+    'object.min': 'Batch must contain at least one key-value pair',
+    'object.max': 'Batch cannot contain more than 1000 key-value pairs',
+    'any.required': 'Request body is required'
+  });
+
+// Optimistic concurrency conditions for writes (query string on POST /object)
+const writeConditionsSchema = Joi.object({
+  expectedVersion: Joi.number().integer().min(0),
+  expectedTimestamp: Joi.number().integer().min(0)
+})
+  .unknown(true);
+
+// PUT /object/:key body: the new value plus optional expected latest version
+const putBodySchema = Joi.object({
+  value: Joi.any().required(),
+  expectedVersion: Joi.number().integer().min(0),
+  expectedTimestamp: Joi.number().integer().min(0)
+})
+  .required()
+  .messages({
+    'any.required': 'Request body must contain a "value" property'
+  });
+
+// Time-to-live of a write in seconds (?ttl= or the X-TTL header), at most 10 years
+const ttlSchema = Joi.number()
+  .integer()
+  .min(1)
+  .max(10 * 365 * 24 * 60 * 60)
+  .label('ttl');
+
+// POST /object/:key/restore body: which earlier version to re-publish
+const restoreBodySchema = Joi.object({
+  version: Joi.number().integer().min(1),
+  timestamp: Joi.number().integer().min(0)
+})
+  .xor('version', 'timestamp')
+  .required()
+  .messages({
+    'object.missing': 'Request body must contain either "version" or "timestamp"',
+    'object.xor': 'Request body must contain either "version" or "timestamp", not both'
+  });
+
+// RFC 6901 JSON Pointer: "" for the whole value, otherwise "/"-separated segments
+const jsonPointerSchema = Joi.string()
+  .allow('')
+  .pattern(/^(\/([^~]|~[01])*)*$/)
+  .messages({
+    'string.pattern.base': '{{#label}} must be a JSON Pointer such as "/settings/theme"'
+  });
+
+// PATCH /object/:key body with Content-Type application/json-patch+json (RFC 6902)
+const jsonPatchSchema = Joi.array()
+  .items(Joi.object({
+    op: Joi.string().valid('add', 'remove', 'replace', 'move', 'copy', 'test').required(),
+    path: jsonPointerSchema.required(),
+    value: Joi.any().when('op', { is: Joi.valid('add', 'replace', 'test'), then: Joi.required() }),
+    from: jsonPointerSchema.when('op', { is: Joi.valid('move', 'copy'), then: Joi.required() })
+  }).unknown(true))
+  .min(1)
+  .max(1000)
+  .required()
+  .messages({
+    'array.base': 'A JSON Patch must be an array of operations',
+    'array.min': 'A JSON Patch must contain at least one operation'
+  });
+
+// Key prefix filter: same characters as keys, may end with a dot (e.g. "svc.payments.")
+const prefixSchema = Joi.string()
+  .max(255)
+  .pattern(/^[a-zA-Z0-9_\-\.]+$/)
+  .messages({
+    'string.pattern.base': 'Prefix can only contain alphanumeric characters, underscores, hyphens, and dots'
+  });
+
+// GET /snapshot query validation schema
+const snapshotQuerySchema = Joi.object({
+  timestamp: timestampSchema,
+  prefix: prefixSchema,
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  cursor: Joi.string().max(512)
+});
+
+// GET /object/:key/diff query validation schema: the two points in time to compare
+const diffQuerySchema = Joi.object({
+  from: timestampSchema.required(),
+  to: timestampSchema.required()
+})
+  .messages({
+    'any.required': '{{#label}} is required'
+  });
+
+// GET /diff query validation schema: store-wide diff, optionally limited to a prefix
+const storeDiffQuerySchema = diffQuerySchema.keys({
+  prefix: prefixSchema
+});
+
+// One retention rule set for keys under a prefix ("" matches every key).
+// A version is kept if any configured rule keeps it.
+const retentionPolicySchema = Joi.object({
+  prefix: Joi.string().allow('').max(255).pattern(/^[a-zA-Z0-9_\-\.]*$/).default(''),
+  keepLast: Joi.number().integer().min(1),
+  maxAgeDays: Joi.number().positive(),
+  downsample: Joi.object({
+    every: Joi.string().valid('hour', 'day').required(),
+    olderThanDays: Joi.number().min(0).required()
+  })
+})
+  .or('keepLast', 'maxAgeDays', 'downsample')
+  .messages({
+    'object.missing': 'Retention policy needs at least one of keepLast, maxAgeDays or downsample'
+  });
+
+// RETENTION_POLICIES: at most one policy per prefix
+const retentionPoliciesSchema = Joi.array()
+  .items(retentionPolicySchema)
+  .unique('prefix')
+  .messages({
+    'array.unique': 'Each prefix can only have one retention policy'
+  });
+
+// GET /compaction/dry-run query validation schema
+const compactionQuerySchema = Joi.object({
+  prefix: prefixSchema
+});
+
+// GET /watch query validation schema: comma-separated keys and/or a prefix
+const watchQuerySchema = Joi.object({
+  keys: Joi.string()
+    .max(10000)
+    .pattern(/^[a-zA-Z0-9_\-\.]{1,255}(,[a-zA-Z0-9_\-\.]{1,255})*$/)
+    .messages({
+      'string.pattern.base': 'keys must be a comma-separated list of valid keys'
+    }),
+  prefix: prefixSchema
+});
+
+// API key scope: "admin", or read/write on an exact key, a "prefix*" or "*"
+const scopeSchema = Joi.string()
+  .pattern(/^(admin|(read|write):(\*|[a-zA-Z0-9_\-\.]+\*?))$/)
+  .messages({
+    'string.pattern.base': 'Scopes look like "read:cfg.*", "write:feature.flag", "read:*" or "admin"'
+  });
+
+// POST /admin/api-keys body
+const apiKeyBodySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  scopes: Joi.array().items(scopeSchema).min(1).max(100).unique().required()
+})
+  .required()
+  .messages({
+    'any.required': 'Request body must contain "name" and "scopes"'
+  });
+
+// GET /audit query validation schema
+const auditQuerySchema = Joi.object({
+  actor: Joi.string().max(255),
+  from: timestampSchema,
+  to: timestampSchema,
+  prefix: prefixSchema,
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  cursor: Joi.string().max(1024)
+})
+  .custom((query, helpers) => {
+    if (query.from !== undefined && query.to !== undefined && query.from > query.to) {
+      return helpers.message({ custom: '"from" must not be later than "to"' });
+    }
+    return query;
+  });
+
+// GET /keys query validation schema: S3-style listing, grouped at the delimiter
+const keysQuerySchema = Joi.object({
+  prefix: prefixSchema,
+  delimiter: Joi.string()
+    .max(10)
+    .pattern(/^[a-zA-Z0-9_\-\.]+$/)
+    .messages({
+      'string.pattern.base': 'delimiter can only contain characters that are valid in keys'
+    }),
+  includeDeleted: Joi.boolean().default(false),
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  cursor: Joi.string().max(1024)
+});
+
+// GET /stats query validation schema: top-N size and the write-rate window in seconds
+const statsQuerySchema = Joi.object({
+  prefix: prefixSchema,
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  window: Joi.number().integer().min(60).max(365 * 24 * 60 * 60).default(24 * 60 * 60)
+});
+
+// GET /admin/export query validation schema (also used by bin/kv-transfer.js)
+const exportQuerySchema = Joi.object({
+  prefix: prefixSchema,
+  from: timestampSchema,
+  to: timestampSchema
+})
+  .custom((query, helpers) => {
+    if (query.from !== undefined && query.to !== undefined && query.from > query.to) {
+      return helpers.message({ custom: '"from" must not be later than "to"' });
+    }
+    return query;
+  });
+
+// POST /admin/import query validation schema: what to do with a (key, version) already stored
+const importQuerySchema = Joi.object({
+  conflict: Joi.string().valid('skip', 'overwrite', 'fail').default('fail')
+});
+
+// One NDJSON line of an export: a version with its audit fields
+const importRecordSchema = Joi.object({
+  key: keySchema,
+  version: Joi.number().integer().min(1).required(),
+  timestamp: Joi.number().integer().min(0).required(),
+  deleted: Joi.boolean().default(false),
+  value: Joi.any().when('deleted', { is: false, then: Joi.required() }),
+  actor: Joi.string().max(255).allow(null).default(null),
+  clientIp: Joi.string().max(255).allow(null).default(null),
+  requestId: Joi.string().max(255).allow(null).default(null),
+  message: Joi.string().max(1000).allow(null).default(null),
+  expiresAt: Joi.number().integer().min(0).allow(null).default(null)
+})
+  .required();
+
+// Branch name: a single key segment (no dots), "main" is the store itself
+const branchNameSchema = Joi.string()
+  .max(64)
+  .pattern(/^[a-zA-Z0-9_\-]+$/)
+  .messages({
+    'string.pattern.base': 'Branch names can only contain alphanumeric characters, underscores and hyphens'
+  });
+
+// Tag name: key characters, but not all digits so it can't be mistaken for a timestamp
+const tagNameSchema = Joi.string()
+  .max(100)
+  .pattern(/^(?!\d+$)[a-zA-Z0-9_\-\.]+$/)
+  .messages({
+    'string.pattern.base': 'Tag names can only contain alphanumeric characters, underscores, hyphens and dots, and cannot be all digits'
+  });
+
+// POST /branches body: the new branch and the point in main's history it starts from
+const branchBodySchema = Joi.object({
+  name: branchNameSchema.invalid('main').required(),
+  timestamp: Joi.number().integer().min(0),
+  tag: tagNameSchema
+})
+  .oxor('timestamp', 'tag')
+  .required()
+  .messages({
+    'any.invalid': '"main" is the store itself and cannot be created as a branch',
+    'object.oxor': 'Send either "timestamp" or "tag", not both'
+  });
+
+// POST /branches/:name/merge body: 'fail' stops at conflicts, 'theirs' lets the branch win them
+const mergeBodySchema = Joi.object({
+  strategy: Joi.string().valid('fail', 'theirs').default('fail')
+})
+  .default({});
+
+// POST /tags body: a name for a point in time (now by default)
+const tagBodySchema = Joi.object({
+  name: tagNameSchema.required(),
+  timestamp: Joi.number().integer().min(0),
+  message: Joi.string().max(1000)
+})
+  .required()
+  .messages({
+    'any.required': 'Request body must contain a "name"'
+  });
+
+// Version history query validation schema
+const versionsQuerySchema = Joi.object({
+  from: timestampSchema,
+  to: timestampSchema,
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  cursor: Joi.string().max(512)
+})
+  .custom((query, helpers) => {
+    if (query.from !== undefined && query.to !== undefined && query.from > query.to) {
+      return helpers.message({ custom: '"from" must not be later than "to"' });
+    }
+    return query;
+  });
+
+// POST /commits body: a message and the key changes to apply together
+const commitBodySchema = Joi.object({
+  message: Joi.string().trim().min(1).max(1000).required(),
+  changes: Joi.array()
+    .items(Joi.object({
+      key: keySchema,
+      value: Joi.any(),
+      deleted: Joi.boolean().valid(true),
+      expectedVersion: Joi.number().integer().min(0)
+    })
+      .xor('value', 'deleted')
+      .messages({
+        'object.missing': 'Each change needs either "value" or "deleted": true',
+        'object.xor': 'A change has either "value" or "deleted": true, not both'
+      }))
+    .min(1)
+    .max(1000)
+    .unique('key')
+    .required()
+    .messages({
+      'array.unique': 'Each key can only be changed once per commit'
+    })
+})
+  .required()
+  .messages({
+    'any.required': 'Request body must contain "message" and "changes"'
+  });
+
+// POST /commits/:id/revert body: optionally a message for the inverse commit
+const revertBodySchema = Joi.object({
+  message: Joi.string().trim().min(1).max(1000)
+})
+  .default({});
+
+// GET /commits query validation schema
+const commitsQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  cursor: Joi.string().max(1024)
+});
+
+// GET /object/:key long-polling parameters: wait for a version newer than
+// waitForChangeAfter, for at most `timeout` seconds
+const waitQuerySchema = Joi.object({
+  waitForChangeAfter: timestampSchema.required(),
+  timeout: Joi.number().integer().min(1).max(60).default(30)
+})
+  .messages({
+    'any.required': '{{#label}} is required'
+  });
+
+// POST /object/:key/rollback query: the timestamp to go back to, and whether to only plan
+const rollbackQuerySchema = Joi.object({
+  to: timestampSchema.required(),
+  dryRun: Joi.boolean().default(false)
+})
+  .messages({
+    'any.required': '{{#label}} is required'
+  });
+
+// POST /rollback query: every key under a prefix
+const prefixRollbackQuerySchema = rollbackQuerySchema.keys({
+  prefix: prefixSchema.required()
+});
+
 function validateKey(key) {
   return keySchema.validate(key);
 }
@@ -52,11 +406,201 @@ function validateTimestamp(timestamp) {
   return timestampSchema.validate(timestamp);
 }
 
+function validateBatch(batch) {
+  return batchSchema.validate(batch);
+}
+
+function validateWriteConditions(query) {
+  return writeConditionsSchema.validate(query);
+}
+
+function validatePutBody(body) {
+  return putBodySchema.validate(body);
+}
+
+function validateRestoreBody(body) {
+  return restoreBodySchema.validate(body);
+}
+
+function validateTtl(ttl) {
+  return ttlSchema.validate(ttl);
+}
+
+function validateJsonPatch(patch) {
+  return jsonPatchSchema.validate(patch);
+}
+
+function validateSnapshotQuery(query) {
+  return snapshotQuerySchema.validate(query);
+}
+
+function validateDiffQuery(query) {
+  return diffQuerySchema.validate(query);
+}
+
+function validateStoreDiffQuery(query) {
+  return storeDiffQuerySchema.validate(query);
+}
+
+function validateRetentionPolicies(policies) {
+  return retentionPoliciesSchema.validate(policies);
+}
+
+function validateCompactionQuery(query) {
+  return compactionQuerySchema.validate(query);
+}
+
+function validateWatchQuery(query) {
+  return watchQuerySchema.validate(query);
+}
+
+function validateApiKeyBody(body) {
+  return apiKeyBodySchema.validate(body);
+}
+
+function validateAuditQuery(query) {
+  return auditQuerySchema.validate(query);
+}
+
+function validateKeysQuery(query) {
+  return keysQuerySchema.validate(query);
+}
+
+function validateStatsQuery(query) {
+  return statsQuerySchema.validate(query);
+}
+
+function validateExportQuery(query) {
+  return exportQuerySchema.validate(query);
+}
+
+function validateImportQuery(query) {
+  return importQuerySchema.validate(query);
+}
+
+function validateImportRecord(record) {
+  return importRecordSchema.validate(record);
+}
+
+function validateVersionsQuery(query) {
+  return versionsQuerySchema.validate(query);
+}
+
+function validateBranchName(name) {
+  return branchNameSchema.validate(name);
+}
+
+function validateTagName(name) {
+  return tagNameSchema.validate(name);
+}
+
+function validateBranchBody(body) {
+  return branchBodySchema.validate(body);
+}
+
+function validateMergeBody(body) {
+  return mergeBodySchema.validate(body);
+}
+
+function validateTagBody(body) {
+  return tagBodySchema.validate(body);
+}
+
+function validateCommitBody(body) {
+  return commitBodySchema.validate(body);
+}
+
+function validateRevertBody(body) {
+  return revertBodySchema.validate(body);
+}
+
+function validateCommitsQuery(query) {
+  return commitsQuerySchema.validate(query);
+}
+
+function validateWaitQuery(query) {
+  return waitQuerySchema.validate(query);
+}
+
+function validateRollbackQuery(query) {
+  return rollbackQuerySchema.validate(query);
+}
+
+function validatePrefixRollbackQuery(query) {
+  return prefixRollbackQuerySchema.validate(query);
+}
+
 module.exports = {
   validateKey,
   validateValue,
   validateTimestamp,
+  validateBatch,
+  validateWriteConditions,
+  validatePutBody,
+  validateRestoreBody,
+  validateTtl,
+  validateJsonPatch,
+  validateSnapshotQuery,
+  validateDiffQuery,
+  validateStoreDiffQuery,
+  validateRetentionPolicies,
+  validateCompactionQuery,
+  validateWatchQuery,
+  validateApiKeyBody,
+  validateAuditQuery,
+  validateKeysQuery,
+  validateStatsQuery,
+  validateExportQuery,
+  validateImportQuery,
+  validateImportRecord,
+  validateVersionsQuery,
+  validateBranchName,
+  validateTagName,
+  validateBranchBody,
+  validateMergeBody,
+  validateTagBody,
+  validateCommitBody,
+  validateRevertBody,
+  validateCommitsQuery,
+  validateWaitQuery,
+  validateRollbackQuery,
+  validatePrefixRollbackQuery,
   keySchema,
   valueSchema,
-  timestampSchema
+  timestampSchema,
+  batchSchema,
+  writeConditionsSchema,
+  putBodySchema,
+  ttlSchema,
+  restoreBodySchema,
+  jsonPointerSchema,
+  jsonPatchSchema,
+  prefixSchema,
+  snapshotQuerySchema,
+  diffQuerySchema,
+  storeDiffQuerySchema,
+  retentionPolicySchema,
+  retentionPoliciesSchema,
+  compactionQuerySchema,
+  watchQuerySchema,
+  scopeSchema,
+  apiKeyBodySchema,
+  auditQuerySchema,
+  keysQuerySchema,
+  statsQuerySchema,
+  exportQuerySchema,
+  importQuerySchema,
+  importRecordSchema,
+  versionsQuerySchema,
+  branchNameSchema,
+  tagNameSchema,
+  branchBodySchema,
+  mergeBodySchema,
+  tagBodySchema,
+  commitBodySchema,
+  revertBodySchema,
+  commitsQuerySchema,
+  waitQuerySchema,
+  rollbackQuerySchema,
+  prefixRollbackQuerySchema
 };
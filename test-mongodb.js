@@ -72,7 +72,7 @@ async function testMongoDB() {
     }, { mongodb_test: 'value1' });
     console.log('   Response:', store1.data);
     const timestamp1 = store1.data.timestamp;
-    console.log('   Storage:', store1.status === 200 ? '✅ Success' : '❌ Failed');
+    console.log('   Storage:', store1.status === 201 ? '✅ Success' : '❌ Failed');
     console.log('');
 
     // Wait a moment
@@ -87,7 +87,7 @@ async function testMongoDB() {
     }, { mongodb_test: 'value2' });
     console.log('   Response:', store2.data);
     const timestamp2 = store2.data.timestamp;
-    console.log('   Update:', store2.status === 200 ? '✅ Success' : '❌ Failed');
+    console.log('   Update:', store2.status === 201 ? '✅ Success' : '❌ Failed');
     console.log('');
 
     // Test 5: Get latest value
@@ -68,7 +68,7 @@ async function testSQLiteAPI() {
       path: '/object',
       method: 'POST'
     }, { regression_test: 'test_value_1' });
-    console.log('   Status:', store1.status === 200 ? '✅ Success' : '❌ Failed');
+    console.log('   Status:', store1.status === 201 ? '✅ Success' : '❌ Failed');
     console.log('   Response:', store1.data);
     const timestamp1 = store1.data.timestamp;
     console.log('');
@@ -83,7 +83,7 @@ async function testSQLiteAPI() {
       path: '/object',
       method: 'POST'
     }, { regression_test: 'test_value_2' });
-    console.log('   Status:', store2.status === 200 ? '✅ Success' : '❌ Failed');
+    console.log('   Status:', store2.status === 201 ? '✅ Success' : '❌ Failed');
     console.log('   Response:', store2.data);
     console.log('');
 
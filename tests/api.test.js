@@ -1,6 +1,10 @@
+const http = require('http');
 const request = require('supertest');
 const app = require('../server');
 const Database = require('../src/database');
+const MemoryDatabase = require('../src/database-memory');
+const createApp = require('../src/app');
+const { sweepExpired } = require('../src/ttl');
 
 describe('Version Controlled Key-Value Store API', () => {
   let testDb;
@@ -75,6 +79,875 @@ describe('Version Controlled Key-Value Store API', () => {
     });
   });
 
+  describe('POST /objects/batch', () => {
+    test('should store every entry under one timestamp', async () => {
+      const prefix = `batch_${Date.now()}`;
+      await request(app).post('/object').send({ [`${prefix}.a`]: 'old' }).expect(201);
+
+      const response = await request(app)
+        .post('/objects/batch')
+        .send({ [`${prefix}.a`]: 'new', [`${prefix}.b`]: { enabled: true } })
+        .expect(201);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.results).toEqual([
+        expect.objectContaining({ key: `${prefix}.a`, status: 'stored', version: 2 }),
+        expect.objectContaining({ key: `${prefix}.b`, status: 'stored', version: 1 })
+      ]);
+
+      const a = await request(app).get(`/object/${prefix}.a`).expect(200);
+      const b = await request(app).get(`/object/${prefix}.b`).expect(200);
+      expect(a.body).toMatchObject({ value: 'new', timestamp: response.body.timestamp });
+      expect(b.body).toMatchObject({ value: { enabled: true }, timestamp: response.body.timestamp });
+    });
+
+    test('should reject the whole batch when one key is invalid', async () => {
+      const key = `batch_valid_${Date.now()}`;
+      const response = await request(app)
+        .post('/objects/batch')
+        .send({ [key]: 'value', 'invalid key!': 'value' })
+        .expect(400);
+
+      expect(response.body.errors).toEqual([
+        expect.objectContaining({ key: 'invalid key!', error: 'Invalid key format' })
+      ]);
+      await request(app).get(`/object/${key}`).expect(404);
+    });
+
+    test('should reject an empty batch', async () => {
+      await request(app)
+        .post('/objects/batch')
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('Optimistic concurrency', () => {
+    test('should return an ETag for the latest version', async () => {
+      const key = `etag_${Date.now()}`;
+      await request(app).post('/object').send({ [key]: 'v1' }).expect(201);
+
+      const response = await request(app).get(`/object/${key}`).expect(200);
+      expect(response.headers.etag).toBe('"v1"');
+    });
+
+    test('should accept POST /object with a matching If-Match', async () => {
+      const key = `ifmatch_${Date.now()}`;
+      const created = await request(app).post('/object').send({ [key]: 'v1' }).expect(201);
+
+      const response = await request(app)
+        .post('/object')
+        .set('If-Match', created.headers.etag)
+        .send({ [key]: 'v2' })
+        .expect(201);
+
+      expect(response.body.version).toBe(2);
+      expect(response.headers.etag).toBe('"v2"');
+    });
+
+    test('should return 412 when If-Match is stale', async () => {
+      const key = `stale_${Date.now()}`;
+      const created = await request(app).post('/object').send({ [key]: 'v1' }).expect(201);
+      await request(app).post('/object').send({ [key]: 'v2' }).expect(201);
+
+      const response = await request(app)
+        .post('/object')
+        .set('If-Match', created.headers.etag)
+        .send({ [key]: 'v3' })
+        .expect(412);
+
+      expect(response.body).toMatchObject({ currentVersion: 2, currentETag: '"v2"' });
+      const latest = await request(app).get(`/object/${key}`).expect(200);
+      expect(latest.body.value).toBe('v2');
+    });
+
+    test('should honor expectedTimestamp on POST /object', async () => {
+      const key = `expected_ts_${Date.now()}`;
+      const created = await request(app).post('/object').send({ [key]: 'v1' }).expect(201);
+
+      await request(app)
+        .post(`/object?expectedTimestamp=${created.body.timestamp - 1}`)
+        .send({ [key]: 'v2' })
+        .expect(412);
+      await request(app)
+        .post(`/object?expectedTimestamp=${created.body.timestamp}`)
+        .send({ [key]: 'v2' })
+        .expect(201);
+    });
+
+    test('should create with PUT only when expectedVersion is 0 and the key is new', async () => {
+      const key = `put_${Date.now()}`;
+
+      const created = await request(app)
+        .put(`/object/${key}`)
+        .send({ value: { enabled: true }, expectedVersion: 0 })
+        .expect(201);
+      expect(created.body).toMatchObject({ key, value: { enabled: true }, version: 1 });
+
+      await request(app)
+        .put(`/object/${key}`)
+        .send({ value: { enabled: false }, expectedVersion: 0 })
+        .expect(412);
+
+      await request(app)
+        .put(`/object/${key}`)
+        .send({ value: { enabled: false }, expectedVersion: 1 })
+        .expect(201);
+    });
+
+    test('should reject PUT without a value', async () => {
+      const response = await request(app)
+        .put('/object/put_missing')
+        .send({ expectedVersion: 1 })
+        .expect(400);
+
+      expect(response.body.error).toContain('Invalid request body');
+    });
+  });
+
+  describe('DELETE /object/:key and restore', () => {
+    const key = `deletable_${Date.now()}`;
+    let beforeDelete;
+
+    beforeAll(async () => {
+      const nowSpy = jest.spyOn(Date, 'now');
+      nowSpy.mockReturnValue(1700001000 * 1000);
+      await request(app).post('/object').send({ [key]: 'v1' }).expect(201);
+      nowSpy.mockReturnValue(1700001010 * 1000);
+      await request(app).post('/object').send({ [key]: 'v2' }).expect(201);
+      nowSpy.mockReturnValue(1700001020 * 1000);
+      const deleted = await request(app).delete(`/object/${key}`).expect(200);
+      nowSpy.mockRestore();
+
+      expect(deleted.body).toMatchObject({ key, deleted: true, version: 3 });
+      beforeDelete = 1700001010;
+    });
+
+    test('should return 410 for the latest value after a delete', async () => {
+      const response = await request(app).get(`/object/${key}`).expect(410);
+      expect(response.body).toMatchObject({ deletedAt: 1700001020, version: 3 });
+    });
+
+    test('should still return history before the delete', async () => {
+      const response = await request(app)
+        .get(`/object/${key}?timestamp=${beforeDelete}`)
+        .expect(200);
+      expect(response.body.value).toBe('v2');
+
+      await request(app).get(`/object/${key}?timestamp=1700001020`).expect(410);
+    });
+
+    test('should list the tombstone in the version history', async () => {
+      const response = await request(app).get(`/object/${key}/versions`).expect(200);
+      expect(response.body.versions[0]).toMatchObject({ version: 3, deleted: true, value: null });
+      expect(response.body.versions[1]).toMatchObject({ version: 2, deleted: false, value: 'v2' });
+    });
+
+    test('should reject deleting twice or deleting a missing key', async () => {
+      await request(app).delete(`/object/${key}`).expect(410);
+      await request(app).delete('/object/never_written_key').expect(404);
+    });
+
+    test('should restore an earlier version as the newest one', async () => {
+      const response = await request(app)
+        .post(`/object/${key}/restore`)
+        .send({ version: 1 })
+        .expect(201);
+
+      expect(response.body).toMatchObject({
+        value: 'v1',
+        version: 4,
+        restoredFrom: { version: 1, timestamp: 1700001000 }
+      });
+
+      const latest = await request(app).get(`/object/${key}`).expect(200);
+      expect(latest.body).toMatchObject({ value: 'v1', version: 4 });
+    });
+
+    test('should refuse to restore a tombstone or a missing version', async () => {
+      await request(app).post(`/object/${key}/restore`).send({ version: 3 }).expect(400);
+      await request(app).post(`/object/${key}/restore`).send({ version: 99 }).expect(404);
+      await request(app).post(`/object/${key}/restore`).send({}).expect(400);
+    });
+  });
+
+  describe('Expiring values', () => {
+    const key = `expiring_${Date.now()}`;
+    let nowSpy;
+
+    beforeEach(() => {
+      nowSpy = jest.spyOn(Date, 'now');
+    });
+
+    afterEach(() => {
+      nowSpy.mockRestore();
+    });
+
+    test('should stop returning a value once its TTL has passed', async () => {
+      nowSpy.mockReturnValue(1700003000 * 1000);
+      const stored = await request(app)
+        .post(`/object?ttl=60`)
+        .send({ [key]: 'token-1' })
+        .expect(201);
+      expect(stored.body).toMatchObject({ version: 1, expiresAt: 1700003060 });
+
+      nowSpy.mockReturnValue(1700003059 * 1000);
+      const live = await request(app).get(`/object/${key}`).expect(200);
+      expect(live.body).toMatchObject({ value: 'token-1', expiresAt: 1700003060 });
+
+      nowSpy.mockReturnValue(1700003060 * 1000);
+      const expired = await request(app).get(`/object/${key}`).expect(410);
+      expect(expired.body).toMatchObject({ error: 'Key has expired', expiredAt: 1700003060, version: 1 });
+    });
+
+    test('should still resolve history before the expiry', async () => {
+      nowSpy.mockReturnValue(1700003100 * 1000);
+      const before = await request(app).get(`/object/${key}?timestamp=1700003030`).expect(200);
+      expect(before.body.value).toBe('token-1');
+
+      await request(app).get(`/object/${key}?timestamp=1700003060`).expect(410);
+    });
+
+    test('should accept the TTL as a header and on PUT and batch writes', async () => {
+      nowSpy.mockReturnValue(1700003200 * 1000);
+      const renewed = await request(app)
+        .put(`/object/${key}`)
+        .set('X-TTL', '30')
+        .send({ value: 'token-2' })
+        .expect(201);
+      expect(renewed.body.expiresAt).toBe(1700003230);
+      await request(app).get(`/object/${key}`).expect(200);
+
+      const batch = await request(app)
+        .post('/objects/batch?ttl=10')
+        .send({ [`${key}_a`]: 1, [`${key}_b`]: 2 })
+        .expect(201);
+      expect(batch.body.expiresAt).toBe(1700003210);
+
+      const versions = await request(app).get(`/object/${key}/versions`).expect(200);
+      expect(versions.body.versions.map(version => version.expiresAt)).toEqual([1700003230, 1700003060]);
+    });
+
+    test('should give a restored version its TTL again', async () => {
+      nowSpy.mockReturnValue(1700003300 * 1000);
+      const restored = await request(app).post(`/object/${key}/restore`).send({ version: 1 }).expect(201);
+      expect(restored.body).toMatchObject({ value: 'token-1', version: 3, expiresAt: 1700003360 });
+
+      nowSpy.mockReturnValue(1700003360 * 1000);
+      await request(app).get(`/object/${key}`).expect(410);
+    });
+
+    test('should report a swept key as expired, not deleted', async () => {
+      const db = new MemoryDatabase();
+      await db.connect();
+      const ttlApp = createApp(db, { retentionPolicies: [], auth: { enabled: false } });
+
+      nowSpy.mockReturnValue(1700003000 * 1000);
+      await request(ttlApp).post('/object?ttl=60').send({ 'swept.token': 't1' }).expect(201);
+      await sweepExpired(db, { now: 1700003090 });
+
+      nowSpy.mockReturnValue(1700003100 * 1000);
+      const latest = await request(ttlApp).get('/object/swept.token').expect(410);
+      expect(latest.body).toMatchObject({ error: 'Key has expired', expiredAt: 1700003060, version: 1 });
+      const past = await request(ttlApp).get('/object/swept.token?timestamp=1700003095').expect(410);
+      expect(past.body).toMatchObject({ error: 'Key had expired at specified timestamp', expiredAt: 1700003060, version: 1 });
+
+      // A delete by a client still reads as a delete
+      await request(ttlApp).post('/object').send({ 'swept.token': 't2' }).expect(201);
+      await request(ttlApp).delete('/object/swept.token').expect(200);
+      const deleted = await request(ttlApp).get('/object/swept.token').expect(410);
+      expect(deleted.body).toMatchObject({ error: 'Key has been deleted', version: 4 });
+    });
+
+    test('should reject invalid TTLs', async () => {
+      await request(app).post('/object?ttl=0').send({ [key]: 'x' }).expect(400);
+      await request(app).post('/object?ttl=soon').send({ [key]: 'x' }).expect(400);
+      const response = await request(app).post('/object').set('X-TTL', '1.5').send({ [key]: 'x' }).expect(400);
+      expect(response.body.error).toBe('Invalid TTL');
+    });
+  });
+
+  describe('PATCH /object/:key', () => {
+    const key = `patchable_${Date.now()}`;
+    const mergePatch = (body, target = key) => request(app)
+      .patch(`/object/${target}`)
+      .set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify(body));
+    const jsonPatch = (body, target = key) => request(app)
+      .patch(`/object/${target}`)
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify(body));
+
+    beforeAll(async () => {
+      await request(app)
+        .post('/object')
+        .send({ [key]: { title: 'Hello', author: { name: 'Ann', email: 'ann@example.com' }, tags: ['a', 'b'] } })
+        .expect(201);
+    });
+
+    test('should apply a merge patch as a new version', async () => {
+      const response = await mergePatch({ title: 'Hi', author: { email: null }, draft: true }).expect(201);
+
+      expect(response.body).toMatchObject({
+        key,
+        value: { title: 'Hi', author: { name: 'Ann' }, tags: ['a', 'b'], draft: true },
+        version: 2
+      });
+      expect(response.headers.etag).toBe('"v2"');
+
+      const first = await request(app).get(`/object/${key}/versions`).expect(200);
+      expect(first.body.versions[1].value.title).toBe('Hello');
+    });
+
+    test('should apply a JSON Patch as a new version', async () => {
+      const response = await jsonPatch([
+        { op: 'test', path: '/title', value: 'Hi' },
+        { op: 'add', path: '/tags/-', value: 'c' },
+        { op: 'remove', path: '/draft' },
+        { op: 'move', from: '/author/name', path: '/owner' }
+      ]).expect(201);
+
+      expect(response.body).toMatchObject({
+        value: { title: 'Hi', author: {}, tags: ['a', 'b', 'c'], owner: 'Ann' },
+        version: 3
+      });
+    });
+
+    test('should return 409 and store nothing when a test operation fails', async () => {
+      const response = await jsonPatch([
+        { op: 'replace', path: '/title', value: 'Changed' },
+        { op: 'test', path: '/owner', value: 'Bob' }
+      ]).expect(409);
+
+      expect(response.body).toMatchObject({ operation: 1, path: '/owner', expected: 'Bob', actual: 'Ann' });
+
+      const latest = await request(app).get(`/object/${key}`).expect(200);
+      expect(latest.body).toMatchObject({ version: 3, value: { title: 'Hi' } });
+    });
+
+    test('should return 422 for paths that do not exist', async () => {
+      const response = await jsonPatch([{ op: 'replace', path: '/missing/field', value: 1 }]).expect(422);
+      expect(response.body).toMatchObject({ operation: 0, path: '/missing/field' });
+    });
+
+    test('should honour If-Match against the latest version', async () => {
+      await mergePatch({ title: 'Stale' }).set('If-Match', '"v1"').expect(412);
+
+      const response = await mergePatch({ title: 'Fresh' }).set('If-Match', '"v3"').expect(201);
+      expect(response.body.version).toBe(4);
+    });
+
+    test('should reject malformed patches, other content types and missing keys', async () => {
+      await jsonPatch({ op: 'add', path: '/x', value: 1 }).expect(400);
+      await jsonPatch([{ op: 'add', path: 'x', value: 1 }]).expect(400);
+      await jsonPatch([{ op: 'copy', path: '/x' }]).expect(400);
+
+      await request(app).patch(`/object/${key}`).send({ title: 'x' }).expect(415);
+
+      await mergePatch({ title: 'x' }, 'never_written_key').expect(404);
+    });
+  });
+
+  describe('GET /snapshot', () => {
+    const prefix = `snapshot_${Date.now()}.`;
+
+    beforeAll(async () => {
+      const nowSpy = jest.spyOn(Date, 'now');
+      nowSpy.mockReturnValue(1700002000 * 1000);
+      await request(app).post('/objects/batch').send({ [`${prefix}a`]: 1, [`${prefix}b`]: 2, [`${prefix}c`]: 3 });
+      nowSpy.mockReturnValue(1700002100 * 1000);
+      await request(app).post('/object').send({ [`${prefix}a`]: 10 });
+      await request(app).delete(`/object/${prefix}c`);
+      nowSpy.mockRestore();
+    });
+
+    test('should return every key as of the timestamp', async () => {
+      const response = await request(app)
+        .get(`/snapshot?timestamp=1700002050&prefix=${prefix}`)
+        .expect(200);
+
+      expect(response.body.timestamp).toBe(1700002050);
+      expect(response.body.entries.map(e => [e.key, e.value])).toEqual([
+        [`${prefix}a`, 1],
+        [`${prefix}b`, 2],
+        [`${prefix}c`, 3]
+      ]);
+    });
+
+    test('should leave out keys deleted by then and paginate', async () => {
+      const first = await request(app)
+        .get(`/snapshot?timestamp=1700002100&prefix=${prefix}&limit=1`)
+        .expect(200);
+      expect(first.body.entries.map(e => [e.key, e.value])).toEqual([[`${prefix}a`, 10]]);
+
+      const second = await request(app)
+        .get(`/snapshot?timestamp=1700002100&prefix=${prefix}&limit=1&cursor=${first.body.nextCursor}`)
+        .expect(200);
+      expect(second.body.entries.map(e => e.key)).toEqual([`${prefix}b`]);
+      expect(second.body.nextCursor).toBeNull();
+    });
+
+    test('should reject an invalid prefix', async () => {
+      await request(app).get('/snapshot?prefix=bad%20prefix').expect(400);
+    });
+  });
+
+  describe('GET /keys', () => {
+    const prefix = `browse_${Date.now()}.`;
+
+    beforeAll(async () => {
+      const nowSpy = jest.spyOn(Date, 'now');
+      nowSpy.mockReturnValue(1700002200 * 1000);
+      await request(app).post('/objects/batch').send({
+        [`${prefix}top`]: 1,
+        [`${prefix}payments.db.host`]: 'db1',
+        [`${prefix}payments.db.port`]: 5432,
+        [`${prefix}payments.timeout`]: 30,
+        [`${prefix}search.replicas`]: 2,
+        [`${prefix}gone`]: true
+      });
+      nowSpy.mockReturnValue(1700002300 * 1000);
+      await request(app).post('/object').send({ [`${prefix}top`]: 2 });
+      await request(app).delete(`/object/${prefix}gone`);
+      nowSpy.mockRestore();
+    });
+
+    test('should group keys into sub-namespaces at the delimiter', async () => {
+      const response = await request(app)
+        .get(`/keys?prefix=${prefix}&delimiter=.`)
+        .expect(200);
+
+      expect(response.body.namespaces).toEqual([`${prefix}payments.`, `${prefix}search.`]);
+      expect(response.body.keys).toEqual([
+        { key: `${prefix}top`, latestTimestamp: 1700002300, latestVersion: 2, versionCount: 2, deleted: false }
+      ]);
+      expect(response.body.nextCursor).toBeNull();
+
+      const nested = await request(app)
+        .get(`/keys?prefix=${prefix}payments.&delimiter=.`)
+        .expect(200);
+      expect(nested.body.namespaces).toEqual([`${prefix}payments.db.`]);
+      expect(nested.body.keys.map(k => k.key)).toEqual([`${prefix}payments.timeout`]);
+    });
+
+    test('should list every key without a delimiter and include deleted ones on request', async () => {
+      const response = await request(app).get(`/keys?prefix=${prefix}`).expect(200);
+      expect(response.body.namespaces).toEqual([]);
+      expect(response.body.keys.map(k => k.key)).toEqual([
+        `${prefix}payments.db.host`,
+        `${prefix}payments.db.port`,
+        `${prefix}payments.timeout`,
+        `${prefix}search.replicas`,
+        `${prefix}top`
+      ]);
+
+      const withDeleted = await request(app).get(`/keys?prefix=${prefix}&includeDeleted=true`).expect(200);
+      expect(withDeleted.body.keys.find(k => k.key === `${prefix}gone`)).toMatchObject({ deleted: true, versionCount: 2 });
+    });
+
+    test('should paginate across keys and namespaces', async () => {
+      const seen = [];
+      let cursor = null;
+      do {
+        const response = await request(app)
+          .get(`/keys?prefix=${prefix}&delimiter=.&limit=1${cursor ? `&cursor=${cursor}` : ''}`)
+          .expect(200);
+        expect(response.body.count).toBe(1);
+        seen.push(...response.body.namespaces, ...response.body.keys.map(k => k.key));
+        cursor = response.body.nextCursor;
+      } while (cursor);
+
+      expect(seen).toEqual([`${prefix}payments.`, `${prefix}search.`, `${prefix}top`]);
+    });
+
+    test('should reject an invalid delimiter or cursor', async () => {
+      await request(app).get('/keys?delimiter=%2F').expect(400);
+      await request(app).get('/keys?cursor=not-a-cursor').expect(400);
+    });
+  });
+
+  describe('Statistics', () => {
+    const prefix = `stats_${Date.now()}.`;
+
+    beforeAll(async () => {
+      const nowSpy = jest.spyOn(Date, 'now');
+      const writes = [
+        [1700002400, { [`${prefix}busy`]: 'a', [`${prefix}big`]: 'x'.repeat(100) }],
+        [1700002500, { [`${prefix}busy`]: 'aa' }],
+        [1700002700, { [`${prefix}busy`]: 'aaaa' }]
+      ];
+      for (const [seconds, body] of writes) {
+        nowSpy.mockReturnValue(seconds * 1000);
+        await request(app).post('/objects/batch').send(body);
+      }
+      nowSpy.mockRestore();
+    });
+
+    test('should rank keys in GET /stats', async () => {
+      const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1700003600 * 1000);
+      const response = await request(app).get(`/stats?prefix=${prefix}&window=3600`).expect(200);
+      nowSpy.mockRestore();
+
+      expect(response.body.totals.records).toBeGreaterThanOrEqual(4);
+      expect(response.body.window).toEqual({ seconds: 3600, from: 1700000000, to: 1700003600 });
+      expect(response.body.topKeys.byVersionCount).toEqual([
+        { key: `${prefix}busy`, versionCount: 3 },
+        { key: `${prefix}big`, versionCount: 1 }
+      ]);
+      expect(response.body.topKeys.byTotalBytes[0]).toEqual({ key: `${prefix}big`, totalBytes: 100 });
+      expect(response.body.topKeys.byWriteRate[0]).toEqual({ key: `${prefix}busy`, writes: 3, writesPerHour: 3 });
+    });
+
+    test('should summarise one key in GET /object/:key/stats', async () => {
+      const response = await request(app).get(`/object/${prefix}busy/stats`).expect(200);
+
+      expect(response.body).toMatchObject({
+        key: `${prefix}busy`,
+        versionCount: 3,
+        latestVersion: 3,
+        deleted: false,
+        firstWrite: 1700002400,
+        lastWrite: 1700002700,
+        averageIntervalSeconds: 150
+      });
+      expect(response.body.size).toMatchObject({
+        latest: 4,
+        min: 1,
+        max: 4,
+        average: 2,
+        slopeBytesPerVersion: 1.5,
+        direction: 'growing'
+      });
+      expect(response.body.size.series.map(point => point.size)).toEqual([1, 2, 4]);
+    });
+
+    test('should return 404 for unknown keys and 400 for bad queries', async () => {
+      await request(app).get(`/object/${prefix}missing/stats`).expect(404);
+      await request(app).get('/stats?limit=0').expect(400);
+      await request(app).get('/stats?window=5').expect(400);
+    });
+  });
+
+  describe('GET /object/:key/diff', () => {
+    const key = `diff_key_${Date.now()}`;
+    const scalarKey = `diff_scalar_${Date.now()}`;
+
+    beforeAll(async () => {
+      const nowSpy = jest.spyOn(Date, 'now');
+      nowSpy.mockReturnValue(1700003000 * 1000);
+      await request(app).post('/objects/batch').send({
+        [key]: { host: 'db1', ports: [80, 443], 'a/b': 1, retries: 3 },
+        [scalarKey]: 'blue'
+      });
+      nowSpy.mockReturnValue(1700003100 * 1000);
+      await request(app).post('/objects/batch').send({
+        [key]: { host: 'db2', ports: [80], 'a/b': 2, timeout: 30 },
+        [scalarKey]: 'green'
+      });
+      nowSpy.mockRestore();
+    });
+
+    test('should return a JSON Patch for object values', async () => {
+      const response = await request(app)
+        .get(`/object/${key}/diff?from=1700003000&to=1700003100`)
+        .expect(200);
+
+      expect(response.body.fromVersion).toMatchObject({ version: 1, timestamp: 1700003000 });
+      expect(response.body.toVersion).toMatchObject({ version: 2, timestamp: 1700003100 });
+      expect(response.body.changed).toBe(true);
+      expect(response.body.diff).toEqual({
+        format: 'json-patch',
+        patch: [
+          { op: 'replace', path: '/host', value: 'db2' },
+          { op: 'remove', path: '/ports/1' },
+          { op: 'replace', path: '/a~1b', value: 2 },
+          { op: 'remove', path: '/retries' },
+          { op: 'add', path: '/timeout', value: 30 }
+        ]
+      });
+    });
+
+    test('should return before and after for scalar values', async () => {
+      const response = await request(app)
+        .get(`/object/${scalarKey}/diff?from=1700003000&to=1700003100`)
+        .expect(200);
+
+      expect(response.body.diff).toEqual({ format: 'value', before: 'blue', after: 'green' });
+    });
+
+    test('should compare against null before the key existed', async () => {
+      const response = await request(app)
+        .get(`/object/${scalarKey}/diff?from=1600000000&to=1700003000`)
+        .expect(200);
+
+      expect(response.body.fromVersion).toBeNull();
+      expect(response.body.diff).toEqual({ format: 'value', before: null, after: 'blue' });
+    });
+
+    test('should require both timestamps', async () => {
+      await request(app).get(`/object/${key}/diff?from=1700003000`).expect(400);
+    });
+
+    test('should return 404 when the key has no value at either timestamp', async () => {
+      await request(app).get(`/object/${key}/diff?from=1600000000&to=1600000100`).expect(404);
+    });
+  });
+
+  describe('GET /diff', () => {
+    const prefix = `storediff_${Date.now()}.`;
+
+    beforeAll(async () => {
+      const nowSpy = jest.spyOn(Date, 'now');
+      nowSpy.mockReturnValue(1700004000 * 1000);
+      await request(app).post('/objects/batch').send({
+        [`${prefix}changed`]: { n: 1 },
+        [`${prefix}removed`]: 'gone soon',
+        [`${prefix}rewritten`]: 'same'
+      });
+      nowSpy.mockReturnValue(1700004100 * 1000);
+      await request(app).post('/objects/batch').send({
+        [`${prefix}added`]: true,
+        [`${prefix}changed`]: { n: 2 },
+        [`${prefix}rewritten`]: 'same'
+      });
+      await request(app).delete(`/object/${prefix}removed`);
+      nowSpy.mockRestore();
+    });
+
+    test('should list keys added, changed and removed between two timestamps', async () => {
+      const response = await request(app)
+        .get(`/diff?from=1700004000&to=1700004100&prefix=${prefix}`)
+        .expect(200);
+
+      expect(response.body.added).toEqual([{ key: `${prefix}added`, value: true, version: 1 }]);
+      expect(response.body.changed).toEqual([{
+        key: `${prefix}changed`,
+        fromVersion: 1,
+        toVersion: 2,
+        diff: { format: 'json-patch', patch: [{ op: 'replace', path: '/n', value: 2 }] }
+      }]);
+      expect(response.body.removed).toEqual([{ key: `${prefix}removed`, value: 'gone soon', version: 1 }]);
+      expect(response.body.counts).toEqual({ added: 1, changed: 1, removed: 1 });
+    });
+
+    test('should report the reverse when from is later than to', async () => {
+      const response = await request(app)
+        .get(`/diff?from=1700004100&to=1700004000&prefix=${prefix}`)
+        .expect(200);
+
+      expect(response.body.added.map(entry => entry.key)).toEqual([`${prefix}removed`]);
+      expect(response.body.removed.map(entry => entry.key)).toEqual([`${prefix}added`]);
+    });
+
+    test('should require both timestamps', async () => {
+      await request(app).get('/diff?to=1700004100').expect(400);
+    });
+  });
+
+  describe('GET /watch', () => {
+    let server;
+    let port;
+
+    beforeAll((done) => {
+      server = app.listen(0, () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    // Opens a watch stream and resolves with the first `count` events;
+    // `onOpen` runs once the stream is connected
+    function watch(path, { count, headers = {}, onOpen = () => {} }) {
+      return new Promise((resolve, reject) => {
+        const events = [];
+        let buffer = '';
+        const req = http.get({ port, path, headers }, (res) => {
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+              const block = buffer.slice(0, end);
+              buffer = buffer.slice(end + 2);
+              if (block === ': connected') {
+                onOpen();
+                continue;
+              }
+              const event = {};
+              for (const line of block.split('\n')) {
+                const [field, ...rest] = line.split(': ');
+                event[field] = rest.join(': ');
+              }
+              if (event.data) {
+                events.push({ id: event.id, event: event.event, data: JSON.parse(event.data) });
+              }
+              if (events.length === count) {
+                req.destroy();
+                resolve(events);
+              }
+            }
+          });
+        });
+        req.on('error', reject);
+      });
+    }
+
+    test('should stream new versions of watched keys', async () => {
+      const key = `watch_live_${Date.now()}`;
+
+      const events = await watch(`/watch?keys=${key}&prefix=watchcfg.`, {
+        count: 2,
+        onOpen: async () => {
+          await request(app).post('/object').send({ [`unwatched_${Date.now()}`]: 'ignored' });
+          await request(app).post('/object').send({ [key]: { enabled: true } });
+          await request(app).post('/object').send({ 'watchcfg.flag': 'on' });
+        }
+      });
+
+      expect(events[0].event).toBe('change');
+      expect(events[0].data).toMatchObject({ key, value: { enabled: true }, version: 1, deleted: false });
+      expect(events[0].id).toBe(`${events[0].data.timestamp}:${key}:1`);
+      expect(events[1].data).toMatchObject({ key: 'watchcfg.flag', value: 'on' });
+    });
+
+    test('should replay missed versions after Last-Event-ID', async () => {
+      const key = `watch_resume_${Date.now()}`;
+      const nowSpy = jest.spyOn(Date, 'now');
+      for (let i = 1; i <= 3; i++) {
+        nowSpy.mockReturnValue((1700005000 + i * 10) * 1000);
+        await request(app).post('/object').send({ [key]: `v${i}` });
+      }
+      nowSpy.mockRestore();
+
+      const events = await watch(`/watch?keys=${key}`, {
+        count: 2,
+        headers: { 'Last-Event-ID': `1700005010:${key}:1` }
+      });
+
+      expect(events.map(e => e.data.value)).toEqual(['v2', 'v3']);
+      expect(events[1].id).toBe(`1700005030:${key}:3`);
+    });
+
+    test('should reject an invalid Last-Event-ID', async () => {
+      await request(app)
+        .get('/watch?keys=a')
+        .set('Last-Event-ID', 'not-an-id')
+        .expect(400);
+    });
+
+    test('should reject invalid keys', async () => {
+      await request(app).get('/watch?keys=a,,b').expect(400);
+    });
+  });
+
+  describe('Audit trail', () => {
+    const key = `audited_${Date.now()}`;
+    const actor = `deployer_${Date.now()}`;
+
+    beforeAll(async () => {
+      const nowSpy = jest.spyOn(Date, 'now');
+      nowSpy.mockReturnValue(1700006000 * 1000);
+      await request(app).post('/object')
+        .set('X-Actor', actor)
+        .set('X-Change-Message', 'Initial config')
+        .send({ [key]: 'v1' });
+      nowSpy.mockReturnValue(1700006100 * 1000);
+      await request(app).post('/objects/batch').set('X-Actor', actor).send({ [key]: 'v2' });
+      nowSpy.mockReturnValue(1700006200 * 1000);
+      await request(app).post(`/object/${key}/restore`).set('X-Actor', 'someone_else').send({ version: 1 });
+      nowSpy.mockRestore();
+    });
+
+    test('should include authorship in version history', async () => {
+      const response = await request(app).get(`/object/${key}/versions?order=asc`).expect(200);
+
+      expect(response.body.versions[0]).toMatchObject({
+        version: 1,
+        actor,
+        message: 'Initial config',
+        requestId: expect.stringMatching(/^req_/),
+        clientIp: expect.any(String)
+      });
+      expect(response.body.versions[1]).toMatchObject({ version: 2, actor, message: null });
+      expect(response.body.versions[2]).toMatchObject({ actor: 'someone_else', message: 'Restored version 1' });
+    });
+
+    test('should filter GET /audit by actor and time range', async () => {
+      const all = await request(app).get(`/audit?actor=${actor}`).expect(200);
+      expect(all.body.entries.map(e => [e.key, e.version, e.timestamp])).toEqual([
+        [key, 1, 1700006000],
+        [key, 2, 1700006100]
+      ]);
+
+      const ranged = await request(app)
+        .get(`/audit?actor=${actor}&from=1700006050&to=1700006200`)
+        .expect(200);
+      expect(ranged.body.entries.map(e => e.version)).toEqual([2]);
+    });
+
+    test('should paginate GET /audit', async () => {
+      const first = await request(app).get(`/audit?prefix=${key}&limit=2`).expect(200);
+      expect(first.body.entries.map(e => e.version)).toEqual([1, 2]);
+
+      const second = await request(app)
+        .get(`/audit?prefix=${key}&limit=2&cursor=${first.body.nextCursor}`)
+        .expect(200);
+      expect(second.body.entries.map(e => e.version)).toEqual([3]);
+      expect(second.body.nextCursor).toBeNull();
+    });
+
+    test('should reject an overlong change message', async () => {
+      await request(app)
+        .post('/object')
+        .set('X-Change-Message', 'x'.repeat(1001))
+        .send({ [key]: 'v4' })
+        .expect(400);
+    });
+
+    test('should ignore overlong audit headers on reads', async () => {
+      await request(app)
+        .get(`/object/${key}`)
+        .set('X-Actor', 'x'.repeat(256))
+        .set('X-Change-Message', 'x'.repeat(1001))
+        .expect(200);
+    });
+  });
+
+  describe('Same-second writes', () => {
+    test('should keep every write as its own version', async () => {
+      const key = `same_second_${Date.now()}`;
+      const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1700000500 * 1000);
+
+      const first = await request(app).post('/object').send({ [key]: 'first' }).expect(201);
+      const second = await request(app).post('/object').send({ [key]: 'second' }).expect(201);
+      nowSpy.mockRestore();
+
+      expect(first.body.timestamp).toBe(second.body.timestamp);
+      expect(first.body.version).toBe(1);
+      expect(second.body.version).toBe(2);
+
+      const history = await request(app)
+        .get(`/object/${key}/versions?order=asc`)
+        .expect(200);
+      expect(history.body.versions.map(v => [v.value, v.version])).toEqual([
+        ['first', 1],
+        ['second', 2]
+      ]);
+
+      const latest = await request(app).get(`/object/${key}`).expect(200);
+      expect(latest.body).toMatchObject({ value: 'second', version: 2 });
+
+      const atTimestamp = await request(app)
+        .get(`/object/${key}?timestamp=1700000500`)
+        .expect(200);
+      expect(atTimestamp.body).toMatchObject({ value: 'second', version: 2 });
+    });
+  });
+
   describe('GET /object/:key', () => {
     beforeEach(async () => {
       // Store test data
@@ -139,6 +1012,345 @@ describe('Version Controlled Key-Value Store API', () => {
     });
   });
 
+  describe('Conditional GET', () => {
+    test('should answer 304 to a matching If-None-Match or If-Modified-Since', async () => {
+      const key = `cond_${Date.now()}`;
+      await request(app).post('/object').send({ [key]: 'v1' }).expect(201);
+
+      const response = await request(app).get(`/object/${key}`).expect(200);
+      expect(response.headers.etag).toBe('"v1"');
+      expect(response.headers['cache-control']).toBe('public, max-age=5');
+      const lastModified = response.headers['last-modified'];
+      expect(Date.parse(lastModified) / 1000).toBe(response.body.timestamp);
+
+      const notModified = await request(app).get(`/object/${key}`).set('If-None-Match', '"v1"').expect(304);
+      expect(notModified.text).toBe('');
+      expect(notModified.headers.etag).toBe('"v1"');
+      await request(app).get(`/object/${key}`).set('If-None-Match', 'W/"v0", W/"v1"').expect(304);
+      await request(app).get(`/object/${key}`).set('If-Modified-Since', lastModified).expect(304);
+
+      // If-None-Match wins over If-Modified-Since
+      await request(app).get(`/object/${key}`)
+        .set('If-None-Match', '"v0"')
+        .set('If-Modified-Since', lastModified)
+        .expect(200);
+
+      await request(app).post('/object').send({ [key]: 'v2' }).expect(201);
+      const changed = await request(app).get(`/object/${key}`).set('If-None-Match', '"v1"').expect(200);
+      expect(changed.body.value).toBe('v2');
+    });
+
+    test('should cache settled reads at a past timestamp for good', async () => {
+      const key = `cond_past_${Date.now()}`;
+      const stored = await request(app).post('/object').send({ [key]: 'v1' }).expect(201);
+      const past = stored.body.timestamp;
+
+      const now = jest.spyOn(Date, 'now').mockImplementation(() => (past + 60) * 1000);
+      try {
+        // An import can still add a version before `past` while v1 is the latest
+        const unsettled = await request(app).get(`/object/${key}?timestamp=${past}`).expect(200);
+        expect(unsettled.headers['cache-control']).toBe('public, max-age=5');
+
+        await request(app).post('/object').send({ [key]: 'v2' }).expect(201);
+        const historical = await request(app).get(`/object/${key}?timestamp=${past}`).expect(200);
+        expect(historical.headers['cache-control']).toBe('public, max-age=31536000, immutable');
+        await request(app).get(`/object/${key}?timestamp=${past}`).set('If-None-Match', '"v1"').expect(304);
+
+        // The current second can still gain writes
+        const current = await request(app).get(`/object/${key}?timestamp=${past + 60}`).expect(200);
+        expect(current.headers['cache-control']).toBe('public, max-age=5');
+      } finally {
+        now.mockRestore();
+      }
+    });
+
+    test('should not cache past reads of keys that compaction may prune for good', async () => {
+      const policyApp = createApp(new MemoryDatabase(), {
+        retentionPolicies: [{ prefix: 'pruned.', keepLast: 1 }],
+        auth: { enabled: false }
+      });
+      const past = 1700000000;
+      let clock = past;
+      const now = jest.spyOn(Date, 'now').mockImplementation(() => clock * 1000);
+      try {
+        await request(policyApp).post('/objects/batch').send({ 'pruned.a': 'v1', 'kept.a': 'v1' }).expect(201);
+        clock = past + 60;
+        await request(policyApp).post('/objects/batch').send({ 'pruned.a': 'v2', 'kept.a': 'v2' }).expect(201);
+
+        const pruned = await request(policyApp).get(`/object/pruned.a?timestamp=${past}`).expect(200);
+        expect(pruned.headers['cache-control']).toBe('public, max-age=5');
+        const kept = await request(policyApp).get(`/object/kept.a?timestamp=${past}`).expect(200);
+        expect(kept.headers['cache-control']).toBe('public, max-age=31536000, immutable');
+      } finally {
+        now.mockRestore();
+      }
+    });
+
+    test('should not cache an expiring value past its expiry', async () => {
+      const key = `cond_ttl_${Date.now()}`;
+      await request(app).post(`/object?ttl=2`).send({ [key]: 'v1' }).expect(201);
+
+      const response = await request(app).get(`/object/${key}`).expect(200);
+      expect(response.headers['cache-control']).toMatch(/^public, max-age=[12]$/);
+    });
+  });
+
+  describe('Long polling', () => {
+    test('should answer once a newer version is written', async () => {
+      const key = `poll_${Date.now()}`;
+      const stored = await request(app).post('/object').send({ [key]: 'v1' }).expect(201);
+      const after = stored.body.timestamp;
+
+      const waiting = request(app)
+        .get(`/object/${key}?waitForChangeAfter=${after}&timeout=10`)
+        .then(response => response);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const now = jest.spyOn(Date, 'now').mockImplementation(() => (after + 1) * 1000);
+      try {
+        await request(app).post('/object').send({ [key]: 'v2' }).expect(201);
+        const response = await waiting;
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ value: 'v2', version: 2, timestamp: after + 1 });
+      } finally {
+        now.mockRestore();
+      }
+    });
+
+    test('should answer at once when a newer version already exists', async () => {
+      const key = `poll_now_${Date.now()}`;
+      const stored = await request(app).post('/object').send({ [key]: 'v1' }).expect(201);
+
+      const response = await request(app)
+        .get(`/object/${key}?waitForChangeAfter=${stored.body.timestamp - 1}`)
+        .expect(200);
+      expect(response.body.value).toBe('v1');
+    });
+
+    test('should answer 304 when the timeout passes without a change', async () => {
+      const key = `poll_idle_${Date.now()}`;
+      const stored = await request(app).post('/object').send({ [key]: 'v1' }).expect(201);
+
+      const response = await request(app)
+        .get(`/object/${key}?waitForChangeAfter=${stored.body.timestamp}&timeout=1`)
+        .expect(304);
+      expect(response.headers['cache-control']).toBe('no-store');
+    });
+
+    test('should reject invalid long-polling parameters', async () => {
+      const key = `poll_bad_${Date.now()}`;
+      await request(app).post('/object').send({ [key]: 'v1' }).expect(201);
+
+      await request(app).get(`/object/${key}?waitForChangeAfter=soon`).expect(400);
+      await request(app).get(`/object/${key}?waitForChangeAfter=1&timeout=0`).expect(400);
+      await request(app).get(`/object/${key}?waitForChangeAfter=1&timeout=61`).expect(400);
+      await request(app).get(`/object/${key}?timeout=5`).expect(400);
+      await request(app).get(`/object/${key}?waitForChangeAfter=1&timestamp=1`).expect(400);
+    });
+  });
+
+  describe('GET /object/:key/versions', () => {
+    const historyKey = `history_${Date.now()}`;
+    const baseTime = 1700000000;
+
+    beforeAll(async () => {
+      const nowSpy = jest.spyOn(Date, 'now');
+      for (let i = 0; i < 5; i++) {
+        nowSpy.mockReturnValue((baseTime + i * 10) * 1000);
+        await request(app)
+          .post('/object')
+          .send({ [historyKey]: `v${i}` })
+          .expect(201);
+      }
+      nowSpy.mockRestore();
+    });
+
+    test('should list all versions newest first by default', async () => {
+      const response = await request(app)
+        .get(`/object/${historyKey}/versions`)
+        .expect(200);
+
+      expect(response.body.order).toBe('desc');
+      expect(response.body.count).toBe(5);
+      expect(response.body.versions.map(v => v.value)).toEqual(['v4', 'v3', 'v2', 'v1', 'v0']);
+      expect(response.body.versions.map(v => v.version)).toEqual([5, 4, 3, 2, 1]);
+      expect(response.body.nextCursor).toBeNull();
+    });
+
+    test('should filter by timestamp range in ascending order', async () => {
+      const response = await request(app)
+        .get(`/object/${historyKey}/versions?from=${baseTime + 10}&to=${baseTime + 30}&order=asc`)
+        .expect(200);
+
+      expect(response.body.versions.map(v => v.timestamp)).toEqual([
+        baseTime + 10,
+        baseTime + 20,
+        baseTime + 30
+      ]);
+    });
+
+    test('should paginate with a cursor', async () => {
+      const first = await request(app)
+        .get(`/object/${historyKey}/versions?limit=2`)
+        .expect(200);
+
+      expect(first.body.versions.map(v => v.value)).toEqual(['v4', 'v3']);
+      expect(first.body.nextCursor).toEqual(expect.any(String));
+
+      const second = await request(app)
+        .get(`/object/${historyKey}/versions?limit=2&cursor=${first.body.nextCursor}`)
+        .expect(200);
+
+      expect(second.body.versions.map(v => v.value)).toEqual(['v2', 'v1']);
+
+      const last = await request(app)
+        .get(`/object/${historyKey}/versions?limit=2&cursor=${second.body.nextCursor}`)
+        .expect(200);
+
+      expect(last.body.versions.map(v => v.value)).toEqual(['v0']);
+      expect(last.body.nextCursor).toBeNull();
+    });
+
+    test('should reject an invalid cursor', async () => {
+      const response = await request(app)
+        .get(`/object/${historyKey}/versions?cursor=not-a-cursor`)
+        .expect(400);
+
+      expect(response.body.error).toContain('Invalid cursor');
+    });
+
+    test('should reject from later than to', async () => {
+      const response = await request(app)
+        .get(`/object/${historyKey}/versions?from=${baseTime + 30}&to=${baseTime}`)
+        .expect(400);
+
+      expect(response.body.error).toContain('Invalid query parameters');
+    });
+
+    test('should return 404 for non-existent key', async () => {
+      const response = await request(app)
+        .get('/object/nonexistent_history/versions')
+        .expect(404);
+
+      expect(response.body.error).toContain('Key not found');
+    });
+  });
+
+  describe('Database schema migration', () => {
+    test('should number legacy rows per key in timestamp order', async () => {
+      const os = require('os');
+      const fs = require('fs');
+      const path = require('path');
+      const sqlite3 = require('sqlite3');
+      const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'kv-')), 'legacy.db');
+
+      await new Promise((resolve, reject) => {
+        const legacy = new sqlite3.Database(dbPath);
+        legacy.exec(`
+          CREATE TABLE kv_store (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            key TEXT NOT NULL,
+            value TEXT NOT NULL,
+            timestamp INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(key, timestamp)
+          );
+          INSERT INTO kv_store (key, value, timestamp) VALUES ('a', 'a2', 200), ('a', 'a1', 100), ('b', 'b1', 150);
+        `, (err) => legacy.close(() => (err ? reject(err) : resolve())));
+      });
+
+      const migrated = new Database(dbPath);
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      const versions = await migrated.getAllVersions('a', { order: 'asc' });
+      expect(versions.map(v => [v.value, v.version])).toEqual([['a1', 1], ['a2', 2]]);
+
+      const stored = await migrated.storeValue('a', 'a3', 200);
+      expect(stored.version).toBe(3);
+
+      await migrated.close();
+      fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+    });
+  });
+
+  describe('SQLite batch transactions', () => {
+    test('should roll back every entry when one insert fails', async () => {
+      const db = new Database(':memory:');
+      await db.connect();
+      await db.storeValue('rollback.a', 'before', 100);
+
+      // A null key violates NOT NULL after the first entry has been inserted
+      await expect(db.storeValues([['rollback.a', 'after'], [null, 'bad']], 200)).rejects.toThrow();
+
+      expect(await db.getLatestValue('rollback.a')).toMatchObject({ value: 'before', version: 1 });
+      const stored = await db.storeValue('rollback.a', 'next', 300);
+      expect(stored.version).toBe(2);
+
+      await db.close();
+    });
+
+    test('should keep a rolled-back batch invisible to concurrent reads', async () => {
+      const db = new Database(':memory:');
+      await db.connect();
+      await db.storeValue('isolation.a', 'before', 100);
+
+      // Hold the batch open after its first insert so a read arrives mid-transaction
+      let firstInserted;
+      const inserted = new Promise(resolve => { firstInserted = resolve; });
+      let release;
+      const held = new Promise(resolve => { release = resolve; });
+      const insertVersion = db.insertVersion.bind(db);
+      jest.spyOn(db, 'insertVersion').mockImplementationOnce(async (...args) => {
+        const stored = await insertVersion(...args);
+        firstInserted();
+        await held;
+        return stored;
+      });
+
+      const batch = db.storeValues([['isolation.a', 'after'], [null, 'bad']], 200);
+      await inserted;
+      const read = db.getLatestValue('isolation.a');
+      release();
+
+      await expect(batch).rejects.toThrow();
+      expect(await read).toMatchObject({ value: 'before', version: 1 });
+
+      await db.close();
+    });
+
+    test('should keep API key writes out of a batch that rolls back', async () => {
+      const db = new Database(':memory:');
+      await db.connect();
+      const apiKey = (id) => ({ id, name: id, keyHash: `hash_${id}`, keyPrefix: 'kv_', scopes: ['read:*'], createdAt: 100 });
+      await db.createApiKey(apiKey('k1'));
+
+      let firstInserted;
+      const inserted = new Promise(resolve => { firstInserted = resolve; });
+      let release;
+      const held = new Promise(resolve => { release = resolve; });
+      const insertVersion = db.insertVersion.bind(db);
+      jest.spyOn(db, 'insertVersion').mockImplementationOnce(async (...args) => {
+        const stored = await insertVersion(...args);
+        firstInserted();
+        await held;
+        return stored;
+      });
+
+      const batch = db.storeValues([['isolation.b', 'after'], [null, 'bad']], 200);
+      await inserted;
+      const created = db.createApiKey(apiKey('k2'));
+      const revoked = db.updateApiKey('k1', { revokedAt: 200 });
+      release();
+
+      await expect(batch).rejects.toThrow();
+      await Promise.all([created, revoked]);
+      expect(await db.getApiKey('k2')).toMatchObject({ id: 'k2' });
+      expect(await db.getApiKey('k1')).toMatchObject({ revokedAt: 200 });
+
+      await db.close();
+    });
+  });
+
   describe('Health Check', () => {
     test('should return health status', async () => {
       const response = await request(app)
@@ -151,6 +1363,34 @@ describe('Version Controlled Key-Value Store API', () => {
     });
   });
 
+  describe('GET /metrics', () => {
+    test('should expose request, storage and store-size metrics in Prometheus format', async () => {
+      const key = `metrics_${Date.now()}`;
+      await request(app).post('/object').send({ [key]: 'value' }).expect(201);
+      await request(app).get(`/object/${key}`).expect(200);
+
+      const response = await request(app).get('/metrics').expect(200);
+      expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+
+      const text = response.text;
+      expect(text).toMatch(/^# TYPE kv_http_requests_total counter$/m);
+      expect(text).toMatch(/^kv_http_requests_total\{method="GET",route="\/object\/:key",status="200"\} \d+$/m);
+      expect(text).toMatch(/^kv_http_request_duration_seconds_bucket\{method="POST",route="\/object",status="201",le="\+Inf"\} \d+$/m);
+      expect(text).toMatch(/^kv_writes_total\{operation="storeValue"\} \d+$/m);
+      expect(text).toMatch(/^kv_reads_total\{operation="getLatestValue"\} \d+$/m);
+      expect(text).toMatch(/^kv_value_size_bytes_count \d+$/m);
+      expect(text).toMatch(/^kv_storage_query_duration_seconds_count\{backend="sqlite",operation="storeValue",outcome="success"\} \d+$/m);
+      expect(text).toMatch(/^kv_records\{backend="sqlite"\} [1-9]\d*$/m);
+      expect(text).toMatch(/^kv_unique_keys\{backend="sqlite"\} [1-9]\d*$/m);
+    });
+
+    test('should label unknown paths as unmatched', async () => {
+      await request(app).get('/no-such-route').expect(404);
+      const response = await request(app).get('/metrics').expect(200);
+      expect(response.text).toMatch(/^kv_http_requests_total\{method="GET",route="unmatched",status="404"\} \d+$/m);
+    });
+  });
+
   describe('Error Handling', () => {
     test('should return 404 for unknown endpoints', async () => {
       const response = await request(app)
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const createApp = require('../src/app');
+const MemoryDatabase = require('../src/database-memory');
+const { hasScope } = require('../src/auth');
+const { asAdmin, appOptions } = require('./helpers');
+
+describe('API key scopes', () => {
+  test('match exact keys, prefixes and wildcards', () => {
+    expect(hasScope(['read:cfg.*'], 'read', ['cfg.db'])).toBe(true);
+    expect(hasScope(['read:cfg.*'], 'read', ['feature.x'])).toBe(false);
+    expect(hasScope(['read:cfg.*'], 'write', ['cfg.db'])).toBe(false);
+    expect(hasScope(['write:feature.flag'], 'write', ['feature.flag'])).toBe(true);
+    expect(hasScope(['write:feature.flag'], 'write', ['feature.flags'])).toBe(false);
+    expect(hasScope(['read:*'], 'read', ['anything', '*'])).toBe(true);
+  });
+
+  test('cover prefix targets only within the granted prefix', () => {
+    expect(hasScope(['read:cfg.*'], 'read', ['cfg.db.*'])).toBe(true);
+    expect(hasScope(['read:cfg.*'], 'read', ['*'])).toBe(false);
+    expect(hasScope(['read:cfg.db'], 'read', ['cfg.db*'])).toBe(false);
+  });
+
+  test('require every target to be covered', () => {
+    expect(hasScope(['write:a.*', 'write:b.*'], 'write', ['a.1', 'b.1'])).toBe(true);
+    expect(hasScope(['write:a.*'], 'write', ['a.1', 'b.1'])).toBe(false);
+    expect(hasScope(['read:*'], 'admin')).toBe(false);
+    expect(hasScope(['admin'], 'admin')).toBe(true);
+  });
+});
+
+describe('API key authentication', () => {
+  let db;
+  let app;
+
+
+  async function createKey(scopes) {
+    const response = await asAdmin(request(app).post('/admin/api-keys'))
+      .send({ name: 'test', scopes })
+      .expect(201);
+    return response.body;
+  }
+
+  beforeEach(() => {
+    db = new MemoryDatabase();
+    app = createApp(db, appOptions({ authEnabled: true }));
+  });
+
+  test('rejects requests without a key', async () => {
+    const response = await request(app).post('/object').send({ 'cfg.db': 'x' }).expect(401);
+    expect(response.body.error).toBe('Authentication required');
+    await request(app).get('/object/cfg.db').expect(401);
+  });
+
+  test('rejects unknown keys', async () => {
+    await request(app).get('/object/cfg.db').set('X-API-Key', 'kv_unknown').expect(401);
+  });
+
+  test('enforces read and write scopes per key prefix', async () => {
+    const writer = await createKey(['write:cfg.*', 'read:cfg.*']);
+    const reader = await createKey(['read:cfg.*']);
+
+    await request(app).post('/object').set('X-API-Key', writer.key).send({ 'cfg.db': 'x' }).expect(201);
+    await request(app).post('/object').set('X-API-Key', writer.key).send({ 'feature.x': 'x' }).expect(403);
+    await request(app).post('/object').set('X-API-Key', reader.key).send({ 'cfg.db': 'y' }).expect(403);
+
+    const read = await request(app).get('/object/cfg.db').set('Authorization', `Bearer ${reader.key}`).expect(200);
+    expect(read.body.value).toBe('x');
+
+    const denied = await request(app).get('/object/feature.x').set('X-API-Key', reader.key).expect(403);
+    expect(denied.body.required).toEqual(['read:feature.x']);
+  });
+
+  test('records the API key id as the writer', async () => {
+    const writer = await createKey(['write:cfg.*', 'read:cfg.*']);
+
+    await request(app).post('/object')
+      .set('X-API-Key', writer.key)
+      .set('X-Actor', 'spoofed')
+      .send({ 'cfg.db': 'x' })
+      .expect(201);
+
+    const history = await request(app).get('/object/cfg.db/versions').set('X-API-Key', writer.key).expect(200);
+    expect(history.body.versions[0].actor).toBe(writer.id);
+  });
+
+  test('checks every key of a batch and the prefix of store-wide reads', async () => {
+    const writer = await createKey(['write:cfg.*', 'read:cfg.*']);
+
+    await request(app).post('/objects/batch').set('X-API-Key', writer.key)
+      .send({ 'cfg.a': 1, 'feature.b': 2 })
+      .expect(403);
+    await request(app).get('/snapshot?prefix=cfg.').set('X-API-Key', writer.key).expect(200);
+    await request(app).get('/snapshot').set('X-API-Key', writer.key).expect(403);
+  });
+
+  test('lists keys without secrets or hashes', async () => {
+    const created = await createKey(['read:*']);
+    expect(created.key).toMatch(/^kv_/);
+    expect(created.keyPrefix).toBe(created.key.slice(0, 8));
+
+    const response = await asAdmin(request(app).get('/admin/api-keys')).expect(200);
+    expect(response.body.count).toBe(1);
+    expect(response.body.apiKeys[0]).toEqual({
+      id: created.id,
+      name: 'test',
+      keyPrefix: created.keyPrefix,
+      scopes: ['read:*'],
+      createdAt: created.createdAt,
+      rotatedAt: null,
+      revokedAt: null
+    });
+  });
+
+  test('rotating replaces the secret', async () => {
+    const created = await createKey(['read:*']);
+
+    const rotated = await asAdmin(request(app).post(`/admin/api-keys/${created.id}/rotate`)).expect(200);
+    expect(rotated.body.key).not.toBe(created.key);
+    expect(rotated.body.rotatedAt).toEqual(expect.any(Number));
+
+    await request(app).get('/object/cfg.db').set('X-API-Key', created.key).expect(401);
+    await request(app).get('/object/cfg.db').set('X-API-Key', rotated.body.key).expect(404);
+  });
+
+  test('revoked keys stop working and stay listed', async () => {
+    const created = await createKey(['read:*']);
+
+    const revoked = await asAdmin(request(app).delete(`/admin/api-keys/${created.id}`)).expect(200);
+    expect(revoked.body.revokedAt).toEqual(expect.any(Number));
+    expect(revoked.body.key).toBeUndefined();
+
+    const response = await request(app).get('/object/cfg.db').set('X-API-Key', created.key).expect(401);
+    expect(response.body.error).toBe('API key has been revoked');
+    await asAdmin(request(app).delete(`/admin/api-keys/${created.id}`)).expect(410);
+    await asAdmin(request(app).delete('/admin/api-keys/key_missing')).expect(404);
+  });
+
+  test('admin routes need the admin scope', async () => {
+    const reader = await createKey(['read:*']);
+    await request(app).get('/admin/api-keys').expect(401);
+    await request(app).get('/admin/api-keys').set('X-API-Key', reader.key).expect(403);
+
+    const admin = await createKey(['admin']);
+    await request(app).get('/admin/api-keys').set('X-API-Key', admin.key).expect(200);
+  });
+
+  test('validates new keys', async () => {
+    await asAdmin(request(app).post('/admin/api-keys')).send({ name: 'bad', scopes: ['delete:*'] }).expect(400);
+    await asAdmin(request(app).post('/admin/api-keys')).send({ name: 'empty', scopes: [] }).expect(400);
+  });
+
+  test('leaves key routes open when authentication is disabled', async () => {
+    const openApp = createApp(db, appOptions());
+
+    await request(openApp).post('/object').send({ 'cfg.db': 'x' }).expect(201);
+    await request(openApp).get('/admin/api-keys').expect(401);
+  });
+});
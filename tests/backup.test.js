@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const createApp = require('../src/app');
+const Database = require('../src/database');
+const MemoryDatabase = require('../src/database-memory');
+const { listBackups } = require('../src/backup');
+const { asAdmin, appOptions } = require('./helpers');
+
+describe('SQLite online backups', () => {
+  let dir;
+  let db;
+  let app;
+
+  const options = (backups) => appOptions({ backups });
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-backups-'));
+    db = new Database(':memory:');
+    await db.connect();
+    app = createApp(db, options({ dir, keep: 2 }));
+  });
+
+  afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('takes a backup and restores it after the integrity check', async () => {
+    await db.storeValue('cfg.db', 'before', 100);
+    const created = await asAdmin(request(app).post('/admin/backups')).expect(201);
+    expect(created.body.file).toMatch(/^kv_store-\d{8}T\d{9}Z\.db$/);
+    expect(created.body.size).toBeGreaterThan(0);
+
+    await db.storeValue('cfg.db', 'after', 200);
+    await db.storeValue('cfg.other', 'new', 200);
+
+    const restored = await asAdmin(request(app).post(`/admin/backups/${created.body.file}/restore`)).expect(200);
+    expect(restored.body.restored).toBe(created.body.file);
+    expect(restored.body.previous.file).not.toBe(created.body.file);
+
+    expect(await db.getLatestValue('cfg.db')).toMatchObject({ value: 'before', version: 1 });
+    expect(await db.getLatestValue('cfg.other')).toBeNull();
+    // Writes continue normally on the restored database
+    expect((await db.storeValue('cfg.db', 'next', 300)).version).toBe(2);
+  });
+
+  test('keeps only the newest backups', async () => {
+    for (let i = 0; i < 3; i++) {
+      await asAdmin(request(app).post('/admin/backups')).expect(201);
+      // Backup names have millisecond resolution
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const listed = await asAdmin(request(app).get('/admin/backups')).expect(200);
+    expect(listed.body.count).toBe(2);
+    expect(listed.body.backups.map(b => b.file)).toEqual((await listBackups({ dir })).map(b => b.file));
+    expect(listed.body.backups[0].file > listed.body.backups[1].file).toBe(true);
+  });
+
+  test('refuses to restore a corrupt or unknown backup', async () => {
+    await db.storeValue('cfg.db', 'live', 100);
+    const corrupt = 'kv_store-20260101T000000000Z.db';
+    fs.writeFileSync(path.join(dir, corrupt), 'not a database');
+
+    const response = await asAdmin(request(app).post(`/admin/backups/${corrupt}/restore`)).expect(422);
+    expect(response.body.error).toBe('Backup failed verification');
+    expect(await db.getLatestValue('cfg.db')).toMatchObject({ value: 'live' });
+
+    await asAdmin(request(app).post('/admin/backups/kv_store-20250101T000000000Z.db/restore')).expect(404);
+    await asAdmin(request(app).post('/admin/backups/..%2Fkv_store.db/restore')).expect(400);
+  });
+
+  test('requires the admin scope and a backend with backups', async () => {
+    await request(app).post('/admin/backups').expect(401);
+
+    const memoryApp = createApp(new MemoryDatabase(), options({ dir, keep: 2 }));
+    const response = await asAdmin(request(memoryApp).get('/admin/backups')).expect(501);
+    expect(response.body.backend).toBe('memory');
+  });
+});
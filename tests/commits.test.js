@@ -0,0 +1,133 @@
+const request = require('supertest');
+const createApp = require('../src/app');
+const MemoryDatabase = require('../src/database-memory');
+
+describe('Commits', () => {
+  let app;
+
+  const commit = (body) => request(app).post('/commits').send(body);
+
+  beforeEach(async () => {
+    app = createApp(new MemoryDatabase(), { retentionPolicies: [], auth: { enabled: false } });
+    await request(app).post('/object').send({ 'cfg.api': 'v1' }).expect(201);
+    await request(app).post('/object').send({ 'cfg.legacy': true }).expect(201);
+  });
+
+  test('applies several changes at one timestamp and records them', async () => {
+    const response = await commit({
+      message: 'Switch to v2',
+      changes: [
+        { key: 'cfg.api', value: 'v2' },
+        { key: 'cfg.timeout', value: 30 },
+        { key: 'cfg.legacy', deleted: true }
+      ]
+    }).expect(201);
+
+    expect(response.body).toMatchObject({
+      message: 'Switch to v2',
+      revertOf: null,
+      changes: [
+        { key: 'cfg.api', version: 2, deleted: false },
+        { key: 'cfg.timeout', version: 1, deleted: false },
+        { key: 'cfg.legacy', version: 2, deleted: true }
+      ]
+    });
+    expect(response.body.id).toMatch(/^[0-9a-f]{20}$/);
+
+    const api = await request(app).get('/object/cfg.api').expect(200);
+    expect(api.body).toMatchObject({ value: 'v2', timestamp: response.body.timestamp });
+    await request(app).get('/object/cfg.legacy').expect(410);
+
+    const versions = await request(app).get('/object/cfg.timeout/versions').expect(200);
+    expect(versions.body.versions[0].message).toBe('Switch to v2');
+
+    const detail = await request(app).get(`/commits/${response.body.id}`).expect(200);
+    expect(detail.body.changes.map(change => change.value)).toEqual(['v2', 30, null]);
+  });
+
+  test('writes nothing when any change is rejected', async () => {
+    const invalid = await commit({
+      message: 'Bad',
+      changes: [{ key: 'cfg.api', value: 'v2' }, { key: '_refs.tags.x', value: {} }]
+    }).expect(400);
+    expect(invalid.body.errors).toEqual([{ key: '_refs.tags.x', error: 'Key is reserved for branches and tags' }]);
+
+    await commit({ message: 'Twice', changes: [{ key: 'cfg.api', value: 1 }, { key: 'cfg.api', value: 2 }] }).expect(400);
+    await commit({ message: 'Neither', changes: [{ key: 'cfg.api' }] }).expect(400);
+    await commit({ changes: [{ key: 'cfg.api', value: 1 }] }).expect(400);
+
+    const stale = await commit({
+      message: 'Stale',
+      changes: [{ key: 'cfg.api', value: 'v3' }, { key: 'cfg.legacy', value: false, expectedVersion: 7 }]
+    }).expect(412);
+    expect(stale.body).toMatchObject({ key: 'cfg.legacy', currentVersion: 1 });
+
+    await commit({ message: 'Missing', changes: [{ key: 'cfg.nothing', deleted: true }] }).expect(412);
+
+    expect((await request(app).get('/object/cfg.api').expect(200)).body.value).toBe('v1');
+    expect((await request(app).get('/commits').expect(200)).body.count).toBe(0);
+  });
+
+  test('lists the log newest first with cursor pagination', async () => {
+    const ids = [];
+    for (let i = 1; i <= 3; i++) {
+      const response = await commit({ message: `Change ${i}`, changes: [{ key: 'cfg.api', value: `v${i}` }] }).expect(201);
+      ids.push(response.body.id);
+    }
+
+    const first = await request(app).get('/commits?limit=2').expect(200);
+    expect(first.body.commits.map(entry => entry.message)).toEqual(['Change 3', 'Change 2']);
+    expect(first.body.nextCursor).toBeTruthy();
+
+    const second = await request(app).get(`/commits?limit=2&cursor=${first.body.nextCursor}`).expect(200);
+    expect(second.body.commits.map(entry => entry.id)).toEqual([ids[0]]);
+    expect(second.body.nextCursor).toBeNull();
+
+    await request(app).get('/commits?cursor=garbage').expect(400);
+    await request(app).get('/commits/00000000000000000000').expect(404);
+  });
+
+  test('reverts a commit with an inverse commit', async () => {
+    const original = await commit({
+      message: 'Switch to v2',
+      changes: [
+        { key: 'cfg.api', value: 'v2' },
+        { key: 'cfg.timeout', value: 30 },
+        { key: 'cfg.legacy', deleted: true }
+      ]
+    }).expect(201);
+
+    const revert = await request(app).post(`/commits/${original.body.id}/revert`).expect(201);
+    expect(revert.body).toMatchObject({
+      message: 'Revert "Switch to v2"',
+      revertOf: original.body.id,
+      changes: [
+        { key: 'cfg.api', version: 3, deleted: false },
+        { key: 'cfg.timeout', version: 2, deleted: true },
+        { key: 'cfg.legacy', version: 3, deleted: false }
+      ]
+    });
+
+    expect((await request(app).get('/object/cfg.api').expect(200)).body.value).toBe('v1');
+    await request(app).get('/object/cfg.timeout').expect(410);
+    expect((await request(app).get('/object/cfg.legacy').expect(200)).body.value).toBe(true);
+
+    // The original's keys have moved on, so it can't be reverted again
+    const again = await request(app).post(`/commits/${original.body.id}/revert`).expect(409);
+    expect(again.body.conflicts[0]).toEqual({ key: 'cfg.api', committedVersion: 2, latestVersion: 3 });
+
+    // Reverting the revert re-applies the original
+    await request(app).post(`/commits/${revert.body.id}/revert`).send({ message: 'Reapply v2' }).expect(201);
+    expect((await request(app).get('/object/cfg.api').expect(200)).body.value).toBe('v2');
+  });
+
+  test('keeps the TTL of a value it puts back', async () => {
+    await request(app).post('/object?ttl=3600').send({ 'cfg.token': 't1' }).expect(201);
+    const original = await commit({ message: 'Rotate token', changes: [{ key: 'cfg.token', value: 't2' }] }).expect(201);
+
+    await request(app).post(`/commits/${original.body.id}/revert`).expect(201);
+    const latest = await request(app).get('/object/cfg.token').expect(200);
+    expect(latest.body).toMatchObject({ value: 't1', version: 3 });
+    expect(latest.body.expiresAt - latest.body.timestamp).toBe(3600);
+  });
+});
@@ -0,0 +1,18 @@
+// Fixtures shared by the suites that create an app with an admin key
+
+const ADMIN_KEY = 'test-admin-key';
+
+// Sends `req` with the admin key
+const asAdmin = (req) => req.set('Authorization', `Bearer ${ADMIN_KEY}`);
+
+// createApp options without retention policies and with ADMIN_KEY as the admin key.
+// API keys are only required when authEnabled is set; other options are passed through.
+function appOptions({ authEnabled = false, ...options } = {}) {
+  return { retentionPolicies: [], auth: { enabled: authEnabled, adminKey: ADMIN_KEY }, ...options };
+}
+
+module.exports = {
+  ADMIN_KEY,
+  asAdmin,
+  appOptions
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const createApp = require('../src/app');
+const Database = require('../src/database');
+const MemoryDatabase = require('../src/database-memory');
+const { createNotificationHub } = require('../src/notifications');
+
+describe('Change notifications', () => {
+  test('wakes a waiter with the first version newer than its timestamp', async () => {
+    const db = new MemoryDatabase();
+    await db.connect();
+    const hub = createNotificationHub(db);
+    await db.storeValue('cfg.a', 1, 100);
+
+    const waiter = hub.waitForChange('cfg.a', 100, 5000);
+    await db.storeValue('cfg.a', 2, 100); // same second, not newer
+    await db.storeValue('cfg.b', 1, 101); // another key
+    await db.storeValue('cfg.a', 3, 101);
+
+    expect(await waiter.promise).toMatchObject({ key: 'cfg.a', value: 3, version: 3 });
+  });
+
+  test('resolves null on timeout or cancel', async () => {
+    const db = new MemoryDatabase();
+    await db.connect();
+    const hub = createNotificationHub(db);
+
+    expect(await hub.waitForChange('cfg.a', 100, 10).promise).toBeNull();
+
+    const waiter = hub.waitForChange('cfg.a', 100, 5000);
+    waiter.cancel();
+    expect(await waiter.promise).toBeNull();
+
+    // Finished waiters are forgotten
+    await db.storeValue('cfg.a', 1, 101);
+  });
+
+  describe('across processes sharing a SQLite file', () => {
+    let dir;
+    let reader;
+    let writer;
+
+    beforeEach(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-notify-'));
+      reader = new Database(path.join(dir, 'kv.db'));
+      await reader.connect();
+      writer = new Database(path.join(dir, 'kv.db'));
+      await writer.connect();
+    });
+
+    afterEach(async () => {
+      await reader.close();
+      await writer.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('ends a long poll when another process writes the key', async () => {
+      const app = createApp(reader, { retentionPolicies: [], auth: { enabled: false } });
+      const stored = await request(app).post('/object').send({ 'cfg.shared': 'v1' }).expect(201);
+
+      const waiting = request(app)
+        .get(`/object/cfg.shared?waitForChangeAfter=${stored.body.timestamp}&timeout=10`)
+        .then(response => response);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      // The reader's adapter emits no 'change' for this write; only polling finds it
+      await writer.storeValue('cfg.shared', 'v2', Math.floor(Date.now() / 1000) + 1);
+
+      const response = await waiting;
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ value: 'v2', version: 2 });
+    });
+  });
+});
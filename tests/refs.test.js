@@ -0,0 +1,233 @@
+const request = require('supertest');
+const createApp = require('../src/app');
+const MemoryDatabase = require('../src/database-memory');
+const { asAdmin, appOptions } = require('./helpers');
+
+describe('Branches and tags', () => {
+  const T0 = 1700000000;
+  let db;
+  let app;
+  let clock;
+  const at = (seconds) => { clock = seconds; };
+  const store = (key, value, query = '') => request(app).post(`/object${query}`).send({ [key]: value }).expect(201);
+
+  beforeEach(async () => {
+    clock = T0;
+    jest.spyOn(Date, 'now').mockImplementation(() => clock * 1000);
+    db = new MemoryDatabase();
+    app = createApp(db, appOptions());
+
+    await store('cfg.mode', 'blue');
+    await store('cfg.limit', 10);
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  test('writes to a branch without affecting main, reading main as of the branch base', async () => {
+    at(T0 + 10);
+    const created = await asAdmin(request(app).post('/branches')).send({ name: 'staging' }).expect(201);
+    expect(created.body).toMatchObject({ name: 'staging', base: T0 + 10, lastMergedAt: null });
+
+    at(T0 + 20);
+    await store('cfg.mode', 'green', '?branch=staging');
+    await store('cfg.limit', 20);
+
+    const branchMode = await request(app).get('/object/cfg.mode?branch=staging').expect(200);
+    expect(branchMode.body).toMatchObject({ value: 'green', branch: 'staging', inherited: false });
+    const branchLimit = await request(app).get('/object/cfg.limit?branch=staging').expect(200);
+    expect(branchLimit.body).toMatchObject({ value: 10, inherited: true });
+
+    expect((await request(app).get('/object/cfg.mode').expect(200)).body.value).toBe('blue');
+    expect((await request(app).get('/object/cfg.limit').expect(200)).body.value).toBe(20);
+
+    // Deleting on the branch hides main's value on the branch only
+    await request(app).delete('/object/cfg.limit?branch=staging').expect(200);
+    await request(app).get('/object/cfg.limit?branch=staging').expect(410);
+    await request(app).get('/object/cfg.limit').expect(200);
+
+    const branch = await request(app).get('/branches/staging').expect(200);
+    expect(branch.body.keys).toEqual(['cfg.limit', 'cfg.mode']);
+
+    await request(app).get('/object/cfg.mode?branch=nope').expect(404);
+    await request(app).post('/object?branch=nope').send({ 'cfg.mode': 'red' }).expect(404);
+  });
+
+  test('branches from an earlier timestamp and applies write conditions to what the branch shows', async () => {
+    at(T0 + 10);
+    await store('cfg.mode', 'red');
+    await asAdmin(request(app).post('/branches')).send({ name: 'hotfix', timestamp: T0 }).expect(201);
+
+    const shown = await request(app).get('/object/cfg.mode?branch=hotfix').expect(200);
+    expect(shown.body).toMatchObject({ value: 'blue', version: 1, inherited: true });
+
+    await request(app)
+      .put('/object/cfg.mode?branch=hotfix')
+      .set('If-Match', '"v2"')
+      .send({ value: 'yellow' })
+      .expect(412);
+    await request(app)
+      .put('/object/cfg.mode?branch=hotfix')
+      .set('If-Match', shown.headers.etag)
+      .send({ value: 'yellow' })
+      .expect(201);
+
+    const patched = await request(app)
+      .patch('/object/cfg.limit?branch=hotfix')
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify([{ op: 'replace', path: '', value: 11 }]))
+      .expect(201);
+    expect(patched.body).toMatchObject({ branch: 'hotfix', value: 11, version: 1 });
+
+    const batch = await request(app)
+      .post('/objects/batch?branch=hotfix')
+      .send({ 'cfg.extra': true })
+      .expect(201);
+    expect(batch.body.results[0].key).toBe('cfg.extra');
+    await request(app).get('/object/cfg.extra').expect(404);
+  });
+
+  test('merges branch changes into main and moves the base', async () => {
+    at(T0 + 10);
+    await asAdmin(request(app).post('/branches')).send({ name: 'staging' }).expect(201);
+
+    at(T0 + 20);
+    await store('cfg.mode', 'green', '?branch=staging');
+    await store('cfg.new', 'x', '?branch=staging');
+    await request(app).delete('/object/cfg.limit?branch=staging').expect(200);
+    await store('cfg.other', 'main only');
+
+    at(T0 + 30);
+    const merge = await asAdmin(request(app).post('/branches/staging/merge')).expect(200);
+    expect(merge.body).toMatchObject({ conflicts: [], unchanged: 0, base: T0 + 30 });
+    expect(merge.body.merged).toEqual([
+      { key: 'cfg.limit', action: 'deleted', version: 2 },
+      { key: 'cfg.mode', action: 'stored', version: 2 },
+      { key: 'cfg.new', action: 'stored', version: 1 }
+    ]);
+
+    expect((await request(app).get('/object/cfg.mode').expect(200)).body.value).toBe('green');
+    await request(app).get('/object/cfg.limit').expect(410);
+    expect((await request(app).get('/object/cfg.other?branch=staging').expect(200)).body.value).toBe('main only');
+
+    const audit = await request(app).get('/object/cfg.mode/versions').expect(200);
+    expect(audit.body.versions[0].message).toBe('Merged branch staging');
+
+    // Nothing left to merge
+    const again = await asAdmin(request(app).post('/branches/staging/merge')).expect(200);
+    expect(again.body).toMatchObject({ merged: [], unchanged: 3 });
+  });
+
+  test('reports conflicts without merging unless the branch is told to win', async () => {
+    at(T0 + 10);
+    await asAdmin(request(app).post('/branches')).send({ name: 'staging' }).expect(201);
+
+    at(T0 + 20);
+    await store('cfg.mode', 'green', '?branch=staging');
+    await store('cfg.limit', 20, '?branch=staging');
+    await store('cfg.mode', 'red');
+    await store('cfg.limit', 20);
+
+    const conflict = await asAdmin(request(app).post('/branches/staging/merge')).expect(409);
+    expect(conflict.body.merged).toEqual([]);
+    expect(conflict.body.unchanged).toBe(1);
+    expect(conflict.body.conflicts).toEqual([{
+      key: 'cfg.mode',
+      base: { value: 'blue', version: 1, timestamp: T0 },
+      main: { value: 'red', version: 2, timestamp: T0 + 20 },
+      branch: { value: 'green', version: 1, timestamp: T0 + 20 }
+    }]);
+    expect((await request(app).get('/object/cfg.mode').expect(200)).body.value).toBe('red');
+
+    const theirs = await asAdmin(request(app).post('/branches/staging/merge')).send({ strategy: 'theirs' }).expect(200);
+    expect(theirs.body.merged).toEqual([{ key: 'cfg.mode', action: 'stored', version: 3 }]);
+    expect((await request(app).get('/object/cfg.mode').expect(200)).body.value).toBe('green');
+  });
+
+  test('resolves tag names wherever a timestamp is accepted', async () => {
+    await asAdmin(request(app).post('/tags')).send({ name: 'release-42', message: 'Release 42' }).expect(201);
+
+    at(T0 + 10);
+    await store('cfg.mode', 'green');
+    await asAdmin(request(app).post('/tags')).send({ name: 'release-43' }).expect(201);
+
+    const old = await request(app).get('/object/cfg.mode?timestamp=release-42').expect(200);
+    expect(old.body.value).toBe('blue');
+
+    const snapshot = await request(app).get('/snapshot?timestamp=release-42').expect(200);
+    expect(snapshot.body.timestamp).toBe(T0);
+
+    const diff = await request(app).get('/object/cfg.mode/diff?from=release-42&to=release-43').expect(200);
+    expect(diff.body).toMatchObject({ from: T0, to: T0 + 10, changed: true });
+
+    const tag = await request(app).get('/tags/release-42').expect(200);
+    expect(tag.body).toMatchObject({ name: 'release-42', timestamp: T0, message: 'Release 42' });
+    expect((await request(app).get('/tags').expect(200)).body.count).toBe(2);
+
+    await asAdmin(request(app).post('/branches')).send({ name: 'from-tag', tag: 'release-42' }).expect(201);
+    expect((await request(app).get('/object/cfg.mode?branch=from-tag').expect(200)).body.value).toBe('blue');
+
+    // Tags never move, can't look like timestamps, and unknown names are still invalid timestamps
+    await asAdmin(request(app).post('/tags')).send({ name: 'release-42' }).expect(409);
+    await asAdmin(request(app).post('/tags')).send({ name: '42' }).expect(400);
+    await request(app).get('/object/cfg.mode?timestamp=release-44').expect(400);
+    await request(app).post('/tags').send({ name: 'release-44' }).expect(401);
+
+    await asAdmin(request(app).delete('/tags/release-42')).expect(200);
+    await request(app).get('/object/cfg.mode?timestamp=release-42').expect(400);
+  });
+
+  test('keeps refs and branch copies out of reach of direct writes', async () => {
+    await asAdmin(request(app).post('/branches')).send({ name: 'staging' }).expect(201);
+    await asAdmin(request(app).post('/branches')).send({ name: 'staging' }).expect(409);
+    await asAdmin(request(app).post('/branches')).send({ name: 'main' }).expect(400);
+
+    await request(app).post('/object').send({ '_refs.branches.staging': {} }).expect(400);
+    await request(app).put('/object/_refs.tags.x').send({ value: { timestamp: 0 } }).expect(400);
+    await request(app).delete('/object/_refs.branches.staging').expect(400);
+    const batch = await request(app).post('/objects/batch').send({ '_branches.staging.x': 1 }).expect(400);
+    expect(batch.body.errors[0].error).toBe('Key is reserved for branches and tags');
+
+    // A recreated branch starts clean
+    await store('cfg.mode', 'green', '?branch=staging');
+    await asAdmin(request(app).delete('/branches/staging')).expect(200);
+    await request(app).get('/object/cfg.mode?branch=staging').expect(404);
+    expect(await db.listKeys({ prefix: '_branches.' })).toEqual([]);
+    await asAdmin(request(app).post('/branches')).send({ name: 'staging' }).expect(201);
+    expect((await request(app).get('/object/cfg.mode?branch=staging').expect(200)).body.value).toBe('blue');
+  });
+
+  test('leaves refs and branch copies out of main\'s store-wide views', async () => {
+    const mainKeys = ['cfg.limit', 'cfg.mode'];
+    const views = async () => {
+      const [snapshot, keys, diff, stats, audit] = await Promise.all([
+        request(app).get('/snapshot').expect(200),
+        request(app).get('/keys').expect(200),
+        request(app).get(`/diff?from=${T0}&to=${T0 + 20}`).expect(200),
+        request(app).get('/stats').expect(200),
+        request(app).get('/audit').expect(200)
+      ]);
+      return {
+        snapshot: snapshot.body.entries,
+        keys: keys.body.keys.map(summary => summary.key),
+        diff: diff.body.counts,
+        topKeys: stats.body.topKeys.byVersionCount.map(entry => entry.key).sort(),
+        audited: [...new Set(audit.body.entries.map(entry => entry.key))].sort()
+      };
+    };
+    const before = await views();
+    expect(before.keys).toEqual(mainKeys);
+
+    at(T0 + 10);
+    await asAdmin(request(app).post('/branches')).send({ name: 'staging' }).expect(201);
+    await asAdmin(request(app).post('/tags')).send({ name: 'release-1' }).expect(201);
+
+    at(T0 + 20);
+    await store('cfg.mode', 'green', '?branch=staging');
+    await store('cfg.new', 'x', '?branch=staging');
+
+    expect(await views()).toEqual(before);
+    expect(before).toMatchObject({ topKeys: mainKeys, audited: mainKeys, diff: { added: 0, changed: 0, removed: 0 } });
+  });
+});
@@ -0,0 +1,129 @@
+const request = require('supertest');
+const createApp = require('../src/app');
+const MemoryDatabase = require('../src/database-memory');
+const { loadRetentionPolicies, findPolicy, selectPrunable } = require('../src/retention');
+const { compactHistory } = require('../src/compaction');
+const { createBranch } = require('../src/refs');
+
+const DAY = 86400;
+const NOW = 1700000000;
+
+// Versions 1..n of one key, `spacing` seconds apart, the newest at `newest`
+function history(count, spacing, newest = NOW) {
+  return Array.from({ length: count }, (_, index) => ({
+    version: index + 1,
+    timestamp: newest - (count - 1 - index) * spacing
+  }));
+}
+
+const pruned = (versions, policy) => selectPrunable(versions, policy, NOW).map(entry => entry.version);
+
+describe('Retention policies', () => {
+  test('loads and validates RETENTION_POLICIES', () => {
+    expect(loadRetentionPolicies(undefined)).toEqual([]);
+    expect(loadRetentionPolicies('[{"prefix":"metrics.","keepLast":5},{"maxAgeDays":30}]')).toEqual([
+      { prefix: 'metrics.', keepLast: 5 },
+      { prefix: '', maxAgeDays: 30 }
+    ]);
+    expect(() => loadRetentionPolicies('not json')).toThrow('not valid JSON');
+    expect(() => loadRetentionPolicies('[{"prefix":"a."}]')).toThrow('at least one of');
+    expect(() => loadRetentionPolicies('[{"prefix":"a.","keepLast":1},{"prefix":"a.","keepLast":2}]'))
+      .toThrow('only have one retention policy');
+  });
+
+  test('picks the policy with the longest matching prefix', () => {
+    const policies = loadRetentionPolicies('[{"maxAgeDays":30},{"prefix":"svc.","keepLast":5},{"prefix":"svc.db.","keepLast":1}]');
+
+    expect(findPolicy(policies, 'svc.db.host').prefix).toBe('svc.db.');
+    expect(findPolicy(policies, 'svc.web').prefix).toBe('svc.');
+    expect(findPolicy(policies, 'other').prefix).toBe('');
+    expect(findPolicy(policies.slice(1), 'other')).toBeNull();
+  });
+
+  test('keepLast keeps the newest N versions', () => {
+    expect(pruned(history(5, 60), { keepLast: 2 })).toEqual([1, 2, 3]);
+  });
+
+  test('maxAgeDays keeps versions newer than the cutoff but always the latest', () => {
+    expect(pruned(history(4, DAY), { maxAgeDays: 1.5 })).toEqual([1, 2]);
+    expect(pruned(history(3, DAY, NOW - 10 * DAY), { maxAgeDays: 1 })).toEqual([1, 2]);
+  });
+
+  test('downsample keeps one version per bucket beyond the horizon', () => {
+    // Four versions an hour apart two days ago, then one recent version
+    const old = history(4, 3600, NOW - 2 * DAY);
+    const versions = [...old, { version: 5, timestamp: NOW }];
+    const dayBuckets = new Set(old.map(entry => Math.floor(entry.timestamp / DAY)));
+
+    expect(pruned(versions, { downsample: { every: 'hour', olderThanDays: 1 } })).toEqual([]);
+    expect(pruned(versions, { downsample: { every: 'day', olderThanDays: 1 } })).toHaveLength(4 - dayBuckets.size);
+    expect(pruned(versions, { downsample: { every: 'day', olderThanDays: 3 } })).toEqual([]);
+  });
+
+  test('a version is kept if any rule keeps it', () => {
+    expect(pruned(history(6, DAY), { keepLast: 4, maxAgeDays: 0.5 })).toEqual([1, 2]);
+    expect(pruned(history(6, DAY), { keepLast: 1, maxAgeDays: 2.5 })).toEqual([1, 2, 3]);
+  });
+});
+
+describe('History compaction', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new MemoryDatabase();
+    for (let i = 1; i <= 5; i++) {
+      await db.storeValue('metrics.cpu', i, NOW - (5 - i) * 60);
+      await db.storeValue('config.db', `v${i}`, NOW - (5 - i) * 60);
+    }
+    await db.deleteValue('metrics.cpu', NOW);
+  });
+
+  const policies = [{ prefix: 'metrics.', keepLast: 2 }];
+
+  test('dry run reports what would be pruned without removing anything', async () => {
+    const report = await compactHistory(db, policies, { dryRun: true, now: NOW });
+
+    expect(report).toMatchObject({ dryRun: true, keysScanned: 1, keysCompacted: 1, versionsPruned: 4 });
+    expect(report.keys[0].key).toBe('metrics.cpu');
+    expect(report.keys[0].pruned.map(entry => entry.version)).toEqual([1, 2, 3, 4]);
+    expect(await db.getAllVersions('metrics.cpu')).toHaveLength(6);
+  });
+
+  test('removes pruned versions and leaves keys without a policy alone', async () => {
+    const report = await compactHistory(db, policies, { now: NOW });
+
+    expect(report.versionsPruned).toBe(4);
+    expect((await db.getAllVersions('metrics.cpu', { order: 'asc' })).map(v => v.version)).toEqual([5, 6]);
+    expect((await db.getLatestValue('metrics.cpu')).deleted).toBe(true);
+    expect(await db.getAllVersions('config.db')).toHaveLength(5);
+  });
+
+  test('leaves refs, branch data and schemas alone and keeps what branches read at their base', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await db.storeValue('_schemas.metrics.', { type: 'number', maximum: i }, NOW - 300 + i);
+      await db.storeValue('_branches.exp.abcd.metrics.cpu', i, NOW - 300 + i);
+    }
+    await createBranch(db, 'exp', NOW - 150, {});
+
+    const report = await compactHistory(db, [{ prefix: '', keepLast: 1 }], { now: NOW });
+
+    expect(report.keys.map(entry => entry.key)).toEqual(['config.db', 'metrics.cpu']);
+    // Version 2 (written at NOW - 180) is main as of the branch's base
+    expect((await db.getAllVersions('metrics.cpu', { order: 'asc' })).map(v => v.version)).toEqual([2, 6]);
+    expect((await db.getAllVersions('config.db', { order: 'asc' })).map(v => v.version)).toEqual([2, 5]);
+    expect(await db.getAllVersions('_schemas.metrics.')).toHaveLength(3);
+    expect(await db.getAllVersions('_branches.exp.abcd.metrics.cpu')).toHaveLength(3);
+  });
+
+  test('GET /compaction/dry-run reports the configured policies', async () => {
+    const app = createApp(db, { retentionPolicies: policies });
+
+    const response = await request(app).get('/compaction/dry-run?prefix=metrics.').expect(200);
+    expect(response.body.policies).toEqual(policies);
+    expect(response.body.dryRun).toBe(true);
+    expect(response.body.versionsPruned).toBe(4);
+    expect(await db.getAllVersions('metrics.cpu')).toHaveLength(6);
+
+    await request(app).get('/compaction/dry-run?prefix=bad%20prefix').expect(400);
+  });
+});
@@ -0,0 +1,114 @@
+const request = require('supertest');
+const createApp = require('../src/app');
+const MemoryDatabase = require('../src/database-memory');
+const { asAdmin, appOptions } = require('./helpers');
+
+describe('Rollback', () => {
+  const T0 = 1700000000;
+  let app;
+  let clock;
+  const at = (seconds) => { clock = seconds; };
+  const store = (key, value) => request(app).post('/object').send({ [key]: value }).expect(201);
+
+  beforeEach(async () => {
+    clock = T0;
+    jest.spyOn(Date, 'now').mockImplementation(() => clock * 1000);
+    app = createApp(new MemoryDatabase(), appOptions());
+
+    await store('svc.api', 'v1');
+    await store('svc.retries', 3);
+    await store('other.flag', true);
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  test('rolls a key back to its value at a timestamp as a new version', async () => {
+    at(T0 + 10);
+    await store('svc.api', 'v2');
+
+    at(T0 + 20);
+    const preview = await request(app).post(`/object/svc.api/rollback?to=${T0}&dryRun=true`).expect(200);
+    expect(preview.body).toMatchObject({
+      key: 'svc.api',
+      to: T0,
+      dryRun: true,
+      changes: [{ key: 'svc.api', action: 'write', fromVersion: 2, toVersion: 1, value: 'v1' }],
+      count: 1,
+      commit: null
+    });
+    expect((await request(app).get('/object/svc.api').expect(200)).body.value).toBe('v2');
+
+    const response = await request(app).post(`/object/svc.api/rollback?to=${T0}`).expect(201);
+    expect(response.body.commit).toMatchObject({
+      message: `Rolled back svc.api to ${T0}`,
+      changes: [{ key: 'svc.api', version: 3, deleted: false }]
+    });
+
+    const latest = await request(app).get('/object/svc.api').expect(200);
+    expect(latest.body).toMatchObject({ value: 'v1', version: 3, timestamp: T0 + 20 });
+
+    // Already at that state: nothing to write
+    const again = await request(app).post(`/object/svc.api/rollback?to=${T0}`).expect(200);
+    expect(again.body).toMatchObject({ changes: [], count: 0, commit: null });
+  });
+
+  test('gives a rolled-back value the TTL it was written with', async () => {
+    at(T0 + 10);
+    await request(app).post('/object?ttl=60').send({ 'svc.token': 't1' }).expect(201);
+    at(T0 + 20);
+    await store('svc.token', 't2');
+
+    at(T0 + 100);
+    await request(app).post(`/object/svc.token/rollback?to=${T0 + 10}`).expect(201);
+    const latest = await request(app).get('/object/svc.token').expect(200);
+    expect(latest.body).toMatchObject({ value: 't1', version: 3, expiresAt: T0 + 160 });
+
+    at(T0 + 160);
+    await request(app).get('/object/svc.token').expect(410);
+  });
+
+  test('rolls a prefix back, deleting keys created since and restoring deleted ones', async () => {
+    at(T0 + 10);
+    await store('svc.api', 'v2');
+    await store('svc.timeout', 30);
+    await request(app).delete('/object/svc.retries').expect(200);
+    await store('other.flag', false);
+
+    at(T0 + 20);
+    const response = await request(app).post(`/rollback?prefix=svc.&to=${T0}`).expect(201);
+    expect(response.body.changes).toEqual([
+      { key: 'svc.api', action: 'write', fromVersion: 2, toVersion: 1, value: 'v1' },
+      { key: 'svc.retries', action: 'write', fromVersion: 2, toVersion: 1, value: 3 },
+      { key: 'svc.timeout', action: 'delete', fromVersion: 1, toVersion: null, value: null }
+    ]);
+
+    expect((await request(app).get('/object/svc.api').expect(200)).body.value).toBe('v1');
+    expect((await request(app).get('/object/svc.retries').expect(200)).body.value).toBe(3);
+    await request(app).get('/object/svc.timeout').expect(410);
+    expect((await request(app).get('/object/other.flag').expect(200)).body.value).toBe(false);
+
+    // The rollback is an ordinary commit, so it can be undone
+    await request(app).post(`/commits/${response.body.commit.id}/revert`).expect(201);
+    expect((await request(app).get('/object/svc.api').expect(200)).body.value).toBe('v2');
+    expect((await request(app).get('/object/svc.timeout').expect(200)).body.value).toBe(30);
+  });
+
+  test('accepts tag names and rejects bad requests', async () => {
+    await asAdmin(request(app).post('/tags')).send({ name: 'release-1' }).expect(201);
+
+    at(T0 + 10);
+    await store('svc.api', 'v2');
+
+    const preview = await request(app).post('/rollback?prefix=svc.&to=release-1&dryRun=true').expect(200);
+    expect(preview.body).toMatchObject({ prefix: 'svc.', to: T0, count: 1 });
+
+    await request(app).post('/rollback?to=' + T0).expect(400);
+    await request(app).post('/rollback?prefix=svc.').expect(400);
+    await request(app).post('/object/svc.api/rollback').expect(400);
+    await request(app).post('/object/svc.api/rollback?to=no-such-tag').expect(400);
+    await request(app).post(`/object/svc.api/rollback?to=${T0 + 3600}`).expect(400);
+    await request(app).post(`/object/_refs.tags.release-1/rollback?to=${T0}`).expect(400);
+  });
+});
@@ -0,0 +1,204 @@
+const request = require('supertest');
+const createApp = require('../src/app');
+const MemoryDatabase = require('../src/database-memory');
+const { compileSchema } = require('../src/schemas');
+const { asAdmin, appOptions } = require('./helpers');
+
+describe('JSON Schema compilation', () => {
+  const validate = (schema, value) => compileSchema(schema).value.validate(value, { abortEarly: false, convert: false });
+
+  test('enforces types without coercion', () => {
+    expect(validate({ type: 'integer' }, 3).error).toBeUndefined();
+    expect(validate({ type: 'integer' }, '3').error.details[0].type).toBe('number.base');
+    expect(validate({ type: 'boolean' }, 'true').error).toBeDefined();
+    expect(validate({ type: ['string', 'null'] }, null).error).toBeUndefined();
+    expect(validate({ type: 'string' }, '').error).toBeUndefined();
+  });
+
+  test('supports enum, const and combinators', () => {
+    expect(validate({ enum: ['on', 'off'] }, 'off').error).toBeUndefined();
+    expect(validate({ const: { a: 1 } }, { a: 1 }).error).toBeUndefined();
+    expect(validate({ anyOf: [{ type: 'string' }, { type: 'integer', minimum: 0 }] }, -1).error).toBeDefined();
+    expect(validate({ oneOf: [{ type: 'number' }, { type: 'integer' }] }, 1).error).toBeDefined();
+    expect(validate({ type: 'array', items: { type: 'string' }, uniqueItems: true }, ['a', 'a']).error).toBeDefined();
+  });
+
+  test('reports unsupported or misplaced keywords by schema path', () => {
+    expect(compileSchema({ type: 'object', if: {} }).error.details[0].message).toBe('Unsupported keyword(s): if');
+    expect(compileSchema({ type: 'object', properties: { name: { type: 'number', minLength: 1 } } }).error.details[0].path)
+      .toEqual(['properties', 'name', 'minLength']);
+    expect(compileSchema({ type: 'string', pattern: '(' }).error.details[0].path).toEqual(['pattern']);
+    expect(compileSchema({ type: 'date' }).error).toBeDefined();
+  });
+});
+
+describe('JSON Schema enforcement', () => {
+  const prefix = 'feature.';
+  const featureSchema = {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      rollout: { type: 'number', minimum: 0, maximum: 100 }
+    },
+    required: ['enabled', 'rollout'],
+    additionalProperties: false
+  };
+
+  let app;
+
+  beforeEach(async () => {
+    app = createApp(new MemoryDatabase(), appOptions());
+    await asAdmin(request(app).put(`/schemas/${prefix}`)).send(featureSchema).expect(201);
+  });
+
+  test('registers a schema as a versioned key', async () => {
+    const response = await request(app).get(`/schemas/${prefix}`).expect(200);
+    expect(response.body).toMatchObject({ prefix, schema: featureSchema, version: 1 });
+
+    const stored = await request(app).get(`/object/_schemas.${prefix}`).expect(200);
+    expect(stored.body.value).toEqual(featureSchema);
+
+    const list = await request(app).get('/schemas').expect(200);
+    expect(list.body.schemas.map(entry => entry.prefix)).toEqual([prefix]);
+
+    await request(app).put(`/schemas/${prefix}`).send(featureSchema).expect(401);
+  });
+
+  test('stores values that match and rejects others with path-level details', async () => {
+    await request(app)
+      .post('/object')
+      .send({ 'feature.dark-mode': { enabled: true, rollout: 25 } })
+      .expect(201);
+
+    const response = await request(app)
+      .post('/object')
+      .send({ 'feature.checkout': { enabled: 'yes', rollout: 150, owner: 'web' } })
+      .expect(400);
+
+    expect(response.body.schema).toEqual({ prefix, version: 1 });
+    expect(response.body.details.map(detail => [detail.path, detail.type])).toEqual([
+      [['feature.checkout', 'enabled'], 'boolean.base'],
+      [['feature.checkout', 'rollout'], 'number.max'],
+      [['feature.checkout', 'owner'], 'object.unknown']
+    ]);
+    expect(response.body.details[0].message).toBe('"enabled" must be a boolean');
+    await request(app).get('/object/feature.checkout').expect(404);
+
+    // Keys outside the prefix are unaffected
+    await request(app).post('/object').send({ 'features.checkout': 'anything' }).expect(201);
+  });
+
+  test('enforces the schema on PUT, PATCH, batch writes and restores', async () => {
+    await request(app)
+      .put('/object/feature.search')
+      .send({ value: { enabled: true } })
+      .expect(400);
+
+    await request(app).post('/object').send({ 'feature.patched': { enabled: true, rollout: 5 } }).expect(201);
+    await request(app)
+      .patch('/object/feature.patched')
+      .set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ rollout: null }))
+      .expect(400);
+
+    const batch = await request(app)
+      .post('/objects/batch')
+      .send({ 'feature.search': { enabled: false, rollout: 0 }, 'feature.other': 'on' })
+      .expect(400);
+    expect(batch.body.errors).toHaveLength(1);
+    expect(batch.body.errors[0]).toMatchObject({ key: 'feature.other', schema: { prefix, version: 1 } });
+    await request(app).get('/object/feature.search').expect(404);
+
+    // A version written before a stricter schema can no longer be restored
+    await request(app).post('/object').send({ 'feature.legacy': { enabled: true, rollout: 10 } }).expect(201);
+    await request(app).post('/object').send({ 'feature.legacy': { enabled: true, rollout: 90 } }).expect(201);
+    await asAdmin(request(app).put(`/schemas/${prefix}`))
+      .send({ ...featureSchema, properties: { ...featureSchema.properties, rollout: { type: 'integer', minimum: 50 } } })
+      .expect(201);
+    const restore = await request(app)
+      .post('/object/feature.legacy/restore')
+      .send({ version: 1 })
+      .expect(400);
+    expect(restore.body.schema).toEqual({ prefix, version: 2 });
+  });
+
+  test('applies the longest matching prefix only', async () => {
+    await asAdmin(request(app).put('/schemas/feature.experiments.'))
+      .send({ type: 'string', enum: ['on', 'off'] })
+      .expect(201);
+
+    await request(app).post('/object').send({ 'feature.experiments.banner': 'on' }).expect(201);
+    await request(app)
+      .post('/object')
+      .send({ 'feature.experiments.banner': { enabled: true, rollout: 5 } })
+      .expect(400);
+  });
+
+  test('rejects schemas it cannot enforce, however they are written', async () => {
+    const response = await asAdmin(request(app).put('/schemas/cfg.'))
+      .send({ type: 'object', if: {} })
+      .expect(400);
+    expect(response.body.details[0].message).toBe('Unsupported keyword(s): if');
+
+    const direct = await asAdmin(request(app).post('/object'))
+      .send({ '_schemas.cfg.': { type: 'date' } })
+      .expect(400);
+    expect(direct.body.details[0].path).toEqual(['_schemas.cfg.', 'type']);
+  });
+
+  test('only lets admins write schema keys through the generic routes', async () => {
+    const schemaKey = `_schemas.${prefix}`;
+    await request(app).post('/object').send({ [schemaKey]: {} }).expect(401);
+    await request(app).put(`/object/${schemaKey}`).send({ value: {} }).expect(401);
+    await request(app).delete(`/object/${schemaKey}`).expect(401);
+    await request(app).post('/objects/batch').send({ [schemaKey]: {} }).expect(401);
+    await request(app).post('/commits').send({ message: 'Drop schema', changes: [{ key: schemaKey, deleted: true }] }).expect(401);
+
+    // The schema still applies, and a commit that wrote it can't be reverted by others
+    await request(app).post('/object').send({ 'feature.note': 'text' }).expect(400);
+    const commit = await asAdmin(request(app).post('/commits'))
+      .send({ message: 'Loosen schema', changes: [{ key: schemaKey, value: {} }] })
+      .expect(201);
+    await request(app).post(`/commits/${commit.body.id}/revert`).expect(401);
+
+    // Keys with the write scope are refused too when auth is on
+    const secured = createApp(new MemoryDatabase(), appOptions({ authEnabled: true }));
+    const writer = await asAdmin(request(secured).post('/admin/api-keys'))
+      .send({ name: 'writer', scopes: ['write:*'] })
+      .expect(201);
+    const denied = await request(secured).post('/object').set('X-API-Key', writer.body.key).send({ [schemaKey]: {} }).expect(403);
+    expect(denied.body.required).toEqual(['admin']);
+    await request(secured).post('/object').set('X-API-Key', writer.body.key).send({ 'feature.note': 'text' }).expect(201);
+  });
+
+  test('loads the registered schemas once until one of them changes', async () => {
+    const db = new MemoryDatabase();
+    app = createApp(db, appOptions());
+    await asAdmin(request(app).put(`/schemas/${prefix}`)).send(featureSchema).expect(201);
+    const snapshots = jest.spyOn(db, 'getSnapshot');
+
+    await request(app).post('/objects/batch')
+      .send({ 'feature.a': { enabled: true, rollout: 1 }, 'feature.b': { enabled: false, rollout: 0 }, 'cfg.c': 1 })
+      .expect(201);
+    await request(app).post('/object').send({ 'feature.a': 'off' }).expect(400);
+    expect(snapshots).toHaveBeenCalledTimes(1);
+
+    await asAdmin(request(app).put('/schemas/cfg.')).send({ type: 'string' }).expect(201);
+    await request(app).post('/object').send({ 'cfg.c': 2 }).expect(400);
+    expect(snapshots).toHaveBeenCalledTimes(2);
+  });
+
+  test('stops enforcing a deleted schema and keeps its history', async () => {
+    await request(app).post('/object').send({ 'feature.note': 'text' }).expect(400);
+
+    const response = await asAdmin(request(app).delete(`/schemas/${prefix}`)).expect(200);
+    expect(response.body).toMatchObject({ prefix, deleted: true, version: 2 });
+
+    await request(app).post('/object').send({ 'feature.note': 'text' }).expect(201);
+    await request(app).get(`/schemas/${prefix}`).expect(404);
+    await asAdmin(request(app).delete(`/schemas/${prefix}`)).expect(404);
+
+    const versions = await request(app).get(`/object/_schemas.${prefix}/versions`).expect(200);
+    expect(versions.body.versions).toHaveLength(2);
+  });
+});
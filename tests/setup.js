@@ -1,2 +1,5 @@
 // Set test environment
 process.env.NODE_ENV = 'test';
+
+// Keep the server's SQLite database in memory so tests never touch data/kv_store.db
+process.env.DB_PATH = process.env.DB_PATH || ':memory:';
@@ -0,0 +1,492 @@
+const Database = require('../src/database');
+const MongoDatabase = require('../src/database-mongodb');
+const MemoryDatabase = require('../src/database-memory');
+const { createDatabase } = require('../src/storage');
+const { PreconditionFailedError, ImportConflictError, ImportOrderError } = require('../src/errors');
+const { sweepExpired } = require('../src/ttl');
+
+// Conformance suite for the storage adapter contract documented in src/storage.js.
+// MongoDB runs only when MONGODB_URI points at a reachable server.
+const adapters = [
+  ['sqlite', () => new Database(':memory:')],
+  ['memory', () => new MemoryDatabase()]
+];
+if (process.env.MONGODB_URI) {
+  adapters.push(['mongodb', () => new MongoDatabase(process.env.MONGODB_URI)]);
+}
+
+describe.each(adapters)('%s storage adapter', (backend, create) => {
+  let db;
+  // Unique prefix so runs against a shared MongoDB don't see each other's keys
+  const prefix = `conformance_${Date.now()}_`;
+
+  beforeAll(async () => {
+    db = create();
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('reports its backend name', () => {
+    expect(db.backend).toBe(backend);
+  });
+
+  test('stores values and returns the stored record', async () => {
+    const stored = await db.storeValue(`${prefix}store`, { theme: 'dark' }, 1000);
+
+    expect(stored).toMatchObject({
+      key: `${prefix}store`,
+      value: { theme: 'dark' },
+      timestamp: 1000,
+      version: 1
+    });
+  });
+
+  test('round-trips JSON value types', async () => {
+    const values = [{ nested: { list: [1, 2] } }, [1, 'two'], 42, true, 'plain text'];
+
+    for (const [index, value] of values.entries()) {
+      await db.storeValue(`${prefix}types_${index}`, value, 1000);
+      const latest = await db.getLatestValue(`${prefix}types_${index}`);
+      expect(latest.value).toEqual(value);
+    }
+  });
+
+  test('returns null for unknown keys', async () => {
+    expect(await db.getLatestValue(`${prefix}missing`)).toBeNull();
+    expect(await db.getValueAtTimestamp(`${prefix}missing`, 2000)).toBeNull();
+    expect(await db.getAllVersions(`${prefix}missing`)).toEqual([]);
+  });
+
+  test('numbers versions per key and keeps same-second writes', async () => {
+    const key = `${prefix}versions`;
+    await db.storeValue(key, 'a', 1000);
+    await db.storeValue(key, 'b', 1000);
+    const third = await db.storeValue(key, 'c', 1010);
+
+    expect(third.version).toBe(3);
+    expect(await db.getLatestValue(key)).toMatchObject({ key, value: 'c', timestamp: 1010, version: 3 });
+  });
+
+  test('checks write preconditions against the latest version', async () => {
+    const key = `${prefix}precondition`;
+    await db.storeValue(key, 'v1', 1000);
+
+    await expect(
+      db.storeValue(key, 'stale', 1001, { precondition: latest => latest.version === 0 })
+    ).rejects.toBeInstanceOf(PreconditionFailedError);
+    expect(await db.getLatestValue(key)).toMatchObject({ value: 'v1', version: 1 });
+
+    const stored = await db.storeValue(key, 'v2', 1002, { precondition: latest => latest.version === 1 });
+    expect(stored.version).toBe(2);
+  });
+
+  test('appends tombstones on delete and keeps earlier versions', async () => {
+    const key = `${prefix}deleted`;
+    await db.storeValue(key, 'alive', 1000);
+    const tombstone = await db.deleteValue(key, 1010);
+
+    expect(tombstone).toMatchObject({ key, version: 2, deleted: true });
+    expect(await db.getLatestValue(key)).toMatchObject({ version: 2, deleted: true, value: null });
+    expect(await db.getValueAtTimestamp(key, 1005)).toMatchObject({ value: 'alive', deleted: false });
+    expect(await db.getVersion(key, 1)).toMatchObject({ value: 'alive', version: 1 });
+    expect(await db.getVersion(key, 3)).toBeNull();
+
+    const revived = await db.storeValue(key, 'again', 1020);
+    expect(revived.version).toBe(3);
+    expect(await db.getLatestValue(key)).toMatchObject({ value: 'again', deleted: false });
+  });
+
+  test('stores batches under one shared timestamp', async () => {
+    await db.storeValue(`${prefix}batch_a`, 'old', 1000);
+
+    const stored = await db.storeValues([
+      [`${prefix}batch_a`, 'new'],
+      [`${prefix}batch_b`, { enabled: true }]
+    ], 1050);
+
+    expect(stored).toEqual([
+      expect.objectContaining({ key: `${prefix}batch_a`, value: 'new', timestamp: 1050, version: 2 }),
+      expect.objectContaining({ key: `${prefix}batch_b`, value: { enabled: true }, timestamp: 1050, version: 1 })
+    ]);
+    expect(await db.getLatestValue(`${prefix}batch_b`)).toMatchObject({ value: { enabled: true }, version: 1 });
+  });
+
+  test('resolves the newest version at or before a timestamp', async () => {
+    const key = `${prefix}history`;
+    await db.storeValue(key, 'first', 1000);
+    await db.storeValue(key, 'second', 1000);
+    await db.storeValue(key, 'third', 1020);
+
+    expect(await db.getValueAtTimestamp(key, 999)).toBeNull();
+    expect(await db.getValueAtTimestamp(key, 1000)).toMatchObject({ value: 'second', version: 2 });
+    expect(await db.getValueAtTimestamp(key, 1019)).toMatchObject({ value: 'second', version: 2 });
+    expect(await db.getValueAtTimestamp(key, 1020)).toMatchObject({ value: 'third', version: 3 });
+  });
+
+  describe('getAllVersions', () => {
+    const key = `${prefix}list`;
+
+    beforeAll(async () => {
+      for (let i = 0; i < 5; i++) {
+        await db.storeValue(key, `v${i}`, 1000 + i * 10);
+      }
+    });
+
+    test('lists newest first by default', async () => {
+      const versions = await db.getAllVersions(key);
+      expect(versions.map(v => v.version)).toEqual([5, 4, 3, 2, 1]);
+      expect(versions[0]).toMatchObject({ key, value: 'v4', timestamp: 1040 });
+    });
+
+    test('filters by timestamp range in ascending order', async () => {
+      const versions = await db.getAllVersions(key, { from: 1010, to: 1030, order: 'asc' });
+      expect(versions.map(v => v.value)).toEqual(['v1', 'v2', 'v3']);
+    });
+
+    test('continues after a version with a limit', async () => {
+      const desc = await db.getAllVersions(key, { after: 4, limit: 2 });
+      expect(desc.map(v => v.version)).toEqual([3, 2]);
+
+      const asc = await db.getAllVersions(key, { after: 4, order: 'asc' });
+      expect(asc.map(v => v.version)).toEqual([5]);
+    });
+  });
+
+  describe('getSnapshot', () => {
+    const snap = `${prefix}snap.`;
+
+    beforeAll(async () => {
+      await db.storeValue(`${snap}a`, 'a1', 2000);
+      await db.storeValue(`${snap}a`, 'a2', 2010);
+      await db.storeValue(`${snap}b`, 'b1', 2005);
+      await db.deleteValue(`${snap}b`, 2015);
+      await db.storeValue(`${snap}c`, 'c1', 2020);
+      await db.storeValue(`${prefix}snapx`, 'outside', 2000);
+    });
+
+    test('returns each live key as of the timestamp', async () => {
+      const at2010 = await db.getSnapshot(2010, { prefix: snap });
+      expect(at2010.map(e => [e.key, e.value])).toEqual([[`${snap}a`, 'a2'], [`${snap}b`, 'b1']]);
+
+      const at2020 = await db.getSnapshot(2020, { prefix: snap });
+      expect(at2020.map(e => [e.key, e.value])).toEqual([[`${snap}a`, 'a2'], [`${snap}c`, 'c1']]);
+    });
+
+    test('pages by key', async () => {
+      const page = await db.getSnapshot(2020, { prefix: snap, after: `${snap}a`, limit: 1 });
+      expect(page.map(e => e.key)).toEqual([`${snap}c`]);
+    });
+  });
+
+  describe('expiring values', () => {
+    const ttl = `${prefix}ttl.`;
+
+    beforeAll(async () => {
+      await db.storeValue(`${ttl}token`, 'secret', 3000, { expiresAt: 3060 });
+      await db.storeValues([[`${ttl}a`, 1], [`${ttl}b`, 2]], 3000, { expiresAt: 3030 });
+      await db.storeValue(`${ttl}b`, 'renewed', 3010);
+      await db.storeValue(`${ttl}forever`, 'kept', 3000);
+    });
+
+    test('stores expiresAt with the version', async () => {
+      expect(await db.getLatestValue(`${ttl}token`)).toMatchObject({ value: 'secret', expiresAt: 3060 });
+      expect(await db.getLatestValue(`${ttl}forever`)).toMatchObject({ expiresAt: null });
+      expect(await db.getVersion(`${ttl}b`, 1)).toMatchObject({ expiresAt: 3030 });
+    });
+
+    test('leaves versions expired by the timestamp out of snapshots', async () => {
+      const before = await db.getSnapshot(3029, { prefix: ttl });
+      expect(before.map(e => e.key)).toEqual([`${ttl}a`, `${ttl}b`, `${ttl}forever`, `${ttl}token`]);
+
+      const after = await db.getSnapshot(3030, { prefix: ttl });
+      expect(after.map(e => [e.key, e.value])).toEqual([
+        [`${ttl}b`, 'renewed'],
+        [`${ttl}forever`, 'kept'],
+        [`${ttl}token`, 'secret']
+      ]);
+    });
+
+    test('lists expired versions in expiry order and pages past a position', async () => {
+      const ours = (records) => records.filter(record => record.key.startsWith(ttl));
+
+      const expired = ours(await db.getExpiredVersions({ until: 3060 }));
+      expect(expired.map(e => [e.key, e.version, e.expiresAt])).toEqual([
+        [`${ttl}a`, 1, 3030],
+        [`${ttl}b`, 1, 3030],
+        [`${ttl}token`, 1, 3060]
+      ]);
+
+      const page = ours(await db.getExpiredVersions({ until: 3060, after: { expiresAt: 3030, key: `${ttl}a`, version: 1 } }));
+      expect(page.map(e => e.key)).toEqual([`${ttl}b`, `${ttl}token`]);
+      expect(ours(await db.getExpiredVersions({ until: 3029 }))).toEqual([]);
+    });
+
+    test('sweeps keys whose latest version expired into tombstones', async () => {
+      const { expired, position } = await sweepExpired(db, { now: 3040 });
+
+      expect(expired).toBeGreaterThanOrEqual(1);
+      expect(await db.getLatestValue(`${ttl}a`)).toMatchObject({ version: 2, deleted: true, timestamp: 3040, actor: 'system:ttl' });
+      expect(await db.getValueAtTimestamp(`${ttl}a`, 3020)).toMatchObject({ value: 1, deleted: false });
+      // Renewed before it expired, so it is left alone
+      expect(await db.getLatestValue(`${ttl}b`)).toMatchObject({ value: 'renewed', version: 2 });
+      expect(await db.getLatestValue(`${ttl}token`)).toMatchObject({ value: 'secret', deleted: false });
+
+      await sweepExpired(db, { now: 3060, after: position });
+      expect(await db.getLatestValue(`${ttl}token`)).toMatchObject({ version: 2, deleted: true });
+    });
+  });
+
+  test('emits committed versions as change events', async () => {
+    const changes = [];
+    const onChange = (record) => changes.push(record);
+    db.on('change', onChange);
+
+    await db.storeValue(`${prefix}emit`, { n: 1 }, 2500);
+    await db.storeValues([[`${prefix}emit`, { n: 2 }], [`${prefix}emit2`, 'x']], 2501);
+    await db.deleteValue(`${prefix}emit2`, 2502);
+    db.removeListener('change', onChange);
+
+    expect(changes).toEqual([
+      { key: `${prefix}emit`, value: { n: 1 }, timestamp: 2500, version: 1, deleted: false },
+      { key: `${prefix}emit`, value: { n: 2 }, timestamp: 2501, version: 2, deleted: false },
+      { key: `${prefix}emit2`, value: 'x', timestamp: 2501, version: 1, deleted: false },
+      { key: `${prefix}emit2`, value: null, timestamp: 2502, version: 2, deleted: true }
+    ]);
+  });
+
+  test('lists changes in (timestamp, key, version) order from a position', async () => {
+    const snap = `${prefix}snap.`;
+    const all = await db.getChanges({ prefix: snap });
+    expect(all.map(c => [c.timestamp, c.key, c.version])).toEqual([
+      [2000, `${snap}a`, 1],
+      [2005, `${snap}b`, 1],
+      [2010, `${snap}a`, 2],
+      [2015, `${snap}b`, 2],
+      [2020, `${snap}c`, 1]
+    ]);
+
+    const page = await db.getChanges({
+      prefix: snap,
+      after: { timestamp: 2005, key: `${snap}b`, version: 1 },
+      limit: 2
+    });
+    expect(page.map(c => c.version)).toEqual([2, 2]);
+    expect(page[1].deleted).toBe(true);
+
+    const selected = await db.getChanges({ keys: [`${snap}c`, `${prefix}snapx`] });
+    expect(selected.map(c => c.key)).toEqual([`${prefix}snapx`, `${snap}c`]);
+  });
+
+  test('stores audit fields with each version', async () => {
+    const key = `${prefix}audited`;
+    const audit = { actor: `${prefix}alice`, clientIp: '10.0.0.1', requestId: 'req_1', message: 'initial' };
+
+    const stored = await db.storeValue(key, 'a', 2600, { audit });
+    expect(stored).toMatchObject({ version: 1, ...audit });
+    await db.storeValues([[key, 'b']], 2601, { audit: { ...audit, requestId: 'req_2', message: null } });
+    await db.deleteValue(key, 2602);
+
+    const versions = await db.getAllVersions(key, { order: 'asc' });
+    expect(versions.map(v => [v.actor, v.requestId, v.message])).toEqual([
+      [`${prefix}alice`, 'req_1', 'initial'],
+      [`${prefix}alice`, 'req_2', null],
+      [null, null, null]
+    ]);
+
+    const byActor = await db.getChanges({ actor: `${prefix}alice`, to: 2600 });
+    expect(byActor.map(c => [c.key, c.version])).toEqual([[key, 1]]);
+  });
+
+  test('lists keys in order, including deleted ones', async () => {
+    const snap = `${prefix}snap.`;
+    expect(await db.listKeys({ prefix: snap })).toEqual([`${snap}a`, `${snap}b`, `${snap}c`]);
+    expect(await db.listKeys({ prefix: snap, after: `${snap}a`, limit: 1 })).toEqual([`${snap}b`]);
+  });
+
+  test('summarises keys with their latest version and version count', async () => {
+    const snap = `${prefix}snap.`;
+    expect(await db.listKeySummaries({ prefix: snap })).toEqual([
+      { key: `${snap}a`, latestTimestamp: 2010, latestVersion: 2, versionCount: 2, deleted: false },
+      { key: `${snap}c`, latestTimestamp: 2020, latestVersion: 1, versionCount: 1, deleted: false }
+    ]);
+
+    const withDeleted = await db.listKeySummaries({ prefix: snap, includeDeleted: true, after: `${snap}a`, limit: 1 });
+    expect(withDeleted).toEqual([
+      { key: `${snap}b`, latestTimestamp: 2015, latestVersion: 2, versionCount: 2, deleted: true }
+    ]);
+  });
+
+  test('ranks keys by versions, live bytes and recent writes', async () => {
+    const snap = `${prefix}snap.`;
+    const rank = async (options) => (await db.getTopKeys({ prefix: snap, ...options }))
+      .map(({ key, total }) => [key.slice(snap.length), total]);
+
+    expect(await rank({ by: 'versions' })).toEqual([['a', 2], ['b', 2], ['c', 1]]);
+    expect(await rank({ by: 'bytes', limit: 2 })).toEqual([['a', 4], ['b', 2]]);
+    expect(await rank({ by: 'writes', since: 2012 })).toEqual([['b', 1], ['c', 1]]);
+  });
+
+  test('leaves keys under excluded prefixes out of store-wide queries', async () => {
+    const snap = `${prefix}snap.`;
+    const exclude = [`${snap}a`, `${snap}c`];
+    const keysOf = (records) => records.map(record => record.key.slice(snap.length));
+
+    expect(keysOf(await db.getSnapshot(2012, { prefix: snap, exclude }))).toEqual(['b']);
+    expect(keysOf(await db.getChanges({ prefix: snap, exclude }))).toEqual(['b', 'b']);
+    expect(keysOf(await db.listKeySummaries({ prefix: snap, exclude, includeDeleted: true }))).toEqual(['b']);
+    expect(keysOf(await db.getTopKeys({ prefix: snap, exclude }))).toEqual(['b']);
+  });
+
+  test('imports versions with their own numbers under each conflict mode', async () => {
+    const key = `${prefix}imported`;
+    const record = (version, value, extra = {}) => ({
+      key, version, timestamp: 4000 + version, deleted: false, value,
+      actor: 'importer', clientIp: null, requestId: null, message: null, ...extra
+    });
+
+    expect(await db.importVersions([record(1, 'a'), record(3, 'c')])).toEqual({ imported: 2, skipped: 0, overwritten: 0 });
+    expect((await db.getAllVersions(key, { order: 'asc' })).map(v => [v.version, v.value, v.timestamp, v.actor]))
+      .toEqual([[1, 'a', 4001, 'importer'], [3, 'c', 4003, 'importer']]);
+
+    // fail writes nothing from a batch that contains a taken version
+    await expect(db.importVersions([record(4, 'd'), record(3, 'x')])).rejects.toThrow(ImportConflictError);
+    expect(await db.getVersion(key, 4)).toBeNull();
+
+    expect(await db.importVersions([record(4, 'd'), record(3, 'x')], { conflict: 'skip' }))
+      .toEqual({ imported: 1, skipped: 1, overwritten: 0 });
+    expect((await db.getVersion(key, 3)).value).toBe('c');
+
+    expect(await db.importVersions([record(4, null, { deleted: true })], { conflict: 'overwrite' }))
+      .toEqual({ imported: 0, skipped: 0, overwritten: 1 });
+    expect(await db.getLatestValue(key)).toMatchObject({ version: 4, deleted: true, value: null });
+
+    // Nothing goes in below the latest version or out of timestamp order, under any mode
+    await expect(db.importVersions([record(5, 'e'), record(2, 'b')], { conflict: 'skip' })).rejects.toThrow(ImportOrderError);
+    await expect(db.importVersions([record(5, 'e', { timestamp: 4002 })])).rejects.toThrow(ImportOrderError);
+    await expect(db.importVersions([record(3, 'x', { timestamp: 4005 })], { conflict: 'overwrite' })).rejects.toThrow(ImportOrderError);
+    expect(await db.getVersion(key, 5)).toBeNull();
+    expect((await db.getVersion(key, 3)).timestamp).toBe(4003);
+
+    // New writes continue after the highest imported version
+    expect((await db.storeValue(key, 'e', 4010)).version).toBe(5);
+  });
+
+  test('deletes old versions but never the latest one', async () => {
+    const key = `${prefix}compact`;
+    for (let i = 1; i <= 4; i++) {
+      await db.storeValue(key, `v${i}`, 3000 + i);
+    }
+
+    expect(await db.deleteVersions(key, [1, 2, 4])).toBe(2);
+    expect((await db.getAllVersions(key, { order: 'asc' })).map(v => v.version)).toEqual([3, 4]);
+
+    // Version numbers keep counting from the newest remaining version
+    const next = await db.storeValue(key, 'v5', 3005);
+    expect(next.version).toBe(5);
+    expect(await db.deleteVersions(key, [])).toBe(0);
+  });
+
+  test('deletes every version of every key under a prefix', async () => {
+    const removable = `${prefix}removable.`;
+    await db.storeValue(`${removable}a`, 1, 3100);
+    await db.storeValue(`${removable}a`, 2, 3101);
+    await db.deleteValue(`${removable}b`, 3102);
+    await db.storeValue(`${prefix}removable`, 'kept', 3103);
+
+    expect(await db.deleteKeys(removable)).toBe(3);
+    expect(await db.listKeys({ prefix: removable })).toEqual([]);
+    expect(await db.getLatestValue(`${removable}a`)).toBeNull();
+    expect((await db.getLatestValue(`${prefix}removable`)).value).toBe('kept');
+  });
+
+  test('stores commits atomically and lists them newest first', async () => {
+    const [a, b] = [`${prefix}commit_a`, `${prefix}commit_b`];
+    await db.storeValue(b, 'old', 5000);
+
+    const first = await db.storeCommit({ id: `${prefix}c1`, message: 'Enable a' }, [
+      { key: a, value: { on: true }, expiresAt: 9000 },
+      { key: b, deleted: true }
+    ], 5001, { audit: { actor: 'alice', message: 'Enable a' } });
+    expect(first).toEqual({
+      id: `${prefix}c1`,
+      timestamp: 5001,
+      message: 'Enable a',
+      revertOf: null,
+      actor: 'alice',
+      clientIp: null,
+      requestId: null,
+      changes: [{ key: a, version: 1, deleted: false }, { key: b, version: 2, deleted: true }]
+    });
+    expect(await db.getLatestValue(a)).toMatchObject({ value: { on: true }, expiresAt: 9000 });
+    expect(await db.getLatestValue(b)).toMatchObject({ deleted: true, actor: 'alice', message: 'Enable a', expiresAt: null });
+    expect(await db.getCommit(`${prefix}c1`)).toEqual(first);
+
+    // One failed precondition writes nothing
+    await expect(db.storeCommit({ id: `${prefix}c2`, message: 'Nope' }, [
+      { key: a, value: 2 },
+      { key: b, value: 'new', precondition: (latest) => !latest.deleted }
+    ], 5002)).rejects.toThrow(PreconditionFailedError);
+    expect((await db.getLatestValue(a)).version).toBe(1);
+    expect(await db.getCommit(`${prefix}c2`)).toBeNull();
+
+    await db.storeCommit({ id: `${prefix}c3`, message: 'Revert', revertOf: `${prefix}c1` }, [{ key: a, deleted: true }], 5002);
+    const ids = (commits) => commits.map(commit => commit.id).filter(id => id.startsWith(prefix));
+    expect(ids(await db.listCommits())).toEqual([`${prefix}c3`, `${prefix}c1`]);
+    expect(ids(await db.listCommits({ before: { timestamp: 5002, id: `${prefix}c3` } }))).toEqual([`${prefix}c1`]);
+  });
+
+  test('stores, finds, lists and updates API keys', async () => {
+    const id = `${prefix}apikey`;
+    const created = await db.createApiKey({
+      id,
+      name: 'deploy-bot',
+      keyHash: `${prefix}hash1`,
+      keyPrefix: 'kv_abcde',
+      scopes: ['read:cfg.*'],
+      createdAt: 4000
+    });
+    expect(created).toEqual({
+      id,
+      name: 'deploy-bot',
+      keyHash: `${prefix}hash1`,
+      keyPrefix: 'kv_abcde',
+      scopes: ['read:cfg.*'],
+      createdAt: 4000,
+      rotatedAt: null,
+      revokedAt: null
+    });
+
+    expect(await db.getApiKey(id)).toEqual(created);
+    expect(await db.findApiKeyByHash(`${prefix}hash1`)).toEqual(created);
+    expect((await db.listApiKeys()).map(apiKey => apiKey.id)).toContain(id);
+
+    const rotated = await db.updateApiKey(id, { keyHash: `${prefix}hash2`, rotatedAt: 4001 });
+    expect(rotated).toMatchObject({ keyHash: `${prefix}hash2`, rotatedAt: 4001, revokedAt: null });
+    expect(await db.findApiKeyByHash(`${prefix}hash1`)).toBeNull();
+    expect(await db.updateApiKey(`${prefix}missing`, { revokedAt: 4002 })).toBeNull();
+  });
+
+  test('reports stats and health', async () => {
+    const stats = await db.getStats();
+    expect(stats.total_records).toBeGreaterThan(0);
+    expect(stats.unique_keys).toBeGreaterThan(0);
+
+    const health = await db.healthCheck();
+    expect(health.status).toBe('connected');
+  });
+});
+
+describe('createDatabase', () => {
+  test('selects the backend by name', async () => {
+    const db = createDatabase('memory');
+    expect(db).toBeInstanceOf(MemoryDatabase);
+    await db.close();
+  });
+
+  test('rejects unknown backends', () => {
+    expect(() => createDatabase('redis')).toThrow('Unknown STORAGE_BACKEND');
+  });
+});
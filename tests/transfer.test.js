@@ -0,0 +1,129 @@
+const request = require('supertest');
+const createApp = require('../src/app');
+const Database = require('../src/database');
+const MemoryDatabase = require('../src/database-memory');
+const { asAdmin, appOptions } = require('./helpers');
+
+// Reads a response body as text whatever its content type
+const asText = (res, callback) => {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', (chunk) => { text += chunk; });
+  res.on('end', () => callback(null, text));
+};
+
+describe('NDJSON export and import', () => {
+  let source;
+  let target;
+  let sourceApp;
+  let targetApp;
+
+  const exportBody = async (query = '') => {
+    const response = await asAdmin(request(sourceApp).get(`/admin/export${query}`))
+      .buffer(true)
+      .parse(asText)
+      .expect(200);
+    expect(response.headers['content-type']).toMatch(/^application\/x-ndjson/);
+    return response.body;
+  };
+  const importBody = (body, query = '') => asAdmin(request(targetApp).post(`/admin/import${query}`))
+    .set('Content-Type', 'application/x-ndjson')
+    .send(body);
+
+  beforeEach(async () => {
+    source = new Database(':memory:');
+    target = new MemoryDatabase();
+    const options = appOptions();
+    sourceApp = createApp(source, options);
+    targetApp = createApp(target, options);
+
+    await source.connect();
+    await source.storeValue('cfg.db', { host: 'a' }, 1000, { audit: { actor: 'alice', message: 'first' } });
+    await source.storeValue('cfg.db', { host: 'b' }, 1100);
+    await source.deleteValue('cfg.db', 1200);
+    await source.storeValue('feature.x', 'on', 1050);
+  });
+
+  afterEach(async () => {
+    await source.close();
+  });
+
+  test('exports every version in change order, filtered by prefix and time', async () => {
+    const lines = (await exportBody()).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(l => [l.key, l.version, l.timestamp, l.deleted])).toEqual([
+      ['cfg.db', 1, 1000, false],
+      ['feature.x', 1, 1050, false],
+      ['cfg.db', 2, 1100, false],
+      ['cfg.db', 3, 1200, true]
+    ]);
+    expect(lines[0]).toMatchObject({ value: { host: 'a' }, actor: 'alice', message: 'first' });
+
+    const filtered = (await exportBody('?prefix=cfg.&from=1050&to=1150')).trim().split('\n');
+    expect(filtered.map(line => JSON.parse(line).version)).toEqual([2]);
+  });
+
+  test('round-trips history into another backend', async () => {
+    const response = await importBody(await exportBody()).expect(200);
+    expect(response.body).toMatchObject({ conflict: 'fail', imported: 4, skipped: 0, overwritten: 0, lines: 4, failed: null });
+
+    const versions = await target.getAllVersions('cfg.db', { order: 'asc' });
+    expect(versions.map(v => [v.version, v.timestamp, v.value, v.deleted])).toEqual([
+      [1, 1000, { host: 'a' }, false],
+      [2, 1100, { host: 'b' }, false],
+      [3, 1200, null, true]
+    ]);
+    expect(versions[0]).toMatchObject({ actor: 'alice', message: 'first' });
+  });
+
+  test('applies the conflict mode to versions that already exist', async () => {
+    const body = await exportBody();
+    await target.storeValue('cfg.db', 'local', 900);
+
+    const failed = await importBody(body).expect(409);
+    expect(failed.body.failed).toMatchObject({ line: 1, key: 'cfg.db', version: 1 });
+    expect(failed.body.imported).toBe(0);
+
+    const skipped = await importBody(body, '?conflict=skip').expect(200);
+    expect(skipped.body).toMatchObject({ imported: 3, skipped: 1 });
+    expect((await target.getVersion('cfg.db', 1)).value).toBe('local');
+
+    const overwritten = await importBody(body, '?conflict=overwrite').expect(200);
+    expect(overwritten.body).toMatchObject({ imported: 0, overwritten: 4 });
+    expect((await target.getVersion('cfg.db', 1)).value).toEqual({ host: 'a' });
+  });
+
+  test('refuses versions that would land behind a key\'s local history', async () => {
+    await target.storeValue('cfg.db', 'local-1', 900);
+    await target.storeValue('cfg.db', 'local-2', 1500);
+
+    // cfg.db version 3 (written at 1200) would become the latest, behind the write at 1500
+    const response = await importBody(await exportBody(), '?conflict=skip').expect(422);
+    expect(response.body.failed).toMatchObject({ status: 422, key: 'cfg.db', version: 3 });
+    expect(response.body.imported).toBe(0);
+    expect(await target.getLatestValue('cfg.db')).toMatchObject({ value: 'local-2', version: 2 });
+    expect(await target.getLatestValue('feature.x')).toBeNull();
+  });
+
+  test('stops at an invalid line and keeps the lines before it', async () => {
+    const body = [
+      JSON.stringify({ key: 'ok.1', version: 1, timestamp: 10, value: 1 }),
+      '',
+      JSON.stringify({ key: 'bad key', version: 1, timestamp: 10, value: 1 }),
+      JSON.stringify({ key: 'ok.2', version: 1, timestamp: 10, value: 2 })
+    ].join('\n');
+
+    const response = await importBody(body).expect(400);
+    expect(response.body).toMatchObject({ imported: 1, lines: 3, failed: { line: 3, status: 400 } });
+    expect(await target.getLatestValue('ok.1')).toMatchObject({ value: 1 });
+    expect(await target.getLatestValue('ok.2')).toBeNull();
+
+    await importBody('{not json').expect(400);
+  });
+
+  test('requires the admin scope and an NDJSON body', async () => {
+    await request(sourceApp).get('/admin/export').expect(401);
+    await request(targetApp).post('/admin/import').set('Content-Type', 'application/x-ndjson').send('').expect(401);
+    await asAdmin(request(targetApp).post('/admin/import')).send({ key: 'a' }).expect(415);
+    await importBody('', '?conflict=merge').expect(400);
+  });
+});